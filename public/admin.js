@@ -17,10 +17,37 @@ const resetConfirmPasswordInput = document.getElementById('resetConfirmPasswordI
 const saveResetPasswordBtn = document.getElementById('saveResetPasswordBtn');
 const cancelResetPasswordBtn = document.getElementById('cancelResetPasswordBtn');
 
+// Modal de cota
+const quotaModal = document.getElementById('quotaModal');
+const quotaModalClose = document.getElementById('quotaModalClose');
+const quotaUsernameSpan = document.getElementById('quotaUsername');
+const quotaMbInput = document.getElementById('quotaMbInput');
+const quotaFilesInput = document.getElementById('quotaFilesInput');
+const saveQuotaBtn = document.getElementById('saveQuotaBtn');
+const cancelQuotaBtn = document.getElementById('cancelQuotaBtn');
+
+// Hotlink
+const hotlinkForm = document.getElementById('hotlinkForm');
+const hotlinkFormTitle = document.getElementById('hotlinkFormTitle');
+const hotlinkScopeSelect = document.getElementById('hotlinkScope');
+const hotlinkTargetGroup = document.getElementById('hotlinkTargetGroup');
+const hotlinkTargetLabel = document.getElementById('hotlinkTargetLabel');
+const hotlinkTargetInput = document.getElementById('hotlinkTarget');
+const hotlinkModeSelect = document.getElementById('hotlinkMode');
+const hotlinkDomainsInput = document.getElementById('hotlinkDomains');
+const hotlinkAllowEmptyInput = document.getElementById('hotlinkAllowEmpty');
+const hotlinkPlaceholderInput = document.getElementById('hotlinkPlaceholder');
+const hotlinkSubmitBtn = document.getElementById('hotlinkSubmitBtn');
+const hotlinkCancelEditBtn = document.getElementById('hotlinkCancelEditBtn');
+const hotlinkTable = document.getElementById('hotlinkTable');
+
 // Constantes
 const API_URL = window.location.origin;
 let currentUser = null;
 let currentResetUserId = null;
+let currentQuotaUserId = null;
+let hotlinkPolicies = [];
+let editingHotlinkId = null;
 
 // ==================== FUNÇÕES AUXILIARES ====================
 
@@ -48,6 +75,26 @@ function showNotification(message, type = 'info') {
     }, 3000);
 }
 
+// Formatar tamanho
+function formatFileSize(bytes) {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+}
+
+// Formatar uso e cota individual (sem cota própria = herda da função)
+function formatUsage(user) {
+    const bytes = user.quota_bytes !== null
+        ? `${formatFileSize(user.used_bytes)} / ${formatFileSize(user.quota_bytes)}`
+        : formatFileSize(user.used_bytes);
+    const files = user.quota_files !== null
+        ? `${user.used_files} / ${user.quota_files} arquivos`
+        : `${user.used_files} arquivos`;
+    return `${bytes}<br><span style="color: var(--gray); font-size: 0.85rem;">${files}</span>`;
+}
+
 // Formatar data
 function formatDate(dateString) {
     const date = new Date(dateString);
@@ -146,6 +193,7 @@ function renderUsers(users) {
                     <th style="padding: 15px;">ID</th>
                     <th style="padding: 15px;">Username</th>
                     <th style="padding: 15px;">Função</th>
+                    <th style="padding: 15px;">Uso</th>
                     <th style="padding: 15px;">Criado em</th>
                     <th style="padding: 15px;">Ações</th>
                 </tr>
@@ -167,6 +215,7 @@ function renderUsers(users) {
                                 ${user.role === 'admin' ? 'Admin' : 'Usuário'}
                             </span>
                         </td>
+                        <td style="padding: 15px;">${formatUsage(user)}</td>
                         <td style="padding: 15px;">${formatDate(user.created_at)}</td>
                         <td style="padding: 15px;">
                             ${user.id !== currentUser.id ? `
@@ -178,6 +227,13 @@ function renderUsers(users) {
                                     >
                                         🔑 Resetar Senha
                                     </button>
+                                    <button
+                                        class="btn btn-secondary"
+                                        onclick="openQuotaModal(${user.id}, '${user.username}', ${user.quota_bytes}, ${user.quota_files})"
+                                        style="padding: 8px 16px; font-size: 0.85rem;"
+                                    >
+                                        📦 Cota
+                                    </button>
                                     <button
                                         class="btn btn-danger"
                                         onclick="deleteUser(${user.id}, '${user.username}')"
@@ -331,6 +387,300 @@ async function resetUserPassword() {
     }
 }
 
+// ==================== COTAS ====================
+
+// Abrir modal de cota
+function openQuotaModal(userId, username, quotaBytes, quotaFiles) {
+    currentQuotaUserId = userId;
+    quotaUsernameSpan.textContent = username;
+    quotaMbInput.value = quotaBytes !== null ? Math.round(quotaBytes / 1024 / 1024) : '';
+    quotaFilesInput.value = quotaFiles !== null ? quotaFiles : '';
+    quotaModal.classList.add('active');
+}
+
+// Fechar modal de cota
+function closeQuotaModal() {
+    quotaModal.classList.remove('active');
+    currentQuotaUserId = null;
+}
+
+// Salvar cota do usuário (campos vazios = herdar da função)
+async function saveUserQuota() {
+    if (!currentQuotaUserId) return;
+
+    const quotaMb = quotaMbInput.value.trim();
+    const quotaFiles = quotaFilesInput.value.trim();
+
+    try {
+        const response = await fetch(`${API_URL}/api/users/${currentQuotaUserId}/quota`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify({
+                quotaBytes: quotaMb === '' ? null : Number(quotaMb) * 1024 * 1024,
+                quotaFiles: quotaFiles === '' ? null : Number(quotaFiles)
+            })
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            showNotification(data.message || 'Cota atualizada com sucesso!', 'success');
+            closeQuotaModal();
+            loadUsers();
+        } else {
+            showNotification(data.message || 'Erro ao atualizar cota.', 'error');
+        }
+    } catch (error) {
+        console.error('Erro ao atualizar cota:', error);
+        showNotification('Erro ao atualizar cota.', 'error');
+    }
+}
+
+// ==================== HOTLINK ====================
+
+const HOTLINK_MODE_LABELS = {
+    allowlist: 'Só a lista',
+    denylist: 'Bloqueia a lista',
+    off: 'Sem restrição'
+};
+
+// Escapar texto para HTML
+function escapeHtml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Carregar políticas de hotlink
+async function loadHotlinkPolicies() {
+    try {
+        const response = await fetch(`${API_URL}/api/hotlink/policies`, {
+            credentials: 'include'
+        });
+
+        if (!response.ok) {
+            throw new Error('Erro ao carregar políticas de hotlink');
+        }
+
+        const data = await response.json();
+        hotlinkPolicies = data.policies;
+        renderHotlinkPolicies();
+    } catch (error) {
+        console.error('Erro ao carregar políticas de hotlink:', error);
+        showNotification('Erro ao carregar políticas de hotlink', 'error');
+    }
+}
+
+// Descrição do alvo da política (texto puro)
+function formatHotlinkTarget(policy) {
+    if (policy.scope === 'file') {
+        return `Arquivo #${policy.file_id}${policy.file_name ? ` (${policy.file_name})` : ''}`;
+    }
+    if (policy.scope === 'tag') return `Tag "${policy.tag}"`;
+    return 'Global';
+}
+
+// Renderizar políticas de hotlink
+function renderHotlinkPolicies() {
+    if (hotlinkPolicies.length === 0) {
+        hotlinkTable.innerHTML = `
+            <div class="empty-state">
+                <h3>Nenhuma política de hotlink</h3>
+                <p>Sem políticas, qualquer site pode incorporar os arquivos</p>
+            </div>
+        `;
+        return;
+    }
+
+    hotlinkTable.innerHTML = `
+        <table style="width: 100%; border-collapse: collapse;">
+            <thead>
+                <tr style="background: var(--light-gray); text-align: left;">
+                    <th style="padding: 15px;">Alvo</th>
+                    <th style="padding: 15px;">Modo</th>
+                    <th style="padding: 15px;">Domínios</th>
+                    <th style="padding: 15px;">Sem Referer</th>
+                    <th style="padding: 15px;">Imagem substituta</th>
+                    <th style="padding: 15px;">Ações</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${hotlinkPolicies.map(policy => `
+                    <tr style="border-bottom: 1px solid var(--border);${policy.enabled ? '' : ' opacity: 0.5;'}">
+                        <td style="padding: 15px; font-weight: 600;">${escapeHtml(formatHotlinkTarget(policy))}</td>
+                        <td style="padding: 15px;">${HOTLINK_MODE_LABELS[policy.mode] || policy.mode}</td>
+                        <td style="padding: 15px; font-size: 0.85rem;">
+                            ${policy.domains.length > 0 ? policy.domains.map(escapeHtml).join('<br>') : '<span style="color: var(--gray);">—</span>'}
+                        </td>
+                        <td style="padding: 15px;">${policy.allow_empty_referrer ? 'Permitido' : 'Bloqueado'}</td>
+                        <td style="padding: 15px;">${policy.placeholder ? 'Sim' : 'Não'}</td>
+                        <td style="padding: 15px;">
+                            <div style="display: flex; gap: 8px;">
+                                <button class="btn btn-secondary" onclick="editHotlinkPolicy(${policy.id})" style="padding: 8px 16px; font-size: 0.85rem;">
+                                    ✏️ Editar
+                                </button>
+                                <button class="btn btn-secondary" onclick="toggleHotlinkPolicy(${policy.id}, ${!policy.enabled})" style="padding: 8px 16px; font-size: 0.85rem;">
+                                    ${policy.enabled ? '⏸️ Desativar' : '▶️ Ativar'}
+                                </button>
+                                <button class="btn btn-danger" onclick="deleteHotlinkPolicy(${policy.id})" style="padding: 8px 16px; font-size: 0.85rem;">
+                                    🗑️ Deletar
+                                </button>
+                            </div>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Mostrar campo de alvo conforme o escopo
+function updateHotlinkTargetField() {
+    const scope = hotlinkScopeSelect.value;
+    hotlinkTargetGroup.style.display = scope === 'global' ? 'none' : 'block';
+    hotlinkTargetLabel.textContent = scope === 'file' ? 'ID do arquivo:' : 'Tag:';
+    hotlinkTargetInput.placeholder = scope === 'file' ? 'Ex.: 42' : 'Nome da tag';
+}
+
+// Voltar o formulário para o modo de criação
+function resetHotlinkForm() {
+    editingHotlinkId = null;
+    hotlinkForm.reset();
+    hotlinkScopeSelect.disabled = false;
+    hotlinkTargetInput.disabled = false;
+    hotlinkFormTitle.textContent = 'Proteção contra Hotlink';
+    hotlinkSubmitBtn.textContent = 'Criar Política';
+    hotlinkCancelEditBtn.style.display = 'none';
+    updateHotlinkTargetField();
+}
+
+// Carregar política no formulário para edição (o alvo não muda)
+function editHotlinkPolicy(policyId) {
+    const policy = hotlinkPolicies.find(p => p.id === policyId);
+    if (!policy) return;
+
+    editingHotlinkId = policy.id;
+    hotlinkScopeSelect.value = policy.scope;
+    hotlinkTargetInput.value = policy.scope === 'file' ? policy.file_id : (policy.tag || '');
+    hotlinkScopeSelect.disabled = true;
+    hotlinkTargetInput.disabled = true;
+    hotlinkModeSelect.value = policy.mode;
+    hotlinkDomainsInput.value = policy.domains.join('\n');
+    hotlinkAllowEmptyInput.checked = policy.allow_empty_referrer;
+    hotlinkPlaceholderInput.checked = policy.placeholder;
+
+    hotlinkFormTitle.textContent = `Editar Política (${formatHotlinkTarget(policy)})`;
+    hotlinkSubmitBtn.textContent = 'Salvar Política';
+    hotlinkCancelEditBtn.style.display = 'inline-block';
+    updateHotlinkTargetField();
+    hotlinkForm.scrollIntoView({ behavior: 'smooth' });
+}
+
+// Criar ou salvar política
+hotlinkForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const body = {
+        mode: hotlinkModeSelect.value,
+        domains: hotlinkDomainsInput.value,
+        allowEmptyReferrer: hotlinkAllowEmptyInput.checked,
+        placeholder: hotlinkPlaceholderInput.checked
+    };
+
+    if (!editingHotlinkId) {
+        const scope = hotlinkScopeSelect.value;
+        const target = hotlinkTargetInput.value.trim();
+
+        if (scope !== 'global' && !target) {
+            showNotification(scope === 'file' ? 'Informe o ID do arquivo.' : 'Informe a tag.', 'error');
+            return;
+        }
+        if (scope === 'file') body.fileId = target;
+        if (scope === 'tag') body.tag = target;
+    }
+
+    try {
+        const response = await fetch(
+            editingHotlinkId ? `${API_URL}/api/hotlink/policies/${editingHotlinkId}` : `${API_URL}/api/hotlink/policies`,
+            {
+                method: editingHotlinkId ? 'PATCH' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify(body)
+            }
+        );
+
+        const data = await response.json();
+
+        if (response.ok) {
+            showNotification(editingHotlinkId ? 'Política atualizada!' : 'Política criada com sucesso!', 'success');
+            resetHotlinkForm();
+            loadHotlinkPolicies();
+        } else {
+            showNotification(data.message || 'Erro ao salvar política', 'error');
+        }
+    } catch (error) {
+        console.error('Erro ao salvar política de hotlink:', error);
+        showNotification('Erro ao salvar política', 'error');
+    }
+});
+
+// Ativar/desativar política
+async function toggleHotlinkPolicy(policyId, enabled) {
+    try {
+        const response = await fetch(`${API_URL}/api/hotlink/policies/${policyId}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ enabled })
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            showNotification(enabled ? 'Política ativada!' : 'Política desativada!', 'success');
+            loadHotlinkPolicies();
+        } else {
+            showNotification(data.message || 'Erro ao atualizar política', 'error');
+        }
+    } catch (error) {
+        console.error('Erro ao atualizar política de hotlink:', error);
+        showNotification('Erro ao atualizar política', 'error');
+    }
+}
+
+// Deletar política
+async function deleteHotlinkPolicy(policyId) {
+    if (!confirm('Tem certeza que deseja deletar esta política de hotlink?')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_URL}/api/hotlink/policies/${policyId}`, {
+            method: 'DELETE',
+            credentials: 'include'
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            showNotification('Política deletada com sucesso!', 'success');
+            if (editingHotlinkId === policyId) resetHotlinkForm();
+            loadHotlinkPolicies();
+        } else {
+            showNotification(data.message || 'Erro ao deletar política', 'error');
+        }
+    } catch (error) {
+        console.error('Erro ao deletar política de hotlink:', error);
+        showNotification('Erro ao deletar política', 'error');
+    }
+}
+
 // ==================== EVENT LISTENERS ====================
 
 refreshBtn.addEventListener('click', () => {
@@ -359,12 +709,29 @@ resetConfirmPasswordInput.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') resetUserPassword();
 });
 
+// Modal de cota
+quotaModalClose.addEventListener('click', closeQuotaModal);
+cancelQuotaBtn.addEventListener('click', closeQuotaModal);
+
+quotaModal.addEventListener('click', (e) => {
+    if (e.target === quotaModal) {
+        closeQuotaModal();
+    }
+});
+
+saveQuotaBtn.addEventListener('click', saveUserQuota);
+
+// Hotlink
+hotlinkScopeSelect.addEventListener('change', updateHotlinkTargetField);
+hotlinkCancelEditBtn.addEventListener('click', resetHotlinkForm);
+
 // ==================== INICIALIZAÇÃO ====================
 
 async function init() {
     const isAuth = await checkAuth();
     if (isAuth) {
         loadUsers();
+        loadHotlinkPolicies();
     }
 }
 
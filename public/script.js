@@ -4,6 +4,8 @@ const uploadArea = document.getElementById('uploadArea');
 const fileInput = document.getElementById('fileInput');
 const tagsInput = document.getElementById('tagsInput');
 const descriptionInput = document.getElementById('descriptionInput');
+const privateInput = document.getElementById('privateInput');
+const expiresInput = document.getElementById('expiresInput');
 const filesGrid = document.getElementById('filesGrid');
 const refreshBtn = document.getElementById('refreshBtn');
 const progressContainer = document.getElementById('progressContainer');
@@ -30,6 +32,15 @@ const editDescriptionInput = document.getElementById('editDescriptionInput');
 const saveTagsBtn = document.getElementById('saveTagsBtn');
 const cancelTagsBtn = document.getElementById('cancelTagsBtn');
 
+// Pastas
+const folderTree = document.getElementById('folderTree');
+const folderActions = document.getElementById('folderActions');
+const moveFileModal = document.getElementById('moveFileModal');
+const moveFileModalClose = document.getElementById('moveFileModalClose');
+const moveFolderSelect = document.getElementById('moveFolderSelect');
+const saveMoveBtn = document.getElementById('saveMoveBtn');
+const cancelMoveBtn = document.getElementById('cancelMoveBtn');
+
 // Modal de trocar senha
 const changePasswordModal = document.getElementById('changePasswordModal');
 const changePasswordModalClose = document.getElementById('changePasswordModalClose');
@@ -52,10 +63,22 @@ let currentUser = null;
 let allTags = [];
 let activeTag = '';
 
+// Estado das pastas ('' = todas, 'root' = fora de pastas, número = ID da pasta)
+let allFolders = [];
+let activeFolder = '';
+let currentMovingFileId = null;
+
 // Fila de upload
 let fileQueue = []; // Array de { file: File, status: 'pending'|'uploading'|'done'|'error' }
 let isUploading = false;
 
+// Player HLS do preview (hls.js carregado sob demanda, só quando um vídeo tem stream).
+// Versão exata com Subresource Integrity: ao atualizar, trocar a URL e o hash juntos
+const HLS_JS_URL = 'https://cdn.jsdelivr.net/npm/hls.js@1.7.3/dist/hls.min.js';
+const HLS_JS_INTEGRITY = 'sha384-cciJ0zi8d1uMKC2zJd7jvPY4HQt7W4ByUI/FlMkltvBi31aW61rcpVBhpmW8/NwX';
+let hlsJsPromise = null;
+let activeHls = null;
+
 const API_URL = window.location.origin;
 
 // ==================== HELPERS ====================
@@ -82,6 +105,13 @@ function escapeHtml(str) {
         .replace(/'/g, '&#039;');
 }
 
+// Trecho destacado pela busca: escapa o texto e mantém apenas as marcações <mark>
+function highlightHtml(str) {
+    return escapeHtml(str)
+        .replace(/&lt;mark&gt;/g, '<mark>')
+        .replace(/&lt;\/mark&gt;/g, '</mark>');
+}
+
 function getQueueIcon(mimeType) {
     if (!mimeType) return '📄';
     if (mimeType.startsWith('image/')) return '🖼️';
@@ -244,6 +274,10 @@ async function uploadQueue() {
 
     const tags = tagsInput.value.trim();
     const description = descriptionInput.value.trim();
+    const visibility = privateInput.checked ? 'private' : 'public';
+    const expiresInDays = expiresInput.value;
+    // Enviar para a pasta aberta, se o usuário puder usá-la
+    const folderId = canManageFolder(getActiveFolder()) ? activeFolder : '';
 
     progressContainer.style.display = 'block';
     progressBar.style.width = '0%';
@@ -260,7 +294,7 @@ async function uploadQueue() {
         renderQueue();
 
         try {
-            await uploadSingleFile(item.file, tags, description, i, total);
+            await uploadSingleFile(item.file, { tags, description, visibility, expiresInDays, folderId }, i, total);
             item.status = 'done';
             uploaded++;
         } catch (e) {
@@ -285,6 +319,7 @@ async function uploadQueue() {
         showNotification(`${uploaded} arquivo${uploaded > 1 ? 's' : ''} enviado${uploaded > 1 ? 's' : ''} com sucesso!`, 'success');
         loadStats();
         loadTags();
+        loadFolders();
     }
     if (failed > 0) {
         showNotification(`${failed} arquivo${failed > 1 ? 's' : ''} falhou no upload`, 'error');
@@ -294,16 +329,22 @@ async function uploadQueue() {
     fileQueue = [];
     tagsInput.value = '';
     descriptionInput.value = '';
+    privateInput.checked = false;
+    expiresInput.value = '';
     renderQueue();
     loadFiles();
 }
 
-function uploadSingleFile(file, tags, description, fileIndex, totalCount) {
+function uploadSingleFile(file, { tags, description, visibility, expiresInDays, folderId }, fileIndex, totalCount) {
     return new Promise((resolve, reject) => {
+        // Campos antes do arquivo: o servidor só enxerga os campos que chegam antes dele
         const formData = new FormData();
-        formData.append('file', file);
         if (tags) formData.append('tags', tags);
         if (description) formData.append('description', description);
+        if (expiresInDays) formData.append('expiresInDays', expiresInDays);
+        if (folderId) formData.append('folderId', folderId);
+        formData.append('visibility', visibility);
+        formData.append('file', file);
 
         const xhr = new XMLHttpRequest();
 
@@ -339,7 +380,8 @@ async function loadFiles(page = 0) {
     try {
         currentPage = page;
         const offset = page * limitPerPage;
-        const response = await fetch(`${API_URL}/api/files?limit=${limitPerPage}&offset=${offset}`);
+        const folderParam = activeFolder !== '' ? `&folderId=${activeFolder}` : '';
+        const response = await fetch(`${API_URL}/api/files?limit=${limitPerPage}&offset=${offset}${folderParam}`);
         const data = await response.json();
         if (data.success) {
             totalFiles = data.total;
@@ -372,6 +414,10 @@ function renderFiles(files) {
         const tags = file.tags ? file.tags.split(',').map(t => t.trim()).filter(t => t) : [];
         const tagsHTML = tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('');
         const canModify = currentUser && (currentUser.role === 'admin' || file.uploaded_by === currentUser.id);
+        const displayName = file.highlight_name ? highlightHtml(file.highlight_name) : escapeHtml(file.original_name);
+        const snippet = file.highlight_description && file.highlight_description.includes('<mark>')
+            ? `<div class="file-meta search-snippet">${highlightHtml(file.highlight_description)}</div>`
+            : '';
         const uploaderInfo = file.uploaded_by_username
             ? `Enviado por: ${escapeHtml(file.uploaded_by_username)}`
             : 'Enviado via API';
@@ -382,8 +428,9 @@ function renderFiles(files) {
                     ${preview}
                 </div>
                 <div class="file-info">
-                    <div class="file-name" title="${escapeHtml(file.original_name)}">${escapeHtml(file.original_name)}</div>
+                    <div class="file-name" title="${escapeHtml(file.original_name)}">${displayName}</div>
                     <div class="file-meta">${formatFileSize(file.size)} &bull; ${formatDate(file.uploaded_at)}</div>
+                    ${snippet}
                     <div class="file-meta" style="color: var(--primary); font-size: 0.78rem;">${uploaderInfo}</div>
                     <div class="file-tags">${tagsHTML}</div>
                     <div class="file-actions">
@@ -394,6 +441,9 @@ function renderFiles(files) {
                             <button class="btn btn-secondary" onclick="openEditTagsModal(${file.id})">
                                 Tags
                             </button>
+                            <button class="btn btn-secondary" onclick="openMoveFileModal(${file.id})" title="Mover para pasta">
+                                📁
+                            </button>
                             <button class="btn btn-danger" onclick="deleteFile(${file.id}, '${escapeHtml(file.stored_name)}')">
                                 🗑️
                             </button>
@@ -447,6 +497,10 @@ function renderPagination() {
 
 function getFilePreview(file) {
     const url = file.download_url;
+    // Miniatura WebP gerada no servidor: evita baixar o original só para a grade
+    if (file.thumbnail_key && (file.file_type === 'image' || file.file_type === 'video')) {
+        return `<img src="/thumb/${encodeURIComponent(file.stored_name)}" alt="${escapeHtml(file.original_name)}" loading="lazy">`;
+    }
     if (file.file_type === 'image') {
         return `<img src="${url}" alt="${escapeHtml(file.original_name)}">`;
     } else if (file.file_type === 'video') {
@@ -480,7 +534,7 @@ async function openPreview(fileId) {
         if (file.file_type === 'image') {
             content = `<img src="${file.download_url}" alt="${escapeHtml(file.original_name)}">`;
         } else if (file.file_type === 'video') {
-            content = `<video src="${file.download_url}" controls style="max-width: 100%;"></video>`;
+            content = `<video controls style="max-width: 100%;"></video>`;
         } else if (file.file_type === 'audio') {
             content = `
                 <h3 style="margin-bottom:16px">${escapeHtml(file.original_name)}</h3>
@@ -495,13 +549,84 @@ async function openPreview(fileId) {
             `;
         }
 
+        stopPreviewStream();
         modalBody.innerHTML = content;
+        if (file.file_type === 'video') {
+            playVideo(modalBody.querySelector('video'), file);
+        }
         previewModal.classList.add('active');
     } catch (error) {
         showNotification('Erro ao abrir preview', 'error');
     }
 }
 
+function closePreview() {
+    stopPreviewStream();
+    modalBody.querySelectorAll('video, audio').forEach(media => media.pause());
+    previewModal.classList.remove('active');
+}
+
+// Carregar hls.js uma única vez
+function loadHlsJs() {
+    if (window.Hls) return Promise.resolve(window.Hls);
+
+    if (!hlsJsPromise) {
+        hlsJsPromise = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = HLS_JS_URL;
+            script.integrity = HLS_JS_INTEGRITY;
+            script.crossOrigin = 'anonymous';
+            script.onload = () => resolve(window.Hls);
+            script.onerror = () => {
+                hlsJsPromise = null;
+                reject(new Error('Falha ao carregar hls.js'));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return hlsJsPromise;
+}
+
+// Tocar vídeo por HLS quando houver stream; senão (ou se falhar), o arquivo original
+function playVideo(video, file) {
+    const fallback = () => {
+        if (!video.isConnected) return;
+        stopPreviewStream();
+        video.src = file.download_url;
+    };
+
+    if (!file.stream_url) return fallback();
+
+    // Safari toca HLS nativamente
+    if (video.canPlayType('application/vnd.apple.mpegurl')) {
+        video.src = file.stream_url;
+        return;
+    }
+
+    loadHlsJs()
+        .then(Hls => {
+            // Modal fechado ou trocado enquanto o script carregava
+            if (!video.isConnected) return;
+            if (!Hls || !Hls.isSupported()) return fallback();
+
+            const hls = new Hls();
+            hls.on(Hls.Events.ERROR, (event, data) => {
+                if (data.fatal && activeHls === hls) fallback();
+            });
+            hls.loadSource(file.stream_url);
+            hls.attachMedia(video);
+            activeHls = hls;
+        })
+        .catch(fallback);
+}
+
+function stopPreviewStream() {
+    if (activeHls) {
+        activeHls.destroy();
+        activeHls = null;
+    }
+}
+
 function copyLink(url) {
     if (navigator.clipboard && navigator.clipboard.writeText) {
         navigator.clipboard.writeText(url)
@@ -532,9 +657,10 @@ async function deleteFile(fileId, fileName) {
         });
         const data = await response.json();
         if (data.success) {
-            showNotification('Arquivo deletado!', 'success');
+            showNotification('Arquivo movido para a lixeira!', 'success');
             loadFiles(currentPage);
             loadStats();
+            loadFolders();
         } else {
             showNotification(`Erro: ${data.message}`, 'error');
         }
@@ -543,6 +669,213 @@ async function deleteFile(fileId, fileName) {
     }
 }
 
+// ==================== PASTAS ====================
+
+async function loadFolders() {
+    try {
+        const response = await fetch(`${API_URL}/api/folders`);
+        const data = await response.json();
+        if (data.success) {
+            allFolders = data.folders;
+            // Pasta aberta pode ter sido deletada
+            if (typeof activeFolder === 'number' && !getActiveFolder()) activeFolder = '';
+            renderFolderTree(data.tree);
+        }
+    } catch (error) {
+        console.error('Erro ao carregar pastas:', error);
+    }
+}
+
+function getActiveFolder() {
+    return allFolders.find(f => f.id === activeFolder) || null;
+}
+
+function canManageFolder(folder) {
+    return !!folder && !!currentUser && (currentUser.role === 'admin' || folder.owner_id === currentUser.id);
+}
+
+// Montar árvore a partir da lista plana (mesma estrutura de /api/folders)
+function buildFolderTree(folders) {
+    const nodes = new Map(folders.map(f => [f.id, { ...f, children: [] }]));
+    const roots = [];
+    nodes.forEach(node => {
+        const parent = node.parent_id !== null ? nodes.get(node.parent_id) : null;
+        (parent ? parent.children : roots).push(node);
+    });
+    return roots;
+}
+
+function renderFolderNodes(nodes, depth) {
+    return nodes.map(node => `
+        <button class="tag-sidebar-item folder-item ${activeFolder === node.id ? 'active' : ''}"
+                style="padding-left: ${16 + depth * 14}px" onclick="setFolder(${node.id})"
+                title="${escapeHtml(node.name)} (${escapeHtml(node.owner_username || '—')})">
+            📁 ${escapeHtml(node.name)}
+            <span class="folder-count">${node.file_count}</span>
+        </button>
+        ${renderFolderNodes(node.children, depth + 1)}
+    `).join('');
+}
+
+function renderFolderTree(tree = buildFolderTree(allFolders)) {
+    if (!folderTree) return;
+
+    folderTree.innerHTML = `
+        <button class="tag-sidebar-item ${activeFolder === '' ? 'active' : ''}" onclick="setFolder('')">
+            Todas
+        </button>
+        <button class="tag-sidebar-item ${activeFolder === 'root' ? 'active' : ''}" onclick="setFolder('root')">
+            Sem pasta
+        </button>
+        ${renderFolderNodes(tree, 0)}
+    `;
+
+    folderActions.style.display = canManageFolder(getActiveFolder()) ? 'flex' : 'none';
+}
+
+function setFolder(folderId) {
+    activeFolder = folderId;
+    renderFolderTree();
+    searchFiles(0);
+}
+
+async function createFolder() {
+    const name = prompt('Nome da nova pasta:');
+    if (!name || !name.trim()) return;
+
+    // Criar dentro da pasta aberta, se o usuário puder usá-la
+    const parentId = canManageFolder(getActiveFolder()) ? activeFolder : null;
+
+    try {
+        const response = await fetch(`${API_URL}/api/folders`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ name: name.trim(), parentId })
+        });
+        const data = await response.json();
+        if (data.success) {
+            showNotification('Pasta criada!', 'success');
+            loadFolders();
+        } else {
+            showNotification(`Erro: ${data.message}`, 'error');
+        }
+    } catch (error) {
+        showNotification('Erro ao criar pasta', 'error');
+    }
+}
+
+async function renameActiveFolder() {
+    const folder = getActiveFolder();
+    if (!folder) return;
+
+    const name = prompt('Novo nome da pasta:', folder.name);
+    if (!name || !name.trim() || name.trim() === folder.name) return;
+
+    try {
+        const response = await fetch(`${API_URL}/api/folders/${folder.id}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ name: name.trim() })
+        });
+        const data = await response.json();
+        if (data.success) {
+            showNotification('Pasta renomeada!', 'success');
+            loadFolders();
+        } else {
+            showNotification(`Erro: ${data.message}`, 'error');
+        }
+    } catch (error) {
+        showNotification('Erro ao renomear pasta', 'error');
+    }
+}
+
+async function deleteActiveFolder() {
+    const folder = getActiveFolder();
+    if (!folder) return;
+    if (!confirm(`Excluir a pasta "${folder.name}"? Ela precisa estar vazia.`)) return;
+
+    try {
+        const response = await fetch(`${API_URL}/api/folders/${folder.id}`, {
+            method: 'DELETE',
+            credentials: 'include'
+        });
+        const data = await response.json();
+        if (data.success) {
+            showNotification('Pasta excluída!', 'success');
+            activeFolder = '';
+            loadFolders();
+            loadFiles();
+        } else {
+            showNotification(`Erro: ${data.message}`, 'error');
+        }
+    } catch (error) {
+        showNotification('Erro ao excluir pasta', 'error');
+    }
+}
+
+// Opções do select de destino, com indentação por nível
+function folderOptions(nodes, depth = 0) {
+    return nodes
+        .filter(node => canManageFolder(node) || node.children.length > 0)
+        .map(node => `
+            <option value="${node.id}" ${canManageFolder(node) ? '' : 'disabled'}>
+                ${'&nbsp;&nbsp;'.repeat(depth)}📁 ${escapeHtml(node.name)}
+            </option>
+            ${folderOptions(node.children, depth + 1)}
+        `).join('');
+}
+
+async function openMoveFileModal(fileId) {
+    try {
+        const response = await fetch(`${API_URL}/api/files/${fileId}`);
+        const data = await response.json();
+        if (data.success) {
+            currentMovingFileId = fileId;
+            moveFolderSelect.innerHTML = `
+                <option value="">(Sem pasta)</option>
+                ${folderOptions(buildFolderTree(allFolders))}
+            `;
+            moveFolderSelect.value = data.file.folder_id || '';
+            moveFileModal.classList.add('active');
+        }
+    } catch (error) {
+        showNotification('Erro ao carregar arquivo', 'error');
+    }
+}
+
+async function saveMoveFile() {
+    if (!currentMovingFileId) return;
+    const folderId = moveFolderSelect.value ? parseInt(moveFolderSelect.value) : null;
+
+    try {
+        const response = await fetch(`${API_URL}/api/files/${currentMovingFileId}/folder`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ folderId })
+        });
+        const data = await response.json();
+
+        if (data.success) {
+            showNotification(data.message, 'success');
+            closeMoveFileModal();
+            loadFiles(currentPage);
+            loadFolders();
+        } else {
+            showNotification(`Erro: ${data.message}`, 'error');
+        }
+    } catch (error) {
+        showNotification('Erro ao mover arquivo', 'error');
+    }
+}
+
+function closeMoveFileModal() {
+    moveFileModal.classList.remove('active');
+    currentMovingFileId = null;
+}
+
 // ==================== TAGS E ABAS ====================
 
 async function loadTags() {
@@ -596,6 +929,7 @@ async function searchFiles(page = 0) {
         if (search) params.append('search', search);
         if (type) params.append('fileType', type);
         if (tag) params.append('tag', tag);
+        if (activeFolder !== '') params.append('folderId', activeFolder);
 
         const hasFilters = search || type || tag;
         const url = hasFilters
@@ -625,7 +959,9 @@ function clearFilters() {
     filterSearch.value = '';
     filterType.value = '';
     activeTag = '';
+    activeFolder = '';
     renderTagTabs(allTags);
+    renderFolderTree();
     loadFiles();
 }
 
@@ -761,9 +1097,9 @@ refreshBtn.addEventListener('click', () => {
     showNotification('Atualizado!', 'success');
 });
 
-modalClose.addEventListener('click', () => previewModal.classList.remove('active'));
+modalClose.addEventListener('click', closePreview);
 previewModal.addEventListener('click', (e) => {
-    if (e.target === previewModal) previewModal.classList.remove('active');
+    if (e.target === previewModal) closePreview();
 });
 
 applyFiltersBtn.addEventListener('click', () => searchFiles());
@@ -779,6 +1115,16 @@ editTagsModal.addEventListener('click', (e) => {
 });
 saveTagsBtn.addEventListener('click', saveEditedTags);
 
+document.getElementById('newFolderBtn').addEventListener('click', createFolder);
+document.getElementById('renameFolderBtn').addEventListener('click', renameActiveFolder);
+document.getElementById('deleteFolderBtn').addEventListener('click', deleteActiveFolder);
+moveFileModalClose.addEventListener('click', closeMoveFileModal);
+cancelMoveBtn.addEventListener('click', closeMoveFileModal);
+moveFileModal.addEventListener('click', (e) => {
+    if (e.target === moveFileModal) closeMoveFileModal();
+});
+saveMoveBtn.addEventListener('click', saveMoveFile);
+
 changePasswordModalClose.addEventListener('click', closeChangePasswordModal);
 cancelPasswordBtn.addEventListener('click', closeChangePasswordModal);
 changePasswordModal.addEventListener('click', (e) => {
@@ -797,6 +1143,7 @@ async function init() {
         loadFiles();
         loadStats();
         loadTags();
+        loadFolders();
     }
 }
 
@@ -4,6 +4,10 @@ let allFiles = [];
 let currentPeriod = 30;
 let currentSort = { key: 'downloads', dir: 'asc' };
 let currentFilter = 'all';
+let currentBucket = 'day';
+let currentScope = ''; // '' = instância inteira, 'file:ID', 'tag:nome' ou 'uploader:ID'
+let trendSeries = [];
+let topLists = { files: [], tags: [], uploaders: [] };
 
 // ==================== AUTH ====================
 
@@ -100,6 +104,7 @@ async function loadStats() {
         // Atualizar cards
         document.getElementById('cardTotalFiles').textContent = data.totalFiles;
         document.getElementById('cardTotalDownloads').textContent = data.totalDownloads;
+        document.getElementById('cardBandwidth').textContent = formatFileSize(data.totalBytesServed);
         document.getElementById('cardUnused').textContent = data.unusedCount;
         document.getElementById('cardPeriod').textContent = `${data.days}d`;
 
@@ -119,6 +124,209 @@ async function loadStats() {
     }
 }
 
+// ==================== GRÁFICOS ====================
+
+// Parâmetros da série conforme período, intervalo e recorte escolhidos
+function getSeriesParams() {
+    const params = new URLSearchParams({ bucket: currentBucket, days: currentPeriod });
+    const [type, ...rest] = currentScope.split(':');
+    const value = rest.join(':');
+
+    if (type === 'file') params.set('fileId', value);
+    else if (type === 'tag') params.set('tag', value);
+    else if (type === 'uploader') params.set('uploaderId', value);
+
+    return params;
+}
+
+async function loadTrend() {
+    const chart = document.getElementById('trendChart');
+
+    try {
+        const response = await fetch(`${API_URL}/api/stats/downloads/timeseries?${getSeriesParams()}`, {
+            credentials: 'include'
+        });
+        const data = await response.json();
+        if (!data.success) throw new Error(data.message);
+
+        trendSeries = data.series;
+
+        // Por hora o servidor limita o período aos registros não compactados
+        const scopeLabel = document.getElementById('trendScope').selectedOptions[0]?.textContent || 'Instância inteira';
+        const periodNote = data.days < currentPeriod ? ` · últimos ${data.days} dias (limite por hora)` : '';
+        document.getElementById('trendNote').textContent =
+            `${scopeLabel} · ${data.totalDownloads} downloads · ${formatFileSize(data.totalBytesServed)}${periodNote}`;
+
+        renderTrend();
+    } catch (error) {
+        console.error('Erro ao carregar série de downloads:', error);
+        chart.innerHTML = '<div class="chart-empty" style="color:var(--danger);">Erro ao carregar gráfico.</div>';
+    }
+}
+
+// Rótulo curto de um intervalo ('2024-05-01 13:00', '2024-05-01')
+function formatBucketLabel(bucket) {
+    const [date, hour] = bucket.split(' ');
+    const [, month, day] = date.split('-');
+    return hour ? `${day}/${month} ${hour}` : `${day}/${month}`;
+}
+
+// Gráfico de linha em SVG (sem bibliotecas externas)
+function renderTrend() {
+    const chart = document.getElementById('trendChart');
+    const metric = document.getElementById('trendMetric').value;
+    const values = trendSeries.map(item => item[metric]);
+
+    if (values.length === 0 || values.every(v => v === 0)) {
+        chart.innerHTML = '<div class="chart-empty">Nenhum download no período.</div>';
+        return;
+    }
+
+    const width = 800, height = 240;
+    const pad = { top: 12, right: 12, bottom: 24, left: 64 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+    const max = Math.max(...values);
+    const step = values.length > 1 ? plotW / (values.length - 1) : 0;
+    const formatValue = v => metric === 'bytes' ? formatFileSize(v) : String(Math.round(v));
+
+    const x = i => pad.left + (values.length > 1 ? i * step : plotW / 2);
+    const y = v => pad.top + plotH - (v / max) * plotH;
+
+    const points = values.map((v, i) => `${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(' ');
+    const area = `${x(0).toFixed(1)},${pad.top + plotH} ${points} ${x(values.length - 1).toFixed(1)},${pad.top + plotH}`;
+
+    // Linhas de grade: 0, 50% e 100% do máximo
+    const grid = [0, 0.5, 1].map(f => `
+        <line class="grid-line" x1="${pad.left}" x2="${width - pad.right}" y1="${y(max * f)}" y2="${y(max * f)}"></line>
+        <text class="axis-label" x="${pad.left - 8}" y="${y(max * f) + 4}" text-anchor="end">${formatValue(max * f)}</text>
+    `).join('');
+
+    // Rótulos do eixo X: primeiro, meio e último intervalo
+    const labelIdx = [...new Set([0, Math.floor((values.length - 1) / 2), values.length - 1])];
+    const xLabels = labelIdx.map(i => `
+        <text class="axis-label" x="${x(i)}" y="${height - 6}" text-anchor="middle">${formatBucketLabel(trendSeries[i].bucket)}</text>
+    `).join('');
+
+    // Áreas invisíveis com tooltip (title) para cada intervalo
+    const hoverW = Math.max(step, 4);
+    const hovers = trendSeries.map((item, i) => `
+        <rect class="trend-hover" x="${x(i) - hoverW / 2}" y="${pad.top}" width="${hoverW}" height="${plotH}">
+            <title>${escapeHtml(item.bucket)}: ${item.count} downloads, ${formatFileSize(item.bytes)}</title>
+        </rect>
+    `).join('');
+
+    chart.innerHTML = `
+        <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="Tendência de downloads">
+            ${grid}
+            <polygon class="trend-area" points="${area}"></polygon>
+            <polyline class="trend-line" points="${points}"></polyline>
+            ${xLabels}
+            ${hovers}
+        </svg>
+    `;
+}
+
+async function loadTopLists() {
+    try {
+        const results = await Promise.all(['files', 'tags', 'uploaders'].map(async by => {
+            const response = await fetch(`${API_URL}/api/stats/downloads/top?by=${by}&days=${currentPeriod}&limit=10`, {
+                credentials: 'include'
+            });
+            const data = await response.json();
+            if (!data.success) throw new Error(data.message);
+            return [by, data.items];
+        }));
+
+        topLists = Object.fromEntries(results);
+        renderTopList('topFiles', topLists.files, item => `file:${item.id}`);
+        renderTopList('topTags', topLists.tags, item => `tag:${item.label}`);
+        renderScopeOptions();
+    } catch (error) {
+        console.error('Erro ao carregar rankings:', error);
+        ['topFiles', 'topTags'].forEach(id => {
+            document.getElementById(id).innerHTML = '<div class="chart-empty" style="color:var(--danger);">Erro ao carregar.</div>';
+        });
+    }
+}
+
+// Barras horizontais; clicar em um item filtra o gráfico de tendência
+function renderTopList(containerId, items, scopeOf) {
+    const container = document.getElementById(containerId);
+
+    if (items.length === 0) {
+        container.innerHTML = '<div class="chart-empty">Nenhum download no período.</div>';
+        return;
+    }
+
+    const max = Math.max(...items.map(item => item.count));
+    container.innerHTML = items.map(item => {
+        const scope = scopeOf(item);
+        return `
+            <div class="bar-item${scope === currentScope ? ' active' : ''}" data-scope="${escapeHtml(scope)}"
+                title="${escapeHtml(item.label)}: ${item.count} downloads, ${formatFileSize(item.bytes)}">
+                <div class="bar-item-label">
+                    <span>${escapeHtml(item.label)}</span>
+                    <span>${item.count} · ${formatFileSize(item.bytes)}</span>
+                </div>
+                <div class="bar-track"><div class="bar-fill" style="width:${(item.count / max * 100).toFixed(1)}%"></div></div>
+            </div>
+        `;
+    }).join('');
+
+    container.querySelectorAll('.bar-item').forEach(element => {
+        element.addEventListener('click', () => setScope(element.dataset.scope));
+    });
+}
+
+// Opções do recorte do gráfico (a partir dos rankings)
+function renderScopeOptions() {
+    const select = document.getElementById('trendScope');
+    const group = (label, items, scopeOf, labelOf = item => item.label) => items.length === 0 ? '' : `
+        <optgroup label="${label}">
+            ${items.map(item => `<option value="${escapeHtml(scopeOf(item))}">${escapeHtml(labelOf(item))}</option>`).join('')}
+        </optgroup>
+    `;
+
+    select.innerHTML = `
+        <option value="">Instância inteira</option>
+        ${group('Arquivos', topLists.files, item => `file:${item.id}`)}
+        ${group('Tags', topLists.tags, item => `tag:${item.label}`)}
+        ${group('Uploaders', topLists.uploaders.filter(item => item.id !== null), item => `uploader:${item.id}`)}
+    `;
+
+    // Recorte atual fora dos rankings do novo período volta para a instância inteira
+    select.value = currentScope;
+    if (select.value !== currentScope) currentScope = '';
+}
+
+function setBucket(bucket) {
+    currentBucket = bucket;
+    document.querySelectorAll('#bucketSelector .period-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.bucket === bucket);
+    });
+    loadTrend();
+}
+
+function setScope(scope) {
+    currentScope = currentScope === scope ? '' : scope;
+    document.getElementById('trendScope').value = currentScope;
+    renderTopList('topFiles', topLists.files, item => `file:${item.id}`);
+    renderTopList('topTags', topLists.tags, item => `tag:${item.label}`);
+    loadTrend();
+}
+
+function exportSeriesCsv() {
+    const params = getSeriesParams();
+    params.set('format', 'csv');
+    window.location.href = `${API_URL}/api/stats/downloads/timeseries?${params}`;
+}
+
+async function loadCharts() {
+    await loadTopLists();
+    loadTrend();
+}
+
 // ==================== RENDERIZAR TABELA ====================
 
 function getFilteredSorted() {
@@ -212,10 +420,11 @@ function renderTable() {
 
 function setPeriod(days) {
     currentPeriod = days;
-    document.querySelectorAll('.period-btn').forEach(btn => {
+    document.querySelectorAll('#periodSelector .period-btn').forEach(btn => {
         btn.classList.toggle('active', btn.textContent === `${days}d`);
     });
     loadStats();
+    loadCharts();
 }
 
 function applyFilter() {
@@ -260,7 +469,7 @@ async function deleteFile(fileId, fileName) {
         });
         const data = await response.json();
         if (data.success) {
-            showNotification('Arquivo deletado!', 'success');
+            showNotification('Arquivo movido para a lixeira!', 'success');
             loadStats();
         } else {
             showNotification(data.message || 'Erro ao deletar', 'error');
@@ -274,7 +483,7 @@ async function deleteAllUnused() {
     const unused = allFiles.filter(f => f.download_count === 0);
     if (unused.length === 0) return;
 
-    if (!confirm(`Deletar ${unused.length} arquivo${unused.length > 1 ? 's' : ''} sem downloads no período de ${currentPeriod} dias? Esta ação não pode ser desfeita.`)) return;
+    if (!confirm(`Deletar ${unused.length} arquivo${unused.length > 1 ? 's' : ''} sem downloads no período de ${currentPeriod} dias? Eles irão para a lixeira e poderão ser restaurados.`)) return;
 
     let deleted = 0;
     let failed = 0;
@@ -302,7 +511,10 @@ async function deleteAllUnused() {
 
 async function init() {
     const ok = await checkAuth();
-    if (ok) loadStats();
+    if (ok) {
+        loadStats();
+        loadCharts();
+    }
 }
 
 init();
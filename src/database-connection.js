@@ -0,0 +1,34 @@
+import Database from 'better-sqlite3';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+dotenv.config();
+
+// Banco de dados na pasta config (ou DATABASE_PATH)
+export const DATABASE_PATH = process.env.DATABASE_PATH || join(__dirname, '..', 'config', 'storage.db');
+
+/**
+ * Abrir conexão com o banco já com as otimizações aplicadas.
+ * Usado pelo servidor (database.js) e pela CLI de migrações.
+ */
+export function openDatabase(path = DATABASE_PATH) {
+  const db = new Database(path);
+
+  // ==================== OTIMIZAÇÕES DE PERFORMANCE ====================
+  // WAL mode: melhor concorrência e performance
+  db.pragma('journal_mode = WAL');
+  // Cache de 64MB para queries frequentes
+  db.pragma('cache_size = -64000');
+  // Sincronização normal (balanço entre segurança e performance)
+  db.pragma('synchronous = NORMAL');
+  // Memory-mapped I/O para leituras rápidas
+  db.pragma('mmap_size = 268435456'); // 256MB
+  // Temp store em memória para operações temporárias
+  db.pragma('temp_store = MEMORY');
+
+  return db;
+}
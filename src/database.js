@@ -1,98 +1,241 @@
-import Database from 'better-sqlite3';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
 import bcrypt from 'bcrypt';
 import dotenv from 'dotenv';
+import { openDatabase } from './database-connection.js';
+import { runPendingMigrations } from './services/migrator.js';
 
 dotenv.config();
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
 // Cria/abre o banco de dados na pasta config
-const db = new Database(join(__dirname, '..', 'config', 'storage.db'));
-
-// ==================== OTIMIZAÇÕES DE PERFORMANCE ====================
-// WAL mode: melhor concorrência e performance
-db.pragma('journal_mode = WAL');
-// Cache de 64MB para queries frequentes
-db.pragma('cache_size = -64000');
-// Sincronização normal (balanço entre segurança e performance)
-db.pragma('synchronous = NORMAL');
-// Memory-mapped I/O para leituras rápidas
-db.pragma('mmap_size = 268435456'); // 256MB
-// Temp store em memória para operações temporárias
-db.pragma('temp_store = MEMORY');
-
-// Cria a tabela de usuários se não existir
-db.exec(`
-  CREATE TABLE IF NOT EXISTS users (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    username TEXT NOT NULL UNIQUE,
-    password_hash TEXT NOT NULL,
-    role TEXT NOT NULL DEFAULT 'user',
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  )
-`);
-
-// Cria a tabela de arquivos se não existir
-db.exec(`
-  CREATE TABLE IF NOT EXISTS files (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    original_name TEXT NOT NULL,
-    stored_name TEXT NOT NULL UNIQUE,
-    file_type TEXT NOT NULL,
-    mime_type TEXT NOT NULL,
-    size INTEGER NOT NULL,
-    download_url TEXT NOT NULL,
-    tags TEXT DEFAULT '',
-    description TEXT DEFAULT '',
-    uploaded_by INTEGER,
-    uploaded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (uploaded_by) REFERENCES users(id)
-  )
-`);
+const db = openDatabase();
+
+// Aplicar migrações pendentes (src/migrations). Uma falha impede o servidor de iniciar.
+await runPendingMigrations(db);
 
-// Adicionar colunas tags e description se não existirem (para bancos existentes)
-try {
-  db.exec(`ALTER TABLE files ADD COLUMN tags TEXT DEFAULT ''`);
-} catch (e) {
-  // Coluna já existe
+// ==================== TAGS ====================
+
+// Separar string de tags ("a, b,c") em nomes únicos (sem diferenciar maiúsculas)
+export function parseTagList(value) {
+  const seen = new Set();
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+
+  return list
+    .map(tag => String(tag).trim())
+    .filter(tag => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
 }
 
-try {
-  db.exec(`ALTER TABLE files ADD COLUMN description TEXT DEFAULT ''`);
-} catch (e) {
-  // Coluna já existe
+// Reescrever a cópia desnormalizada em files.tags a partir de file_tags
+// (mantém a ordem em que as tags foram associadas)
+function refreshFileTagsString(fileId) {
+  db.prepare(`
+    UPDATE files SET tags = COALESCE((
+      SELECT group_concat(name, ', ') FROM (
+        SELECT t.name FROM file_tags ft
+        JOIN tags t ON t.id = ft.tag_id
+        WHERE ft.file_id = ?
+        ORDER BY ft.rowid
+      )
+    ), '')
+    WHERE id = ?
+  `).run(fileId, fileId);
 }
 
-// Adicionar coluna uploaded_by se não existir
-try {
-  db.exec(`ALTER TABLE files ADD COLUMN uploaded_by INTEGER REFERENCES users(id)`);
-} catch (e) {
-  // Coluna já existe
+// Remover tags que não estão mais associadas a nenhum arquivo
+function deleteUnusedTags() {
+  db.prepare('DELETE FROM tags WHERE id NOT IN (SELECT DISTINCT tag_id FROM file_tags)').run();
 }
 
-// Criar tabela de rastreamento de downloads
-db.exec(`
-  CREATE TABLE IF NOT EXISTS file_downloads (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    file_id INTEGER NOT NULL,
-    downloaded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (file_id) REFERENCES files(id) ON DELETE CASCADE
+// Substituir as tags de um arquivo
+const replaceFileTags = db.transaction((fileId, tags) => {
+  db.prepare('DELETE FROM file_tags WHERE file_id = ?').run(fileId);
+
+  const insertTag = db.prepare('INSERT OR IGNORE INTO tags (name) VALUES (?)');
+  const getTag = db.prepare('SELECT id FROM tags WHERE name = ?');
+  const linkTag = db.prepare('INSERT OR IGNORE INTO file_tags (file_id, tag_id) VALUES (?, ?)');
+
+  for (const tag of parseTagList(tags)) {
+    insertTag.run(tag);
+    linkTag.run(fileId, getTag.get(tag).id);
+  }
+
+  refreshFileTagsString(fileId);
+  deleteUnusedTags();
+});
+
+// Estado do rate limit de uma chave (ver dbOperations.consumeRateLimit)
+const consumeRateLimit = db.transaction((key, now, apply) => {
+  const row = db.prepare('SELECT state, expires_at FROM rate_limits WHERE key = ?').get(key);
+  const current = row && row.expires_at > now ? JSON.parse(row.state) : null;
+  const { state, expiresAt, result } = apply(current);
+
+  db.prepare(`
+    INSERT INTO rate_limits (key, state, expires_at) VALUES (?, ?, ?)
+    ON CONFLICT (key) DO UPDATE SET state = excluded.state, expires_at = excluded.expires_at
+  `).run(key, JSON.stringify(state), expiresAt);
+
+  return result;
+});
+
+// ==================== DOWNLOADS ====================
+
+// Dimensões aceitas no detalhamento de downloads (nome na API -> coluna)
+export const DOWNLOAD_DIMENSIONS = {
+  referrers: 'referrer_host',
+  clients: 'client_type',
+  countries: 'country'
+};
+
+// Intervalos das séries temporais: [expressão sobre registros brutos, expressão sobre
+// agregados diários]. Agregados não têm hora, por isso 'hour' só usa registros brutos.
+// Semanas começam na segunda-feira.
+export const DOWNLOAD_BUCKETS = {
+  hour: [`strftime('%Y-%m-%d %H:00', downloaded_at)`, null],
+  day: ['date(downloaded_at)', 'day'],
+  week: [`date(downloaded_at, 'weekday 0', '-6 days')`, `date(day, 'weekday 0', '-6 days')`]
+};
+
+// Agrupamentos do ranking de downloads
+export const DOWNLOAD_RANKINGS = ['files', 'tags', 'uploaders'];
+
+// Downloads e bytes por arquivo nos últimos N dias (registros brutos + agregados).
+// Parâmetros: dias (brutos), dias (agregados)
+const DOWNLOAD_TOTALS_CTE = `
+  downloads AS (
+    SELECT file_id, COUNT(*) as count, COALESCE(SUM(bytes), 0) as bytes, MAX(downloaded_at) as last_at
+    FROM file_downloads
+    WHERE downloaded_at >= datetime('now', '-' || ? || ' days')
+    GROUP BY file_id
+    UNION ALL
+    SELECT file_id, SUM(count), SUM(bytes), MAX(day)
+    FROM download_rollups
+    WHERE day >= date('now', '-' || ? || ' days')
+    GROUP BY file_id
+  ),
+  totals AS (
+    SELECT file_id, SUM(count) as count, SUM(bytes) as bytes, MAX(last_at) as last_at
+    FROM downloads
+    GROUP BY file_id
   )
-`);
-
-// ==================== ÍNDICES PARA PERFORMANCE ====================
-// Criar índices se não existirem
-db.exec(`CREATE INDEX IF NOT EXISTS idx_files_uploaded_at ON files(uploaded_at DESC)`);
-db.exec(`CREATE INDEX IF NOT EXISTS idx_files_file_type ON files(file_type)`);
-db.exec(`CREATE INDEX IF NOT EXISTS idx_files_uploaded_by ON files(uploaded_by)`);
-db.exec(`CREATE INDEX IF NOT EXISTS idx_files_stored_name ON files(stored_name)`);
-db.exec(`CREATE INDEX IF NOT EXISTS idx_files_tags ON files(tags)`);
-db.exec(`CREATE INDEX IF NOT EXISTS idx_users_username ON users(username)`);
-db.exec(`CREATE INDEX IF NOT EXISTS idx_downloads_file_id ON file_downloads(file_id)`);
-db.exec(`CREATE INDEX IF NOT EXISTS idx_downloads_date ON file_downloads(downloaded_at)`);
+`;
+
+// Filtro de arquivos das séries temporais (fileId, tag, uploaderId). Com
+// `viewer`, os recortes deixam de fora os arquivos privados de outros usuários
+function buildDownloadFileFilter({ fileId, tag, uploaderId, viewer } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (fileId) {
+    conditions.push('file_id = ?');
+    params.push(fileId);
+  }
+  if (tag) {
+    conditions.push(`file_id IN (
+      SELECT ft.file_id FROM file_tags ft JOIN tags t ON t.id = ft.tag_id WHERE t.name = ?
+    )`);
+    params.push(tag);
+  }
+  if (uploaderId) {
+    conditions.push('file_id IN (SELECT id FROM files WHERE uploaded_by = ?)');
+    params.push(uploaderId);
+  }
+
+  const visibility = buildVisibilityFilter(viewer);
+  if (conditions.length > 0 && visibility.sql) {
+    conditions.push(`file_id IN (SELECT f.id FROM files f WHERE 1${visibility.sql})`);
+    params.push(...visibility.params);
+  }
+
+  return {
+    clause: conditions.length > 0 ? `AND ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+// ==================== BUSCA TEXTUAL ====================
+
+// Campos aceitos na sintaxe de busca (campo: -> coluna do files_fts)
+const SEARCH_FIELDS = {
+  name: 'original_name',
+  desc: 'description',
+  tag: 'tags'
+};
+
+// Pesos do bm25 por coluna (nome > tags > descrição)
+const SEARCH_WEIGHTS = '10.0, 2.0, 5.0';
+
+// Converter a busca do usuário em uma expressão FTS5 segura.
+// Sintaxe: termos soltos (todos precisam aparecer), "frase exata", prefixo com *
+// (carr*) e campos name:, desc:, tag: (ex.: tag:carros desc:"pôr do sol").
+// Retorna null se não houver nada pesquisável (a busca então não encontra nada).
+export function buildFtsQuery(input) {
+  const terms = [];
+  const pattern = /(?:([A-Za-z]+):)?(?:"([^"]*)"(\*)?|([^\s"]+))/g;
+
+  for (const match of String(input || '').matchAll(pattern)) {
+    const [, field, phrase, phrasePrefix, word] = match;
+    const column = field ? SEARCH_FIELDS[field.toLowerCase()] : null;
+
+    // Campo desconhecido (ex.: "http:"): tratar como texto comum
+    let text = phrase ?? word;
+    if (field && !column) text = `${field}:${text}`;
+
+    let prefix = Boolean(phrasePrefix);
+    if (word && text.endsWith('*')) {
+      text = text.replace(/\*+$/, '');
+      prefix = true;
+    }
+
+    // Ignorar termos sem letras ou números (não geram tokens no índice)
+    if (!/[\p{L}\p{N}]/u.test(text)) continue;
+
+    const quoted = `"${text.replace(/"/g, '""')}"${prefix ? ' *' : ''}`;
+    terms.push(column ? `${column} : ${quoted}` : quoted);
+  }
+
+  return terms.length > 0 ? terms.join(' AND ') : null;
+}
+
+// Trecho SQL para filtrar arquivos por tags em searchFiles/countSearchFiles
+function buildTagFilter(tags, mode = 'all') {
+  const placeholders = tags.map(() => '?').join(', ');
+
+  if (mode === 'any') {
+    return {
+      sql: ` AND f.id IN (
+        SELECT ft.file_id FROM file_tags ft
+        JOIN tags t ON t.id = ft.tag_id
+        WHERE t.name IN (${placeholders})
+      )`,
+      params: tags
+    };
+  }
+
+  return {
+    sql: ` AND f.id IN (
+      SELECT ft.file_id FROM file_tags ft
+      JOIN tags t ON t.id = ft.tag_id
+      WHERE t.name IN (${placeholders})
+      GROUP BY ft.file_id
+      HAVING COUNT(*) = ?
+    )`,
+    params: [...tags, tags.length]
+  };
+}
+
+// Trecho SQL para esconder arquivos privados de quem não é o dono.
+// viewer = { userId, isAdmin } (admin vê todos); sem viewer não filtra (uso interno)
+function buildVisibilityFilter(viewer) {
+  if (!viewer || viewer.isAdmin) return { sql: '', params: [] };
+
+  return {
+    sql: " AND (f.visibility != 'private' OR f.uploaded_by = ?)",
+    params: [viewer.userId ?? null]
+  };
+}
 
 // Criar usuário admin inicial se não existir
 const adminUsername = process.env.ADMIN_USERNAME || 'admin';
@@ -132,7 +275,7 @@ export const dbOperations = {
 
   // Buscar usuário por ID
   getUserById(id) {
-    const stmt = db.prepare('SELECT id, username, role, created_at FROM users WHERE id = ?');
+    const stmt = db.prepare('SELECT id, username, role, quota_bytes, quota_files, created_at FROM users WHERE id = ?');
     return stmt.get(id);
   },
 
@@ -143,12 +286,29 @@ export const dbOperations = {
 
   // Listar todos os usuários (sem password_hash)
   getAllUsers() {
-    const stmt = db.prepare('SELECT id, username, role, created_at FROM users ORDER BY created_at DESC');
+    const stmt = db.prepare(`
+      SELECT
+        u.id,
+        u.username,
+        u.role,
+        u.quota_bytes,
+        u.quota_files,
+        u.created_at,
+        (SELECT COALESCE(SUM(size), 0) FROM files WHERE uploaded_by = u.id AND deleted_at IS NULL) as used_bytes,
+        (SELECT COUNT(*) FROM files WHERE uploaded_by = u.id AND deleted_at IS NULL) as used_files
+      FROM users u
+      ORDER BY u.created_at DESC
+    `);
     return stmt.all();
   },
 
   // Deletar usuário
   deleteUser(id) {
+    db.prepare(`
+      DELETE FROM rate_limit_policies
+      WHERE user_id = ? OR api_key_id IN (SELECT id FROM api_keys WHERE user_id = ?)
+    `).run(id, id);
+    db.prepare('DELETE FROM api_keys WHERE user_id = ?').run(id);
     const stmt = db.prepare('DELETE FROM users WHERE id = ?');
     return stmt.run(id);
   },
@@ -160,13 +320,126 @@ export const dbOperations = {
     return stmt.run(passwordHash, id);
   },
 
+  // ==================== COTAS ====================
+
+  // Uso atual de um usuário (tamanho lógico: arquivos deduplicados contam para cada dono;
+  // arquivos na lixeira não contam)
+  getUserUsage(userId) {
+    const stmt = db.prepare(`
+      SELECT COALESCE(SUM(size), 0) as bytes, COUNT(*) as files
+      FROM files
+      WHERE uploaded_by = ? AND deleted_at IS NULL
+    `);
+    return stmt.get(userId);
+  },
+
+  // Bytes e arquivos reservados por uploads resumíveis em andamento
+  // (`excludeSessionId` = sessão sendo finalizada, que já está reservada)
+  getUserReservedUsage(userId, excludeSessionId = null) {
+    const stmt = db.prepare(`
+      SELECT COALESCE(SUM(size), 0) as bytes, COUNT(*) as files
+      FROM upload_sessions
+      WHERE uploaded_by = ? AND id IS NOT ?
+    `);
+    return stmt.get(userId, excludeSessionId);
+  },
+
+  // Definir cota individual (null = herdar da função)
+  setUserQuota(id, quotaBytes, quotaFiles) {
+    const stmt = db.prepare('UPDATE users SET quota_bytes = ?, quota_files = ? WHERE id = ?');
+    return stmt.run(quotaBytes, quotaFiles, id);
+  },
+
+  // Cota de uma função
+  getRoleQuota(role) {
+    const stmt = db.prepare('SELECT * FROM role_quotas WHERE role = ?');
+    return stmt.get(role);
+  },
+
+  // Listar cotas por função
+  getRoleQuotas() {
+    const stmt = db.prepare('SELECT * FROM role_quotas ORDER BY role');
+    return stmt.all();
+  },
+
+  // Definir cota de uma função (null = sem limite / padrão do .env)
+  setRoleQuota(role, quotaBytes, quotaFiles) {
+    const stmt = db.prepare(`
+      INSERT INTO role_quotas (role, quota_bytes, quota_files, updated_at)
+      VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(role) DO UPDATE SET
+        quota_bytes = excluded.quota_bytes,
+        quota_files = excluded.quota_files,
+        updated_at = CURRENT_TIMESTAMP
+    `);
+    return stmt.run(role, quotaBytes, quotaFiles);
+  },
+
+  // ==================== API KEYS ====================
+
+  // Criar API Key (recebe apenas o hash da chave)
+  createApiKey({ keyHash, keyPrefix, userId, label, scopes, expiresAt }) {
+    const stmt = db.prepare(`
+      INSERT INTO api_keys (key_hash, key_prefix, user_id, label, scopes, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    const result = stmt.run(keyHash, keyPrefix, userId, label, scopes, expiresAt || null);
+    return result.lastInsertRowid;
+  },
+
+  // Buscar API Key ativa pelo hash, com a função do dono
+  getActiveApiKeyByHash(keyHash) {
+    const stmt = db.prepare(`
+      SELECT k.id, k.user_id, k.label, k.scopes, k.expires_at, u.username, u.role
+      FROM api_keys k
+      JOIN users u ON u.id = k.user_id
+      WHERE k.key_hash = ?
+        AND k.revoked_at IS NULL
+        AND (k.expires_at IS NULL OR k.expires_at > datetime('now'))
+    `);
+    return stmt.get(keyHash);
+  },
+
+  // Buscar API Key por ID (sem o hash)
+  getApiKeyById(id) {
+    const stmt = db.prepare(`
+      SELECT id, key_prefix, user_id, label, scopes, expires_at, last_used_at, revoked_at, created_at
+      FROM api_keys
+      WHERE id = ?
+    `);
+    return stmt.get(id);
+  },
+
+  // Listar API Keys de um usuário (sem o hash)
+  getApiKeysByUser(userId) {
+    const stmt = db.prepare(`
+      SELECT id, key_prefix, user_id, label, scopes, expires_at, last_used_at, revoked_at, created_at
+      FROM api_keys
+      WHERE user_id = ?
+      ORDER BY created_at DESC
+    `);
+    return stmt.all(userId);
+  },
+
+  // Registrar último uso da API Key
+  touchApiKey(id) {
+    const stmt = db.prepare(`UPDATE api_keys SET last_used_at = datetime('now') WHERE id = ?`);
+    return stmt.run(id);
+  },
+
+  // Revogar API Key (o registro é mantido para auditoria)
+  revokeApiKey(id) {
+    const stmt = db.prepare(`UPDATE api_keys SET revoked_at = datetime('now') WHERE id = ? AND revoked_at IS NULL`);
+    return stmt.run(id);
+  },
+
   // ==================== ARQUIVOS ====================
 
   // Inserir novo arquivo
   insertFile(file) {
     const stmt = db.prepare(`
-      INSERT INTO files (original_name, stored_name, file_type, mime_type, size, download_url, tags, description, uploaded_by)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO files (original_name, stored_name, file_type, mime_type, size, download_url, tags, description, uploaded_by, blob_hash, visibility, expires_at, folder_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
     const result = stmt.run(
       file.originalName,
@@ -177,13 +450,22 @@ export const dbOperations = {
       file.downloadUrl,
       file.tags || '',
       file.description || '',
-      file.uploadedBy || null
+      file.uploadedBy || null,
+      file.blobHash || null,
+      file.visibility || 'public',
+      file.expiresAt || null,
+      file.folderId || null
     );
+    if (file.tags) {
+      replaceFileTags(result.lastInsertRowid, file.tags);
+    }
     return result.lastInsertRowid;
   },
 
-  // Buscar todos os arquivos (com paginação para evitar sobrecarga de memória)
-  getAllFiles(limit = 100, offset = 0) {
+  // Buscar todos os arquivos (com paginação para evitar sobrecarga de memória).
+  // `viewer` esconde os arquivos privados de outros usuários
+  getAllFiles(limit = 100, offset = 0, viewer = null) {
+    const visibility = buildVisibilityFilter(viewer);
     const stmt = db.prepare(`
       SELECT
         f.*,
@@ -191,16 +473,18 @@ export const dbOperations = {
         u.role as uploaded_by_role
       FROM files f
       LEFT JOIN users u ON f.uploaded_by = u.id
+      WHERE f.deleted_at IS NULL${visibility.sql}
       ORDER BY f.uploaded_at DESC
       LIMIT ? OFFSET ?
     `);
-    return stmt.all(limit, offset);
+    return stmt.all(...visibility.params, limit, offset);
   },
 
   // Contar total de arquivos (para paginação)
-  countAllFiles() {
-    const stmt = db.prepare('SELECT COUNT(*) as count FROM files');
-    return stmt.get().count;
+  countAllFiles(viewer = null) {
+    const visibility = buildVisibilityFilter(viewer);
+    const stmt = db.prepare(`SELECT COUNT(*) as count FROM files f WHERE f.deleted_at IS NULL${visibility.sql}`);
+    return stmt.get(...visibility.params).count;
   },
 
   // Buscar arquivo por ID (com informações do usuário)
@@ -225,17 +509,77 @@ export const dbOperations = {
 
   // Deletar arquivo
   deleteFile(id) {
+    db.prepare('DELETE FROM file_tags WHERE file_id = ?').run(id);
+    db.prepare('DELETE FROM file_renditions WHERE file_id = ?').run(id);
+    db.prepare('DELETE FROM transcode_jobs WHERE file_id = ?').run(id);
+    deleteUnusedTags();
     const stmt = db.prepare('DELETE FROM files WHERE id = ?');
     return stmt.run(id);
   },
 
+  // ==================== LIXEIRA ====================
+
+  // Mover arquivo para a lixeira
+  trashFile(id, deletedBy) {
+    const stmt = db.prepare(`
+      UPDATE files SET deleted_at = datetime('now'), deleted_by = ?
+      WHERE id = ? AND deleted_at IS NULL
+    `);
+    return stmt.run(deletedBy || null, id);
+  },
+
+  // Restaurar arquivo da lixeira
+  restoreFile(id) {
+    const stmt = db.prepare('UPDATE files SET deleted_at = NULL, deleted_by = NULL WHERE id = ?');
+    return stmt.run(id);
+  },
+
+  // Listar arquivos na lixeira (todos ou de um usuário)
+  getTrashedFiles(userId = null, limit = 100, offset = 0) {
+    const stmt = db.prepare(`
+      SELECT
+        f.*,
+        u.username as uploaded_by_username,
+        d.username as deleted_by_username
+      FROM files f
+      LEFT JOIN users u ON f.uploaded_by = u.id
+      LEFT JOIN users d ON f.deleted_by = d.id
+      WHERE f.deleted_at IS NOT NULL
+        AND (? IS NULL OR f.uploaded_by = ?)
+      ORDER BY f.deleted_at DESC
+      LIMIT ? OFFSET ?
+    `);
+    return stmt.all(userId, userId, limit, offset);
+  },
+
+  // Contar arquivos na lixeira (todos ou de um usuário)
+  countTrashedFiles(userId = null) {
+    const stmt = db.prepare(`
+      SELECT COUNT(*) as count FROM files
+      WHERE deleted_at IS NOT NULL
+        AND (? IS NULL OR uploaded_by = ?)
+    `);
+    return stmt.get(userId, userId).count;
+  },
+
+  // Arquivos na lixeira há pelo menos N dias (para remoção definitiva)
+  getTrashedFilesOlderThan(days) {
+    const stmt = db.prepare(`
+      SELECT * FROM files
+      WHERE deleted_at IS NOT NULL
+        AND deleted_at <= datetime('now', '-' || ? || ' days')
+    `);
+    return stmt.all(days);
+  },
+
   // Estatísticas
   getStats() {
-    const totalFiles = db.prepare('SELECT COUNT(*) as count FROM files').get();
-    const totalSize = db.prepare('SELECT SUM(size) as total FROM files').get();
+    const totalFiles = db.prepare('SELECT COUNT(*) as count FROM files WHERE deleted_at IS NULL').get();
+    const totalSize = db.prepare('SELECT SUM(size) as total FROM files WHERE deleted_at IS NULL').get();
     const filesByType = db.prepare(`
       SELECT file_type, COUNT(*) as count
       FROM files
+      WHERE deleted_at IS NULL
       GROUP BY file_type
     `).all();
 
@@ -250,41 +594,113 @@ export const dbOperations = {
   updateFileTags(id, tags, description) {
     const stmt = db.prepare(`
       UPDATE files
-      SET tags = ?, description = ?
+      SET description = ?
       WHERE id = ?
     `);
-    return stmt.run(tags || '', description || '', id);
+    const result = stmt.run(description || '', id);
+    replaceFileTags(id, tags);
+    return result;
+  },
+
+  // Registrar miniatura gerada para um arquivo
+  setFileThumbnail(id, thumbnailKey) {
+    const stmt = db.prepare('UPDATE files SET thumbnail_key = ? WHERE id = ?');
+    return stmt.run(thumbnailKey, id);
+  },
+
+  // Imagens e vídeos ainda sem miniatura (para geração retroativa)
+  getFilesWithoutThumbnail(limit = 1000) {
+    const stmt = db.prepare(`
+      SELECT * FROM files
+      WHERE thumbnail_key IS NULL AND file_type IN ('image', 'video') AND deleted_at IS NULL
+      ORDER BY uploaded_at DESC
+      LIMIT ?
+    `);
+    return stmt.all(limit);
+  },
+
+  // Definir expiração de um arquivo (null = nunca expira)
+  updateFileExpiration(id, expiresAt) {
+    const stmt = db.prepare('UPDATE files SET expires_at = ? WHERE id = ?');
+    return stmt.run(expiresAt, id);
+  },
+
+  // Arquivos com expiração vencida
+  getExpiredFiles(limit = 1000) {
+    const stmt = db.prepare(`
+      SELECT * FROM files
+      WHERE expires_at IS NOT NULL AND expires_at <= datetime('now') AND deleted_at IS NULL
+      ORDER BY expires_at ASC
+      LIMIT ?
+    `);
+    return stmt.all(limit);
+  },
+
+  // Arquivos enviados há pelo menos N dias
+  getFilesOlderThan(days) {
+    const stmt = db.prepare(`
+      SELECT * FROM files
+      WHERE uploaded_at <= datetime('now', '-' || ? || ' days') AND deleted_at IS NULL
+      ORDER BY uploaded_at ASC
+    `);
+    return stmt.all(days);
+  },
+
+  // Atualizar visibilidade de um arquivo (public/private)
+  updateFileVisibility(id, visibility) {
+    const stmt = db.prepare('UPDATE files SET visibility = ? WHERE id = ?');
+    return stmt.run(visibility, id);
   },
 
   // Buscar arquivos com filtros (com informações do usuário e paginação)
   searchFiles(filters = {}) {
+    // Busca textual: junta com o índice FTS5, ordena por relevância e devolve trechos destacados
+    const match = filters.search ? buildFtsQuery(filters.search) : null;
+
     let query = `
       SELECT
         f.*,
         u.username as uploaded_by_username,
         u.role as uploaded_by_role
+        ${match ? `,
+        highlight(files_fts, 0, '<mark>', '</mark>') as highlight_name,
+        snippet(files_fts, 1, '<mark>', '</mark>', '…', 16) as highlight_description,
+        highlight(files_fts, 2, '<mark>', '</mark>') as highlight_tags,
+        bm25(files_fts, ${SEARCH_WEIGHTS}) as search_rank` : ''}
       FROM files f
       LEFT JOIN users u ON f.uploaded_by = u.id
-      WHERE 1=1
+      ${match ? 'JOIN files_fts ON files_fts.rowid = f.id' : ''}
+      WHERE f.deleted_at IS NULL
     `;
     const params = [];
 
+    if (match) {
+      query += ' AND files_fts MATCH ?';
+      params.push(match);
+    } else if (filters.search) {
+      // Busca sem nenhum termo pesquisável (ex.: "!!!"): nenhum arquivo corresponde
+      query += ' AND 0';
+    }
+
     // Filtrar por tipo
     if (filters.fileType) {
       query += ' AND f.file_type = ?';
       params.push(filters.fileType);
     }
 
-    // Filtrar por tag (busca parcial)
-    if (filters.tag) {
-      query += ' AND f.tags LIKE ?';
-      params.push(`%${filters.tag}%`);
+    // Filtrar por tags (comparação exata). tagMode "all" exige todas; "any", pelo menos uma
+    if (filters.tags?.length) {
+      const clause = buildTagFilter(filters.tags, filters.tagMode);
+      query += clause.sql;
+      params.push(...clause.params);
     }
 
-    // Filtrar por nome
-    if (filters.search) {
-      query += ' AND f.original_name LIKE ?';
-      params.push(`%${filters.search}%`);
+    // Filtrar por pasta ('root' = arquivos fora de pastas; lista = pasta e subpastas)
+    if (filters.folderIds === 'root') {
+      query += ' AND f.folder_id IS NULL';
+    } else if (filters.folderIds) {
+      query += ` AND f.folder_id IN (${filters.folderIds.map(() => '?').join(', ')})`;
+      params.push(...filters.folderIds);
     }
 
     // Filtrar por data inicial
@@ -299,7 +715,12 @@ export const dbOperations = {
       params.push(filters.endDate);
     }
 
-    query += ' ORDER BY f.uploaded_at DESC';
+    // Esconder arquivos privados de outros usuários
+    const visibility = buildVisibilityFilter(filters.viewer);
+    query += visibility.sql;
+    params.push(...visibility.params);
+
+    query += match ? ' ORDER BY search_rank, f.uploaded_at DESC' : ' ORDER BY f.uploaded_at DESC';
 
     // Paginação
     if (filters.limit) {
@@ -318,27 +739,40 @@ export const dbOperations = {
 
   // Contar total de arquivos com filtros (para paginação)
   countSearchFiles(filters = {}) {
+    const match = filters.search ? buildFtsQuery(filters.search) : null;
+
     let query = `
       SELECT COUNT(*) as count
       FROM files f
-      WHERE 1=1
+      ${match ? 'JOIN files_fts ON files_fts.rowid = f.id' : ''}
+      WHERE f.deleted_at IS NULL
     `;
     const params = [];
 
+    if (match) {
+      query += ' AND files_fts MATCH ?';
+      params.push(match);
+    } else if (filters.search) {
+      query += ' AND 0';
+    }
+
     // Aplicar mesmos filtros (sem paginação)
     if (filters.fileType) {
       query += ' AND f.file_type = ?';
       params.push(filters.fileType);
     }
 
-    if (filters.tag) {
-      query += ' AND f.tags LIKE ?';
-      params.push(`%${filters.tag}%`);
+    if (filters.tags?.length) {
+      const clause = buildTagFilter(filters.tags, filters.tagMode);
+      query += clause.sql;
+      params.push(...clause.params);
     }
 
-    if (filters.search) {
-      query += ' AND f.original_name LIKE ?';
-      params.push(`%${filters.search}%`);
+    if (filters.folderIds === 'root') {
+      query += ' AND f.folder_id IS NULL';
+    } else if (filters.folderIds) {
+      query += ` AND f.folder_id IN (${filters.folderIds.map(() => '?').join(', ')})`;
+      params.push(...filters.folderIds);
     }
 
     if (filters.startDate) {
@@ -351,61 +785,291 @@ export const dbOperations = {
       params.push(filters.endDate);
     }
 
+    const visibility = buildVisibilityFilter(filters.viewer);
+    query += visibility.sql;
+    params.push(...visibility.params);
+
     const stmt = db.prepare(query);
     return stmt.get(...params).count;
   },
 
   // Obter todas as tags únicas
   getAllTags() {
-    const files = db.prepare("SELECT tags FROM files WHERE tags != ''").all();
-    const tagsSet = new Set();
-
-    files.forEach(file => {
-      if (file.tags) {
-        const tags = file.tags.split(',').map(t => t.trim()).filter(t => t);
-        tags.forEach(tag => tagsSet.add(tag));
-      }
-    });
-
-    return Array.from(tagsSet).sort();
+    const stmt = db.prepare(`
+      SELECT t.name
+      FROM tags t
+      JOIN file_tags ft ON ft.tag_id = t.id
+      JOIN files f ON f.id = ft.file_id
+      WHERE f.deleted_at IS NULL
+      GROUP BY t.id
+      ORDER BY t.name
+    `);
+    return stmt.all().map(row => row.name);
   },
 
-  // Buscar arquivos por uma tag específica
+  // Buscar arquivos por uma tag específica (comparação exata, sem diferenciar maiúsculas)
   getFilesByTag(tag) {
-    const stmt = db.prepare('SELECT * FROM files WHERE tags LIKE ? ORDER BY uploaded_at DESC');
-    return stmt.all(`%${tag}%`);
+    const stmt = db.prepare(`
+      SELECT f.* FROM files f
+      JOIN file_tags ft ON ft.file_id = f.id
+      JOIN tags t ON t.id = ft.tag_id
+      WHERE t.name = ? AND f.deleted_at IS NULL
+      ORDER BY f.uploaded_at DESC
+    `);
+    return stmt.all(tag);
   },
 
   // Obter estatísticas por tag
   getStatsByTag() {
-    const files = db.prepare("SELECT tags FROM files WHERE tags != ''").all();
-    const tagCounts = {};
-
-    files.forEach(file => {
-      if (file.tags) {
-        const tags = file.tags.split(',').map(t => t.trim()).filter(t => t);
-        tags.forEach(tag => {
-          tagCounts[tag] = (tagCounts[tag] || 0) + 1;
-        });
-      }
-    });
+    const stmt = db.prepare(`
+      SELECT t.name as tag, COUNT(*) as count
+      FROM tags t
+      JOIN file_tags ft ON ft.tag_id = t.id
+      JOIN files f ON f.id = ft.file_id
+      WHERE f.deleted_at IS NULL
+      GROUP BY t.id
+      ORDER BY count DESC, t.name
+    `);
+    return stmt.all();
+  },
+
+  // Buscar tag pelo nome (sem diferenciar maiúsculas)
+  getTagByName(name) {
+    const stmt = db.prepare('SELECT * FROM tags WHERE name = ?');
+    return stmt.get(name);
+  },
+
+  // Renomear tag (também permite mudar só maiúsculas/minúsculas)
+  renameTag: db.transaction((id, newName) => {
+    db.prepare('UPDATE tags SET name = ? WHERE id = ?').run(newName, id);
+    const files = db.prepare('SELECT file_id FROM file_tags WHERE tag_id = ?').all(id);
+    files.forEach(row => refreshFileTagsString(row.file_id));
+    return files.length;
+  }),
+
+  // Mesclar tags de origem em uma tag de destino (criada se não existir)
+  mergeTags: db.transaction((sourceIds, targetName) => {
+    db.prepare('INSERT OR IGNORE INTO tags (name) VALUES (?)').run(targetName);
+    const target = db.prepare('SELECT id FROM tags WHERE name = ?').get(targetName);
+
+    const affected = new Set();
+    for (const sourceId of sourceIds) {
+      if (sourceId === target.id) continue;
+
+      db.prepare('SELECT file_id FROM file_tags WHERE tag_id = ?').all(sourceId)
+        .forEach(row => affected.add(row.file_id));
+      db.prepare(`
+        INSERT OR IGNORE INTO file_tags (file_id, tag_id)
+        SELECT file_id, ? FROM file_tags WHERE tag_id = ?
+      `).run(target.id, sourceId);
+      db.prepare('DELETE FROM file_tags WHERE tag_id = ?').run(sourceId);
+    }
+
+    affected.forEach(fileId => refreshFileTagsString(fileId));
+    deleteUnusedTags();
+    return affected.size;
+  }),
+
+  // ==================== PASTAS ====================
 
-    return Object.entries(tagCounts)
-      .map(([tag, count]) => ({ tag, count }))
-      .sort((a, b) => b.count - a.count);
+  // Criar pasta
+  createFolder({ name, parentId, ownerId }) {
+    const stmt = db.prepare('INSERT INTO folders (name, parent_id, owner_id) VALUES (?, ?, ?)');
+    return stmt.run(name, parentId || null, ownerId || null).lastInsertRowid;
+  },
+
+  // Buscar pasta por ID (com o nome do dono)
+  getFolderById(id) {
+    const stmt = db.prepare(`
+      SELECT fo.*, u.username as owner_username
+      FROM folders fo
+      LEFT JOIN users u ON fo.owner_id = u.id
+      WHERE fo.id = ?
+    `);
+    return stmt.get(id);
+  },
+
+  // Listar todas as pastas com a quantidade de arquivos (fora da lixeira) em cada uma
+  // ownerId: só as pastas desse usuário (null = todas)
+  getAllFolders(ownerId = null) {
+    const where = ownerId !== null ? 'WHERE fo.owner_id = ?' : '';
+    const params = ownerId !== null ? [ownerId] : [];
+
+    const stmt = db.prepare(`
+      SELECT
+        fo.*,
+        u.username as owner_username,
+        (SELECT COUNT(*) FROM files f WHERE f.folder_id = fo.id AND f.deleted_at IS NULL) as file_count
+      FROM folders fo
+      LEFT JOIN users u ON fo.owner_id = u.id
+      ${where}
+      ORDER BY fo.name COLLATE NOCASE
+    `);
+    return stmt.all(...params);
+  },
+
+  // Buscar pasta irmã com o mesmo nome (sem diferenciar maiúsculas)
+  findFolderByName(parentId, name) {
+    const stmt = db.prepare(`
+      SELECT * FROM folders
+      WHERE parent_id IS ? AND name = ? COLLATE NOCASE
+    `);
+    return stmt.get(parentId || null, name);
+  },
+
+  // IDs da pasta e de todas as subpastas
+  getFolderDescendantIds(id) {
+    const stmt = db.prepare(`
+      WITH RECURSIVE tree(id) AS (
+        SELECT id FROM folders WHERE id = ?
+        UNION
+        SELECT fo.id FROM folders fo JOIN tree t ON fo.parent_id = t.id
+      )
+      SELECT id FROM tree
+    `);
+    return stmt.all(id).map(row => row.id);
+  },
+
+  // Renomear pasta e/ou mudar de pasta pai
+  updateFolder(id, { name, parentId }) {
+    const stmt = db.prepare('UPDATE folders SET name = ?, parent_id = ? WHERE id = ?');
+    return stmt.run(name, parentId || null, id);
+  },
+
+  // Conteúdo direto de uma pasta (subpastas e arquivos fora da lixeira)
+  countFolderContents(id) {
+    const folders = db.prepare('SELECT COUNT(*) as count FROM folders WHERE parent_id = ?').get(id).count;
+    const files = db.prepare('SELECT COUNT(*) as count FROM files WHERE folder_id = ? AND deleted_at IS NULL').get(id).count;
+    return { folders, files };
+  },
+
+  // Deletar pasta vazia (arquivos na lixeira que estavam nela voltam para a raiz)
+  deleteFolder: db.transaction((id) => {
+    db.prepare('UPDATE files SET folder_id = NULL WHERE folder_id = ?').run(id);
+    return db.prepare('DELETE FROM folders WHERE id = ?').run(id);
+  }),
+
+  // Mover arquivo para uma pasta (null = raiz)
+  moveFileToFolder(fileId, folderId) {
+    const stmt = db.prepare('UPDATE files SET folder_id = ? WHERE id = ?');
+    return stmt.run(folderId || null, fileId);
+  },
+
+  // ==================== BLOBS (DEDUPLICAÇÃO) ====================
+
+  // Buscar blob pelo hash
+  getBlob(hash) {
+    const stmt = db.prepare('SELECT * FROM blobs WHERE hash = ?');
+    return stmt.get(hash);
+  },
+
+  // O usuário tem algum arquivo (inclusive na lixeira) com este blob?
+  userHasBlob(userId, hash) {
+    const stmt = db.prepare('SELECT 1 FROM files WHERE blob_hash = ? AND uploaded_by = ? LIMIT 1');
+    return Boolean(stmt.get(hash, userId));
+  },
+
+  // Adicionar referência a um blob (cria o registro se for o primeiro)
+  acquireBlob(hash, size) {
+    const stmt = db.prepare(`
+      INSERT INTO blobs (hash, size, ref_count)
+      VALUES (?, ?, 1)
+      ON CONFLICT(hash) DO UPDATE SET ref_count = ref_count + 1
+      RETURNING ref_count
+    `);
+    return stmt.get(hash, size).ref_count;
+  },
+
+  // Remover referência de um blob. Retorna quantas referências restaram;
+  // ao chegar em zero o registro é apagado e o arquivo físico pode ser removido
+  releaseBlob: db.transaction((hash) => {
+    const blob = db.prepare('SELECT ref_count FROM blobs WHERE hash = ?').get(hash);
+    if (!blob) return 0;
+
+    if (blob.ref_count <= 1) {
+      db.prepare('DELETE FROM blobs WHERE hash = ?').run(hash);
+      return 0;
+    }
+
+    db.prepare('UPDATE blobs SET ref_count = ref_count - 1 WHERE hash = ?').run(hash);
+    return blob.ref_count - 1;
+  }),
+
+  // ==================== UPLOADS RESUMÍVEIS ====================
+
+  // Criar sessão de upload em partes
+  createUploadSession(session) {
+    const stmt = db.prepare(`
+      INSERT INTO upload_sessions (id, original_name, mime_type, size, tags, description, uploaded_by, visibility, expires_at, folder_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    stmt.run(
+      session.id,
+      session.originalName,
+      session.mimeType,
+      session.size,
+      session.tags || '',
+      session.description || '',
+      session.uploadedBy || null,
+      session.visibility || 'public',
+      session.expiresAt || null,
+      session.folderId || null
+    );
+    return session.id;
+  },
+
+  // Criar sessão de upload só se `check()` não lançar erro, na mesma transação:
+  // a sessão passa a reservar a cota antes que outra verificação possa rodar
+  reserveUploadSession: db.transaction((session, check) => {
+    check();
+    return dbOperations.createUploadSession(session);
+  }),
+
+  // Buscar sessão de upload por ID
+  getUploadSession(id) {
+    const stmt = db.prepare('SELECT * FROM upload_sessions WHERE id = ?');
+    return stmt.get(id);
+  },
+
+  // Marcar atividade na sessão (usado para expirar sessões abandonadas)
+  touchUploadSession(id) {
+    const stmt = db.prepare('UPDATE upload_sessions SET updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+    return stmt.run(id);
+  },
+
+  // Remover sessão de upload
+  deleteUploadSession(id) {
+    const stmt = db.prepare('DELETE FROM upload_sessions WHERE id = ?');
+    return stmt.run(id);
+  },
+
+  // Sessões sem atividade há mais de N horas
+  getStaleUploadSessions(hours = 24) {
+    const stmt = db.prepare(`
+      SELECT * FROM upload_sessions
+      WHERE updated_at < datetime('now', '-' || ? || ' hours')
+    `);
+    return stmt.all(hours);
   },
 
   // ==================== DOWNLOADS ====================
 
-  // Registrar um download
-  recordDownload(fileId) {
-    const stmt = db.prepare('INSERT INTO file_downloads (file_id) VALUES (?)');
-    stmt.run(fileId);
+  // Registrar um download (detalhes montados em services/download-tracking.js)
+  recordDownload(fileId, { bytes = null, referrerHost = null, clientType = null, clientIp = null, country = null, isRange = false } = {}) {
+    const stmt = db.prepare(`
+      INSERT INTO file_downloads (file_id, bytes, referrer_host, client_type, client_ip, country, is_range)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    stmt.run(fileId, bytes, referrerHost, clientType, clientIp, country, isRange ? 1 : 0);
   },
 
   // Estatísticas de downloads por arquivo nos últimos N dias
-  getDownloadStats(days = 30) {
+  // (linhas brutas recentes + agregados diários já compactados; `viewer` esconde
+  // os arquivos privados de outros usuários)
+  getDownloadStats(days = 30, viewer = null) {
+    const visibility = buildVisibilityFilter(viewer);
     const stmt = db.prepare(`
+      WITH ${DOWNLOAD_TOTALS_CTE}
       SELECT
         f.id,
         f.original_name,
@@ -417,17 +1081,584 @@ export const dbOperations = {
         f.tags,
         f.uploaded_at,
         u.username as uploaded_by_username,
-        COUNT(d.id) as download_count,
-        MAX(d.downloaded_at) as last_downloaded_at
+        COALESCE(t.count, 0) as download_count,
+        COALESCE(t.bytes, 0) as bytes_served,
+        t.last_at as last_downloaded_at
       FROM files f
       LEFT JOIN users u ON f.uploaded_by = u.id
-      LEFT JOIN file_downloads d
-        ON f.id = d.file_id
-        AND d.downloaded_at >= datetime('now', '-' || ? || ' days')
-      GROUP BY f.id
+      LEFT JOIN totals t ON t.file_id = f.id
+      WHERE f.deleted_at IS NULL${visibility.sql}
       ORDER BY download_count ASC, f.uploaded_at ASC
     `);
-    return stmt.all(days);
+    return stmt.all(days, days, ...visibility.params);
+  },
+
+  // Série temporal de downloads e bytes nos últimos N dias, agrupada por
+  // hora, dia ou semana (bucket = chave de DOWNLOAD_BUCKETS). Os dias contam a
+  // partir da meia-noite (UTC), para o primeiro intervalo não sair pela metade.
+  getDownloadSeries(bucket, days = 30, filters = {}) {
+    const [rawExpr, rollupExpr] = DOWNLOAD_BUCKETS[bucket] || [];
+    if (!rawExpr) throw new Error(`Intervalo inválido: ${bucket}`);
+
+    const { clause, params } = buildDownloadFileFilter(filters);
+
+    let sql = `
+      SELECT ${rawExpr} as bucket, COUNT(*) as count, COALESCE(SUM(bytes), 0) as bytes
+      FROM file_downloads
+      WHERE downloaded_at >= date('now', '-' || ? || ' days') ${clause}
+      GROUP BY bucket
+    `;
+    const allParams = [days, ...params];
+
+    if (rollupExpr) {
+      sql += `
+        UNION ALL
+        SELECT ${rollupExpr} as bucket, SUM(count), SUM(bytes)
+        FROM download_rollups
+        WHERE day >= date('now', '-' || ? || ' days') ${clause}
+        GROUP BY bucket
+      `;
+      allParams.push(days, ...params);
+    }
+
+    const stmt = db.prepare(`
+      SELECT bucket, SUM(count) as count, SUM(bytes) as bytes
+      FROM (${sql})
+      GROUP BY bucket
+      ORDER BY bucket
+    `);
+    return stmt.all(...allParams);
+  },
+
+  // Ranking de downloads nos últimos N dias por arquivo, tag ou uploader
+  // (by = item de DOWNLOAD_RANKINGS). Inclui arquivos que já estão na lixeira.
+  getTopDownloads(by, days = 30, limit = 10) {
+    const queries = {
+      files: `
+        SELECT f.id, f.original_name as label, t.count, t.bytes
+        FROM totals t
+        JOIN files f ON f.id = t.file_id
+        ORDER BY t.count DESC, t.bytes DESC
+        LIMIT ?
+      `,
+      tags: `
+        SELECT tg.id, tg.name as label, SUM(t.count) as count, SUM(t.bytes) as bytes
+        FROM totals t
+        JOIN file_tags ft ON ft.file_id = t.file_id
+        JOIN tags tg ON tg.id = ft.tag_id
+        GROUP BY tg.id
+        ORDER BY count DESC, bytes DESC
+        LIMIT ?
+      `,
+      uploaders: `
+        SELECT f.uploaded_by as id, u.username as label, SUM(t.count) as count, SUM(t.bytes) as bytes
+        FROM totals t
+        JOIN files f ON f.id = t.file_id
+        LEFT JOIN users u ON u.id = f.uploaded_by
+        GROUP BY f.uploaded_by
+        ORDER BY count DESC, bytes DESC
+        LIMIT ?
+      `
+    };
+    if (!queries[by]) throw new Error(`Ranking inválido: ${by}`);
+
+    const stmt = db.prepare(`WITH ${DOWNLOAD_TOTALS_CTE} ${queries[by]}`);
+    return stmt.all(days, days, limit);
+  },
+
+  // Downloads de um arquivo agrupados por origem, tipo de cliente ou país
+  // (dimension = chave de DOWNLOAD_DIMENSIONS; '' = desconhecido)
+  getDownloadBreakdown(fileId, dimension, days = 30) {
+    const column = DOWNLOAD_DIMENSIONS[dimension];
+    if (!column) throw new Error(`Dimensão inválida: ${dimension}`);
+
+    const stmt = db.prepare(`
+      SELECT value, SUM(count) as count, SUM(range_count) as range_count, SUM(bytes) as bytes
+      FROM (
+        SELECT COALESCE(${column}, '') as value, COUNT(*) as count,
+          COALESCE(SUM(is_range), 0) as range_count, COALESCE(SUM(bytes), 0) as bytes
+        FROM file_downloads
+        WHERE file_id = ? AND downloaded_at >= datetime('now', '-' || ? || ' days')
+        GROUP BY value
+        UNION ALL
+        SELECT ${column}, SUM(count), SUM(range_count), SUM(bytes)
+        FROM download_rollups
+        WHERE file_id = ? AND day >= date('now', '-' || ? || ' days')
+        GROUP BY ${column}
+      )
+      GROUP BY value
+      ORDER BY count DESC, value
+    `);
+    return stmt.all(fileId, days, fileId, days);
+  },
+
+  // Clientes distintos (por IP) que baixaram o arquivo. Só existe nos registros
+  // brutos: os agregados diários não guardam IPs.
+  countDownloadClients(fileId, days = 30) {
+    const stmt = db.prepare(`
+      SELECT COUNT(DISTINCT client_ip) as count
+      FROM file_downloads
+      WHERE file_id = ? AND downloaded_at >= datetime('now', '-' || ? || ' days')
+    `);
+    return stmt.get(fileId, days).count;
+  },
+
+  // Compactar downloads brutos anteriores a N dias em agregados diários.
+  // O corte é sempre à meia-noite (UTC), então cada dia é compactado de uma vez.
+  compactDownloads: db.transaction((rawDays) => {
+    const cutoff = db.prepare(`SELECT date('now', '-' || ? || ' days') as day`).get(rawDays).day;
+
+    const aggregated = db.prepare(`
+      INSERT INTO download_rollups (file_id, day, referrer_host, client_type, country, count, range_count, bytes)
+      SELECT file_id, date(downloaded_at), COALESCE(referrer_host, ''), COALESCE(client_type, ''),
+        COALESCE(country, ''), COUNT(*), COALESCE(SUM(is_range), 0), COALESCE(SUM(bytes), 0)
+      FROM file_downloads
+      WHERE downloaded_at < ?
+      GROUP BY 1, 2, 3, 4, 5
+      ON CONFLICT (file_id, day, referrer_host, client_type, country) DO UPDATE SET
+        count = count + excluded.count,
+        range_count = range_count + excluded.range_count,
+        bytes = bytes + excluded.bytes
+    `).run(cutoff);
+
+    const removed = db.prepare('DELETE FROM file_downloads WHERE downloaded_at < ?').run(cutoff);
+
+    return { rollups: aggregated.changes, rawRows: removed.changes };
+  }),
+
+  // Apagar agregados mais antigos que N dias
+  pruneDownloadRollups(historyDays) {
+    const stmt = db.prepare(`DELETE FROM download_rollups WHERE day < date('now', '-' || ? || ' days')`);
+    return stmt.run(historyDays).changes;
+  },
+
+  // ==================== POLÍTICAS DE RETENÇÃO ====================
+
+  // Criar política de retenção
+  createRetentionPolicy(policy) {
+    const stmt = db.prepare(`
+      INSERT INTO retention_policies (name, tag, file_type, min_age_days, unused_days, enabled)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    const result = stmt.run(
+      policy.name,
+      policy.tag || null,
+      policy.fileType || null,
+      policy.minAgeDays ?? null,
+      policy.unusedDays ?? null,
+      policy.enabled === false ? 0 : 1
+    );
+    return result.lastInsertRowid;
+  },
+
+  // Listar políticas de retenção
+  getRetentionPolicies() {
+    const stmt = db.prepare('SELECT * FROM retention_policies ORDER BY id');
+    return stmt.all();
+  },
+
+  // Buscar política por ID
+  getRetentionPolicyById(id) {
+    const stmt = db.prepare('SELECT * FROM retention_policies WHERE id = ?');
+    return stmt.get(id);
+  },
+
+  // Ativar/desativar política
+  setRetentionPolicyEnabled(id, enabled) {
+    const stmt = db.prepare('UPDATE retention_policies SET enabled = ? WHERE id = ?');
+    return stmt.run(enabled ? 1 : 0, id);
+  },
+
+  // Deletar política
+  deleteRetentionPolicy(id) {
+    const stmt = db.prepare('DELETE FROM retention_policies WHERE id = ?');
+    return stmt.run(id);
+  },
+
+  // ==================== POLÍTICAS DE HOTLINK ====================
+
+  // Criar política de hotlink (domínios separados por vírgula)
+  createHotlinkPolicy(policy) {
+    const stmt = db.prepare(`
+      INSERT INTO hotlink_policies (file_id, tag, mode, domains, allow_empty_referrer, placeholder, enabled)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    const result = stmt.run(
+      policy.fileId ?? null,
+      policy.tag || null,
+      policy.mode,
+      policy.domains.join(','),
+      policy.allowEmptyReferrer ? 1 : 0,
+      policy.placeholder ? 1 : 0,
+      policy.enabled === false ? 0 : 1
+    );
+    return result.lastInsertRowid;
+  },
+
+  // Listar políticas de hotlink (com o nome do arquivo, nas políticas por arquivo)
+  getHotlinkPolicies() {
+    const stmt = db.prepare(`
+      SELECT p.*, f.original_name as file_name
+      FROM hotlink_policies p
+      LEFT JOIN files f ON f.id = p.file_id
+      ORDER BY p.id
+    `);
+    return stmt.all();
+  },
+
+  // Buscar política por ID
+  getHotlinkPolicyById(id) {
+    const stmt = db.prepare(`
+      SELECT p.*, f.original_name as file_name
+      FROM hotlink_policies p
+      LEFT JOIN files f ON f.id = p.file_id
+      WHERE p.id = ?
+    `);
+    return stmt.get(id);
+  },
+
+  // Buscar política pelo alvo (global, arquivo ou tag)
+  findHotlinkPolicy({ fileId = null, tag = null }) {
+    const stmt = db.prepare('SELECT * FROM hotlink_policies WHERE file_id IS ? AND tag IS ?');
+    return stmt.get(fileId, tag);
+  },
+
+  // Atualizar política (todos os campos editáveis)
+  updateHotlinkPolicy(id, policy) {
+    const stmt = db.prepare(`
+      UPDATE hotlink_policies
+      SET mode = ?, domains = ?, allow_empty_referrer = ?, placeholder = ?, enabled = ?
+      WHERE id = ?
+    `);
+    return stmt.run(
+      policy.mode,
+      policy.domains.join(','),
+      policy.allowEmptyReferrer ? 1 : 0,
+      policy.placeholder ? 1 : 0,
+      policy.enabled ? 1 : 0,
+      id
+    );
+  },
+
+  // Deletar política
+  deleteHotlinkPolicy(id) {
+    const stmt = db.prepare('DELETE FROM hotlink_policies WHERE id = ?');
+    return stmt.run(id);
+  },
+
+  // ==================== POLÍTICAS DE RATE LIMIT ====================
+
+  // Criar política (exatamente um alvo: usuário, função ou API Key)
+  createRateLimitPolicy(policy) {
+    const stmt = db.prepare(`
+      INSERT INTO rate_limit_policies (route, user_id, role, api_key_id, max_requests, window_seconds, algorithm, enabled)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const result = stmt.run(
+      policy.route,
+      policy.userId ?? null,
+      policy.role || null,
+      policy.apiKeyId ?? null,
+      policy.maxRequests,
+      policy.windowSeconds,
+      policy.algorithm || null,
+      policy.enabled === false ? 0 : 1
+    );
+    return result.lastInsertRowid;
+  },
+
+  // Listar políticas (com o nome do usuário e o rótulo da API Key)
+  getRateLimitPolicies() {
+    const stmt = db.prepare(`
+      SELECT p.*, u.username, k.label as api_key_label, k.key_prefix as api_key_prefix
+      FROM rate_limit_policies p
+      LEFT JOIN users u ON u.id = p.user_id
+      LEFT JOIN api_keys k ON k.id = p.api_key_id
+      ORDER BY p.route, p.id
+    `);
+    return stmt.all();
+  },
+
+  // Buscar política por ID
+  getRateLimitPolicyById(id) {
+    const stmt = db.prepare(`
+      SELECT p.*, u.username, k.label as api_key_label, k.key_prefix as api_key_prefix
+      FROM rate_limit_policies p
+      LEFT JOIN users u ON u.id = p.user_id
+      LEFT JOIN api_keys k ON k.id = p.api_key_id
+      WHERE p.id = ?
+    `);
+    return stmt.get(id);
+  },
+
+  // Buscar política pelo alvo
+  findRateLimitPolicy({ route, userId = null, role = null, apiKeyId = null }) {
+    const stmt = db.prepare(`
+      SELECT * FROM rate_limit_policies
+      WHERE route = ? AND user_id IS ? AND role IS ? AND api_key_id IS ?
+    `);
+    return stmt.get(route, userId, role, apiKeyId);
+  },
+
+  // Atualizar limite, janela, algoritmo e status (o alvo não muda)
+  updateRateLimitPolicy(id, policy) {
+    const stmt = db.prepare(`
+      UPDATE rate_limit_policies
+      SET max_requests = ?, window_seconds = ?, algorithm = ?, enabled = ?
+      WHERE id = ?
+    `);
+    return stmt.run(
+      policy.maxRequests,
+      policy.windowSeconds,
+      policy.algorithm || null,
+      policy.enabled ? 1 : 0,
+      id
+    );
+  },
+
+  // Deletar política
+  deleteRateLimitPolicy(id) {
+    const stmt = db.prepare('DELETE FROM rate_limit_policies WHERE id = ?');
+    return stmt.run(id);
+  },
+
+  // ==================== VARIANTES COMPRIMIDAS ====================
+
+  // Variantes registradas de uma chave do storage
+  getContentVariants(contentKey) {
+    const stmt = db.prepare('SELECT * FROM content_variants WHERE content_key = ?');
+    return stmt.all(contentKey);
+  },
+
+  // Registrar variante (stored = false: compressão não compensou)
+  setContentVariant(contentKey, encoding, { size, stored }) {
+    const stmt = db.prepare(`
+      INSERT INTO content_variants (content_key, encoding, size, stored) VALUES (?, ?, ?, ?)
+      ON CONFLICT (content_key, encoding) DO UPDATE SET size = excluded.size, stored = excluded.stored
+    `);
+    return stmt.run(contentKey, encoding, size, stored ? 1 : 0);
+  },
+
+  // Remover registros das variantes de uma chave
+  deleteContentVariants(contentKey) {
+    const stmt = db.prepare('DELETE FROM content_variants WHERE content_key = ?');
+    return stmt.run(contentKey);
+  },
+
+  // Variantes antigas (gravadas ao lado do original) que ainda faltam apagar do storage
+  getLegacyVariantKeys(limit = 100) {
+    const stmt = db.prepare('SELECT key FROM legacy_variant_keys LIMIT ?');
+    return stmt.all(limit).map(row => row.key);
+  },
+
+  // Marcar variante antiga como apagada
+  deleteLegacyVariantKey(key) {
+    const stmt = db.prepare('DELETE FROM legacy_variant_keys WHERE key = ?');
+    return stmt.run(key);
+  },
+
+  // ==================== TRANSFORMAÇÕES DE IMAGEM ====================
+
+  // Imagem derivada já gerada para os parâmetros
+  getImageTransform(contentKey, params) {
+    const stmt = db.prepare('SELECT * FROM image_transforms WHERE content_key = ? AND params = ?');
+    return stmt.get(contentKey, params);
+  },
+
+  // Imagens derivadas de uma chave do storage
+  getImageTransforms(contentKey) {
+    const stmt = db.prepare('SELECT * FROM image_transforms WHERE content_key = ?');
+    return stmt.all(contentKey);
+  },
+
+  // Registrar imagem derivada
+  setImageTransform(contentKey, params, size) {
+    const stmt = db.prepare(`
+      INSERT INTO image_transforms (content_key, params, size) VALUES (?, ?, ?)
+      ON CONFLICT (content_key, params) DO UPDATE SET size = excluded.size
+    `);
+    return stmt.run(contentKey, params, size);
+  },
+
+  // Remover registros das imagens derivadas de uma chave
+  deleteImageTransforms(contentKey) {
+    const stmt = db.prepare('DELETE FROM image_transforms WHERE content_key = ?');
+    return stmt.run(contentKey);
+  },
+
+  // ==================== TRANSCODIFICAÇÃO DE VÍDEO ====================
+
+  // Criar job na fila
+  createTranscodeJob({ fileId, profile, requestedBy }) {
+    const stmt = db.prepare('INSERT INTO transcode_jobs (file_id, profile, requested_by) VALUES (?, ?, ?)');
+    return stmt.run(fileId, profile, requestedBy || null).lastInsertRowid;
+  },
+
+  // Buscar job com os dados do arquivo
+  getTranscodeJobById(id) {
+    const stmt = db.prepare(`
+      SELECT j.*, f.original_name, f.stored_name, f.uploaded_by
+      FROM transcode_jobs j
+      LEFT JOIN files f ON f.id = j.file_id
+      WHERE j.id = ?
+    `);
+    return stmt.get(id);
+  },
+
+  // Listar jobs (mais recentes primeiro), com filtros opcionais
+  getTranscodeJobs({ status = null, fileId = null, uploadedBy = null, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      conditions.push('j.status = ?');
+      params.push(status);
+    }
+    if (fileId) {
+      conditions.push('j.file_id = ?');
+      params.push(fileId);
+    }
+    if (uploadedBy) {
+      conditions.push('f.uploaded_by = ?');
+      params.push(uploadedBy);
+    }
+
+    const stmt = db.prepare(`
+      SELECT j.*, f.original_name, f.stored_name, f.uploaded_by
+      FROM transcode_jobs j
+      LEFT JOIN files f ON f.id = j.file_id
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY j.id DESC
+      LIMIT ?
+    `);
+    return stmt.all(...params, limit);
+  },
+
+  // Job pendente (na fila ou rodando) de um arquivo/perfil
+  findActiveTranscodeJob(fileId, profile) {
+    const stmt = db.prepare(`
+      SELECT * FROM transcode_jobs
+      WHERE file_id = ? AND profile = ? AND status IN ('queued', 'running')
+    `);
+    return stmt.get(fileId, profile);
+  },
+
+  // Pegar o próximo job da fila (atômico: outra instância não pega o mesmo)
+  claimNextTranscodeJob() {
+    const stmt = db.prepare(`
+      UPDATE transcode_jobs
+      SET status = 'running', progress = 0, attempts = attempts + 1, error = NULL,
+          started_at = datetime('now'), updated_at = datetime('now')
+      WHERE id = (SELECT id FROM transcode_jobs WHERE status = 'queued' ORDER BY id LIMIT 1)
+      RETURNING *
+    `);
+    return stmt.get();
+  },
+
+  // Atualizar progresso (0 alterações = job cancelado enquanto rodava)
+  updateTranscodeProgress(id, progress) {
+    const stmt = db.prepare(`
+      UPDATE transcode_jobs SET progress = ?, updated_at = datetime('now')
+      WHERE id = ? AND status = 'running'
+    `);
+    return stmt.run(progress, id).changes;
+  },
+
+  // Sinal de vida de job em execução (mantém updated_at recente mesmo sem progresso)
+  touchTranscodeJob(id) {
+    const stmt = db.prepare(`
+      UPDATE transcode_jobs SET updated_at = datetime('now')
+      WHERE id = ? AND status = 'running'
+    `);
+    return stmt.run(id).changes;
+  },
+
+  // Encerrar job (done, skipped, failed ou canceled)
+  finishTranscodeJob(id, status, error = null) {
+    const stmt = db.prepare(`
+      UPDATE transcode_jobs
+      SET status = ?, error = ?, progress = CASE WHEN ? IN ('done', 'skipped') THEN 100 ELSE progress END,
+          updated_at = datetime('now'), finished_at = datetime('now')
+      WHERE id = ? AND status IN ('queued', 'running')
+    `);
+    return stmt.run(status, error, status, id).changes;
+  },
+
+  // Devolver job à fila (nova tentativa; resetAttempts para reenvio manual)
+  requeueTranscodeJob(id, { error = null, resetAttempts = false } = {}) {
+    const stmt = db.prepare(`
+      UPDATE transcode_jobs
+      SET status = 'queued', progress = 0, error = ?, finished_at = NULL, updated_at = datetime('now'),
+          attempts = CASE WHEN ? THEN 0 ELSE attempts END
+      WHERE id = ?
+    `);
+    return stmt.run(error, resetAttempts ? 1 : 0, id).changes;
+  },
+
+  // Jobs "rodando" sem atualização há muito tempo (instância caiu no meio) voltam para a fila
+  requeueStaleTranscodeJobs(staleMinutes) {
+    const stmt = db.prepare(`
+      UPDATE transcode_jobs SET status = 'queued', progress = 0, updated_at = datetime('now')
+      WHERE status = 'running' AND updated_at <= datetime('now', ?)
+    `);
+    return stmt.run(`-${staleMinutes} minutes`).changes;
+  },
+
+  // Total de jobs por status
+  getTranscodeJobCounts() {
+    const stmt = db.prepare('SELECT status, COUNT(*) AS count FROM transcode_jobs GROUP BY status');
+    return Object.fromEntries(stmt.all().map(row => [row.status, row.count]));
+  },
+
+  // Registrar versão de um arquivo
+  setFileRendition({ fileId, profile, storageKey, mimeType, size, isOriginal = false }) {
+    const stmt = db.prepare(`
+      INSERT INTO file_renditions (file_id, profile, storage_key, mime_type, size, is_original)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT (file_id, profile) DO UPDATE SET
+        storage_key = excluded.storage_key, mime_type = excluded.mime_type,
+        size = excluded.size, is_original = excluded.is_original, created_at = CURRENT_TIMESTAMP
+    `);
+    return stmt.run(fileId, profile, storageKey, mimeType, size, isOriginal ? 1 : 0);
+  },
+
+  // Versão de um arquivo em um perfil
+  getFileRendition(fileId, profile) {
+    const stmt = db.prepare('SELECT * FROM file_renditions WHERE file_id = ? AND profile = ?');
+    return stmt.get(fileId, profile);
+  },
+
+  // Versão já registrada com a mesma chave de storage (conteúdo deduplicado)
+  getRenditionByStorageKey(storageKey) {
+    const stmt = db.prepare('SELECT * FROM file_renditions WHERE storage_key = ? LIMIT 1');
+    return stmt.get(storageKey);
+  },
+
+  // Versões de um arquivo
+  getFileRenditions(fileId) {
+    const stmt = db.prepare('SELECT * FROM file_renditions WHERE file_id = ? ORDER BY profile');
+    return stmt.all(fileId);
+  },
+
+  // ==================== RATE LIMIT ====================
+
+  // Ler, atualizar e gravar o estado de uma chave numa transação IMMEDIATE
+  // (outras instâncias esperam). Estado com expires_at <= `now` conta como vazio.
+  // `apply(state)` devolve { state, expiresAt, result }.
+  consumeRateLimit(key, now, apply) {
+    return consumeRateLimit.immediate(key, now, apply);
+  },
+
+  // Remover chaves expiradas (expires_at em ms)
+  deleteExpiredRateLimits(now) {
+    const stmt = db.prepare('DELETE FROM rate_limits WHERE expires_at <= ?');
+    return stmt.run(now).changes;
+  },
+
+  // Chaves ativas
+  countRateLimits(now) {
+    const stmt = db.prepare('SELECT COUNT(*) as count FROM rate_limits WHERE expires_at > ?');
+    return stmt.get(now).count;
   },
 
   // ==================== MANUTENÇÃO E OTIMIZAÇÃO ====================
@@ -1,22 +1,78 @@
 // Middleware de autenticação por API Key
-export function authMiddleware(apiKey) {
-  return async function (request, reply) {
+// Aceita chaves do banco (por usuário, com escopos) e a API_KEY legada do .env.
+// Sem API Key na requisição, cai para a sessão do usuário logado.
+
+import { timingSafeEqual } from 'crypto';
+import { verifyApiKey } from '../services/api-keys.js';
+import { requireAuth } from './session.js';
+
+// Chave única legada (.env): mantém as permissões que já tinha (só upload), sem dono
+const LEGACY_API_KEY = process.env.API_KEY;
+const LEGACY_SCOPES = ['upload'];
+
+/**
+ * Comparar chave recebida com a API_KEY legada em tempo constante
+ */
+function isLegacyKey(providedKey) {
+  if (!LEGACY_API_KEY) return false;
+  const a = Buffer.from(providedKey);
+  const b = Buffer.from(LEGACY_API_KEY);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/**
+ * Validar API Key (do banco ou a legada do .env).
+ * Retorna { id, userId, username, role, scopes } ou null se inválida.
+ */
+export function authenticateApiKey(providedKey) {
+  return isLegacyKey(providedKey)
+    ? { id: null, userId: null, username: null, role: null, scopes: LEGACY_SCOPES }
+    : verifyApiKey(providedKey);
+}
+
+/**
+ * Exigir API Key com o escopo informado ou usuário logado.
+ * Com chave válida, `request.apiKey` recebe { id, userId, username, role, scopes }.
+ */
+export function requireScope(scope) {
+  return function (request, reply, done) {
     const providedKey = request.headers['x-api-key'] || request.query.apiKey;
 
     if (!providedKey) {
-      return reply.code(401).send({
-        error: 'Unauthorized',
-        message: 'API Key não fornecida. Use o header "x-api-key" ou query param "apiKey".'
+      return requireAuth(request, reply, done);
+    }
+
+    const apiKey = authenticateApiKey(providedKey);
+
+    if (!apiKey) {
+      return reply.code(403).send({
+        error: 'Forbidden',
+        message: 'API Key inválida, expirada ou revogada.'
       });
     }
 
-    if (providedKey !== apiKey) {
+    if (!apiKey.scopes.includes(scope)) {
       return reply.code(403).send({
         error: 'Forbidden',
-        message: 'API Key inválida.'
+        message: `Esta API Key não tem o escopo "${scope}".`
       });
     }
 
-    // Autenticação bem-sucedida, continua para o handler
+    request.apiKey = apiKey;
+    done();
   };
 }
+
+/**
+ * ID do usuário responsável pela requisição (sessão ou dono da API Key)
+ */
+export function getRequestUserId(request) {
+  return request.apiKey?.userId || request.session.userId || null;
+}
+
+/**
+ * Função (role) do usuário responsável pela requisição
+ */
+export function getRequestUserRole(request) {
+  return request.apiKey?.role || request.session.userRole || null;
+}
@@ -0,0 +1,33 @@
+// Limite de banda no /download/:filename
+// Decide se o cliente é isento (rede em BANDWIDTH_EXEMPT_CIDRS ou API Key com
+// escopo "unthrottled") e bloqueia quem já passou do limite diário. O envio em
+// si é limitado por throttleDownload (services/bandwidth.js).
+
+import { authenticateApiKey } from './auth.js';
+import { isExemptIp, checkDailyCap } from '../services/bandwidth.js';
+
+/**
+ * Middleware de limite de banda. Deixa `request.bandwidth = { exempt }`
+ * para quem envia o arquivo.
+ */
+export function bandwidthLimiter(request, reply, done) {
+  const providedKey = request.headers['x-api-key'] || request.query.apiKey;
+  const apiKey = providedKey ? authenticateApiKey(providedKey) : null;
+  const exempt = isExemptIp(request.ip) || Boolean(apiKey?.scopes.includes('unthrottled'));
+
+  request.bandwidth = { exempt };
+
+  if (!exempt) {
+    const retryAfter = checkDailyCap(request.ip);
+
+    if (retryAfter !== null) {
+      return reply.code(429).send({
+        error: 'Too Many Requests',
+        message: `Limite diário de transferência atingido. Tente novamente em ${Math.ceil(retryAfter / 3600)} hora(s).`,
+        retryAfter
+      });
+    }
+  }
+
+  done();
+}
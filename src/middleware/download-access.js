@@ -0,0 +1,65 @@
+// Controle de acesso a downloads
+// Nomes sem registro no banco respondem 404 (o storage guarda também chaves
+// internas, que não são servidas). Arquivos na lixeira ou expirados respondem
+// 410. Arquivos públicos passam direto.
+// Arquivos privados exigem URL assinada válida ou sessão do dono/admin.
+// Roda antes do hot cache para que arquivos privados cacheados também
+// passem pela verificação.
+
+import { basename } from 'path';
+import { dbOperations } from '../database.js';
+import { verifySignedQuery } from '../services/signed-url.js';
+
+/**
+ * Middleware de acesso ao /download/:filename (e às rotas /stream/:id/..., que
+ * identificam o arquivo pelo id).
+ * Deixa o registro do arquivo em `request.fileRecord` para os próximos handlers.
+ */
+export function requireDownloadAccess(request, reply, done) {
+  const fileRecord = (request.params.filename !== undefined
+    ? dbOperations.getFileByStoredName(basename(request.params.filename))
+    : dbOperations.getFileById(request.params.id)) || null;
+  request.fileRecord = fileRecord;
+
+  if (!fileRecord) {
+    return reply.code(404).send({
+      error: 'Not Found',
+      message: 'Arquivo não encontrado.'
+    });
+  }
+
+  // Na lixeira (pode ser restaurado, mas não é servido)
+  if (fileRecord.deleted_at) {
+    return reply.code(410).send({
+      error: 'Gone',
+      message: 'Este arquivo foi removido.'
+    });
+  }
+
+  // Expirado, mas o job de retenção ainda não passou
+  if (fileRecord.expires_at && new Date(`${fileRecord.expires_at.replace(' ', 'T')}Z`) <= new Date()) {
+    return reply.code(410).send({
+      error: 'Gone',
+      message: 'Este arquivo expirou.'
+    });
+  }
+
+  if (fileRecord.visibility !== 'private') {
+    return done();
+  }
+
+  // A assinatura cobre o nome armazenado: a mesma query vale para /download e /stream
+  if (verifySignedQuery(fileRecord.stored_name, request.query, request.ip)) {
+    return done();
+  }
+
+  const userId = request.session.userId;
+  if (userId && (request.session.userRole === 'admin' || fileRecord.uploaded_by === userId)) {
+    return done();
+  }
+
+  return reply.code(403).send({
+    error: 'Forbidden',
+    message: 'Este arquivo é privado. Use uma URL assinada válida.'
+  });
+}
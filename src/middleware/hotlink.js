@@ -0,0 +1,37 @@
+// Proteção contra hotlink no /download/:filename
+// Roda depois de requireDownloadAccess (usa request.fileRecord) e antes do hot
+// cache, para que arquivos cacheados também respeitem as políticas.
+
+import { parseReferrerHost } from '../services/download-tracking.js';
+import { resolveHotlinkPolicy, isReferrerAllowed, getPlaceholderImage } from '../services/hotlink.js';
+
+/**
+ * Bloquear downloads vindos de sites não permitidos pela política do arquivo.
+ * Imagens bloqueadas recebem a imagem substituta (se a política pedir).
+ */
+export function enforceHotlinkPolicy(request, reply, done) {
+  const fileRecord = request.fileRecord;
+  if (!fileRecord) return done();
+
+  const policy = resolveHotlinkPolicy(fileRecord);
+  if (!policy || policy.mode === 'off') return done();
+
+  // A resposta depende da origem: caches compartilhados não podem reaproveitá-la entre sites
+  reply.header('Vary', 'Referer, Origin');
+
+  if (isReferrerAllowed(policy, parseReferrerHost(request.headers), request.hostname)) {
+    return done();
+  }
+
+  reply.code(403).header('Cache-Control', 'no-store');
+
+  if (policy.placeholder && fileRecord.file_type === 'image') {
+    const image = getPlaceholderImage();
+    return reply.type(image.type).send(image.body);
+  }
+
+  return reply.send({
+    error: 'Forbidden',
+    message: 'Este arquivo não pode ser incorporado neste site (hotlink bloqueado).'
+  });
+}
@@ -1,121 +1,176 @@
-// Rate limiter em memória (leve e eficiente)
-// Para downloads de arquivos estáticos
-
-const rateLimitMap = new Map();
-
-// Configurações
-const WINDOW_MS = 60 * 1000; // 1 minuto
-const MAX_REQUESTS = 60; // 60 requests por minuto por IP
-const CLEANUP_INTERVAL = 5 * 60 * 1000; // Limpar a cada 5 minutos
-
-// Limpeza automática periódica para liberar memória
-setInterval(() => {
-  const now = Date.now();
-  for (const [key, value] of rateLimitMap.entries()) {
-    if (now - value.resetTime > WINDOW_MS) {
-      rateLimitMap.delete(key);
-    }
-  }
-}, CLEANUP_INTERVAL);
+// Rate limiter com store plugável (memory, sqlite ou redis)
+// O store e o algoritmo vêm do .env (ver services/rate-limit). Cada rota tem
+// seu limite padrão, configurável por RATE_LIMIT_<ROTA>_MAX e
+// RATE_LIMIT_<ROTA>_WINDOW_SECONDS (MAX=0 desativa), e pode trocar o algoritmo
+// com RATE_LIMIT_<ROTA>_ALGORITHM.
+//
+// Requisições autenticadas (API Key ou sessão) são contadas pela identidade e
+// podem ter limite próprio por API Key, usuário ou função (políticas do banco,
+// ver services/rate-limit/policies.js). Sem autenticação, conta por IP.
+//
+// Toda resposta leva os cabeçalhos RateLimit-Limit, RateLimit-Remaining,
+// RateLimit-Reset e RateLimit-Policy; respostas 429 levam também Retry-After.
+
+import {
+  rateLimitStore,
+  RATE_LIMIT_ALGORITHM,
+  parseAlgorithm
+} from '../services/rate-limit/index.js';
+import { resolveRateLimitPolicy } from '../services/rate-limit/policies.js';
+import { authenticateApiKey } from './auth.js';
+
+const rules = new Map(); // nome -> regra, para as estatísticas
 
 /**
- * Middleware de rate limiting
+ * Regra de uma rota a partir do .env, com os valores padrão informados
  */
-export function rateLimiter(request, reply, done) {
-  const ip = request.ip || request.socket.remoteAddress;
-  const now = Date.now();
-
-  let record = rateLimitMap.get(ip);
-
-  if (!record) {
-    // Primeiro acesso
-    record = {
-      count: 1,
-      resetTime: now
-    };
-    rateLimitMap.set(ip, record);
-    done();
-    return;
-  }
+function loadRule(name, { limit, windowSeconds }) {
+  const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+  const max = parseInt(process.env[`${prefix}_MAX`] ?? limit);
+  const window = parseInt(process.env[`${prefix}_WINDOW_SECONDS`] ?? windowSeconds);
 
-  // Verificar se a janela expirou
-  if (now - record.resetTime > WINDOW_MS) {
-    // Resetar contador
-    record.count = 1;
-    record.resetTime = now;
-    rateLimitMap.set(ip, record);
-    done();
-    return;
-  }
-
-  // Incrementar contador
-  record.count++;
+  return {
+    algorithm: parseAlgorithm(process.env[`${prefix}_ALGORITHM`], RATE_LIMIT_ALGORITHM),
+    limit: Number.isNaN(max) ? limit : Math.max(max, 0),
+    windowMs: (Number.isNaN(window) || window < 1 ? windowSeconds : window) * 1000
+  };
+}
 
-  if (record.count > MAX_REQUESTS) {
-    // Rate limit excedido
-    const retryAfter = Math.ceil((WINDOW_MS - (now - record.resetTime)) / 1000);
+/**
+ * Quem fez a requisição: API Key válida, usuário logado ou null (anônimo).
+ * Chave inválida conta como anônimo (quem responde 403 é requireScope).
+ */
+function getIdentity(request) {
+  const providedKey = request.headers['x-api-key'] || request.query?.apiKey;
+  const apiKey = providedKey ? authenticateApiKey(providedKey) : null;
 
-    reply.code(429).send({
-      error: 'Too Many Requests',
-      message: `Muitos downloads. Tente novamente em ${retryAfter} segundos.`,
-      retryAfter
-    });
-    return;
+  if (apiKey) {
+    return { apiKeyId: apiKey.id, userId: apiKey.userId, role: apiKey.role };
+  }
+  if (request.session?.userId) {
+    return { apiKeyId: null, userId: request.session.userId, role: request.session.userRole };
   }
+  return null;
+}
 
-  done();
+/**
+ * Chave do contador de uma identidade autenticada. A contagem é feita por quem
+ * a política se aplica: a API Key, se a política for dela; senão o usuário (a
+ * sessão e todas as chaves dele somam juntas). A chave legada do .env não tem
+ * dono e costuma ser compartilhada por vários servidores, então conta por IP
+ * (separada dos anônimos do mesmo IP).
+ */
+function getSubject(identity, policy, ip) {
+  if (identity.apiKeyId === null && !identity.userId) return `key:legacy:${ip}`;
+  if (policy?.scope === 'apiKey' || !identity.userId) return `key:${identity.apiKeyId}`;
+  return `user:${identity.userId}`;
 }
 
 /**
- * Rate limiter mais rigoroso para upload
+ * Regra e chave do contador para a requisição (anônimos contam por IP)
  */
-export function uploadRateLimiter(request, reply, done) {
+function resolveLimit(name, rule, request) {
+  const identity = getIdentity(request);
   const ip = request.ip || request.socket.remoteAddress;
-  const key = `upload:${ip}`;
-  const now = Date.now();
-  const UPLOAD_WINDOW = 60 * 1000; // 1 minuto
-  const MAX_UPLOADS = 10; // 10 uploads por minuto
-
-  let record = rateLimitMap.get(key);
-
-  if (!record) {
-    record = {
-      count: 1,
-      resetTime: now
-    };
-    rateLimitMap.set(key, record);
-    done();
-    return;
-  }
 
-  if (now - record.resetTime > UPLOAD_WINDOW) {
-    record.count = 1;
-    record.resetTime = now;
-    rateLimitMap.set(key, record);
-    done();
-    return;
+  if (!identity) {
+    return { rule, subject: `ip:${ip}` };
   }
 
-  record.count++;
+  const policy = resolveRateLimitPolicy(name, identity);
+  const subject = getSubject(identity, policy, ip);
 
-  if (record.count > MAX_UPLOADS) {
-    const retryAfter = Math.ceil((UPLOAD_WINDOW - (now - record.resetTime)) / 1000);
+  if (!policy) return { rule, subject };
 
-    reply.code(429).send({
-      error: 'Too Many Requests',
-      message: `Muitos uploads. Tente novamente em ${retryAfter} segundos.`,
-      retryAfter
-    });
-    return;
-  }
+  return {
+    subject,
+    rule: {
+      algorithm: policy.algorithm || rule.algorithm,
+      limit: policy.max,
+      windowMs: policy.window_seconds * 1000
+    }
+  };
+}
 
-  done();
+/**
+ * Criar middleware de rate limit para uma rota.
+ * `message(retryAfter)` monta a mensagem da resposta 429.
+ */
+export function createRateLimiter(name, defaults, message) {
+  const defaultRule = loadRule(name, defaults);
+  rules.set(name, defaultRule);
+
+  return async function rateLimit(request, reply) {
+    const { rule, subject } = resolveLimit(name, defaultRule, request);
+    if (rule.limit === 0) return;
+
+    let result;
+    try {
+      result = await rateLimitStore.consume(`${name}:${subject}`, rule, Date.now());
+    } catch (error) {
+      // Store fora do ar não derruba downloads/uploads: libera a requisição
+      request.log.error(error, `Rate limit indisponível (${rateLimitStore.name}), requisição liberada`);
+      return;
+    }
+
+    reply
+      .header('RateLimit-Limit', result.limit)
+      .header('RateLimit-Remaining', result.remaining)
+      .header('RateLimit-Reset', Math.ceil(result.resetMs / 1000))
+      .header('RateLimit-Policy', `${rule.limit};w=${rule.windowMs / 1000}`);
+
+    if (!result.allowed) {
+      const retryAfter = Math.max(Math.ceil(result.retryAfterMs / 1000), 1);
+
+      return reply
+        .code(429)
+        .header('Retry-After', retryAfter)
+        .send({
+          error: 'Too Many Requests',
+          message: message(retryAfter),
+          retryAfter
+        });
+    }
+  };
 }
 
+/**
+ * Rate limit de downloads (padrão: 60 por minuto por IP)
+ */
+export const rateLimiter = createRateLimiter(
+  'download',
+  { limit: 60, windowSeconds: 60 },
+  retryAfter => `Muitos downloads. Tente novamente em ${retryAfter} segundos.`
+);
+
+/**
+ * Rate limiter mais rigoroso para upload (padrão: 10 por minuto por IP)
+ */
+export const uploadRateLimiter = createRateLimiter(
+  'upload',
+  { limit: 10, windowSeconds: 60 },
+  retryAfter => `Muitos uploads. Tente novamente em ${retryAfter} segundos.`
+);
+
+/**
+ * Rate limit da geração de imagens transformadas (padrão: 30 por minuto por IP).
+ * Só conta quando a variante pedida ainda não existe (redimensionar custa CPU).
+ */
+export const transformRateLimiter = createRateLimiter(
+  'transform',
+  { limit: 30, windowSeconds: 60 },
+  retryAfter => `Muitas transformações de imagem. Tente novamente em ${retryAfter} segundos.`
+);
+
 // Exportar stats para monitoramento
-export function getRateLimitStats() {
+export async function getRateLimitStats() {
   return {
-    activeIPs: rateLimitMap.size,
-    memoryUsage: rateLimitMap.size * 64 // Estimativa em bytes
+    store: rateLimitStore.name,
+    activeKeys: await rateLimitStore.size(Date.now()),
+    rules: Object.fromEntries(Array.from(rules, ([name, rule]) => [name, {
+      algorithm: rule.algorithm,
+      limit: rule.limit,
+      windowSeconds: rule.windowMs / 1000
+    }]))
   };
 }
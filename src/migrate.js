@@ -0,0 +1,67 @@
+// CLI de migrações do banco de dados
+// Uso:
+//   npm run migrate -- status        Situação de cada migração
+//   npm run migrate -- up [versão]   Aplicar pendentes (até a versão, se informada)
+//   npm run migrate -- down [n]      Desfazer as últimas n migrações (padrão 1)
+
+import { openDatabase, DATABASE_PATH } from './database-connection.js';
+import { loadMigrations, getMigrationStatus, migrateUp, migrateDown } from './services/migrator.js';
+
+const STATE_LABELS = {
+  applied: '✅ aplicada',
+  pending: '⏳ pendente',
+  unknown: '⚠️  sem arquivo'
+};
+
+function formatMigration(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+async function main() {
+  const [command = 'status', arg] = process.argv.slice(2);
+  const db = openDatabase();
+  const migrations = await loadMigrations();
+
+  try {
+    switch (command) {
+      case 'status': {
+        console.log(`Banco: ${DATABASE_PATH}\n`);
+        for (const item of getMigrationStatus(db, migrations)) {
+          const appliedAt = item.appliedAt ? `  (${item.appliedAt})` : '';
+          console.log(`${STATE_LABELS[item.state]}  ${formatMigration(item)}${appliedAt}`);
+        }
+        break;
+      }
+
+      case 'up': {
+        const to = arg !== undefined ? parseInt(arg) : Infinity;
+        if (Number.isNaN(to)) throw new Error(`Versão inválida: ${arg}`);
+
+        const done = migrateUp(db, migrations, { to });
+        done.forEach(migration => console.log(`⬆️  ${formatMigration(migration)}`));
+        console.log(done.length > 0 ? `\n${done.length} migração(ões) aplicada(s).` : 'Nenhuma migração pendente.');
+        break;
+      }
+
+      case 'down': {
+        const steps = arg !== undefined ? parseInt(arg) : 1;
+        if (!Number.isInteger(steps) || steps < 1) throw new Error(`Quantidade inválida: ${arg}`);
+
+        const done = migrateDown(db, migrations, { steps });
+        done.forEach(migration => console.log(`⬇️  ${formatMigration(migration)}`));
+        console.log(done.length > 0 ? `\n${done.length} migração(ões) desfeita(s).` : 'Nenhuma migração aplicada.');
+        break;
+      }
+
+      default:
+        throw new Error(`Comando desconhecido: ${command}. Use status, up ou down.`);
+    }
+  } finally {
+    db.close();
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
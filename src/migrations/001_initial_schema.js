@@ -0,0 +1,60 @@
+// Esquema inicial: usuários, arquivos e rastreamento de downloads
+import { addColumn } from './helpers.js';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL UNIQUE,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'user',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS files (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      original_name TEXT NOT NULL,
+      stored_name TEXT NOT NULL UNIQUE,
+      file_type TEXT NOT NULL,
+      mime_type TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      download_url TEXT NOT NULL,
+      tags TEXT DEFAULT '',
+      description TEXT DEFAULT '',
+      uploaded_by INTEGER,
+      uploaded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (uploaded_by) REFERENCES users(id)
+    )
+  `);
+
+  // Bancos muito antigos, anteriores a tags/descrição/dono
+  addColumn(db, 'files', 'tags', `TEXT DEFAULT ''`);
+  addColumn(db, 'files', 'description', `TEXT DEFAULT ''`);
+  addColumn(db, 'files', 'uploaded_by', 'INTEGER REFERENCES users(id)');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS file_downloads (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      file_id INTEGER NOT NULL,
+      downloaded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (file_id) REFERENCES files(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_files_uploaded_at ON files(uploaded_at DESC)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_files_file_type ON files(file_type)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_files_uploaded_by ON files(uploaded_by)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_files_stored_name ON files(stored_name)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_files_tags ON files(tags)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_users_username ON users(username)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_downloads_file_id ON file_downloads(file_id)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_downloads_date ON file_downloads(downloaded_at)`);
+}
+
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS file_downloads');
+  db.exec('DROP TABLE IF EXISTS files');
+  db.exec('DROP TABLE IF EXISTS users');
+}
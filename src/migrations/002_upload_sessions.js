@@ -0,0 +1,24 @@
+// Sessões de upload resumível (upload em partes)
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS upload_sessions (
+      id TEXT PRIMARY KEY,
+      original_name TEXT NOT NULL,
+      mime_type TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      tags TEXT DEFAULT '',
+      description TEXT DEFAULT '',
+      uploaded_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_upload_sessions_updated_at ON upload_sessions(updated_at)`);
+}
+
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS upload_sessions');
+}
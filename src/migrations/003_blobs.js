@@ -0,0 +1,21 @@
+// Blobs deduplicados: conteúdo físico compartilhado entre arquivos iguais (SHA-256)
+import { addColumn, dropColumn } from './helpers.js';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS blobs (
+      hash TEXT PRIMARY KEY,
+      size INTEGER NOT NULL,
+      ref_count INTEGER NOT NULL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  addColumn(db, 'files', 'blob_hash', 'TEXT');
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_files_blob_hash ON files(blob_hash)`);
+}
+
+export function down(db) {
+  dropColumn(db, 'files', 'blob_hash');
+  db.exec('DROP TABLE IF EXISTS blobs');
+}
@@ -0,0 +1,22 @@
+// Cotas de armazenamento por usuário e por função (NULL = herda do nível seguinte)
+import { addColumn, dropColumn } from './helpers.js';
+
+export function up(db) {
+  addColumn(db, 'users', 'quota_bytes', 'INTEGER');
+  addColumn(db, 'users', 'quota_files', 'INTEGER');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS role_quotas (
+      role TEXT PRIMARY KEY,
+      quota_bytes INTEGER,
+      quota_files INTEGER,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS role_quotas');
+  dropColumn(db, 'users', 'quota_files');
+  dropColumn(db, 'users', 'quota_bytes');
+}
@@ -0,0 +1,25 @@
+// API Keys por usuário (apenas o hash SHA-256 da chave é guardado)
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      key_hash TEXT UNIQUE NOT NULL,
+      key_prefix TEXT NOT NULL,
+      user_id INTEGER NOT NULL,
+      label TEXT NOT NULL,
+      scopes TEXT NOT NULL DEFAULT '',
+      expires_at DATETIME,
+      last_used_at DATETIME,
+      revoked_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id)`);
+}
+
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS api_keys');
+}
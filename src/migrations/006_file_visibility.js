@@ -0,0 +1,12 @@
+// Visibilidade dos arquivos (public/private), também guardada nas sessões de upload
+import { addColumn, dropColumn } from './helpers.js';
+
+export function up(db) {
+  addColumn(db, 'files', 'visibility', `TEXT DEFAULT 'public'`);
+  addColumn(db, 'upload_sessions', 'visibility', `TEXT DEFAULT 'public'`);
+}
+
+export function down(db) {
+  dropColumn(db, 'upload_sessions', 'visibility');
+  dropColumn(db, 'files', 'visibility');
+}
@@ -0,0 +1,10 @@
+// Chave da miniatura (WebP) no storage
+import { addColumn, dropColumn } from './helpers.js';
+
+export function up(db) {
+  addColumn(db, 'files', 'thumbnail_key', 'TEXT');
+}
+
+export function down(db) {
+  dropColumn(db, 'files', 'thumbnail_key');
+}
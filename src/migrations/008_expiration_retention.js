@@ -0,0 +1,28 @@
+// Expiração de arquivos (NULL = nunca expira) e políticas de retenção
+import { addColumn, dropColumn } from './helpers.js';
+
+export function up(db) {
+  addColumn(db, 'files', 'expires_at', 'DATETIME');
+  addColumn(db, 'upload_sessions', 'expires_at', 'DATETIME');
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_files_expires_at ON files(expires_at)`);
+
+  // Condições de uma política são combinadas com E
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS retention_policies (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      tag TEXT,
+      file_type TEXT,
+      min_age_days INTEGER,
+      unused_days INTEGER,
+      enabled INTEGER NOT NULL DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS retention_policies');
+  dropColumn(db, 'upload_sessions', 'expires_at');
+  dropColumn(db, 'files', 'expires_at');
+}
@@ -0,0 +1,15 @@
+// Lixeira (soft delete)
+import { addColumn, dropColumn } from './helpers.js';
+
+export function up(db) {
+  addColumn(db, 'files', 'deleted_at', 'DATETIME');
+  addColumn(db, 'files', 'deleted_by', 'INTEGER');
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_files_deleted_at ON files(deleted_at)`);
+}
+
+export function down(db) {
+  // Arquivos na lixeira voltariam a aparecer como ativos
+  db.exec('DELETE FROM files WHERE deleted_at IS NOT NULL');
+  dropColumn(db, 'files', 'deleted_by');
+  dropColumn(db, 'files', 'deleted_at');
+}
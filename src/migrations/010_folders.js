@@ -0,0 +1,26 @@
+// Pastas hierárquicas (parent_id NULL = pasta na raiz)
+import { addColumn, dropColumn } from './helpers.js';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS folders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      parent_id INTEGER REFERENCES folders(id),
+      owner_id INTEGER REFERENCES users(id),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  addColumn(db, 'files', 'folder_id', 'INTEGER REFERENCES folders(id)');
+  addColumn(db, 'upload_sessions', 'folder_id', 'INTEGER');
+
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_files_folder_id ON files(folder_id)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_folders_parent_id ON folders(parent_id)`);
+}
+
+export function down(db) {
+  dropColumn(db, 'upload_sessions', 'folder_id');
+  dropColumn(db, 'files', 'folder_id');
+  db.exec('DROP TABLE IF EXISTS folders');
+}
@@ -0,0 +1,54 @@
+// Tags normalizadas. A coluna files.tags continua como cópia desnormalizada
+// para exibição; a fonte de verdade passa a ser file_tags.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS tags (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS file_tags (
+      file_id INTEGER NOT NULL REFERENCES files(id),
+      tag_id INTEGER NOT NULL REFERENCES tags(id),
+      PRIMARY KEY (file_id, tag_id)
+    )
+  `);
+
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_file_tags_tag_id ON file_tags(tag_id)`);
+
+  // Migrar as tags em texto ("a, b,c") dos arquivos que ainda não têm associações
+  const files = db.prepare(`
+    SELECT id, tags FROM files
+    WHERE tags IS NOT NULL AND tags != ''
+      AND id NOT IN (SELECT DISTINCT file_id FROM file_tags)
+  `).all();
+
+  const insertTag = db.prepare('INSERT OR IGNORE INTO tags (name) VALUES (?)');
+  const getTag = db.prepare('SELECT id, name FROM tags WHERE name = ?');
+  const linkTag = db.prepare('INSERT OR IGNORE INTO file_tags (file_id, tag_id) VALUES (?, ?)');
+  const updateTags = db.prepare('UPDATE files SET tags = ? WHERE id = ?');
+
+  for (const file of files) {
+    const names = [];
+
+    for (const raw of file.tags.split(',')) {
+      const name = raw.trim();
+      if (!name) continue;
+
+      insertTag.run(name);
+      const tag = getTag.get(name);
+      if (linkTag.run(file.id, tag.id).changes > 0) names.push(tag.name);
+    }
+
+    updateTags.run(names.join(', '), file.id);
+  }
+}
+
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS file_tags');
+  db.exec('DROP TABLE IF EXISTS tags');
+}
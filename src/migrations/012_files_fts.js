@@ -0,0 +1,48 @@
+// Busca textual (FTS5) sobre nome, descrição e tags.
+// Tabela de conteúdo externo: o texto fica só em `files`, mantido em sincronia por triggers
+
+export function up(db) {
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS files_fts USING fts5(
+      original_name,
+      description,
+      tags,
+      content = 'files',
+      content_rowid = 'id',
+      tokenize = 'unicode61 remove_diacritics 2'
+    )
+  `);
+
+  db.exec(`
+    CREATE TRIGGER IF NOT EXISTS files_fts_insert AFTER INSERT ON files BEGIN
+      INSERT INTO files_fts (rowid, original_name, description, tags)
+      VALUES (new.id, new.original_name, new.description, new.tags);
+    END
+  `);
+
+  db.exec(`
+    CREATE TRIGGER IF NOT EXISTS files_fts_delete AFTER DELETE ON files BEGIN
+      INSERT INTO files_fts (files_fts, rowid, original_name, description, tags)
+      VALUES ('delete', old.id, old.original_name, old.description, old.tags);
+    END
+  `);
+
+  db.exec(`
+    CREATE TRIGGER IF NOT EXISTS files_fts_update AFTER UPDATE OF original_name, description, tags ON files BEGIN
+      INSERT INTO files_fts (files_fts, rowid, original_name, description, tags)
+      VALUES ('delete', old.id, old.original_name, old.description, old.tags);
+      INSERT INTO files_fts (rowid, original_name, description, tags)
+      VALUES (new.id, new.original_name, new.description, new.tags);
+    END
+  `);
+
+  // Indexar os arquivos que já estavam cadastrados
+  db.exec(`INSERT INTO files_fts (files_fts) VALUES ('rebuild')`);
+}
+
+export function down(db) {
+  db.exec('DROP TRIGGER IF EXISTS files_fts_update');
+  db.exec('DROP TRIGGER IF EXISTS files_fts_delete');
+  db.exec('DROP TRIGGER IF EXISTS files_fts_insert');
+  db.exec('DROP TABLE IF EXISTS files_fts');
+}
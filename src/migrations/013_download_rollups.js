@@ -0,0 +1,25 @@
+// Agregação diária de downloads: linhas brutas antigas de file_downloads são
+// compactadas em download_rollups (uma linha por arquivo por dia)
+import { addColumn, dropColumn } from './helpers.js';
+
+export function up(db) {
+  // Bytes enviados em cada download (menos que o tamanho do arquivo em requisições com Range)
+  addColumn(db, 'file_downloads', 'bytes', 'INTEGER');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS download_rollups (
+      file_id INTEGER NOT NULL,
+      day DATE NOT NULL,
+      count INTEGER NOT NULL DEFAULT 0,
+      bytes INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (file_id, day)
+    )
+  `);
+
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_download_rollups_day ON download_rollups(day)`);
+}
+
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS download_rollups');
+  dropColumn(db, 'file_downloads', 'bytes');
+}
@@ -0,0 +1,62 @@
+// Detalhes de cada download (origem, tipo de cliente, IP, país, Range)
+// e agregados diários quebrados por origem, cliente e país.
+// Nos agregados, '' representa "desconhecido" (NULL não funcionaria na chave primária).
+import { addColumn, dropColumn } from './helpers.js';
+
+const DETAIL_COLUMNS = ['referrer_host', 'client_type', 'client_ip', 'country', 'is_range'];
+
+export function up(db) {
+  addColumn(db, 'file_downloads', 'referrer_host', 'TEXT');
+  addColumn(db, 'file_downloads', 'client_type', 'TEXT');
+  addColumn(db, 'file_downloads', 'client_ip', 'TEXT');
+  addColumn(db, 'file_downloads', 'country', 'TEXT');
+  addColumn(db, 'file_downloads', 'is_range', 'INTEGER DEFAULT 0');
+
+  // A chave primária muda, então a tabela de agregados é recriada
+  db.exec(`
+    CREATE TABLE download_rollups_new (
+      file_id INTEGER NOT NULL,
+      day DATE NOT NULL,
+      referrer_host TEXT NOT NULL DEFAULT '',
+      client_type TEXT NOT NULL DEFAULT '',
+      country TEXT NOT NULL DEFAULT '',
+      count INTEGER NOT NULL DEFAULT 0,
+      range_count INTEGER NOT NULL DEFAULT 0,
+      bytes INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (file_id, day, referrer_host, client_type, country)
+    )
+  `);
+
+  db.exec(`
+    INSERT INTO download_rollups_new (file_id, day, count, bytes)
+    SELECT file_id, day, count, bytes FROM download_rollups
+  `);
+
+  db.exec('DROP TABLE download_rollups');
+  db.exec('ALTER TABLE download_rollups_new RENAME TO download_rollups');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_download_rollups_day ON download_rollups(day)');
+}
+
+export function down(db) {
+  db.exec(`
+    CREATE TABLE download_rollups_old (
+      file_id INTEGER NOT NULL,
+      day DATE NOT NULL,
+      count INTEGER NOT NULL DEFAULT 0,
+      bytes INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (file_id, day)
+    )
+  `);
+
+  db.exec(`
+    INSERT INTO download_rollups_old (file_id, day, count, bytes)
+    SELECT file_id, day, SUM(count), SUM(bytes) FROM download_rollups
+    GROUP BY file_id, day
+  `);
+
+  db.exec('DROP TABLE download_rollups');
+  db.exec('ALTER TABLE download_rollups_old RENAME TO download_rollups');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_download_rollups_day ON download_rollups(day)');
+
+  DETAIL_COLUMNS.forEach(column => dropColumn(db, 'file_downloads', column));
+}
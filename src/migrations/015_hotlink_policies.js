@@ -0,0 +1,21 @@
+// Políticas de hotlink do /download: global (file_id e tag NULL),
+// por tag ou por arquivo. A mais específica vence: arquivo > tag > global.
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS hotlink_policies (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      file_id INTEGER,
+      tag TEXT COLLATE NOCASE,
+      mode TEXT NOT NULL DEFAULT 'allowlist',
+      domains TEXT NOT NULL DEFAULT '',
+      allow_empty_referrer INTEGER NOT NULL DEFAULT 1,
+      placeholder INTEGER NOT NULL DEFAULT 1,
+      enabled INTEGER NOT NULL DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS hotlink_policies');
+}
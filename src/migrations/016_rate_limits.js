@@ -0,0 +1,19 @@
+// Estado do rate limit quando RATE_LIMIT_STORE=sqlite: uma linha por chave
+// (ex.: "download:1.2.3.4") com o estado do algoritmo em JSON. Permite que
+// várias instâncias no mesmo host compartilhem os limites e que eles
+// sobrevivam a reinícios.
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS rate_limits (
+      key TEXT PRIMARY KEY,
+      state TEXT NOT NULL,
+      expires_at INTEGER NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_rate_limits_expires ON rate_limits(expires_at);
+  `);
+}
+
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS rate_limits');
+}
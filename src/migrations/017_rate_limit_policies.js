@@ -0,0 +1,28 @@
+// Políticas de rate limit por rota ("download", "upload") para um usuário,
+// uma função (role) ou uma API Key. Sem política, vale o limite padrão da
+// rota do .env. max_requests = 0 libera sem limite.
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS rate_limit_policies (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      route TEXT NOT NULL,
+      user_id INTEGER,
+      role TEXT,
+      api_key_id INTEGER,
+      max_requests INTEGER NOT NULL,
+      window_seconds INTEGER NOT NULL,
+      algorithm TEXT,
+      enabled INTEGER NOT NULL DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (api_key_id) REFERENCES api_keys(id) ON DELETE CASCADE
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_rate_limit_policies_target
+      ON rate_limit_policies(route, COALESCE(user_id, 0), COALESCE(role, ''), COALESCE(api_key_id, 0));
+  `);
+}
+
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS rate_limit_policies');
+}
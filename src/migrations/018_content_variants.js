@@ -0,0 +1,20 @@
+// Variantes comprimidas (gzip/brotli) do conteúdo, gravadas ao lado do
+// original no storage (<chave>.gz / <chave>.br). Indexadas pela chave do
+// storage: arquivos deduplicados compartilham as variantes do blob.
+// stored = 0 registra que a compressão não compensou (variante não gravada).
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS content_variants (
+      content_key TEXT NOT NULL,
+      encoding TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      stored INTEGER NOT NULL DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (content_key, encoding)
+    )
+  `);
+}
+
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS content_variants');
+}
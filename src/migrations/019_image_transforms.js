@@ -0,0 +1,18 @@
+// Imagens derivadas por /download/:filename?w=&h=&fit=&format=&q=, gravadas no
+// storage em transforms/<chave do original>/<parâmetros>. Indexadas pela chave
+// do original: arquivos deduplicados compartilham as imagens do blob.
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS image_transforms (
+      content_key TEXT NOT NULL,
+      params TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (content_key, params)
+    )
+  `);
+}
+
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS image_transforms');
+}
@@ -0,0 +1,43 @@
+// Fila de transcodificação de vídeo (persistida para sobreviver a reinícios)
+// e versões (renditions) geradas para cada arquivo. Status dos jobs: queued,
+// running, done, skipped (original já compatível), failed ou canceled.
+// is_original = 1 indica que a versão é o próprio arquivo original.
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS transcode_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      file_id INTEGER NOT NULL,
+      profile TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'queued',
+      progress REAL NOT NULL DEFAULT 0,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      error TEXT,
+      requested_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      started_at DATETIME,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      finished_at DATETIME,
+      FOREIGN KEY (file_id) REFERENCES files(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_transcode_jobs_status ON transcode_jobs(status, id);
+    CREATE INDEX IF NOT EXISTS idx_transcode_jobs_file ON transcode_jobs(file_id);
+
+    CREATE TABLE IF NOT EXISTS file_renditions (
+      file_id INTEGER NOT NULL,
+      profile TEXT NOT NULL,
+      storage_key TEXT NOT NULL,
+      mime_type TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      is_original INTEGER NOT NULL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (file_id, profile),
+      FOREIGN KEY (file_id) REFERENCES files(id) ON DELETE CASCADE
+    );
+  `);
+}
+
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS file_renditions');
+  db.exec('DROP TABLE IF EXISTS transcode_jobs');
+}
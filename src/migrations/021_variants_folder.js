@@ -0,0 +1,25 @@
+// Variantes comprimidas passam a ficar em variants/<chave>.gz / .br. As
+// antigas, gravadas ao lado do original (<chave>.gz / <chave>.br), vão para
+// legacy_variant_keys e são apagadas do storage em segundo plano
+// (services/compression.js); os registros saem de content_variants e as
+// variantes são geradas de novo na pasta nova no próximo download.
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS legacy_variant_keys (
+      key TEXT PRIMARY KEY
+    )
+  `);
+
+  db.exec(`
+    INSERT OR IGNORE INTO legacy_variant_keys (key)
+    SELECT content_key || CASE encoding WHEN 'gzip' THEN '.gz' ELSE '.br' END
+    FROM content_variants
+    WHERE stored = 1
+  `);
+
+  db.exec('DELETE FROM content_variants');
+}
+
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS legacy_variant_keys');
+}
@@ -0,0 +1,39 @@
+// Utilitários usados pelas migrações
+// As primeiras migrações também rodam em bancos criados antes do sistema de
+// migrações, que já podem ter as colunas: por isso as verificações explícitas.
+
+/**
+ * Verificar se a tabela tem a coluna
+ */
+export function hasColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(col => col.name === column);
+}
+
+/**
+ * Adicionar coluna se ainda não existir. Retorna true se a coluna foi criada.
+ */
+export function addColumn(db, table, column, definition) {
+  if (hasColumn(db, table, column)) return false;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+/**
+ * Remover coluna (e os índices que a usam, que impediriam o DROP COLUMN)
+ */
+export function dropColumn(db, table, column) {
+  if (!hasColumn(db, table, column)) return false;
+
+  const indexes = db.prepare(`PRAGMA index_list(${table})`).all()
+    .filter(index => index.origin === 'c'); // Criados com CREATE INDEX
+
+  for (const index of indexes) {
+    const columns = db.prepare(`PRAGMA index_info(${index.name})`).all();
+    if (columns.some(col => col.name === column)) {
+      db.exec(`DROP INDEX ${index.name}`);
+    }
+  }
+
+  db.exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+  return true;
+}
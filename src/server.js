@@ -7,16 +7,39 @@ import fastifyCookie from '@fastify/cookie';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join, basename } from 'path';
-import { promises as fs } from 'fs';
-import { createWriteStream } from 'fs';
-import { pipeline } from 'stream/promises';
 import { randomBytes } from 'crypto';
-import { dbOperations } from './database.js';
-import { authMiddleware } from './middleware/auth.js';
+import { dbOperations, parseTagList, DOWNLOAD_DIMENSIONS, DOWNLOAD_BUCKETS, DOWNLOAD_RANKINGS } from './database.js';
+import { requireScope, getRequestUserId, getRequestUserRole } from './middleware/auth.js';
 import { requireAuth, requireAdmin } from './middleware/session.js';
-import { rateLimiter, uploadRateLimiter } from './middleware/rate-limiter.js';
-import { hotCacheMiddleware, getCacheStats } from './middleware/hot-cache.js';
+import { rateLimiter, uploadRateLimiter, transformRateLimiter, getRateLimitStats } from './middleware/rate-limiter.js';
+import { hotCacheMiddleware } from './middleware/hot-cache.js';
+import { getHotCacheStats, invalidateCachedFile, HOT_CACHE_MAX_BYTES } from './services/hot-cache.js';
+import { requireDownloadAccess } from './middleware/download-access.js';
+import { enforceHotlinkPolicy } from './middleware/hotlink.js';
+import { bandwidthLimiter } from './middleware/bandwidth.js';
 import { sendDiscordNotification } from './services/discord.js';
+import { createSession, getOffset, appendChunk, isSessionBusy, removeSession, getPartialPath } from './services/chunked-upload.js';
+import { ingestStream, ingestFile, acquireOwnedBlob, releaseBlob, removeFile, getFileKey } from './services/file-store.js';
+import { storage } from './services/storage/index.js';
+import { sendStoredFile } from './services/file-sender.js';
+import { runRetention } from './services/retention.js';
+import { purgeTrash, TRASH_RETENTION_DAYS } from './services/trash.js';
+import { compactDownloads, DOWNLOADS_RAW_DAYS, DOWNLOADS_HISTORY_DAYS } from './services/download-rollups.js';
+import { getDownloadDetails } from './services/download-tracking.js';
+import { throttleDownload, getBandwidthStats } from './services/bandwidth.js';
+import { fillDownloadSeries } from './services/download-series.js';
+import { createHotlinkPolicy, updateHotlinkPolicy, deleteHotlinkPolicy, formatHotlinkPolicy, HOTLINK_MODES } from './services/hotlink.js';
+import { createRateLimitPolicy, updateRateLimitPolicy, deleteRateLimitPolicy, formatRateLimitPolicy, RATE_LIMIT_ROUTES, RATE_LIMIT_ROLES } from './services/rate-limit/policies.js';
+import { RATE_LIMIT_ALGORITHMS } from './services/rate-limit/algorithms.js';
+import { createFolder, updateFolder, deleteFolder, canManageFolder, resolveTargetFolder, resolveFolderFilter, buildFolderTree, getFolderPath } from './services/folders.js';
+import { queueThumbnail, queueMissingThumbnails } from './services/thumbnails.js';
+import { queueCompression, resolveDownloadVariant, isCompressible } from './services/compression.js';
+import { hasImageTransform, parseImageTransform, getTransformedImage, createTransformedImage } from './services/image-transform.js';
+import { queueTranscode, requestTranscode, getTranscodeJob, cancelTranscodeJob, retryTranscodeJob, resolveRendition, formatTranscodeJob, formatRendition, getTranscodeStats, TRANSCODE_PROFILES } from './services/transcoder.js';
+import { createSignedQuery, SIGNED_URL_MAX_TTL } from './services/signed-url.js';
+import { resolveHlsFile, readHlsPlaylist } from './services/hls.js';
+import { API_KEY_SCOPES, ADMIN_ONLY_SCOPES, parseScopes, createApiKey, formatApiKey } from './services/api-keys.js';
+import { getQuotaStatus, assertQuota, createQuotaGuard, DEFAULT_QUOTA_BYTES, DEFAULT_QUOTA_FILES } from './services/quota.js';
 // Migração Discord removida (não utilizada) para economizar memória
 // import { migrateChannel } from './services/discord-migrator.js';
 
@@ -34,6 +57,7 @@ const SESSION_SECRET = process.env.SESSION_SECRET || 'your-secret-key-change-thi
 const DISCORD_WEBHOOK_URL = process.env.DISCORD_WEBHOOK_URL;
 const MAX_FILE_SIZE_MB = parseInt(process.env.MAX_FILE_SIZE_MB || '100');
 const ENABLE_HOT_CACHE = process.env.ENABLE_HOT_CACHE === 'true'; // Cache para arquivos populares
+const UPLOAD_CHUNK_MAX_MB = parseInt(process.env.UPLOAD_CHUNK_MAX_MB || '50'); // Tamanho máximo de cada parte no upload resumível
 
 // Criar instância do Fastify com logging otimizado
 const isProduction = process.env.NODE_ENV === 'production';
@@ -106,6 +130,12 @@ await fastify.register(fastifyMultipart, {
   attachFieldsToBody: false
 });
 
+// Corpo cru para partes de upload resumível (mesmo content-type do protocolo tus).
+// O stream é repassado ao handler sem bufferizar, então o bodyLimit não se aplica.
+fastify.addContentTypeParser('application/offset+octet-stream', (request, payload, done) => {
+  done(null, payload);
+});
+
 // Servir arquivos estáticos (UI)
 await fastify.register(fastifyStatic, {
   root: join(__dirname, '..', 'public'),
@@ -129,6 +159,159 @@ function getFileType(mimeType) {
   return 'other';
 }
 
+// Converter data de expiração recebida na API para o formato do SQLite (UTC)
+// Aceita `expiresInDays` (número de dias) ou `expiresAt` (data ISO). Retorna null (sem expiração) ou NaN (inválida)
+function parseExpiration({ expiresInDays, expiresAt } = {}) {
+  let date = null;
+
+  if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+    const days = Number(expiresInDays);
+    if (!Number.isFinite(days) || days <= 0) return NaN;
+    date = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  } else if (expiresAt) {
+    date = new Date(expiresAt);
+    if (Number.isNaN(date.getTime()) || date.getTime() <= Date.now()) return NaN;
+  }
+
+  return date ? date.toISOString().replace('T', ' ').slice(0, 19) : null;
+}
+
+// Validar visibilidade recebida na API (padrão: public). Retorna null se inválida
+function parseVisibility(value) {
+  if (value === undefined || value === null || value === '') return 'public';
+  return ['public', 'private'].includes(value) ? value : null;
+}
+
+// Quem está listando arquivos: privados só aparecem para o dono (ou admin)
+function getRequestViewer(request) {
+  return { userId: getRequestUserId(request), isAdmin: getRequestUserRole(request) === 'admin' };
+}
+
+// O arquivo pode ser visto por quem está pedindo? (privados: só dono ou admin)
+function canViewFile(file, viewer) {
+  return file.visibility !== 'private' || viewer.isAdmin || (viewer.userId !== null && file.uploaded_by === viewer.userId);
+}
+
+// Listagem de pastas: admin vê todas; os demais, só as próprias
+function getFolderOwnerFilter(request) {
+  return getRequestUserRole(request) === 'admin' ? null : getRequestUserId(request);
+}
+
+// Arquivo como sai na API: o hash do conteúdo fica só no servidor
+function toApiFile({ blob_hash, ...file }) {
+  return file;
+}
+
+// Converter valor de cota recebido na API (null/'' = herdar, inteiro >= 0 = limite)
+function parseQuotaValue(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : NaN;
+}
+
+// Gerar CSV (separador vírgula, textos entre aspas) a partir de linhas e colunas
+function toCsv(columns, rows) {
+  const escape = value => {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return String(value);
+    return `"${String(value).replace(/"/g, '""')}"`;
+  };
+
+  return [columns.join(','), ...rows.map(row => columns.map(col => escape(row[col])).join(','))].join('\n') + '\n';
+}
+
+// Nomes dos status HTTP usados nos erros lançados pelos serviços
+const HTTP_ERROR_NAMES = {
+  400: 'Bad Request',
+  403: 'Forbidden',
+  404: 'Not Found',
+  409: 'Conflict',
+  503: 'Service Unavailable'
+};
+
+// Resolver pasta de destino de um upload. Retorna a pasta, null (raiz)
+// ou false quando a pasta é inválida (a resposta de erro já foi enviada)
+function resolveUploadFolder(request, reply, value) {
+  try {
+    return resolveTargetFolder(value, getRequestUserId(request), getRequestUserRole(request));
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    reply.code(error.statusCode).send({
+      error: HTTP_ERROR_NAMES[error.statusCode],
+      message: error.message
+    });
+    return false;
+  }
+}
+
+// Registrar arquivo cujo conteúdo já foi gravado como blob (banco + notificação Discord)
+async function registerUploadedFile({ originalName, mimeType, blob, tags, description, uploadedBy, visibility = 'public', expiresAt = null, folderId = null }) {
+  const storedName = generateUniqueFileName(originalName);
+  const fileType = getFileType(mimeType);
+  const size = blob.size;
+
+  // URL de download
+  const downloadUrl = `${BASE_URL}/download/${storedName}`;
+
+  // Salvar no banco de dados (se falhar, devolver a referência do blob)
+  let fileId;
+  try {
+    fileId = dbOperations.insertFile({
+      originalName,
+      storedName,
+      fileType,
+      mimeType,
+      size,
+      downloadUrl,
+      tags,
+      description,
+      uploadedBy,
+      blobHash: blob.hash,
+      visibility,
+      expiresAt,
+      folderId
+    });
+  } catch (error) {
+    await releaseBlob(blob.hash);
+    throw error;
+  }
+
+  // Miniatura gerada em segundo plano (imagens e vídeos)
+  queueThumbnail({ id: fileId, stored_name: storedName, blob_hash: blob.hash, file_type: fileType });
+
+  // Variantes gzip/brotli de arquivos de texto, também em segundo plano
+  queueCompression({ stored_name: storedName, blob_hash: blob.hash, mime_type: mimeType, original_name: originalName, size });
+
+  // Versões de vídeo para o navegador do FiveM (fila persistida, se houver ffmpeg)
+  await queueTranscode({ id: fileId, file_type: fileType, size }, uploadedBy);
+
+  // Enviar notificação para Discord (arquivos privados não são anunciados)
+  if (visibility === 'public') {
+    await sendDiscordNotification(DISCORD_WEBHOOK_URL, {
+      originalName,
+      mimeType,
+      size,
+      downloadUrl
+    });
+  }
+
+  return {
+    id: fileId,
+    originalName,
+    storedName,
+    fileType,
+    mimeType,
+    size,
+    hash: blob.hash,
+    deduplicated: blob.deduplicated,
+    visibility,
+    expiresAt,
+    folderId,
+    downloadUrl,
+    uploadedAt: new Date().toISOString()
+  };
+}
+
 // ==================== ROTAS ====================
 
 // Rota de download com rastreamento explícito.
@@ -137,41 +320,186 @@ function getFileType(mimeType) {
 // não propagam de forma confiável para rotas de plugins estáticos registrados
 // com await fastify.register(). Uma rota direta (fastify.get) sempre herda
 // todos os hooks e middlewares do contexto raiz sem ambiguidade.
-const UPLOADS_DIR = join(__dirname, '..', 'config', 'uploads');
-
 fastify.get('/download/:filename', {
-  preHandler: ENABLE_HOT_CACHE ? [hotCacheMiddleware, rateLimiter] : rateLimiter
+  // Verificação de acesso e rate limit antes do hot cache: arquivos cacheados
+  // também exigem assinatura (se privados) e contam no limite
+  preHandler: ENABLE_HOT_CACHE
+    ? [requireDownloadAccess, enforceHotlinkPolicy, bandwidthLimiter, rateLimiter, hotCacheMiddleware]
+    : [requireDownloadAccess, enforceHotlinkPolicy, bandwidthLimiter, rateLimiter]
 }, async (request, reply) => {
   // basename() previne path traversal (e.g. ../../etc/passwd)
   const filename = basename(request.params.filename);
 
+  // Registro já carregado por requireDownloadAccess
+  const fileRecord = request.fileRecord;
+
+  // Versão de vídeo (?rendition=mp4), imagem redimensionada/convertida
+  // (?w=&h=&fit=&format=&q=) ou variante comprimida conforme o Accept-Encoding
+  // (null = original)
+  let variant;
+
+  try {
+    if (request.query.rendition !== undefined) {
+      variant = resolveRendition(fileRecord, request.query.rendition);
+    } else if (hasImageTransform(request.query)) {
+      const transform = parseImageTransform(request.query);
+      variant = getTransformedImage(fileRecord, transform);
+
+      // Gerar uma variante nova custa CPU: limite próprio, além do de downloads
+      if (!variant) {
+        await transformRateLimiter(request, reply);
+        if (reply.sent) return reply;
+
+        variant = await createTransformedImage(fileRecord, transform);
+      }
+    } else {
+      variant = resolveDownloadVariant(request, fileRecord);
+    }
+  } catch (error) {
+    if (error.statusCode) {
+      return reply.code(error.statusCode).send({
+        error: HTTP_ERROR_NAMES[error.statusCode],
+        message: error.message
+      });
+    }
+
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao preparar o download.'
+    });
+  }
+
   // Rastrear download de forma síncrona (better-sqlite3 é síncrono)
   try {
-    const fileRecord = dbOperations.getFileByStoredName(filename);
     if (fileRecord) {
-      dbOperations.recordDownload(fileRecord.id);
+      dbOperations.recordDownload(fileRecord.id, getDownloadDetails(request, fileRecord, variant));
     }
   } catch (e) {
     fastify.log.warn(`Erro ao rastrear download de "${filename}": ${e.message}`);
   }
 
-  // Servir o arquivo usando o sendFile do @fastify/static (suporta Range, ETag, etc.)
-  reply.header('Cache-Control', 'public, max-age=31536000, immutable');
+  // Arquivos privados não podem ficar em caches compartilhados (CDN/proxy)
+  reply.header('Cache-Control', fileRecord?.visibility === 'private'
+    ? 'private, no-store'
+    : 'public, max-age=31536000, immutable');
+  reply.header('Access-Control-Allow-Origin', '*');
+  if (fileRecord && !variant?.mimeType && isCompressible(fileRecord)) {
+    reply.header('Vary', 'Accept-Encoding');
+  }
+
+  const key = getFileKey(fileRecord);
+
+  // Stream com Range/ETag (file-sender.js) passando pelo limitador de banda.
+  // Blobs não têm extensão: o Content-Type vem do registro do arquivo
+  return sendStoredFile(request, reply, variant?.stored ? variant.key : key, {
+    mimeType: variant?.mimeType || fileRecord?.mime_type,
+    etag: variant?.etag || (fileRecord?.blob_hash ? `"${fileRecord.blob_hash}"` : undefined),
+    encoding: variant?.encoding,
+    compress: variant && !variant.stored ? variant.encoding : undefined,
+    wrapStream: stream => throttleDownload(request, stream)
+  });
+});
+
+// Enviar um arquivo do pacote HLS (variant null = master playlist).
+// Playlists são lidos e reescritos para repassar a assinatura; segmentos são
+// servidos do storage passando pelo limitador de banda.
+async function sendHlsFile(request, reply, variant, name) {
+  const fileRecord = request.fileRecord;
+  let target;
+  let playlist = null;
+
+  try {
+    target = resolveHlsFile(fileRecord, variant, name);
+
+    if (target.playlist && (await storage.stat(target.key))) {
+      playlist = await readHlsPlaylist(target.key, request.query);
+    }
+  } catch (error) {
+    if (error.statusCode) {
+      return reply.code(error.statusCode).send({
+        error: HTTP_ERROR_NAMES[error.statusCode],
+        message: error.message
+      });
+    }
+
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao preparar o stream.'
+    });
+  }
+
+  if (target.playlist && playlist === null) {
+    return reply.callNotFound();
+  }
+
+  reply.header('Cache-Control', fileRecord.visibility === 'private'
+    ? 'private, no-store'
+    : 'public, max-age=31536000, immutable');
   reply.header('Access-Control-Allow-Origin', '*');
 
-  return reply.sendFile(filename, UPLOADS_DIR);
+  if (playlist !== null) {
+    return reply.type(target.mimeType).send(playlist);
+  }
+
+  return sendStoredFile(request, reply, target.key, {
+    mimeType: target.mimeType,
+    wrapStream: stream => throttleDownload(request, stream)
+  });
+}
+
+// Streaming HLS de vídeos longos: mesmo controle de acesso, hotlink, banda e
+// rate limit do /download (cada playlist e segmento conta como uma requisição)
+const streamPreHandler = [requireDownloadAccess, enforceHotlinkPolicy, bandwidthLimiter, rateLimiter];
+
+fastify.get('/stream/:id/master.m3u8', {
+  preHandler: streamPreHandler
+}, async (request, reply) => sendHlsFile(request, reply, null, 'master.m3u8'));
+
+fastify.get('/stream/:id/:variant/:segment', {
+  preHandler: streamPreHandler
+}, async (request, reply) => sendHlsFile(request, reply, request.params.variant, request.params.segment));
+
+// Miniatura de um arquivo (WebP). Mesmo controle de acesso, hotlink, banda e
+// rate limit do download
+fastify.get('/thumb/:filename', {
+  preHandler: [requireDownloadAccess, enforceHotlinkPolicy, bandwidthLimiter, rateLimiter]
+}, async (request, reply) => {
+  const fileRecord = request.fileRecord;
+
+  if (!fileRecord || !fileRecord.thumbnail_key) {
+    return reply.code(404).send({
+      error: 'Not Found',
+      message: 'Miniatura não disponível.'
+    });
+  }
+
+  reply.header('Cache-Control', fileRecord.visibility === 'private'
+    ? 'private, no-store'
+    : 'public, max-age=31536000, immutable');
+
+  // Passa pelo limitador de banda como o download
+  return sendStoredFile(request, reply, fileRecord.thumbnail_key, {
+    mimeType: 'image/webp',
+    wrapStream: stream => throttleDownload(request, stream)
+  });
 });
 
 // Rota de health check
 fastify.get('/api/health', async (request, reply) => {
   const stats = dbOperations.getStats();
-  const cacheStats = ENABLE_HOT_CACHE ? getCacheStats() : null;
+  const cacheStats = ENABLE_HOT_CACHE ? getHotCacheStats() : null;
 
   return {
     status: 'ok',
     uptime: process.uptime(),
     stats,
-    cache: cacheStats
+    storage: storage.name,
+    cache: cacheStats,
+    bandwidth: getBandwidthStats(),
+    rateLimit: await getRateLimitStats(),
+    transcode: getTranscodeStats()
   };
 });
 
@@ -259,7 +587,8 @@ fastify.get('/api/auth/me', {
         id: user.id,
         username: user.username,
         role: user.role
-      }
+      },
+      usage: getQuotaStatus(user.id)
     };
   } catch (error) {
     fastify.log.error(error);
@@ -478,378 +807,2500 @@ fastify.patch('/api/users/:id/reset-password', {
   }
 });
 
-// Rota de upload (protegida por autenticação de usuário ou API Key)
-fastify.post('/api/upload', {
-  preHandler: [
-    uploadRateLimiter,
-    async function(request, reply) {
-      // Verificar se tem API Key (para integração externa)
-      const apiKey = request.headers['x-api-key'] || request.query.apiKey;
-      if (apiKey === API_KEY) {
-        return; // API Key válida, continuar
-      }
-
-      // Caso contrário, verificar autenticação de usuário
-      return requireAuth(request, reply, () => {});
-    }
-  ]
+// Definir cota de um usuário (apenas admin). Valores null voltam a herdar da função.
+fastify.patch('/api/users/:id/quota', {
+  preHandler: requireAdmin
 }, async (request, reply) => {
   try {
-    const data = await request.file();
+    const { id } = request.params;
+    const quotaBytes = parseQuotaValue(request.body?.quotaBytes);
+    const quotaFiles = parseQuotaValue(request.body?.quotaFiles);
 
-    if (!data) {
+    if (Number.isNaN(quotaBytes) || Number.isNaN(quotaFiles)) {
       return reply.code(400).send({
         error: 'Bad Request',
-        message: 'Nenhum arquivo fornecido.'
+        message: 'quotaBytes e quotaFiles devem ser inteiros não negativos ou null.'
       });
     }
 
-    const originalName = data.filename;
-    const mimeType = data.mimetype;
-    const storedName = generateUniqueFileName(originalName);
-    const fileType = getFileType(mimeType);
-    const uploadPath = join(__dirname, '..', 'config', 'uploads', storedName);
-
-    // Extrair tags e description dos fields
-    const tags = data.fields?.tags?.value || '';
-    const description = data.fields?.description?.value || '';
-
-    // Pegar ID do usuário logado (se houver)
-    const uploadedBy = request.session.userId || null;
-
-    // Log para debug
-    fastify.log.info(`Recebendo arquivo: ${originalName}, MIME: ${mimeType}, Encoding: ${data.encoding}, Usuario: ${uploadedBy}`);
-
-    // Salvar arquivo diretamente, sem transformações
-    const writeStream = createWriteStream(uploadPath, {
-      flags: 'w',
-      encoding: 'binary'
-    });
-
-    await pipeline(data.file, writeStream);
-
-    // Obter tamanho do arquivo
-    const stats = await fs.stat(uploadPath);
-    const fileSize = stats.size;
-
-    // URL de download
-    const downloadUrl = `${BASE_URL}/download/${storedName}`;
+    const user = dbOperations.getUserById(id);
 
-    // Salvar no banco de dados
-    const fileId = dbOperations.insertFile({
-      originalName,
-      storedName,
-      fileType,
-      mimeType,
-      size: fileSize,
-      downloadUrl,
-      tags,
-      description,
-      uploadedBy
-    });
+    if (!user) {
+      return reply.code(404).send({
+        error: 'Not Found',
+        message: 'Usuário não encontrado.'
+      });
+    }
 
-    // Enviar notificação para Discord
-    await sendDiscordNotification(DISCORD_WEBHOOK_URL, {
-      originalName,
-      mimeType,
-      size: fileSize,
-      downloadUrl
-    });
+    dbOperations.setUserQuota(id, quotaBytes, quotaFiles);
 
-    return reply.code(201).send({
+    return {
       success: true,
-      message: 'Arquivo enviado com sucesso!',
-      file: {
-        id: fileId,
-        originalName,
-        storedName,
-        fileType,
-        mimeType,
-        size: fileSize,
-        downloadUrl,
-        uploadedAt: new Date().toISOString()
-      }
-    });
+      message: `Cota do usuário ${user.username} atualizada com sucesso!`,
+      usage: getQuotaStatus(user.id)
+    };
   } catch (error) {
     fastify.log.error(error);
     return reply.code(500).send({
       error: 'Internal Server Error',
-      message: 'Erro ao fazer upload do arquivo.',
-      details: error.message
+      message: 'Erro ao atualizar cota.'
     });
   }
 });
 
-// Listar todos os arquivos (com paginação)
-fastify.get('/api/files', async (request, reply) => {
+// Listar cotas por função (apenas admin)
+fastify.get('/api/quotas/roles', {
+  preHandler: requireAdmin
+}, async (request, reply) => {
   try {
-    const limit = parseInt(request.query.limit) || 100;
-    const offset = parseInt(request.query.offset) || 0;
-
-    // Validar limites
-    const validLimit = Math.min(Math.max(limit, 1), 500); // Máximo 500 por página
-    const validOffset = Math.max(offset, 0);
-
-    const files = dbOperations.getAllFiles(validLimit, validOffset);
-    const total = dbOperations.countAllFiles();
-
+    const roles = dbOperations.getRoleQuotas();
     return {
       success: true,
-      count: files.length,
-      total,
-      limit: validLimit,
-      offset: validOffset,
-      hasMore: (validOffset + validLimit) < total,
-      files
+      roles,
+      defaults: {
+        quotaBytes: DEFAULT_QUOTA_BYTES,
+        quotaFiles: DEFAULT_QUOTA_FILES
+      }
     };
   } catch (error) {
     fastify.log.error(error);
     return reply.code(500).send({
       error: 'Internal Server Error',
-      message: 'Erro ao buscar arquivos.'
+      message: 'Erro ao buscar cotas.'
     });
   }
 });
 
-// Buscar arquivo por ID
-fastify.get('/api/files/:id', async (request, reply) => {
+// Definir cota de uma função (apenas admin). Vale para todos os usuários da função sem cota própria.
+fastify.patch('/api/quotas/roles/:role', {
+  preHandler: requireAdmin
+}, async (request, reply) => {
   try {
-    const { id } = request.params;
-    const file = dbOperations.getFileById(id);
+    const { role } = request.params;
+    const quotaBytes = parseQuotaValue(request.body?.quotaBytes);
+    const quotaFiles = parseQuotaValue(request.body?.quotaFiles);
 
-    if (!file) {
-      return reply.code(404).send({
-        error: 'Not Found',
-        message: 'Arquivo não encontrado.'
+    if (!['user', 'admin'].includes(role)) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'Função inválida. Use "user" ou "admin".'
+      });
+    }
+
+    if (Number.isNaN(quotaBytes) || Number.isNaN(quotaFiles)) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'quotaBytes e quotaFiles devem ser inteiros não negativos ou null.'
       });
     }
 
+    dbOperations.setRoleQuota(role, quotaBytes, quotaFiles);
+
     return {
       success: true,
-      file
+      message: `Cota da função ${role} atualizada com sucesso!`,
+      quota: dbOperations.getRoleQuota(role)
     };
   } catch (error) {
     fastify.log.error(error);
     return reply.code(500).send({
       error: 'Internal Server Error',
-      message: 'Erro ao buscar arquivo.'
+      message: 'Erro ao atualizar cota.'
     });
   }
 });
 
-// Deletar arquivo (requer autenticação)
-fastify.delete('/api/files/:id', {
-  preHandler: requireAuth
-}, async (request, reply) => {
-  try {
-    const { id } = request.params;
-    const file = dbOperations.getFileById(id);
+// ==================== API KEYS ====================
 
-    if (!file) {
-      return reply.code(404).send({
-        error: 'Not Found',
-        message: 'Arquivo não encontrado.'
-      });
-    }
+// Criar API Key para um usuário a partir do corpo da requisição
+// (requesterRole: função de quem cria; alguns escopos só admin concede)
+function handleCreateApiKey(userId, body, reply, requesterRole) {
+  const label = String(body?.label || '').trim();
+  const scopes = parseScopes(body?.scopes);
+  const expiresAt = parseExpiration(body);
 
-    // Verificar permissões: admin pode deletar qualquer arquivo, usuário comum só seus próprios
-    const isAdmin = request.session.userRole === 'admin';
-    const isOwner = file.uploaded_by === request.session.userId;
+  if (!label) {
+    return reply.code(400).send({
+      error: 'Bad Request',
+      message: 'Informe um nome (label) para a API Key.'
+    });
+  }
 
-    if (!isAdmin && !isOwner) {
-      return reply.code(403).send({
-        error: 'Forbidden',
-        message: 'Você não tem permissão para deletar este arquivo.'
-      });
-    }
+  if (!scopes || scopes.length === 0) {
+    return reply.code(400).send({
+      error: 'Bad Request',
+      message: `Escopos inválidos. Use um ou mais de: ${API_KEY_SCOPES.join(', ')}.`
+    });
+  }
 
-    // Deletar arquivo físico
-    const filePath = join(__dirname, '..', 'config', 'uploads', file.stored_name);
-    try {
-      await fs.unlink(filePath);
-    } catch (err) {
-      fastify.log.warn(`Arquivo físico não encontrado: ${filePath}`);
-    }
+  if (requesterRole !== 'admin' && scopes.some(scope => ADMIN_ONLY_SCOPES.includes(scope))) {
+    return reply.code(403).send({
+      error: 'Forbidden',
+      message: `Apenas administradores podem conceder os escopos: ${ADMIN_ONLY_SCOPES.join(', ')}.`
+    });
+  }
+
+  if (Number.isNaN(expiresAt)) {
+    return reply.code(400).send({
+      error: 'Bad Request',
+      message: 'Data de expiração inválida.'
+    });
+  }
 
-    // Deletar do banco de dados
-    dbOperations.deleteFile(id);
+  const { key, apiKey } = createApiKey({ userId, label, scopes, expiresAt });
+
+  return reply.code(201).send({
+    success: true,
+    message: 'API Key criada com sucesso! Guarde a chave, ela não será exibida novamente.',
+    key,
+    apiKey
+  });
+}
 
+// Listar minhas API Keys
+fastify.get('/api/keys', {
+  preHandler: requireAuth
+}, async (request, reply) => {
+  try {
+    const keys = dbOperations.getApiKeysByUser(request.session.userId).map(formatApiKey);
     return {
       success: true,
-      message: 'Arquivo deletado com sucesso!'
+      count: keys.length,
+      keys
     };
   } catch (error) {
     fastify.log.error(error);
     return reply.code(500).send({
       error: 'Internal Server Error',
-      message: 'Erro ao deletar arquivo.'
+      message: 'Erro ao buscar API Keys.'
     });
   }
 });
 
-// Estatísticas
-fastify.get('/api/stats', async (request, reply) => {
+// Criar API Key para o usuário logado
+fastify.post('/api/keys', {
+  preHandler: requireAuth
+}, async (request, reply) => {
   try {
-    const stats = dbOperations.getStats();
-    return {
-      success: true,
-      stats
-    };
+    return handleCreateApiKey(request.session.userId, request.body, reply, request.session.userRole);
   } catch (error) {
     fastify.log.error(error);
     return reply.code(500).send({
       error: 'Internal Server Error',
-      message: 'Erro ao buscar estatísticas.'
+      message: 'Erro ao criar API Key.'
     });
   }
 });
 
-// Buscar/filtrar arquivos (com paginação)
-fastify.get('/api/search', async (request, reply) => {
+// Revogar API Key (dono ou admin)
+fastify.delete('/api/keys/:id', {
+  preHandler: requireAuth
+}, async (request, reply) => {
   try {
-    const { fileType, tag, search, startDate, endDate, limit, offset } = request.query;
+    const apiKey = dbOperations.getApiKeyById(request.params.id);
+    const isAdmin = request.session.userRole === 'admin';
+
+    if (!apiKey || (!isAdmin && apiKey.user_id !== request.session.userId)) {
+      return reply.code(404).send({
+        error: 'Not Found',
+        message: 'API Key não encontrada.'
+      });
+    }
+
+    dbOperations.revokeApiKey(apiKey.id);
+
+    return {
+      success: true,
+      message: `API Key "${apiKey.label}" revogada com sucesso!`
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao revogar API Key.'
+    });
+  }
+});
+
+// Listar API Keys de um usuário (apenas admin)
+fastify.get('/api/users/:id/keys', {
+  preHandler: requireAdmin
+}, async (request, reply) => {
+  try {
+    const user = dbOperations.getUserById(request.params.id);
+
+    if (!user) {
+      return reply.code(404).send({
+        error: 'Not Found',
+        message: 'Usuário não encontrado.'
+      });
+    }
+
+    const keys = dbOperations.getApiKeysByUser(user.id).map(formatApiKey);
+    return {
+      success: true,
+      count: keys.length,
+      keys
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao buscar API Keys.'
+    });
+  }
+});
+
+// Criar API Key para um usuário (apenas admin). Ex.: uma chave por servidor FiveM ou bot
+fastify.post('/api/users/:id/keys', {
+  preHandler: requireAdmin
+}, async (request, reply) => {
+  try {
+    const user = dbOperations.getUserById(request.params.id);
+
+    if (!user) {
+      return reply.code(404).send({
+        error: 'Not Found',
+        message: 'Usuário não encontrado.'
+      });
+    }
+
+    return handleCreateApiKey(user.id, request.body, reply, 'admin');
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao criar API Key.'
+    });
+  }
+});
+
+// Rota de upload (protegida por autenticação de usuário ou API Key)
+fastify.post('/api/upload', {
+  preHandler: [uploadRateLimiter, requireScope('upload')]
+}, async (request, reply) => {
+  try {
+    // Pegar ID do usuário logado ou dono da API Key (se houver)
+    const uploadedBy = getRequestUserId(request);
+
+    // Verificar cota antes de começar a receber o arquivo
+    const quota = assertQuota(uploadedBy);
+
+    const data = await request.file();
+
+    if (!data) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'Nenhum arquivo fornecido.'
+      });
+    }
+
+    const originalName = data.filename;
+    const mimeType = data.mimetype;
+
+    // Extrair tags e description dos fields
+    const tags = data.fields?.tags?.value || '';
+    const description = data.fields?.description?.value || '';
+    const visibility = parseVisibility(data.fields?.visibility?.value);
+    const expiresAt = parseExpiration({
+      expiresInDays: data.fields?.expiresInDays?.value,
+      expiresAt: data.fields?.expiresAt?.value
+    });
+
+    if (!visibility) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'Visibilidade inválida. Use "public" ou "private".'
+      });
+    }
+
+    if (Number.isNaN(expiresAt)) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'Data de expiração inválida.'
+      });
+    }
+
+    const folder = resolveUploadFolder(request, reply, data.fields?.folderId?.value);
+    if (folder === false) {
+      data.file.resume(); // Descartar o conteúdo não lido
+      return reply;
+    }
+
+    // Log para debug
+    fastify.log.info(`Recebendo arquivo: ${originalName}, MIME: ${mimeType}, Encoding: ${data.encoding}, Usuario: ${uploadedBy}`);
+
+    // Salvar arquivo sem transformações, calculando o hash durante a escrita.
+    // Com cota de bytes, o stream é abortado assim que o limite seria excedido.
+    const blob = await ingestStream(data.file, {
+      transforms: quota && quota.quotaBytes !== null ? [createQuotaGuard(quota)] : []
+    });
+
+    const file = await registerUploadedFile({
+      originalName,
+      mimeType,
+      blob,
+      tags,
+      description,
+      uploadedBy,
+      visibility,
+      expiresAt,
+      folderId: folder?.id ?? null
+    });
+
+    return reply.code(201).send({
+      success: true,
+      message: 'Arquivo enviado com sucesso!',
+      file
+    });
+  } catch (error) {
+    if (error.code === 'QUOTA_EXCEEDED') {
+      return reply.code(413).send({
+        error: 'Payload Too Large',
+        message: error.message
+      });
+    }
+
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao fazer upload do arquivo.',
+      details: error.message
+    });
+  }
+});
+
+// ==================== UPLOAD RESUMÍVEL ====================
+// Protocolo em três etapas para arquivos grandes em conexões instáveis:
+//   1. POST   /api/upload/sessions      -> cria a sessão e retorna o uploadId
+//   2. PATCH  /api/upload/sessions/:id  -> envia uma parte a partir do header Upload-Offset
+//   3. GET/HEAD /api/upload/sessions/:id -> consulta o offset atual para retomar após queda
+// Quando o último byte chega o arquivo é registrado automaticamente.
+
+// Buscar sessão e validar se pertence a quem está chamando
+function loadUploadSession(request, reply) {
+  const session = dbOperations.getUploadSession(request.params.id);
+
+  if (!session) {
+    reply.code(404).send({
+      error: 'Not Found',
+      message: 'Sessão de upload não encontrada ou expirada.'
+    });
+    return null;
+  }
+
+  const requesterId = getRequestUserId(request);
+  if (session.uploaded_by !== requesterId) {
+    reply.code(403).send({
+      error: 'Forbidden',
+      message: 'Você não tem permissão para acessar esta sessão de upload.'
+    });
+    return null;
+  }
+
+  return session;
+}
+
+// Iniciar upload resumível
+fastify.post('/api/upload/sessions', {
+  preHandler: [uploadRateLimiter, requireScope('upload')]
+}, async (request, reply) => {
+  try {
+    const { filename, size, mimeType, tags, description } = request.body || {};
+    const fileSize = parseInt(size);
+    const visibility = parseVisibility(request.body?.visibility);
+    const expiresAt = parseExpiration(request.body);
+
+    if (!filename || !Number.isInteger(fileSize) || fileSize <= 0) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'filename e size (em bytes) são obrigatórios.'
+      });
+    }
+
+    if (!visibility) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'Visibilidade inválida. Use "public" ou "private".'
+      });
+    }
+
+    if (Number.isNaN(expiresAt)) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'Data de expiração inválida.'
+      });
+    }
+
+    if (fileSize > MAX_FILE_SIZE_MB * 1024 * 1024) {
+      return reply.code(413).send({
+        error: 'Payload Too Large',
+        message: `O arquivo excede o tamanho máximo de ${MAX_FILE_SIZE_MB}MB.`
+      });
+    }
+
+    const folder = resolveUploadFolder(request, reply, request.body?.folderId);
+    if (folder === false) return reply;
+
+    // A sessão reserva o tamanho total na cota (413 se não couber)
+    const session = await createSession({
+      originalName: basename(filename),
+      mimeType: mimeType || 'application/octet-stream',
+      size: fileSize,
+      tags: tags || '',
+      description: description || '',
+      uploadedBy: getRequestUserId(request),
+      visibility,
+      expiresAt,
+      folderId: folder?.id ?? null
+    });
+
+    reply.header('Upload-Offset', 0);
+    reply.header('Upload-Length', session.size);
+
+    return reply.code(201).send({
+      success: true,
+      uploadId: session.id,
+      offset: 0,
+      size: session.size,
+      chunkSize: UPLOAD_CHUNK_MAX_MB * 1024 * 1024
+    });
+  } catch (error) {
+    if (error.code === 'QUOTA_EXCEEDED') {
+      return reply.code(413).send({
+        error: 'Payload Too Large',
+        message: error.message
+      });
+    }
+
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao iniciar upload.'
+    });
+  }
+});
+
+// Consultar offset atual (também responde a HEAD)
+fastify.get('/api/upload/sessions/:id', {
+  preHandler: requireScope('upload')
+}, async (request, reply) => {
+  try {
+    const session = loadUploadSession(request, reply);
+    if (!session) return reply;
+
+    const offset = await getOffset(session.id);
+
+    reply.header('Upload-Offset', offset);
+    reply.header('Upload-Length', session.size);
+    reply.header('Cache-Control', 'no-store');
+
+    return {
+      success: true,
+      uploadId: session.id,
+      originalName: session.original_name,
+      offset,
+      size: session.size,
+      busy: isSessionBusy(session.id)
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao consultar sessão de upload.'
+    });
+  }
+});
+
+// Enviar uma parte
+fastify.patch('/api/upload/sessions/:id', {
+  preHandler: requireScope('upload')
+}, async (request, reply) => {
+  const session = loadUploadSession(request, reply);
+  if (!session) return reply;
+
+  if (request.headers['content-type'] !== 'application/offset+octet-stream') {
+    return reply.code(415).send({
+      error: 'Unsupported Media Type',
+      message: 'Use Content-Type: application/offset+octet-stream.'
+    });
+  }
+
+  const offset = parseInt(request.headers['upload-offset']);
+  if (!Number.isInteger(offset) || offset < 0) {
+    return reply.code(400).send({
+      error: 'Bad Request',
+      message: 'Header Upload-Offset é obrigatório.'
+    });
+  }
+
+  let newOffset;
+  try {
+    newOffset = await appendChunk(session, offset, request.body, UPLOAD_CHUNK_MAX_MB * 1024 * 1024);
+  } catch (error) {
+    const currentOffset = error.offset ?? await getOffset(session.id);
+    reply.header('Upload-Offset', currentOffset);
+
+    if (error.statusCode) {
+      return reply.code(error.statusCode).send({
+        error: error.statusCode === 409 ? 'Conflict' : error.statusCode === 423 ? 'Locked' : 'Payload Too Large',
+        message: error.message,
+        offset: currentOffset
+      });
+    }
+
+    // Conexão interrompida: os bytes recebidos ficam salvos para retomar
+    fastify.log.warn(`Parte interrompida na sessão ${session.id}: ${error.message}`);
+    return reply.code(400).send({
+      error: 'Bad Request',
+      message: 'Envio da parte interrompido. Consulte o offset e retome.',
+      offset: currentOffset
+    });
+  }
+
+  reply.header('Upload-Offset', newOffset);
+
+  if (newOffset < session.size) {
+    return {
+      success: true,
+      uploadId: session.id,
+      offset: newOffset,
+      size: session.size,
+      complete: false
+    };
+  }
+
+  // Último byte recebido: mover para o armazenamento de blobs e registrar
+  try {
+    // A cota pode ter sido reduzida desde a criação da sessão (a reserva da
+    // própria sessão não conta de novo)
+    try {
+      assertQuota(session.uploaded_by, session.size, { excludeSessionId: session.id });
+    } catch (error) {
+      if (error.code !== 'QUOTA_EXCEEDED') throw error;
+      await removeSession(session.id);
+      return reply.code(413).send({
+        error: 'Payload Too Large',
+        message: error.message
+      });
+    }
+
+    const blob = await ingestFile(getPartialPath(session.id));
+    dbOperations.deleteUploadSession(session.id);
+
+    const file = await registerUploadedFile({
+      originalName: session.original_name,
+      mimeType: session.mime_type,
+      blob,
+      tags: session.tags,
+      description: session.description,
+      uploadedBy: session.uploaded_by,
+      visibility: session.visibility,
+      expiresAt: session.expires_at,
+      // A pasta pode ter sido deletada enquanto o upload estava em andamento
+      folderId: session.folder_id && dbOperations.getFolderById(session.folder_id) ? session.folder_id : null
+    });
+
+    return reply.code(201).send({
+      success: true,
+      message: 'Arquivo enviado com sucesso!',
+      complete: true,
+      file
+    });
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao finalizar upload do arquivo.',
+      details: error.message
+    });
+  }
+});
+
+// Cancelar upload resumível
+fastify.delete('/api/upload/sessions/:id', {
+  preHandler: requireScope('upload')
+}, async (request, reply) => {
+  try {
+    const session = loadUploadSession(request, reply);
+    if (!session) return reply;
+
+    if (isSessionBusy(session.id)) {
+      return reply.code(423).send({
+        error: 'Locked',
+        message: 'A sessão está recebendo uma parte neste momento.'
+      });
+    }
+
+    await removeSession(session.id);
+
+    return {
+      success: true,
+      message: 'Upload cancelado.'
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao cancelar upload.'
+    });
+  }
+});
+
+// ==================== DEDUPLICAÇÃO ====================
+
+// Verificar se um conteúdo (SHA-256) já existe entre os arquivos do usuário antes de enviar
+fastify.get('/api/blobs/:hash', {
+  preHandler: requireScope('upload')
+}, async (request, reply) => {
+  try {
+    const hash = String(request.params.hash).toLowerCase();
+    const userId = getRequestUserId(request);
+    // Conteúdo de outros usuários não é revelado (nem a existência)
+    const blob = /^[a-f0-9]{64}$/.test(hash) && userId !== null && dbOperations.userHasBlob(userId, hash)
+      ? dbOperations.getBlob(hash)
+      : null;
+
+    return {
+      success: true,
+      hash,
+      exists: Boolean(blob),
+      size: blob ? blob.size : null
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao verificar conteúdo.'
+    });
+  }
+});
+
+// Registrar um novo arquivo a partir de um conteúdo já existente (sem reenviar os bytes)
+fastify.post('/api/upload/from-hash', {
+  preHandler: [uploadRateLimiter, requireScope('upload')]
+}, async (request, reply) => {
+  try {
+    const { hash, filename, mimeType, tags, description } = request.body || {};
+    const normalizedHash = String(hash || '').toLowerCase();
+    const visibility = parseVisibility(request.body?.visibility);
+    const expiresAt = parseExpiration(request.body);
+
+    if (!filename || !/^[a-f0-9]{64}$/.test(normalizedHash)) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'hash (SHA-256) e filename são obrigatórios.'
+      });
+    }
+
+    if (!visibility) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'Visibilidade inválida. Use "public" ou "private".'
+      });
+    }
+
+    if (Number.isNaN(expiresAt)) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'Data de expiração inválida.'
+      });
+    }
+
+    const folder = resolveUploadFolder(request, reply, request.body?.folderId);
+    if (folder === false) return reply;
+
+    // Só reaproveita conteúdo de arquivos do próprio usuário (busca e referência sob o lock do blob)
+    const blob = await acquireOwnedBlob(normalizedHash, getRequestUserId(request));
+    if (!blob) {
+      return reply.code(404).send({
+        error: 'Not Found',
+        message: 'Conteúdo não encontrado entre os seus arquivos. Envie o arquivo normalmente.'
+      });
+    }
+
+    try {
+      assertQuota(getRequestUserId(request), blob.size);
+    } catch (error) {
+      await releaseBlob(blob.hash);
+      if (error.code !== 'QUOTA_EXCEEDED') throw error;
+      return reply.code(413).send({
+        error: 'Payload Too Large',
+        message: error.message
+      });
+    }
+
+    const file = await registerUploadedFile({
+      originalName: basename(filename),
+      mimeType: mimeType || 'application/octet-stream',
+      blob,
+      tags: tags || '',
+      description: description || '',
+      uploadedBy: getRequestUserId(request),
+      visibility,
+      expiresAt,
+      folderId: folder?.id ?? null
+    });
+
+    return reply.code(201).send({
+      success: true,
+      message: 'Arquivo registrado com sucesso!',
+      file
+    });
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao registrar arquivo.'
+    });
+  }
+});
+
+// Listar todos os arquivos (com paginação).
+// ?folderId=<id|root> lista uma pasta; &recursive=true inclui as subpastas
+fastify.get('/api/files', async (request, reply) => {
+  try {
+    const limit = parseInt(request.query.limit) || 100;
+    const offset = parseInt(request.query.offset) || 0;
+
+    // Validar limites
+    const validLimit = Math.min(Math.max(limit, 1), 500); // Máximo 500 por página
+    const validOffset = Math.max(offset, 0);
+
+    let files;
+    let total;
+
+    if (request.query.folderId !== undefined) {
+      const filters = {
+        folderIds: resolveFolderFilter(request.query.folderId, request.query.recursive === 'true'),
+        viewer: getRequestViewer(request),
+        limit: validLimit,
+        offset: validOffset
+      };
+      files = dbOperations.searchFiles(filters);
+      total = dbOperations.countSearchFiles(filters);
+    } else {
+      files = dbOperations.getAllFiles(validLimit, validOffset, getRequestViewer(request));
+      total = dbOperations.countAllFiles(getRequestViewer(request));
+    }
+
+    return {
+      success: true,
+      count: files.length,
+      total,
+      limit: validLimit,
+      offset: validOffset,
+      hasMore: (validOffset + validLimit) < total,
+      files: files.map(toApiFile)
+    };
+  } catch (error) {
+    if (error.statusCode) {
+      return reply.code(error.statusCode).send({
+        error: HTTP_ERROR_NAMES[error.statusCode],
+        message: error.message
+      });
+    }
+
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao buscar arquivos.'
+    });
+  }
+});
+
+// Buscar arquivo por ID
+fastify.get('/api/files/:id', async (request, reply) => {
+  try {
+    const { id } = request.params;
+    const file = dbOperations.getFileById(id);
+
+    // Arquivos na lixeira só aparecem em /api/trash; privados, só para o dono (ou admin)
+    if (!file || file.deleted_at || !canViewFile(file, getRequestViewer(request))) {
+      return reply.code(404).send({
+        error: 'Not Found',
+        message: 'Arquivo não encontrado.'
+      });
+    }
+
+    // Vídeos com pacote HLS pronto tocam por streaming no preview
+    const streamUrl = dbOperations.getFileRendition(file.id, 'hls') ? `/stream/${file.id}/master.m3u8` : null;
+
+    return {
+      success: true,
+      file: { ...toApiFile(file), stream_url: streamUrl }
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao buscar arquivo.'
+    });
+  }
+});
+
+// Deletar arquivo (requer autenticação ou API Key com escopo "delete").
+// Por padrão o arquivo vai para a lixeira; ?permanent=true remove na hora
+fastify.delete('/api/files/:id', {
+  preHandler: requireScope('delete')
+}, async (request, reply) => {
+  try {
+    const { id } = request.params;
+    const permanent = request.query.permanent === 'true';
+    const file = dbOperations.getFileById(id);
+
+    if (!file || (file.deleted_at && !permanent)) {
+      return reply.code(404).send({
+        error: 'Not Found',
+        message: 'Arquivo não encontrado.'
+      });
+    }
+
+    // Verificar permissões: admin pode deletar qualquer arquivo, usuário comum só seus próprios
+    const userId = getRequestUserId(request);
+    const isAdmin = getRequestUserRole(request) === 'admin';
+    const isOwner = userId !== null && file.uploaded_by === userId;
+
+    if (!isAdmin && !isOwner) {
+      return reply.code(403).send({
+        error: 'Forbidden',
+        message: 'Você não tem permissão para deletar este arquivo.'
+      });
+    }
+
+    if (!permanent) {
+      dbOperations.trashFile(file.id, userId);
+      // Arquivo na lixeira não é mais servido: liberar a memória do cache
+      invalidateCachedFile(getFileKey(file));
+      return {
+        success: true,
+        message: `Arquivo movido para a lixeira. Ele será removido definitivamente em ${TRASH_RETENTION_DAYS} dias.`
+      };
+    }
+
+    // Deletar do banco de dados (o conteúdo físico só é removido
+    // quando nenhum outro arquivo referencia o mesmo blob)
+    await removeFile(file);
+
+    return {
+      success: true,
+      message: 'Arquivo deletado com sucesso!'
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao deletar arquivo.'
+    });
+  }
+});
+
+// Estatísticas
+fastify.get('/api/stats', async (request, reply) => {
+  try {
+    const stats = dbOperations.getStats();
+    return {
+      success: true,
+      stats
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao buscar estatísticas.'
+    });
+  }
+});
+
+// Buscar/filtrar arquivos (com paginação)
+fastify.get('/api/search', async (request, reply) => {
+  try {
+    const { fileType, tag, tags, tagMode, search, startDate, endDate, folderId, recursive, limit, offset } = request.query;
+
+    if (tagMode && !['all', 'any'].includes(tagMode)) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'tagMode inválido. Use "all" ou "any".'
+      });
+    }
+
+    const filters = {};
+    if (fileType) filters.fileType = fileType;
+    // `tag` (uma tag) e `tags` (separadas por vírgula) são combinados
+    const tagList = parseTagList([tag, tags].filter(Boolean).join(','));
+    if (tagList.length > 0) {
+      filters.tags = tagList;
+      filters.tagMode = tagMode || 'all';
+    }
+    if (search) filters.search = search;
+    if (startDate) filters.startDate = startDate;
+    if (endDate) filters.endDate = endDate;
+    if (folderId !== undefined) filters.folderIds = resolveFolderFilter(folderId, recursive === 'true');
+
+    // Paginação
+    const parsedLimit = parseInt(limit) || 100;
+    const parsedOffset = parseInt(offset) || 0;
+    const validLimit = Math.min(Math.max(parsedLimit, 1), 500);
+    const validOffset = Math.max(parsedOffset, 0);
+
+    filters.limit = validLimit;
+    filters.offset = validOffset;
+
+    const viewer = getRequestViewer(request);
+    const files = dbOperations.searchFiles({ ...filters, viewer });
+    const total = dbOperations.countSearchFiles({ ...filters, viewer }); // Contar total sem limite
+
+    return {
+      success: true,
+      count: files.length,
+      total,
+      limit: validLimit,
+      offset: validOffset,
+      hasMore: (validOffset + validLimit) < total,
+      filters,
+      files: files.map(toApiFile)
+    };
+  } catch (error) {
+    if (error.statusCode) {
+      return reply.code(error.statusCode).send({
+        error: HTTP_ERROR_NAMES[error.statusCode],
+        message: error.message
+      });
+    }
+
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao buscar arquivos.'
+    });
+  }
+});
+
+// Obter todas as tags
+fastify.get('/api/tags', async (request, reply) => {
+  try {
+    const tags = dbOperations.getAllTags();
+    return {
+      success: true,
+      count: tags.length,
+      tags
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao buscar tags.'
+    });
+  }
+});
+
+// Obter estatísticas por tag
+fastify.get('/api/stats/tags', async (request, reply) => {
+  try {
+    const tagStats = dbOperations.getStatsByTag();
+    return {
+      success: true,
+      tags: tagStats
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao buscar estatísticas de tags.'
+    });
+  }
+});
+
+// Renomear tag (apenas admin). Para juntar com uma tag existente, use /api/tags/merge
+fastify.patch('/api/tags/:name', {
+  preHandler: requireAdmin
+}, async (request, reply) => {
+  try {
+    const tag = dbOperations.getTagByName(request.params.name);
+    const [newName] = parseTagList([request.body?.name]);
+
+    if (!tag) {
+      return reply.code(404).send({
+        error: 'Not Found',
+        message: 'Tag não encontrada.'
+      });
+    }
+
+    if (!newName) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'Novo nome da tag é obrigatório.'
+      });
+    }
+
+    const existing = dbOperations.getTagByName(newName);
+    if (existing && existing.id !== tag.id) {
+      return reply.code(409).send({
+        error: 'Conflict',
+        message: `A tag "${existing.name}" já existe. Use a mesclagem de tags.`
+      });
+    }
+
+    const updatedFiles = dbOperations.renameTag(tag.id, newName);
+
+    return {
+      success: true,
+      message: `Tag "${tag.name}" renomeada para "${newName}".`,
+      updatedFiles
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao renomear tag.'
+    });
+  }
+});
+
+// Mesclar tags (apenas admin): os arquivos das tags de origem passam a usar a tag de destino
+fastify.post('/api/tags/merge', {
+  preHandler: requireAdmin
+}, async (request, reply) => {
+  try {
+    const sources = parseTagList(request.body?.sources || []);
+    const [target] = parseTagList([request.body?.target]);
+
+    if (sources.length === 0 || !target) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'Informe as tags de origem (sources) e a tag de destino (target).'
+      });
+    }
+
+    const sourceTags = sources.map(name => dbOperations.getTagByName(name));
+    const missing = sources.filter((name, i) => !sourceTags[i]);
+
+    if (missing.length > 0) {
+      return reply.code(404).send({
+        error: 'Not Found',
+        message: `Tag(s) não encontrada(s): ${missing.join(', ')}.`
+      });
+    }
+
+    const updatedFiles = dbOperations.mergeTags(sourceTags.map(t => t.id), target);
+
+    return {
+      success: true,
+      message: `${sources.length} tag(s) mesclada(s) em "${dbOperations.getTagByName(target).name}".`,
+      updatedFiles
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao mesclar tags.'
+    });
+  }
+});
+
+// Atualizar tags e descrição de um arquivo (requer autenticação)
+fastify.patch('/api/files/:id/tags', {
+  preHandler: requireAuth
+}, async (request, reply) => {
+  try {
+    const { id } = request.params;
+    const { tags, description } = request.body;
+
+    const file = dbOperations.getFileById(id);
+    if (!file || file.deleted_at) {
+      return reply.code(404).send({
+        error: 'Not Found',
+        message: 'Arquivo não encontrado.'
+      });
+    }
+
+    // Verificar permissões: admin pode editar qualquer arquivo, usuário comum só seus próprios
+    const isAdmin = request.session.userRole === 'admin';
+    const isOwner = file.uploaded_by === request.session.userId;
+
+    if (!isAdmin && !isOwner) {
+      return reply.code(403).send({
+        error: 'Forbidden',
+        message: 'Você não tem permissão para editar este arquivo.'
+      });
+    }
+
+    dbOperations.updateFileTags(id, tags, description);
+
+    const updatedFile = dbOperations.getFileById(id);
+
+    return {
+      success: true,
+      message: 'Tags atualizadas com sucesso!',
+      file: toApiFile(updatedFile)
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao atualizar tags.'
+    });
+  }
+});
+
+// Alterar visibilidade de um arquivo (dono ou admin)
+fastify.patch('/api/files/:id/visibility', {
+  preHandler: requireAuth
+}, async (request, reply) => {
+  try {
+    const { id } = request.params;
+    const visibility = request.body?.visibility;
+
+    if (!['public', 'private'].includes(visibility)) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'Visibilidade inválida. Use "public" ou "private".'
+      });
+    }
+
+    const file = dbOperations.getFileById(id);
+    if (!file || file.deleted_at) {
+      return reply.code(404).send({
+        error: 'Not Found',
+        message: 'Arquivo não encontrado.'
+      });
+    }
+
+    const isAdmin = request.session.userRole === 'admin';
+    const isOwner = file.uploaded_by === request.session.userId;
+
+    if (!isAdmin && !isOwner) {
+      return reply.code(403).send({
+        error: 'Forbidden',
+        message: 'Você não tem permissão para editar este arquivo.'
+      });
+    }
+
+    dbOperations.updateFileVisibility(id, visibility);
+
+    return {
+      success: true,
+      message: visibility === 'private' ? 'Arquivo agora é privado.' : 'Arquivo agora é público.',
+      file: toApiFile(dbOperations.getFileById(id))
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao atualizar visibilidade.'
+    });
+  }
+});
+
+// Gerar URL de download assinada (dono ou admin; aceita API Key com escopo "read")
+fastify.post('/api/files/:id/signed-url', {
+  preHandler: requireScope('read')
+}, async (request, reply) => {
+  try {
+    const { id } = request.params;
+    const { expiresIn, ip, bindIp } = request.body || {};
+    const ttl = expiresIn === undefined ? undefined : parseInt(expiresIn);
+
+    if (ttl !== undefined && (!Number.isInteger(ttl) || ttl <= 0 || ttl > SIGNED_URL_MAX_TTL)) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: `expiresIn deve ser um número de segundos entre 1 e ${SIGNED_URL_MAX_TTL}.`
+      });
+    }
+
+    const file = dbOperations.getFileById(id);
+    if (!file || file.deleted_at) {
+      return reply.code(404).send({
+        error: 'Not Found',
+        message: 'Arquivo não encontrado.'
+      });
+    }
+
+    const userId = getRequestUserId(request);
+    const isAdmin = getRequestUserRole(request) === 'admin';
+    const isOwner = userId !== null && file.uploaded_by === userId;
+
+    if (!isAdmin && !isOwner) {
+      return reply.code(403).send({
+        error: 'Forbidden',
+        message: 'Você não tem permissão para compartilhar este arquivo.'
+      });
+    }
+
+    // Vincular ao IP informado (ex.: IP do jogador) ou ao IP de quem pediu a URL
+    const boundIp = ip || (bindIp ? request.ip : null);
+    const { query, expiresAt } = createSignedQuery(file.stored_name, { expiresIn: ttl, ip: boundIp });
+
+    return {
+      success: true,
+      url: `${BASE_URL}/download/${file.stored_name}?${query}`,
+      expiresAt,
+      ip: boundIp
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao gerar URL assinada.'
+    });
+  }
+});
+
+// Definir ou remover expiração de um arquivo (dono ou admin)
+fastify.patch('/api/files/:id/expiration', {
+  preHandler: requireAuth
+}, async (request, reply) => {
+  try {
+    const { id } = request.params;
+    const body = request.body || {};
+    const clear = body.expiresAt === null && body.expiresInDays === undefined;
+    const expiresAt = clear ? null : parseExpiration(body);
+
+    if (Number.isNaN(expiresAt) || (!clear && expiresAt === null)) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'Informe expiresInDays, expiresAt (data futura) ou expiresAt: null para remover.'
+      });
+    }
+
+    const file = dbOperations.getFileById(id);
+    if (!file || file.deleted_at) {
+      return reply.code(404).send({
+        error: 'Not Found',
+        message: 'Arquivo não encontrado.'
+      });
+    }
+
+    const isAdmin = request.session.userRole === 'admin';
+    const isOwner = file.uploaded_by === request.session.userId;
+
+    if (!isAdmin && !isOwner) {
+      return reply.code(403).send({
+        error: 'Forbidden',
+        message: 'Você não tem permissão para editar este arquivo.'
+      });
+    }
+
+    dbOperations.updateFileExpiration(id, expiresAt);
+
+    return {
+      success: true,
+      message: expiresAt ? `Arquivo expira em ${expiresAt} (UTC).` : 'Expiração removida.',
+      file: toApiFile(dbOperations.getFileById(id))
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao atualizar expiração.'
+    });
+  }
+});
+
+// Gerar miniaturas de arquivos enviados antes da geração automática (apenas admin)
+fastify.post('/api/thumbnails/backfill', {
+  preHandler: requireAdmin
+}, async (request, reply) => {
+  try {
+    const queued = queueMissingThumbnails(Math.min(parseInt(request.body?.limit) || 1000, 10000));
+    return {
+      success: true,
+      message: `${queued} arquivo(s) na fila para gerar miniatura.`,
+      queued
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao agendar miniaturas.'
+    });
+  }
+});
+
+// ==================== TRANSCODIFICAÇÃO DE VÍDEO ====================
+
+// Versões de um vídeo (prontas) e jobs de transcodificação dele
+fastify.get('/api/files/:id/renditions', {
+  preHandler: requireScope('read')
+}, async (request, reply) => {
+  try {
+    const file = dbOperations.getFileById(request.params.id);
+
+    // Privado de outro usuário: 404, para não revelar que existe
+    if (!file || file.deleted_at || !canViewFile(file, getRequestViewer(request))) {
+      return reply.code(404).send({
+        error: 'Not Found',
+        message: 'Arquivo não encontrado.'
+      });
+    }
+
+    return {
+      success: true,
+      renditions: dbOperations.getFileRenditions(file.id).map(rendition => formatRendition(rendition, file)),
+      jobs: dbOperations.getTranscodeJobs({ fileId: file.id }).map(formatTranscodeJob)
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao buscar versões do vídeo.'
+    });
+  }
+});
+
+// Pedir versões de um vídeo (dono ou admin). Body: { profiles: ["mp4", "webm"] }
+fastify.post('/api/files/:id/transcode', {
+  preHandler: requireScope('upload')
+}, async (request, reply) => {
+  try {
+    const file = dbOperations.getFileById(request.params.id);
+    const { jobs, skipped } = await requestTranscode(file, request.body?.profiles, {
+      userId: getRequestUserId(request),
+      role: getRequestUserRole(request)
+    });
+
+    return {
+      success: true,
+      message: jobs.length > 0
+        ? `${jobs.length} versão(ões) na fila de transcodificação.`
+        : 'Nenhum job criado: as versões pedidas já existem ou estão na fila.',
+      jobs,
+      skipped
+    };
+  } catch (error) {
+    if (error.statusCode) {
+      return reply.code(error.statusCode).send({
+        error: HTTP_ERROR_NAMES[error.statusCode],
+        message: error.message
+      });
+    }
+
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao agendar transcodificação.'
+    });
+  }
+});
+
+// Listar jobs (admin vê todos, usuários veem os dos próprios arquivos).
+// Filtros: ?status=queued|running|done|skipped|failed|canceled e ?fileId=
+fastify.get('/api/transcode/jobs', {
+  preHandler: requireScope('read')
+}, async (request, reply) => {
+  try {
+    const userId = getRequestUserId(request);
+    const isAdmin = getRequestUserRole(request) === 'admin';
+
+    const jobs = dbOperations.getTranscodeJobs({
+      status: request.query.status || null,
+      fileId: parseInt(request.query.fileId) || null,
+      uploadedBy: isAdmin ? null : (userId ?? -1),
+      limit: Math.min(parseInt(request.query.limit) || 100, 1000)
+    });
+
+    return {
+      success: true,
+      profiles: TRANSCODE_PROFILES,
+      stats: getTranscodeStats(),
+      jobs: jobs.map(formatTranscodeJob)
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao listar jobs de transcodificação.'
+    });
+  }
+});
+
+// Progresso de um job
+fastify.get('/api/transcode/jobs/:id', {
+  preHandler: requireScope('read')
+}, async (request, reply) => {
+  try {
+    const job = getTranscodeJob(request.params.id, {
+      userId: getRequestUserId(request),
+      role: getRequestUserRole(request)
+    });
+
+    return {
+      success: true,
+      job: formatTranscodeJob(job)
+    };
+  } catch (error) {
+    if (error.statusCode) {
+      return reply.code(error.statusCode).send({
+        error: HTTP_ERROR_NAMES[error.statusCode],
+        message: error.message
+      });
+    }
+
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao buscar job de transcodificação.'
+    });
+  }
+});
+
+// Cancelar job na fila ou em andamento
+fastify.delete('/api/transcode/jobs/:id', {
+  preHandler: requireScope('upload')
+}, async (request, reply) => {
+  try {
+    const job = getTranscodeJob(request.params.id, {
+      userId: getRequestUserId(request),
+      role: getRequestUserRole(request)
+    });
+
+    return {
+      success: true,
+      message: 'Job cancelado.',
+      job: cancelTranscodeJob(job)
+    };
+  } catch (error) {
+    if (error.statusCode) {
+      return reply.code(error.statusCode).send({
+        error: HTTP_ERROR_NAMES[error.statusCode],
+        message: error.message
+      });
+    }
+
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao cancelar job de transcodificação.'
+    });
+  }
+});
+
+// Reenviar job que falhou ou foi cancelado
+fastify.post('/api/transcode/jobs/:id/retry', {
+  preHandler: requireScope('upload')
+}, async (request, reply) => {
+  try {
+    const job = getTranscodeJob(request.params.id, {
+      userId: getRequestUserId(request),
+      role: getRequestUserRole(request)
+    });
+
+    return {
+      success: true,
+      message: 'Job recolocado na fila.',
+      job: retryTranscodeJob(job)
+    };
+  } catch (error) {
+    if (error.statusCode) {
+      return reply.code(error.statusCode).send({
+        error: HTTP_ERROR_NAMES[error.statusCode],
+        message: error.message
+      });
+    }
+
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao reenviar job de transcodificação.'
+    });
+  }
+});
+
+// Estatísticas de downloads por arquivo
+fastify.get('/api/stats/downloads', {
+  preHandler: requireScope('read')
+}, async (request, reply) => {
+  try {
+    const days = parseInt(request.query.days) || 30;
+    const validDays = Math.min(Math.max(days, 1), 365);
+    const files = dbOperations.getDownloadStats(validDays, getRequestViewer(request));
+    const totalDownloads = files.reduce((sum, f) => sum + f.download_count, 0);
+    const totalBytesServed = files.reduce((sum, f) => sum + f.bytes_served, 0);
+    const unusedCount = files.filter(f => f.download_count === 0).length;
+    return {
+      success: true,
+      days: validDays,
+      totalFiles: files.length,
+      totalDownloads,
+      totalBytesServed,
+      unusedCount,
+      files
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao buscar estatísticas de downloads.'
+    });
+  }
+});
+
+// Série temporal de downloads e bytes enviados, por hora, dia ou semana.
+// Filtros opcionais: fileId, tag, uploaderId. ?format=csv baixa a série em CSV.
+fastify.get('/api/stats/downloads/timeseries', {
+  preHandler: requireScope('read')
+}, async (request, reply) => {
+  try {
+    const { bucket = 'day', tag, format } = request.query;
+
+    if (!DOWNLOAD_BUCKETS[bucket]) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: `Intervalo inválido. Use: ${Object.keys(DOWNLOAD_BUCKETS).join(', ')}.`
+      });
+    }
+
+    // Por hora só existem registros brutos (os agregados são diários)
+    const maxDays = bucket === 'hour' ? DOWNLOADS_RAW_DAYS : DOWNLOADS_HISTORY_DAYS;
+    const days = parseInt(request.query.days) || 30;
+    const validDays = Math.min(Math.max(days, 1), maxDays);
+
+    const filters = { tag: tag || null, fileId: null, uploaderId: null };
+
+    if (request.query.fileId !== undefined) {
+      filters.fileId = parseInt(request.query.fileId);
+      const file = dbOperations.getFileById(filters.fileId);
+      if (!file || !canViewFile(file, getRequestViewer(request))) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Arquivo não encontrado.'
+        });
+      }
+    }
+
+    if (request.query.uploaderId !== undefined) {
+      filters.uploaderId = parseInt(request.query.uploaderId);
+      if (!dbOperations.getUserById(filters.uploaderId)) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Usuário não encontrado.'
+        });
+      }
+    }
+
+    // Recortes por tag/uploader não somam arquivos privados de outros usuários
+    const series = fillDownloadSeries(
+      dbOperations.getDownloadSeries(bucket, validDays, { ...filters, viewer: getRequestViewer(request) }),
+      bucket,
+      validDays
+    );
+
+    if (format === 'csv') {
+      return reply
+        .type('text/csv; charset=utf-8')
+        .header('Content-Disposition', `attachment; filename="downloads-${bucket}-${validDays}d.csv"`)
+        .send(toCsv(['bucket', 'count', 'bytes'], series));
+    }
+
+    return {
+      success: true,
+      bucket,
+      days: validDays,
+      filters,
+      totalDownloads: series.reduce((sum, item) => sum + item.count, 0),
+      totalBytesServed: series.reduce((sum, item) => sum + item.bytes, 0),
+      series
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao buscar série de downloads.'
+    });
+  }
+});
+
+// Downloads por dia (formato original; mesmos dados de /timeseries?bucket=day, só com os dias que tiveram downloads)
+fastify.get('/api/stats/downloads/daily', {
+  preHandler: requireScope('read')
+}, async (request, reply) => {
+  try {
+    const days = parseInt(request.query.days) || 30;
+    const validDays = Math.min(Math.max(days, 1), DOWNLOADS_HISTORY_DAYS);
+    let fileId = null;
+
+    if (request.query.fileId !== undefined) {
+      fileId = parseInt(request.query.fileId);
+      const file = dbOperations.getFileById(fileId);
+      if (!file || !canViewFile(file, getRequestViewer(request))) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Arquivo não encontrado.'
+        });
+      }
+    }
+
+    const series = dbOperations.getDownloadSeries('day', validDays, { fileId })
+      .map(({ bucket, count, bytes }) => ({ day: bucket, count, bytes }));
+    return {
+      success: true,
+      days: validDays,
+      fileId,
+      totalDownloads: series.reduce((sum, d) => sum + d.count, 0),
+      totalBytesServed: series.reduce((sum, d) => sum + d.bytes, 0),
+      series
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao buscar downloads por dia.'
+    });
+  }
+});
+
+// Ranking de downloads por arquivo, tag ou uploader (?by=files|tags|uploaders)
+fastify.get('/api/stats/downloads/top', {
+  preHandler: requireScope('read')
+}, async (request, reply) => {
+  try {
+    const { by = 'files', format } = request.query;
+
+    if (!DOWNLOAD_RANKINGS.includes(by)) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: `Ranking inválido. Use: ${DOWNLOAD_RANKINGS.join(', ')}.`
+      });
+    }
+
+    const days = parseInt(request.query.days) || 30;
+    const validDays = Math.min(Math.max(days, 1), DOWNLOADS_HISTORY_DAYS);
+    const limit = Math.min(Math.max(parseInt(request.query.limit) || 10, 1), 100);
+    const items = dbOperations.getTopDownloads(by, validDays, limit);
+
+    if (format === 'csv') {
+      return reply
+        .type('text/csv; charset=utf-8')
+        .header('Content-Disposition', `attachment; filename="downloads-top-${by}-${validDays}d.csv"`)
+        .send(toCsv(['id', 'label', 'count', 'bytes'], items));
+    }
+
+    return {
+      success: true,
+      by,
+      days: validDays,
+      items
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao buscar ranking de downloads.'
+    });
+  }
+});
+
+// Downloads de um arquivo por origem (referrers), tipo de cliente (clients) ou país (countries)
+fastify.get('/api/stats/downloads/:id/:dimension', {
+  preHandler: requireScope('read')
+}, async (request, reply) => {
+  try {
+    const { id, dimension } = request.params;
+
+    if (!DOWNLOAD_DIMENSIONS[dimension]) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: `Detalhamento inválido. Use: ${Object.keys(DOWNLOAD_DIMENSIONS).join(', ')}.`
+      });
+    }
+
+    // Na lixeira ou privado de outro usuário: 404
+    const file = dbOperations.getFileById(id);
+    if (!file || file.deleted_at || !canViewFile(file, getRequestViewer(request))) {
+      return reply.code(404).send({
+        error: 'Not Found',
+        message: 'Arquivo não encontrado.'
+      });
+    }
+
+    const days = parseInt(request.query.days) || 30;
+    const validDays = Math.min(Math.max(days, 1), DOWNLOADS_HISTORY_DAYS);
+    const items = dbOperations.getDownloadBreakdown(file.id, dimension, validDays)
+      .map(item => ({ ...item, value: item.value || null }));
+
+    return {
+      success: true,
+      fileId: file.id,
+      dimension,
+      days: validDays,
+      totalDownloads: items.reduce((sum, item) => sum + item.count, 0),
+      // IPs só ficam nos registros brutos (últimos DOWNLOADS_RAW_DAYS dias)
+      uniqueClients: dbOperations.countDownloadClients(file.id, Math.min(validDays, DOWNLOADS_RAW_DAYS)),
+      items
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao detalhar downloads.'
+    });
+  }
+});
+
+// Compactar agora os downloads antigos em agregados diários (apenas admin)
+fastify.post('/api/stats/downloads/compact', {
+  preHandler: requireAdmin
+}, async (request, reply) => {
+  try {
+    const result = compactDownloads();
+    return {
+      success: true,
+      message: `${result.rawRows} registro(s) compactado(s) em ${result.rollups} agregado(s) diário(s).`,
+      rawDays: DOWNLOADS_RAW_DAYS,
+      historyDays: DOWNLOADS_HISTORY_DAYS,
+      ...result
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao compactar downloads.'
+    });
+  }
+});
+
+// ==================== PASTAS ====================
+
+// Listar pastas (lista plana e árvore)
+fastify.get('/api/folders', {
+  preHandler: requireScope('read')
+}, async (request, reply) => {
+  try {
+    const folders = dbOperations.getAllFolders(getFolderOwnerFilter(request));
+    return {
+      success: true,
+      count: folders.length,
+      folders,
+      tree: buildFolderTree(folders)
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao buscar pastas.'
+    });
+  }
+});
+
+// Detalhes de uma pasta (caminho e subpastas)
+fastify.get('/api/folders/:id', {
+  preHandler: requireScope('read')
+}, async (request, reply) => {
+  try {
+    const folder = dbOperations.getFolderById(request.params.id);
+    // Pasta de outro usuário: 404, para não revelar que existe
+    if (!folder || !canManageFolder(folder, getRequestUserId(request), getRequestUserRole(request))) {
+      return reply.code(404).send({
+        error: 'Not Found',
+        message: 'Pasta não encontrada.'
+      });
+    }
+
+    const children = dbOperations.getAllFolders(getFolderOwnerFilter(request))
+      .filter(child => child.parent_id === folder.id);
+
+    return {
+      success: true,
+      folder,
+      path: getFolderPath(folder),
+      children
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao buscar pasta.'
+    });
+  }
+});
+
+// Criar pasta (requer autenticação). parentId vazio = raiz
+fastify.post('/api/folders', {
+  preHandler: requireAuth
+}, async (request, reply) => {
+  try {
+    const folder = createFolder({
+      name: request.body?.name,
+      parentId: request.body?.parentId,
+      ownerId: request.session.userId,
+      ownerRole: request.session.userRole
+    });
+
+    return reply.code(201).send({
+      success: true,
+      message: 'Pasta criada com sucesso!',
+      folder
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return reply.code(error.statusCode).send({
+        error: HTTP_ERROR_NAMES[error.statusCode],
+        message: error.message
+      });
+    }
+
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao criar pasta.'
+    });
+  }
+});
+
+// Renomear e/ou mover pasta (dono ou admin)
+fastify.patch('/api/folders/:id', {
+  preHandler: requireAuth
+}, async (request, reply) => {
+  try {
+    const folder = dbOperations.getFolderById(request.params.id);
+    if (!folder) {
+      return reply.code(404).send({
+        error: 'Not Found',
+        message: 'Pasta não encontrada.'
+      });
+    }
+
+    const { userId, userRole } = request.session;
+
+    if (!canManageFolder(folder, userId, userRole)) {
+      return reply.code(403).send({
+        error: 'Forbidden',
+        message: 'Você não tem permissão para editar esta pasta.'
+      });
+    }
+
+    const updated = updateFolder(folder, {
+      name: request.body?.name,
+      parentId: request.body?.parentId
+    }, userId, userRole);
+
+    return {
+      success: true,
+      message: 'Pasta atualizada com sucesso!',
+      folder: updated
+    };
+  } catch (error) {
+    if (error.statusCode) {
+      return reply.code(error.statusCode).send({
+        error: HTTP_ERROR_NAMES[error.statusCode],
+        message: error.message
+      });
+    }
+
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao atualizar pasta.'
+    });
+  }
+});
+
+// Deletar pasta vazia (dono ou admin)
+fastify.delete('/api/folders/:id', {
+  preHandler: requireAuth
+}, async (request, reply) => {
+  try {
+    const folder = dbOperations.getFolderById(request.params.id);
+    if (!folder) {
+      return reply.code(404).send({
+        error: 'Not Found',
+        message: 'Pasta não encontrada.'
+      });
+    }
+
+    if (!canManageFolder(folder, request.session.userId, request.session.userRole)) {
+      return reply.code(403).send({
+        error: 'Forbidden',
+        message: 'Você não tem permissão para deletar esta pasta.'
+      });
+    }
+
+    deleteFolder(folder);
+
+    return {
+      success: true,
+      message: 'Pasta deletada com sucesso!'
+    };
+  } catch (error) {
+    if (error.statusCode) {
+      return reply.code(error.statusCode).send({
+        error: HTTP_ERROR_NAMES[error.statusCode],
+        message: error.message
+      });
+    }
+
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao deletar pasta.'
+    });
+  }
+});
+
+// Mover arquivo para uma pasta (dono do arquivo ou admin). folderId null = raiz
+fastify.patch('/api/files/:id/folder', {
+  preHandler: requireAuth
+}, async (request, reply) => {
+  try {
+    const file = dbOperations.getFileById(request.params.id);
+    if (!file || file.deleted_at) {
+      return reply.code(404).send({
+        error: 'Not Found',
+        message: 'Arquivo não encontrado.'
+      });
+    }
+
+    const { userId, userRole } = request.session;
+
+    if (userRole !== 'admin' && file.uploaded_by !== userId) {
+      return reply.code(403).send({
+        error: 'Forbidden',
+        message: 'Você não tem permissão para mover este arquivo.'
+      });
+    }
+
+    const folder = resolveTargetFolder(request.body?.folderId, userId, userRole);
+    dbOperations.moveFileToFolder(file.id, folder?.id ?? null);
+
+    return {
+      success: true,
+      message: folder ? `Arquivo movido para "${folder.name}".` : 'Arquivo movido para a raiz.',
+      file: toApiFile(dbOperations.getFileById(file.id))
+    };
+  } catch (error) {
+    if (error.statusCode) {
+      return reply.code(error.statusCode).send({
+        error: HTTP_ERROR_NAMES[error.statusCode],
+        message: error.message
+      });
+    }
+
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao mover arquivo.'
+    });
+  }
+});
+
+// ==================== LIXEIRA ====================
+
+// Listar lixeira (admin vê todos os arquivos, usuário comum só os seus)
+fastify.get('/api/trash', {
+  preHandler: requireAuth
+}, async (request, reply) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(request.query.limit) || 100, 1), 500);
+    const offset = Math.max(parseInt(request.query.offset) || 0, 0);
+    const userId = request.session.userRole === 'admin' ? null : request.session.userId;
+
+    const files = dbOperations.getTrashedFiles(userId, limit, offset);
+    const total = dbOperations.countTrashedFiles(userId);
+
+    return {
+      success: true,
+      count: files.length,
+      total,
+      limit,
+      offset,
+      hasMore: (offset + limit) < total,
+      retentionDays: TRASH_RETENTION_DAYS,
+      files: files.map(toApiFile)
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao buscar lixeira.'
+    });
+  }
+});
+
+// Restaurar arquivo da lixeira (dono ou admin)
+fastify.post('/api/files/:id/restore', {
+  preHandler: requireAuth
+}, async (request, reply) => {
+  try {
+    const file = dbOperations.getFileById(request.params.id);
+
+    if (!file || !file.deleted_at) {
+      return reply.code(404).send({
+        error: 'Not Found',
+        message: 'Arquivo não encontrado na lixeira.'
+      });
+    }
+
+    const isAdmin = request.session.userRole === 'admin';
+    const isOwner = file.uploaded_by === request.session.userId;
+
+    if (!isAdmin && !isOwner) {
+      return reply.code(403).send({
+        error: 'Forbidden',
+        message: 'Você não tem permissão para restaurar este arquivo.'
+      });
+    }
+
+    // Arquivos na lixeira não contam na cota: restaurar volta a ocupar espaço
+    assertQuota(file.uploaded_by, file.size);
+
+    dbOperations.restoreFile(file.id);
+
+    return {
+      success: true,
+      message: 'Arquivo restaurado com sucesso!',
+      file: toApiFile(dbOperations.getFileById(file.id))
+    };
+  } catch (error) {
+    if (error.code === 'QUOTA_EXCEEDED') {
+      return reply.code(413).send({
+        error: 'Payload Too Large',
+        message: error.message
+      });
+    }
+
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao restaurar arquivo.'
+    });
+  }
+});
+
+// Esvaziar agora os arquivos vencidos da lixeira (apenas admin)
+fastify.post('/api/trash/purge', {
+  preHandler: requireAdmin
+}, async (request, reply) => {
+  try {
+    const purged = await purgeTrash();
+    return {
+      success: true,
+      message: `${purged} arquivo(s) removido(s) definitivamente.`,
+      purged
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao esvaziar lixeira.'
+    });
+  }
+});
+
+// ==================== RETENÇÃO ====================
+
+// Listar políticas de retenção (apenas admin)
+fastify.get('/api/retention/policies', {
+  preHandler: requireAdmin
+}, async (request, reply) => {
+  try {
+    const policies = dbOperations.getRetentionPolicies();
+    return {
+      success: true,
+      count: policies.length,
+      policies
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao buscar políticas de retenção.'
+    });
+  }
+});
 
-    const filters = {};
-    if (fileType) filters.fileType = fileType;
-    if (tag) filters.tag = tag;
-    if (search) filters.search = search;
-    if (startDate) filters.startDate = startDate;
-    if (endDate) filters.endDate = endDate;
+// Criar política de retenção (apenas admin)
+fastify.post('/api/retention/policies', {
+  preHandler: requireAdmin
+}, async (request, reply) => {
+  try {
+    const { name, tag, fileType, enabled } = request.body || {};
+    const minAgeDays = request.body?.minAgeDays == null ? null : parseInt(request.body.minAgeDays);
+    const unusedDays = request.body?.unusedDays == null ? null : parseInt(request.body.unusedDays);
 
-    // Paginação
-    const parsedLimit = parseInt(limit) || 100;
-    const parsedOffset = parseInt(offset) || 0;
-    const validLimit = Math.min(Math.max(parsedLimit, 1), 500);
-    const validOffset = Math.max(parsedOffset, 0);
+    if (!name) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'Informe um nome para a política.'
+      });
+    }
 
-    filters.limit = validLimit;
-    filters.offset = validOffset;
+    // Sem condição de tempo a política apagaria arquivos recém-enviados
+    if (minAgeDays === null && unusedDays === null) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'Informe minAgeDays e/ou unusedDays.'
+      });
+    }
+
+    if ([minAgeDays, unusedDays].some(value => value !== null && (!Number.isInteger(value) || value <= 0))) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'minAgeDays e unusedDays devem ser inteiros positivos.'
+      });
+    }
+
+    if (fileType && !['image', 'video', 'audio', 'other'].includes(fileType)) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'fileType inválido. Use image, video, audio ou other.'
+      });
+    }
+
+    const id = dbOperations.createRetentionPolicy({
+      name,
+      tag: tag ? String(tag).trim() : null,
+      fileType,
+      minAgeDays,
+      unusedDays,
+      enabled
+    });
+
+    return reply.code(201).send({
+      success: true,
+      message: 'Política de retenção criada com sucesso!',
+      policy: dbOperations.getRetentionPolicyById(id)
+    });
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao criar política de retenção.'
+    });
+  }
+});
+
+// Ativar/desativar política de retenção (apenas admin)
+fastify.patch('/api/retention/policies/:id', {
+  preHandler: requireAdmin
+}, async (request, reply) => {
+  try {
+    const policy = dbOperations.getRetentionPolicyById(request.params.id);
+
+    if (!policy) {
+      return reply.code(404).send({
+        error: 'Not Found',
+        message: 'Política não encontrada.'
+      });
+    }
+
+    if (typeof request.body?.enabled !== 'boolean') {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'Informe enabled (true/false).'
+      });
+    }
 
-    const files = dbOperations.searchFiles(filters);
-    const total = dbOperations.countSearchFiles(filters); // Contar total sem limite
+    dbOperations.setRetentionPolicyEnabled(policy.id, request.body.enabled);
 
     return {
       success: true,
-      count: files.length,
-      total,
-      limit: validLimit,
-      offset: validOffset,
-      hasMore: (validOffset + validLimit) < total,
-      filters,
-      files
+      policy: dbOperations.getRetentionPolicyById(policy.id)
     };
   } catch (error) {
     fastify.log.error(error);
     return reply.code(500).send({
       error: 'Internal Server Error',
-      message: 'Erro ao buscar arquivos.'
+      message: 'Erro ao atualizar política de retenção.'
     });
   }
 });
 
-// Obter todas as tags
-fastify.get('/api/tags', async (request, reply) => {
+// Deletar política de retenção (apenas admin)
+fastify.delete('/api/retention/policies/:id', {
+  preHandler: requireAdmin
+}, async (request, reply) => {
   try {
-    const tags = dbOperations.getAllTags();
+    const result = dbOperations.deleteRetentionPolicy(request.params.id);
+
+    if (result.changes === 0) {
+      return reply.code(404).send({
+        error: 'Not Found',
+        message: 'Política não encontrada.'
+      });
+    }
+
     return {
       success: true,
-      count: tags.length,
-      tags
+      message: 'Política de retenção deletada com sucesso!'
     };
   } catch (error) {
     fastify.log.error(error);
     return reply.code(500).send({
       error: 'Internal Server Error',
-      message: 'Erro ao buscar tags.'
+      message: 'Erro ao deletar política de retenção.'
     });
   }
 });
 
-// Obter estatísticas por tag
-fastify.get('/api/stats/tags', async (request, reply) => {
+// Relatório dry-run: o que seria removido agora (apenas admin)
+fastify.get('/api/retention/report', {
+  preHandler: requireAdmin
+}, async (request, reply) => {
   try {
-    const tagStats = dbOperations.getStatsByTag();
+    const report = await runRetention({ dryRun: true });
     return {
       success: true,
-      tags: tagStats
+      report
     };
   } catch (error) {
     fastify.log.error(error);
     return reply.code(500).send({
       error: 'Internal Server Error',
-      message: 'Erro ao buscar estatísticas de tags.'
+      message: 'Erro ao gerar relatório de retenção.'
     });
   }
 });
 
-// Atualizar tags e descrição de um arquivo (requer autenticação)
-fastify.patch('/api/files/:id/tags', {
-  preHandler: requireAuth
+// Aplicar retenção agora, sem esperar o job (apenas admin)
+fastify.post('/api/retention/run', {
+  preHandler: requireAdmin
 }, async (request, reply) => {
   try {
-    const { id } = request.params;
-    const { tags, description } = request.body;
+    const report = await runRetention();
+    return {
+      success: true,
+      message: `${report.removed} arquivo(s) removido(s).`,
+      report
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao aplicar retenção.'
+    });
+  }
+});
 
-    const file = dbOperations.getFileById(id);
-    if (!file) {
+// ==================== HOTLINK ====================
+
+// Listar políticas de hotlink (apenas admin)
+fastify.get('/api/hotlink/policies', {
+  preHandler: requireAdmin
+}, async (request, reply) => {
+  try {
+    const policies = dbOperations.getHotlinkPolicies().map(formatHotlinkPolicy);
+    return {
+      success: true,
+      count: policies.length,
+      modes: HOTLINK_MODES,
+      policies
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao buscar políticas de hotlink.'
+    });
+  }
+});
+
+// Criar política de hotlink: global, por arquivo (fileId) ou por tag (apenas admin)
+fastify.post('/api/hotlink/policies', {
+  preHandler: requireAdmin
+}, async (request, reply) => {
+  try {
+    const policy = createHotlinkPolicy(request.body || {});
+
+    return reply.code(201).send({
+      success: true,
+      message: 'Política de hotlink criada com sucesso!',
+      policy
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return reply.code(error.statusCode).send({
+        error: HTTP_ERROR_NAMES[error.statusCode],
+        message: error.message
+      });
+    }
+
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao criar política de hotlink.'
+    });
+  }
+});
+
+// Editar modo, domínios e opções de uma política (apenas admin)
+fastify.patch('/api/hotlink/policies/:id', {
+  preHandler: requireAdmin
+}, async (request, reply) => {
+  try {
+    const existing = dbOperations.getHotlinkPolicyById(request.params.id);
+
+    if (!existing) {
       return reply.code(404).send({
         error: 'Not Found',
-        message: 'Arquivo não encontrado.'
+        message: 'Política não encontrada.'
       });
     }
 
-    // Verificar permissões: admin pode editar qualquer arquivo, usuário comum só seus próprios
-    const isAdmin = request.session.userRole === 'admin';
-    const isOwner = file.uploaded_by === request.session.userId;
+    return {
+      success: true,
+      policy: updateHotlinkPolicy(existing, request.body || {})
+    };
+  } catch (error) {
+    if (error.statusCode) {
+      return reply.code(error.statusCode).send({
+        error: HTTP_ERROR_NAMES[error.statusCode],
+        message: error.message
+      });
+    }
 
-    if (!isAdmin && !isOwner) {
-      return reply.code(403).send({
-        error: 'Forbidden',
-        message: 'Você não tem permissão para editar este arquivo.'
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao atualizar política de hotlink.'
+    });
+  }
+});
+
+// Deletar política de hotlink (apenas admin)
+fastify.delete('/api/hotlink/policies/:id', {
+  preHandler: requireAdmin
+}, async (request, reply) => {
+  try {
+    const existing = dbOperations.getHotlinkPolicyById(request.params.id);
+
+    if (!existing) {
+      return reply.code(404).send({
+        error: 'Not Found',
+        message: 'Política não encontrada.'
       });
     }
 
-    dbOperations.updateFileTags(id, tags, description);
+    deleteHotlinkPolicy(existing);
 
-    const updatedFile = dbOperations.getFileById(id);
+    return {
+      success: true,
+      message: 'Política de hotlink deletada com sucesso!'
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao deletar política de hotlink.'
+    });
+  }
+});
+
+// ==================== POLÍTICAS DE RATE LIMIT ====================
+
+// Listar políticas de rate limit e os limites padrão das rotas (apenas admin)
+fastify.get('/api/rate-limits/policies', {
+  preHandler: requireAdmin
+}, async (request, reply) => {
+  try {
+    const policies = dbOperations.getRateLimitPolicies().map(formatRateLimitPolicy);
+    const { store, rules } = await getRateLimitStats();
 
     return {
       success: true,
-      message: 'Tags atualizadas com sucesso!',
-      file: updatedFile
+      count: policies.length,
+      store,
+      defaults: rules,
+      routes: RATE_LIMIT_ROUTES,
+      roles: RATE_LIMIT_ROLES,
+      algorithms: RATE_LIMIT_ALGORITHMS,
+      policies
     };
   } catch (error) {
     fastify.log.error(error);
     return reply.code(500).send({
       error: 'Internal Server Error',
-      message: 'Erro ao atualizar tags.'
+      message: 'Erro ao buscar políticas de rate limit.'
     });
   }
 });
 
-// Estatísticas de downloads por arquivo
-fastify.get('/api/stats/downloads', {
-  preHandler: requireAuth
+// Criar política de rate limit para um usuário (userId), função (role) ou API Key (apiKeyId) (apenas admin)
+fastify.post('/api/rate-limits/policies', {
+  preHandler: requireAdmin
 }, async (request, reply) => {
   try {
-    const days = parseInt(request.query.days) || 30;
-    const validDays = Math.min(Math.max(days, 1), 365);
-    const files = dbOperations.getDownloadStats(validDays);
-    const totalDownloads = files.reduce((sum, f) => sum + f.download_count, 0);
-    const unusedCount = files.filter(f => f.download_count === 0).length;
+    const policy = createRateLimitPolicy(request.body || {});
+
+    return reply.code(201).send({
+      success: true,
+      message: 'Política de rate limit criada com sucesso!',
+      policy
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return reply.code(error.statusCode).send({
+        error: HTTP_ERROR_NAMES[error.statusCode],
+        message: error.message
+      });
+    }
+
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao criar política de rate limit.'
+    });
+  }
+});
+
+// Editar limite, janela, algoritmo e status de uma política (apenas admin)
+fastify.patch('/api/rate-limits/policies/:id', {
+  preHandler: requireAdmin
+}, async (request, reply) => {
+  try {
+    const existing = dbOperations.getRateLimitPolicyById(request.params.id);
+
+    if (!existing) {
+      return reply.code(404).send({
+        error: 'Not Found',
+        message: 'Política não encontrada.'
+      });
+    }
+
     return {
       success: true,
-      days: validDays,
-      totalFiles: files.length,
-      totalDownloads,
-      unusedCount,
-      files
+      policy: updateRateLimitPolicy(existing, request.body || {})
     };
   } catch (error) {
+    if (error.statusCode) {
+      return reply.code(error.statusCode).send({
+        error: HTTP_ERROR_NAMES[error.statusCode],
+        message: error.message
+      });
+    }
+
     fastify.log.error(error);
     return reply.code(500).send({
       error: 'Internal Server Error',
-      message: 'Erro ao buscar estatísticas de downloads.'
+      message: 'Erro ao atualizar política de rate limit.'
+    });
+  }
+});
+
+// Deletar política de rate limit (apenas admin)
+fastify.delete('/api/rate-limits/policies/:id', {
+  preHandler: requireAdmin
+}, async (request, reply) => {
+  try {
+    const existing = dbOperations.getRateLimitPolicyById(request.params.id);
+
+    if (!existing) {
+      return reply.code(404).send({
+        error: 'Not Found',
+        message: 'Política não encontrada.'
+      });
+    }
+
+    deleteRateLimitPolicy(existing);
+
+    return {
+      success: true,
+      message: 'Política de rate limit deletada com sucesso!'
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    return reply.code(500).send({
+      error: 'Internal Server Error',
+      message: 'Erro ao deletar política de rate limit.'
     });
   }
 });
@@ -919,15 +3370,17 @@ const start = async () => {
     console.log('🚀 Ely Storage Server iniciado com sucesso!');
     console.log('================================================');
     console.log(`📍 Servidor: ${BASE_URL}`);
-    console.log(`🔑 API Key configurada: ${API_KEY ? 'Sim' : 'Não'}`);
+    console.log(`🔑 API Key legada (.env): ${API_KEY ? 'Sim' : 'Não'}`);
     console.log(`💬 Discord Webhook: ${DISCORD_WEBHOOK_URL ? 'Configurado' : 'Não configurado'}`);
     console.log(`📦 Tamanho máximo: ${MAX_FILE_SIZE_MB}MB`);
-    console.log(`🔥 Hot Cache: ${ENABLE_HOT_CACHE ? '✅ Ativado (512MB)' : '❌ Desativado'}`);
+    console.log(`🗄️  Storage: ${storage.name}`);
+    console.log(`🔥 Hot Cache: ${ENABLE_HOT_CACHE ? `✅ Ativado (${HOT_CACHE_MAX_BYTES / 1024 / 1024}MB)` : '❌ Desativado'}`);
     console.log(`🌍 Ambiente: ${isProduction ? 'Produção' : 'Desenvolvimento'}`);
     console.log('================================================\n');
     console.log('📖 Endpoints disponíveis:');
     console.log(`   GET  ${BASE_URL}/              - Interface Web`);
     console.log(`   POST ${BASE_URL}/api/upload    - Upload de arquivos`);
+    console.log(`   POST ${BASE_URL}/api/upload/sessions - Upload resumível (em partes)`);
     console.log(`   GET  ${BASE_URL}/api/files     - Listar arquivos`);
     console.log(`   GET  ${BASE_URL}/api/files/:id - Detalhes do arquivo`);
     console.log(`   DEL  ${BASE_URL}/api/files/:id - Deletar arquivo`);
@@ -0,0 +1,102 @@
+// API Keys por usuário, com escopos, expiração e revogação individual
+// A chave completa só é exibida na criação; o banco guarda apenas o SHA-256.
+
+import { createHash, randomBytes } from 'crypto';
+import { dbOperations } from '../database.js';
+
+// Escopos disponíveis
+// unthrottled: downloads sem limite de banda nem limite diário (só admin concede)
+export const API_KEY_SCOPES = ['upload', 'delete', 'read', 'unthrottled'];
+export const ADMIN_ONLY_SCOPES = ['unthrottled'];
+
+// Prefixo das chaves geradas (facilita identificar chaves vazadas em logs/repositórios)
+const KEY_PREFIX = 'ely_';
+
+// Uma requisição valida a chave várias vezes (rate limit, banda, escopo):
+// last_used_at é gravado no máximo uma vez por minuto por chave
+const TOUCH_INTERVAL = 60 * 1000;
+const lastTouched = new Map(); // id da chave -> Date.now() da última gravação
+
+/**
+ * Hash de uma API Key
+ */
+function hashApiKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Normalizar lista de escopos (array ou string separada por vírgula).
+ * Retorna null se algum escopo for desconhecido.
+ */
+export function parseScopes(value) {
+  const scopes = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(scope => String(scope).trim().toLowerCase())
+    .filter(Boolean);
+
+  if (scopes.some(scope => !API_KEY_SCOPES.includes(scope))) return null;
+  return [...new Set(scopes)];
+}
+
+/**
+ * Criar nova API Key para um usuário.
+ * Retorna a chave em texto puro (única vez em que ela existe) e o registro salvo.
+ */
+export function createApiKey({ userId, label, scopes, expiresAt }) {
+  const key = KEY_PREFIX + randomBytes(24).toString('hex');
+
+  const id = dbOperations.createApiKey({
+    keyHash: hashApiKey(key),
+    keyPrefix: key.slice(0, KEY_PREFIX.length + 8),
+    userId,
+    label,
+    scopes: scopes.join(','),
+    expiresAt
+  });
+
+  return {
+    key,
+    apiKey: formatApiKey(dbOperations.getApiKeyById(id))
+  };
+}
+
+/**
+ * Validar uma API Key recebida na requisição.
+ * Retorna { id, userId, username, role, scopes } ou null se inválida, expirada ou revogada.
+ */
+export function verifyApiKey(key) {
+  if (!key || !key.startsWith(KEY_PREFIX)) return null;
+
+  const record = dbOperations.getActiveApiKeyByHash(hashApiKey(key));
+  if (!record) return null;
+
+  const now = Date.now();
+  if (now - (lastTouched.get(record.id) || 0) >= TOUCH_INTERVAL) {
+    lastTouched.set(record.id, now);
+    dbOperations.touchApiKey(record.id);
+  }
+
+  return {
+    id: record.id,
+    userId: record.user_id,
+    username: record.username,
+    role: record.role,
+    scopes: record.scopes ? record.scopes.split(',') : []
+  };
+}
+
+/**
+ * Formatar registro de API Key para resposta da API
+ */
+export function formatApiKey(record) {
+  return {
+    id: record.id,
+    prefix: record.key_prefix,
+    userId: record.user_id,
+    label: record.label,
+    scopes: record.scopes ? record.scopes.split(',') : [],
+    expiresAt: record.expires_at,
+    lastUsedAt: record.last_used_at,
+    revokedAt: record.revoked_at,
+    createdAt: record.created_at
+  };
+}
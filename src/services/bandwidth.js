@@ -0,0 +1,254 @@
+// Limite de banda dos downloads
+// Cada download passa por um stream que conta os bytes enviados e, se houver
+// limite, segura o envio até haver "fichas" nos baldes (token bucket) do IP e
+// global. Também soma o total transferido por IP no dia (UTC) para o limite
+// diário. Tudo fica em memória e zera quando o servidor reinicia.
+
+import { Readable, Transform, pipeline } from 'stream';
+import { BlockList, isIP } from 'net';
+
+// Configurações (0 = sem limite)
+const PER_IP_RATE = Math.max(parseInt(process.env.DOWNLOAD_RATE_PER_IP_KBPS || '0'), 0) * 1024;
+const GLOBAL_RATE = Math.max(parseInt(process.env.DOWNLOAD_RATE_GLOBAL_KBPS || '0'), 0) * 1024;
+const DAILY_CAP = Math.max(parseInt(process.env.DOWNLOAD_DAILY_CAP_MB || '0'), 0) * 1024 * 1024;
+const SLICE_SIZE = 16 * 1024; // Pedaços pequenos deixam o ritmo de envio mais uniforme
+const THROUGHPUT_WINDOW = 5; // Segundos usados no cálculo da taxa atual
+const CLEANUP_INTERVAL = 60 * 1000;
+
+// Redes isentas (ex.: 10.0.0.0/8, 203.0.113.7, ::1/128)
+const exemptNetworks = new BlockList();
+const EXEMPT_CIDRS = [];
+
+for (const cidr of String(process.env.BANDWIDTH_EXEMPT_CIDRS || '').split(',').map(item => item.trim()).filter(Boolean)) {
+  const [address, prefix] = cidr.split('/');
+  const type = isIP(address) === 6 ? 'ipv6' : 'ipv4';
+
+  if (!isIP(address)) {
+    console.warn(`⚠️  BANDWIDTH_EXEMPT_CIDRS: endereço inválido ignorado (${cidr})`);
+    continue;
+  }
+
+  const bits = prefix === undefined ? (type === 'ipv6' ? 128 : 32) : parseInt(prefix);
+  exemptNetworks.addSubnet(address, bits, type);
+  EXEMPT_CIDRS.push(cidr);
+}
+
+const ipBuckets = new Map();
+const globalBucket = createBucket(GLOBAL_RATE);
+let dailyUsage = new Map();
+let usageDay = currentDay();
+let bytesToday = 0;
+let activeDownloads = 0;
+const throughput = new Map(); // segundo -> bytes
+
+/**
+ * Dia atual (UTC) no formato YYYY-MM-DD
+ */
+function currentDay() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Balde de fichas: enche `rate` bytes por segundo, até 1 segundo de estoque
+ */
+function createBucket(rate) {
+  return { rate, tokens: rate, updatedAt: Date.now() };
+}
+
+/**
+ * Reservar bytes do balde. Retorna quantos ms esperar antes de enviar.
+ * O saldo pode ficar negativo: quem vem depois espera a dívida ser paga.
+ */
+function reserve(bucket, bytes) {
+  if (!bucket || bucket.rate === 0) return 0;
+
+  const now = Date.now();
+  bucket.tokens = Math.min(bucket.rate, bucket.tokens + (now - bucket.updatedAt) / 1000 * bucket.rate);
+  bucket.updatedAt = now;
+  bucket.tokens -= bytes;
+
+  return bucket.tokens >= 0 ? 0 : Math.ceil(-bucket.tokens / bucket.rate * 1000);
+}
+
+/**
+ * IPv4 mapeado em IPv6 (::ffff:1.2.3.4) vira IPv4
+ */
+function normalizeIp(ip) {
+  return ip?.startsWith('::ffff:') ? ip.slice(7) : ip;
+}
+
+/**
+ * O IP está em uma rede isenta?
+ */
+export function isExemptIp(ip) {
+  const address = normalizeIp(ip);
+  if (!address || EXEMPT_CIDRS.length === 0) return false;
+  return exemptNetworks.check(address, isIP(address) === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Zerar contadores diários na virada do dia
+ */
+function rollDay() {
+  const day = currentDay();
+  if (day !== usageDay) {
+    usageDay = day;
+    dailyUsage = new Map();
+    bytesToday = 0;
+  }
+}
+
+/**
+ * Bytes já transferidos hoje pelo IP
+ */
+export function getDailyUsage(ip) {
+  rollDay();
+  return dailyUsage.get(normalizeIp(ip)) || 0;
+}
+
+/**
+ * Verificar limite diário. Retorna null (liberado) ou os segundos até a virada do dia.
+ */
+export function checkDailyCap(ip) {
+  if (DAILY_CAP === 0 || getDailyUsage(ip) < DAILY_CAP) return null;
+
+  const midnight = new Date();
+  midnight.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((midnight.getTime() - Date.now()) / 1000);
+}
+
+/**
+ * Contabilizar bytes enviados (uso diário do IP e taxa atual)
+ */
+function recordTransfer(ip, bytes) {
+  rollDay();
+  dailyUsage.set(ip, (dailyUsage.get(ip) || 0) + bytes);
+  bytesToday += bytes;
+
+  const second = Math.floor(Date.now() / 1000);
+  throughput.set(second, (throughput.get(second) || 0) + bytes);
+}
+
+/**
+ * Balde do IP (criado no primeiro download)
+ */
+function getIpBucket(ip) {
+  if (PER_IP_RATE === 0) return null;
+
+  let bucket = ipBuckets.get(ip);
+  if (!bucket) {
+    bucket = createBucket(PER_IP_RATE);
+    ipBuckets.set(ip, bucket);
+  }
+  return bucket;
+}
+
+/**
+ * Stream que conta e, sem isenção, limita os bytes enviados ao cliente
+ */
+function createThrottle(ip, exempt) {
+  const limited = !exempt && (PER_IP_RATE > 0 || GLOBAL_RATE > 0);
+
+  activeDownloads++;
+
+  const throttle = new Transform({
+    transform(chunk, encoding, callback) {
+      if (!limited) {
+        recordTransfer(ip, chunk.length);
+        return callback(null, chunk);
+      }
+
+      let offset = 0;
+      const next = () => {
+        if (offset >= chunk.length) return callback();
+
+        const slice = chunk.subarray(offset, offset + SLICE_SIZE);
+        offset += slice.length;
+
+        const wait = Math.max(reserve(getIpBucket(ip), slice.length), reserve(globalBucket, slice.length));
+        const send = () => {
+          if (this.destroyed) return;
+          recordTransfer(ip, slice.length);
+          this.push(slice);
+          next();
+        };
+
+        if (wait > 0) {
+          setTimeout(send, wait);
+        } else {
+          send();
+        }
+      };
+
+      next();
+    }
+  });
+
+  throttle.once('close', () => activeDownloads--);
+  return throttle;
+}
+
+/**
+ * Envolver o conteúdo de um download (stream ou Buffer) no limitador de banda.
+ * Usa `request.bandwidth` definido pelo middleware bandwidthLimiter.
+ */
+export function throttleDownload(request, source) {
+  const ip = normalizeIp(request.ip);
+  const exempt = request.bandwidth?.exempt ?? isExemptIp(ip);
+  const input = Buffer.isBuffer(source) ? Readable.from([source]) : source;
+
+  // pipeline propaga erros e encerra a origem se o cliente desconectar
+  return pipeline(input, createThrottle(ip, exempt), () => {});
+}
+
+/**
+ * Uso atual de banda (exposto em /api/health, sem IPs)
+ */
+export function getBandwidthStats() {
+  rollDay();
+
+  const now = Math.floor(Date.now() / 1000);
+  let recentBytes = 0;
+  for (let second = now - THROUGHPUT_WINDOW; second < now; second++) {
+    recentBytes += throughput.get(second) || 0;
+  }
+
+  let cappedIps = 0;
+  if (DAILY_CAP > 0) {
+    for (const bytes of dailyUsage.values()) {
+      if (bytes >= DAILY_CAP) cappedIps++;
+    }
+  }
+
+  return {
+    limits: {
+      perIpBytesPerSecond: PER_IP_RATE || null,
+      globalBytesPerSecond: GLOBAL_RATE || null,
+      dailyCapBytesPerIp: DAILY_CAP || null,
+      exemptNetworks: EXEMPT_CIDRS.length
+    },
+    activeDownloads,
+    currentBytesPerSecond: Math.round(recentBytes / THROUGHPUT_WINDOW),
+    bytesToday,
+    clientsToday: dailyUsage.size,
+    cappedClients: cappedIps
+  };
+}
+
+/**
+ * Limpeza periódica: baldes cheios (IP parado) e segundos antigos da taxa atual
+ */
+setInterval(() => {
+  const now = Date.now();
+
+  for (const [ip, bucket] of ipBuckets.entries()) {
+    if (now - bucket.updatedAt > CLEANUP_INTERVAL) {
+      ipBuckets.delete(ip);
+    }
+  }
+
+  const oldest = Math.floor(now / 1000) - THROUGHPUT_WINDOW;
+  for (const second of throughput.keys()) {
+    if (second < oldest) throughput.delete(second);
+  }
+}, CLEANUP_INTERVAL);
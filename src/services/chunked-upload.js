@@ -0,0 +1,168 @@
+// Upload resumível em partes (init / append-chunk / finalize)
+// As partes ficam em config/uploads/.partial até o último byte chegar
+
+import { createWriteStream, mkdirSync } from 'fs';
+import { promises as fs } from 'fs';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { randomBytes } from 'crypto';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { dbOperations } from '../database.js';
+import { assertQuota } from './quota.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Configurações
+export const PARTIAL_DIR = join(__dirname, '..', '..', 'config', 'uploads', '.partial');
+const SESSION_TTL_HOURS = parseInt(process.env.UPLOAD_SESSION_TTL_HOURS || '24');
+const CLEANUP_INTERVAL = 60 * 60 * 1000; // Limpar a cada 1 hora
+
+mkdirSync(PARTIAL_DIR, { recursive: true });
+
+// Sessões recebendo uma parte neste momento (evita duas escritas simultâneas)
+const activeSessions = new Set();
+
+/**
+ * Caminho do arquivo parcial de uma sessão
+ */
+export function getPartialPath(sessionId) {
+  return join(PARTIAL_DIR, `${sessionId}.part`);
+}
+
+/**
+ * Criar nova sessão de upload. A sessão reserva o tamanho total na cota do
+ * usuário: a verificação e a gravação acontecem na mesma transação, então
+ * sessões simultâneas não passam da cota juntas.
+ */
+export async function createSession({ originalName, mimeType, size, tags, description, uploadedBy, visibility, expiresAt, folderId }) {
+  const id = randomBytes(16).toString('hex');
+
+  // Arquivo parcial vazio: o offset atual é sempre o tamanho dele no disco
+  await fs.writeFile(getPartialPath(id), '');
+
+  try {
+    dbOperations.reserveUploadSession({
+      id,
+      originalName,
+      mimeType,
+      size,
+      tags,
+      description,
+      uploadedBy,
+      visibility,
+      expiresAt,
+      folderId
+    }, () => assertQuota(uploadedBy, size));
+  } catch (error) {
+    await fs.unlink(getPartialPath(id)).catch(() => {});
+    throw error;
+  }
+
+  return dbOperations.getUploadSession(id);
+}
+
+/**
+ * Obter offset atual (bytes já recebidos) de uma sessão
+ */
+export async function getOffset(sessionId) {
+  try {
+    const stats = await fs.stat(getPartialPath(sessionId));
+    return stats.size;
+  } catch (error) {
+    return 0;
+  }
+}
+
+/**
+ * Anexar uma parte ao arquivo parcial.
+ * Retorna o novo offset. Bytes recebidos antes de uma queda de conexão
+ * continuam gravados, então o cliente só precisa consultar o offset e retomar.
+ */
+export async function appendChunk(session, offset, stream, maxChunkBytes) {
+  if (activeSessions.has(session.id)) {
+    const error = new Error('Já existe uma parte sendo enviada para esta sessão.');
+    error.statusCode = 423;
+    throw error;
+  }
+
+  activeSessions.add(session.id);
+
+  try {
+    const currentOffset = await getOffset(session.id);
+
+    if (offset !== currentOffset) {
+      const error = new Error(`Offset inválido. Esperado ${currentOffset}, recebido ${offset}.`);
+      error.statusCode = 409;
+      error.offset = currentOffset;
+      throw error;
+    }
+
+    const remaining = session.size - currentOffset;
+    const limit = Math.min(remaining, maxChunkBytes);
+    let received = 0;
+
+    // Interrompe o stream assim que a parte passar do permitido
+    const guard = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > limit) {
+          const error = new Error(received > remaining
+            ? 'A parte excede o tamanho declarado do arquivo.'
+            : 'A parte excede o tamanho máximo permitido.');
+          error.statusCode = 413;
+          return callback(error);
+        }
+        callback(null, chunk);
+      }
+    });
+
+    const writeStream = createWriteStream(getPartialPath(session.id), { flags: 'a' });
+
+    try {
+      await pipeline(stream, guard, writeStream);
+    } finally {
+      dbOperations.touchUploadSession(session.id);
+    }
+
+    return await getOffset(session.id);
+  } finally {
+    activeSessions.delete(session.id);
+  }
+}
+
+/**
+ * Verificar se a sessão está recebendo uma parte neste momento
+ */
+export function isSessionBusy(sessionId) {
+  return activeSessions.has(sessionId);
+}
+
+/**
+ * Remover sessão e arquivo parcial
+ */
+export async function removeSession(sessionId) {
+  dbOperations.deleteUploadSession(sessionId);
+  try {
+    await fs.unlink(getPartialPath(sessionId));
+  } catch (error) {
+    // Arquivo parcial já removido
+  }
+}
+
+/**
+ * Limpeza periódica de sessões abandonadas
+ */
+setInterval(async () => {
+  try {
+    const stale = dbOperations.getStaleUploadSessions(SESSION_TTL_HOURS);
+    for (const session of stale) {
+      if (activeSessions.has(session.id)) continue;
+      await removeSession(session.id);
+      console.log(`🧹 Sessão de upload expirada: ${session.id} (${session.original_name})`);
+    }
+  } catch (error) {
+    console.error('Erro ao limpar sessões de upload:', error.message);
+  }
+}, CLEANUP_INTERVAL);
@@ -0,0 +1,229 @@
+// Compressão de downloads de texto (JSON, SVG, logs, scripts Lua do FiveM...)
+// Cada conteúdo compressível ganha variantes gzip/brotli gravadas no storage
+// em variants/ (variants/<chave>.gz / .br), geradas em segundo plano
+// após o upload ou no primeiro download. O /download escolhe a variante pelo
+// Accept-Encoding; enquanto ela não existe, comprime na hora (nível rápido).
+// Variantes que não economizam ao menos 10% não são gravadas.
+
+import { createGzip, createBrotliCompress, gzip, brotliCompress, constants } from 'zlib';
+import { Readable, pipeline } from 'stream';
+import { promisify } from 'util';
+import { extname } from 'path';
+import { dbOperations } from '../database.js';
+import { storage, readToBuffer } from './storage/index.js';
+import { getFileKey, getVariantKey } from './file-store.js';
+
+// Configurações
+// Encodings em ordem de preferência (vazio desativa a compressão)
+export const COMPRESSION_ENCODINGS = String(process.env.COMPRESSION_ENCODINGS ?? 'br,gzip')
+  .split(',')
+  .map(encoding => encoding.trim().toLowerCase())
+  .filter(encoding => ['br', 'gzip'].includes(encoding));
+const COMPRESSION_MIN_BYTES = Math.max(parseInt(process.env.COMPRESSION_MIN_SIZE_KB || '1'), 0) * 1024;
+const COMPRESSION_MAX_BYTES = Math.max(parseInt(process.env.COMPRESSION_MAX_SIZE_MB || '20'), 1) * 1024 * 1024;
+const COMPRESSION_ON_UPLOAD = process.env.COMPRESSION_ON_UPLOAD !== 'false';
+const MIN_SAVING_RATIO = 0.9; // Variante só vale se tiver até 90% do original
+
+// Tipos de texto (o MIME enviado pelo cliente nem sempre ajuda: .lua costuma vir como octet-stream)
+const COMPRESSIBLE_TYPES = /^(text\/.+|image\/svg\+xml|application\/(json|ld\+json|x-ndjson|xml|javascript|x-javascript|ecmascript|x-lua|lua|yaml|x-yaml|toml|x-sh|sql|wasm|.+\+json|.+\+xml))$/i;
+const COMPRESSIBLE_EXTENSIONS = new Set([
+  '.txt', '.log', '.md', '.csv', '.json', '.xml', '.svg', '.yml', '.yaml', '.toml', '.ini', '.cfg',
+  '.lua', '.meta', '.js', '.mjs', '.css', '.html', '.htm', '.sql', '.sh'
+]);
+
+// Fila em memória: uma chave por vez para não disputar CPU com os uploads
+const queue = [];
+const queued = new Set();
+let processing = false;
+
+/**
+ * O arquivo é texto compressível e está na faixa de tamanho configurada?
+ */
+export function isCompressible(file) {
+  if (COMPRESSION_ENCODINGS.length === 0) return false;
+  if (file.size < COMPRESSION_MIN_BYTES || file.size > COMPRESSION_MAX_BYTES) return false;
+
+  return COMPRESSIBLE_TYPES.test(file.mime_type || '')
+    || COMPRESSIBLE_EXTENSIONS.has(extname(file.original_name || '').toLowerCase());
+}
+
+/**
+ * Encodings aceitos pelo cliente, na ordem de preferência do servidor
+ */
+function acceptedEncodings(header) {
+  if (!header) return [];
+
+  const weights = new Map();
+  for (const part of header.split(',')) {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+    weights.set(name, q ? parseFloat(q.slice(2)) : 1);
+  }
+
+  return COMPRESSION_ENCODINGS.filter(encoding => (weights.get(encoding) ?? weights.get('*') ?? 0) > 0);
+}
+
+/**
+ * Compressor de stream rápido, para envio na hora
+ */
+function createCompressor(encoding) {
+  return encoding === 'br'
+    ? createBrotliCompress({ params: { [constants.BROTLI_PARAM_QUALITY]: 4 } })
+    : createGzip({ level: 6 });
+}
+
+/**
+ * Comprimir stream na hora (usado enquanto a variante não está pronta)
+ */
+export function compressStream(stream, encoding) {
+  return pipeline(stream, createCompressor(encoding), () => {});
+}
+
+/**
+ * Variante a enviar para o download, memorizada em `request.downloadVariant`:
+ *   { encoding, key, size, stored: true }  variante gravada no storage
+ *   { encoding, stored: false }            comprimir na hora (variante na fila)
+ *   null                                   enviar o original
+ * Requisições com Range recebem sempre o original.
+ */
+export function resolveDownloadVariant(request, fileRecord) {
+  if (request.downloadVariant !== undefined) return request.downloadVariant;
+  request.downloadVariant = null;
+
+  if (!fileRecord || request.headers.range || !isCompressible(fileRecord)) {
+    return null;
+  }
+
+  const key = getFileKey(fileRecord);
+  const variants = new Map(dbOperations.getContentVariants(key).map(variant => [variant.encoding, variant]));
+
+  for (const encoding of acceptedEncodings(request.headers['accept-encoding'])) {
+    const variant = variants.get(encoding);
+
+    if (!variant) {
+      queueVariants(key);
+      return (request.downloadVariant = { encoding, stored: false });
+    }
+
+    if (variant.stored) {
+      return (request.downloadVariant = { encoding, key: getVariantKey(key, encoding), size: variant.size, stored: true });
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Gerar as variantes que faltam de uma chave (qualidade máxima)
+ */
+export async function generateVariants(key) {
+  const existing = new Set(dbOperations.getContentVariants(key).map(variant => variant.encoding));
+  const missing = COMPRESSION_ENCODINGS.filter(encoding => !existing.has(encoding));
+  if (missing.length === 0) return 0;
+
+  const original = await readToBuffer(key);
+  let created = 0;
+
+  for (const encoding of missing) {
+    const compressed = encoding === 'br'
+      ? await promisify(brotliCompress)(original, {
+        params: {
+          [constants.BROTLI_PARAM_QUALITY]: constants.BROTLI_MAX_QUALITY,
+          [constants.BROTLI_PARAM_MODE]: constants.BROTLI_MODE_TEXT,
+          [constants.BROTLI_PARAM_SIZE_HINT]: original.length
+        }
+      })
+      : await promisify(gzip)(original, { level: 9 });
+
+    const stored = compressed.length <= original.length * MIN_SAVING_RATIO;
+    if (stored) {
+      await storage.put(getVariantKey(key, encoding), Readable.from([compressed]), {
+        size: compressed.length,
+        contentType: encoding === 'br' ? 'application/x-brotli' : 'application/gzip'
+      });
+      created++;
+    }
+
+    dbOperations.setContentVariant(key, encoding, { size: compressed.length, stored });
+  }
+
+  // Original removido enquanto comprimia: não deixar variantes órfãs
+  if (!(await storage.stat(key))) {
+    for (const encoding of missing) {
+      await storage.delete(getVariantKey(key, encoding)).catch(() => {});
+    }
+    dbOperations.deleteContentVariants(key);
+  }
+
+  return created;
+}
+
+/**
+ * Processar fila de variantes
+ */
+async function processQueue() {
+  if (processing) return;
+  processing = true;
+
+  while (queue.length > 0) {
+    const key = queue.shift();
+
+    try {
+      const created = await generateVariants(key);
+      if (created > 0) console.log(`🗜️  Variantes comprimidas geradas: ${key} (${created})`);
+    } catch (error) {
+      console.warn(`Erro ao comprimir ${key}: ${error.message}`);
+    } finally {
+      queued.delete(key);
+    }
+  }
+
+  processing = false;
+}
+
+/**
+ * Agendar geração das variantes de uma chave (uma vez enquanto estiver na fila)
+ */
+function queueVariants(key) {
+  if (queued.has(key)) return;
+
+  queued.add(key);
+  queue.push(key);
+  setImmediate(processQueue);
+}
+
+/**
+ * Agendar variantes de um arquivo recém-enviado (se COMPRESSION_ON_UPLOAD)
+ */
+export function queueCompression(file) {
+  if (!COMPRESSION_ON_UPLOAD || !isCompressible(file)) return false;
+
+  queueVariants(getFileKey(file));
+  return true;
+}
+
+/**
+ * Apagar do storage as variantes gravadas antes da pasta variants/ (ao lado do
+ * original). Roda uma vez na inicialização, em lotes, até esvaziar a lista.
+ */
+async function removeLegacyVariants() {
+  let removed = 0;
+  let keys;
+
+  while ((keys = dbOperations.getLegacyVariantKeys()).length > 0) {
+    // Erro no storage interrompe: o que faltou fica para a próxima inicialização
+    for (const key of keys) {
+      await storage.delete(key);
+      dbOperations.deleteLegacyVariantKey(key);
+      removed++;
+    }
+  }
+
+  if (removed > 0) console.log(`🗜️  ${removed} variante(s) comprimida(s) antiga(s) removida(s) do storage`);
+}
+
+setImmediate(() => {
+  removeLegacyVariants().catch(error => {
+    console.error('Erro ao remover variantes antigas:', error.message);
+  });
+});
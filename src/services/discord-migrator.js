@@ -1,13 +1,7 @@
 import axios from 'axios';
 import { randomBytes } from 'crypto';
-import { createWriteStream } from 'fs';
-import { pipeline } from 'stream/promises';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
 import { dbOperations } from '../database.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import { ingestStream, releaseBlob } from './file-store.js';
 
 // Regex para detectar URLs de arquivos do Discord
 const DISCORD_CDN_REGEX = /https?:\/\/(?:cdn\.discordapp\.com|media\.discordapp\.net)\/attachments\/[\w/-]+\.[\w]+/gi;
@@ -203,16 +197,8 @@ export async function uploadToStorage(fileData, baseUrl, uploadedBy = null) {
     const extension = fileData.extension || fileData.originalName.split('.').pop();
     const storedName = `${timestamp}-${random}.${extension}`;
 
-    // Caminho de upload
-    const uploadPath = join(__dirname, '..', '..', 'config', 'uploads', storedName);
-
-    // Salvar arquivo
-    const writeStream = createWriteStream(uploadPath, {
-      flags: 'w',
-      encoding: 'binary'
-    });
-
-    await pipeline(fileData.stream, writeStream);
+    // Salvar arquivo (deduplicado por hash)
+    const blob = await ingestStream(fileData.stream);
 
     // URL de download
     const downloadUrl = `${baseUrl}/download/${storedName}`;
@@ -224,17 +210,24 @@ export async function uploadToStorage(fileData, baseUrl, uploadedBy = null) {
     else if (fileData.mimeType.startsWith('audio/')) fileType = 'audio';
 
     // Salvar no banco
-    const fileId = dbOperations.insertFile({
-      originalName: fileData.originalName,
-      storedName,
-      fileType,
-      mimeType: fileData.mimeType,
-      size: fileData.size,
-      downloadUrl,
-      tags: 'discord-migration',
-      description: 'Migrado automaticamente do Discord',
-      uploadedBy
-    });
+    let fileId;
+    try {
+      fileId = dbOperations.insertFile({
+        originalName: fileData.originalName,
+        storedName,
+        fileType,
+        mimeType: fileData.mimeType,
+        size: blob.size,
+        downloadUrl,
+        tags: 'discord-migration',
+        description: 'Migrado automaticamente do Discord',
+        uploadedBy,
+        blobHash: blob.hash
+      });
+    } catch (error) {
+      await releaseBlob(blob.hash);
+      throw error;
+    }
 
     return {
       fileId,
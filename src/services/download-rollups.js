@@ -0,0 +1,37 @@
+// Agregação diária de downloads
+// Cada download gera uma linha em file_downloads. Linhas com mais de
+// DOWNLOADS_RAW_DAYS dias são compactadas em download_rollups (uma linha por
+// arquivo por dia, com contagem e bytes enviados), e os agregados são mantidos
+// por DOWNLOADS_HISTORY_DAYS dias. As estatísticas somam as duas tabelas.
+
+import { dbOperations } from '../database.js';
+
+// Configurações
+export const DOWNLOADS_RAW_DAYS = Math.max(parseInt(process.env.DOWNLOADS_RAW_DAYS || '7'), 1);
+export const DOWNLOADS_HISTORY_DAYS = Math.max(parseInt(process.env.DOWNLOADS_HISTORY_DAYS || '365'), DOWNLOADS_RAW_DAYS);
+const COMPACT_INTERVAL = 60 * 60 * 1000; // Verificar a cada 1 hora
+
+/**
+ * Compactar downloads brutos antigos e apagar agregados fora do histórico
+ */
+export function compactDownloads(rawDays = DOWNLOADS_RAW_DAYS, historyDays = DOWNLOADS_HISTORY_DAYS) {
+  const { rollups, rawRows } = dbOperations.compactDownloads(rawDays);
+  const pruned = dbOperations.pruneDownloadRollups(historyDays);
+
+  if (rawRows > 0 || pruned > 0) {
+    console.log(`📊 Downloads: ${rawRows} registro(s) compactado(s) em ${rollups} agregado(s) diário(s), ${pruned} agregado(s) antigo(s) removido(s)`);
+  }
+
+  return { rawRows, rollups, pruned };
+}
+
+/**
+ * Compactação periódica
+ */
+setInterval(() => {
+  try {
+    compactDownloads();
+  } catch (error) {
+    console.error('Erro ao compactar downloads:', error.message);
+  }
+}, COMPACT_INTERVAL);
@@ -0,0 +1,45 @@
+// Séries temporais de downloads: o banco só devolve os intervalos que tiveram
+// downloads, aqui os intervalos vazios são preenchidos com zero para que
+// gráficos e CSV tenham um ponto por hora/dia/semana.
+
+const BUCKET_STEPS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Chave do intervalo no mesmo formato do SQLite (UTC)
+ */
+function formatBucket(bucket, time) {
+  const iso = new Date(time).toISOString();
+  return bucket === 'hour' ? `${iso.slice(0, 10)} ${iso.slice(11, 13)}:00` : iso.slice(0, 10);
+}
+
+/**
+ * Todas as chaves de intervalo dos últimos N dias, a partir da meia-noite
+ * (UTC) do primeiro dia. Semanas começam na segunda-feira.
+ */
+export function getBucketKeys(bucket, days, now = Date.now()) {
+  const start = new Date(now);
+  start.setUTCHours(0, 0, 0, 0);
+  start.setUTCDate(start.getUTCDate() - days);
+
+  if (bucket === 'week') {
+    start.setUTCDate(start.getUTCDate() - (start.getUTCDay() + 6) % 7);
+  }
+
+  const keys = [];
+  for (let time = start.getTime(); time <= now; time += BUCKET_STEPS[bucket]) {
+    keys.push(formatBucket(bucket, time));
+  }
+  return keys;
+}
+
+/**
+ * Completar a série com zeros nos intervalos sem downloads
+ */
+export function fillDownloadSeries(series, bucket, days) {
+  const byBucket = new Map(series.map(item => [item.bucket, item]));
+  return getBucketKeys(bucket, days).map(key => byBucket.get(key) || { bucket: key, count: 0, bytes: 0 });
+}
@@ -0,0 +1,110 @@
+// Detalhes registrados em cada download: origem (host do Referer), tipo de
+// cliente (família do User-Agent), IP, país (GeoIP offline, opcional),
+// se foi uma requisição com Range e quantos bytes foram enviados.
+
+import { createHash } from 'crypto';
+import maxmind from 'maxmind';
+import { parseRange } from './file-sender.js';
+
+// Configurações
+// DOWNLOAD_IP_MODE: hash (padrão, guarda só um hash do IP), full (IP completo) ou off (não guarda)
+const DOWNLOAD_IP_MODE = ['hash', 'full', 'off'].includes(process.env.DOWNLOAD_IP_MODE)
+  ? process.env.DOWNLOAD_IP_MODE
+  : 'hash';
+const DOWNLOAD_IP_SALT = process.env.DOWNLOAD_IP_SALT || process.env.SESSION_SECRET || 'your-secret-key-change-this-in-production';
+// Arquivo .mmdb (ex.: GeoLite2-Country.mmdb da MaxMind); sem ele, o país fica vazio
+const GEOIP_DATABASE = process.env.GEOIP_DATABASE || '';
+
+// Famílias de cliente, na ordem em que são testadas (a primeira que casar vence)
+const CLIENT_TYPES = [
+  ['fivem', /CitizenFX|FiveM|RedM/i],
+  ['bot', /bot\b|crawler|spider|slurp|facebookexternalhit|discordbot/i],
+  ['curl', /^curl\//i],
+  ['wget', /^wget\//i],
+  ['script', /python|node-fetch|axios|undici|okhttp|java\/|go-http-client|powershell/i],
+  ['edge', /Edg(e|A|iOS)?\//],
+  ['opera', /OPR\/|Opera/],
+  ['chrome', /Chrome\/|CriOS\//],
+  ['firefox', /Firefox\/|FxiOS\//],
+  ['safari', /Safari\//]
+];
+
+let geoReader = null;
+
+if (GEOIP_DATABASE) {
+  try {
+    geoReader = await maxmind.open(GEOIP_DATABASE);
+    console.log(`🌍 GeoIP carregado: ${GEOIP_DATABASE}`);
+  } catch (error) {
+    console.warn(`⚠️  GeoIP desativado, não foi possível abrir ${GEOIP_DATABASE}: ${error.message}`);
+  }
+}
+
+/**
+ * Host do Referer (ou Origin), sem porta nem caminho
+ */
+export function parseReferrerHost(headers) {
+  const value = headers.referer || headers.origin;
+  if (!value) return null;
+
+  try {
+    return new URL(value).hostname.toLowerCase() || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Família do cliente a partir do User-Agent
+ */
+export function detectClientType(userAgent) {
+  if (!userAgent) return null;
+  const match = CLIENT_TYPES.find(([, pattern]) => pattern.test(userAgent));
+  return match ? match[0] : 'other';
+}
+
+/**
+ * País (ISO 3166-1 alpha-2) do IP, se houver base GeoIP
+ */
+export function lookupCountry(ip) {
+  if (!geoReader || !ip) return null;
+
+  try {
+    const address = ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+    const result = geoReader.get(address);
+    return result?.country?.iso_code || result?.registered_country?.iso_code || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * IP como será guardado, conforme DOWNLOAD_IP_MODE
+ */
+function storedClientIp(ip) {
+  if (!ip || DOWNLOAD_IP_MODE === 'off') return null;
+  if (DOWNLOAD_IP_MODE === 'full') return ip;
+
+  return createHash('sha256').update(`${DOWNLOAD_IP_SALT}:${ip}`).digest('hex').slice(0, 16);
+}
+
+/**
+ * Montar os detalhes de um download para dbOperations.recordDownload.
+ * Com Range, conta só os bytes do trecho pedido (Range inválido não envia nada).
+ * Variantes gravadas (comprimida ou imagem transformada) contam o tamanho delas;
+ * comprimida na hora conta o original.
+ */
+export function getDownloadDetails(request, fileRecord, variant = null) {
+  const range = variant ? null : parseRange(request.headers.range, fileRecord.size);
+  const size = variant?.stored ? variant.size : fileRecord.size;
+  const bytes = range ? range.end - range.start + 1 : range === false ? 0 : size;
+
+  return {
+    bytes,
+    isRange: Boolean(range),
+    referrerHost: parseReferrerHost(request.headers),
+    clientType: detectClientType(request.headers['user-agent']),
+    clientIp: storedClientIp(request.ip),
+    country: lookupCountry(request.ip)
+  };
+}
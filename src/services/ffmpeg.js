@@ -0,0 +1,63 @@
+// Utilitários do ffmpeg, usados pelas miniaturas de vídeo e pela transcodificação
+// O binário é opcional: sem ele, quem depende do ffmpeg simplesmente não roda.
+
+import { spawn } from 'child_process';
+import { createWriteStream } from 'fs';
+import { promises as fs } from 'fs';
+import { pipeline } from 'stream/promises';
+import { randomBytes } from 'crypto';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { storage } from './storage/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Configurações
+export const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+export const TMP_DIR = join(__dirname, '..', '..', 'config', 'uploads', '.tmp');
+
+// Detectar ffmpeg uma única vez
+let ffmpegAvailable = null;
+
+/**
+ * Verificar se o ffmpeg está disponível na máquina (resultado memorizado)
+ */
+export function checkFfmpeg() {
+  if (ffmpegAvailable !== null) return Promise.resolve(ffmpegAvailable);
+
+  return new Promise(resolve => {
+    const child = spawn(FFMPEG_PATH, ['-version'], { stdio: 'ignore' });
+    child.on('error', () => resolve(ffmpegAvailable = false));
+    child.on('close', code => resolve(ffmpegAvailable = code === 0));
+  });
+}
+
+/**
+ * Resultado da última verificação (null se ainda não verificado)
+ */
+export function isFfmpegAvailable() {
+  return ffmpegAvailable;
+}
+
+/**
+ * Executar `fn(caminho)` com o arquivo de uma chave no disco local. Drivers
+ * remotos (S3) precisam de uma cópia temporária, porque o ffmpeg precisa de
+ * acesso aleatório ao arquivo.
+ */
+export async function withLocalFile(key, fn) {
+  let inputPath = storage.localPath(key);
+  let tempPath = null;
+
+  if (!inputPath) {
+    tempPath = join(TMP_DIR, `${randomBytes(16).toString('hex')}.video`);
+    await pipeline(await storage.createReadStream(key), createWriteStream(tempPath));
+    inputPath = tempPath;
+  }
+
+  try {
+    return await fn(inputPath);
+  } finally {
+    if (tempPath) await fs.unlink(tempPath).catch(() => {});
+  }
+}
@@ -0,0 +1,145 @@
+// Envio de arquivos do storage via stream, com suporte a Range e validação de cache.
+// Funciona com qualquer driver (disco local ou S3) e permite envolver o stream
+// (ex.: limitador de banda), o que o sendFile do @fastify/static não permite.
+// Também envia variantes comprimidas (Content-Encoding), gravadas ou geradas na hora.
+
+import { storage } from './storage/index.js';
+import { compressStream } from './compression.js';
+
+/**
+ * Interpretar header Range (apenas um intervalo, como navegadores e players usam)
+ * Retorna { start, end }, null (sem Range válido) ou false (intervalo impossível)
+ */
+export function parseRange(header, size) {
+  if (!header || !header.startsWith('bytes=')) return null;
+
+  const spec = header.slice(6).trim();
+  if (spec.includes(',')) return null; // Múltiplos intervalos: responder com o arquivo inteiro
+
+  const [startStr, endStr] = spec.split('-');
+  let start;
+  let end;
+
+  if (startStr === '') {
+    // Sufixo: últimos N bytes
+    const suffix = parseInt(endStr);
+    if (!Number.isInteger(suffix) || suffix <= 0) return false;
+    start = Math.max(size - suffix, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(startStr);
+    end = endStr === '' ? size - 1 : Math.min(parseInt(endStr), size - 1);
+  }
+
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start > end || start >= size) {
+    return false;
+  }
+
+  return { start, end };
+}
+
+/**
+ * O If-None-Match casa com a ETag? (lista separada por vírgulas, "*" e
+ * comparação fraca: W/"x" equivale a "x")
+ */
+function matchesEtag(header, tag) {
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+
+  const weak = value => value.trim().replace(/^W\//, '');
+  return header.split(',').some(value => weak(value) === weak(tag));
+}
+
+/**
+ * O conteúdo mudou desde If-Modified-Since? (só vale sem If-None-Match)
+ */
+function isModifiedSince(request, mtime) {
+  const since = Date.parse(request.headers['if-modified-since'] || '');
+  if (Number.isNaN(since)) return true;
+
+  // Last-Modified tem precisão de segundos
+  return Math.floor(new Date(mtime).getTime() / 1000) * 1000 > since;
+}
+
+/**
+ * ETag de uma variante comprimida: "abc" -> "abc-br" (cada representação tem a sua)
+ */
+function encodedEtag(tag, encoding, weak) {
+  const value = `${tag.replace(/^W\//, '').slice(0, -1)}-${encoding}"`;
+  return weak || tag.startsWith('W/') ? `W/${value}` : value;
+}
+
+/**
+ * Enviar um conteúdo com Range, ETag/Last-Modified e requisições condicionais.
+ * `open(range)` devolve o stream (ou Buffer) do trecho pedido ({ start, end } ou null).
+ * Com `encoding`, o conteúdo já vem comprimido: sai com Content-Encoding e sem
+ * Range; `size: null` indica tamanho desconhecido (comprimido na hora).
+ */
+export async function sendContent(request, reply, { size, mtime, mimeType, etag, encoding, open }) {
+  let tag = etag || `W/"${(size ?? 0).toString(16)}-${new Date(mtime).getTime().toString(16)}"`;
+
+  if (encoding) {
+    // Comprimido na hora não é byte a byte igual à variante gravada: ETag fraca
+    tag = encodedEtag(tag, encoding, size === null);
+    reply.header('Content-Encoding', encoding);
+  }
+
+  reply.header('Accept-Ranges', 'bytes');
+  reply.header('ETag', tag);
+  reply.header('Last-Modified', new Date(mtime).toUTCString());
+  reply.type(mimeType || 'application/octet-stream');
+
+  // Validação de cache do navegador
+  const ifNoneMatch = request.headers['if-none-match'];
+  if (ifNoneMatch ? matchesEtag(ifNoneMatch, tag) : !isModifiedSince(request, mtime)) {
+    return reply.code(304).send();
+  }
+
+  const range = encoding ? null : parseRange(request.headers.range, size);
+
+  if (range === false) {
+    reply.header('Content-Range', `bytes */${size}`);
+    return reply.code(416).send();
+  }
+
+  if (range) {
+    reply.code(206);
+    reply.header('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    reply.header('Content-Length', range.end - range.start + 1);
+  } else if (size !== null) {
+    reply.header('Content-Length', size);
+  }
+
+  if (request.method === 'HEAD') {
+    return reply.send();
+  }
+
+  return reply.send(await open(range));
+}
+
+/**
+ * Enviar conteúdo de uma chave do storage.
+ * `wrapStream` recebe o stream de leitura e devolve o stream a ser enviado.
+ * `encoding` informa que a chave é uma variante comprimida; `compress`
+ * comprime o conteúdo na hora com o encoding indicado.
+ */
+export async function sendStoredFile(request, reply, key, { mimeType, etag, encoding, compress, wrapStream } = {}) {
+  const stats = await storage.stat(key);
+
+  if (!stats) {
+    return reply.callNotFound();
+  }
+
+  return sendContent(request, reply, {
+    size: compress ? null : stats.size,
+    mtime: stats.mtime,
+    mimeType,
+    etag,
+    encoding: compress || encoding,
+    open: async range => {
+      let stream = await storage.createReadStream(key, range || {});
+      if (compress) stream = compressStream(stream, compress);
+      return wrapStream ? wrapStream(stream) : stream;
+    }
+  });
+}
@@ -0,0 +1,304 @@
+// Armazenamento endereçado por conteúdo (deduplicação por SHA-256)
+// Arquivos iguais enviados várias vezes compartilham um único blob no storage.
+// Cada linha de `files` referencia o blob pelo hash e o blob só é removido
+// quando a última referência é apagada.
+// Os bytes recebidos passam primeiro por config/uploads/.tmp (disco local) e
+// depois vão para o driver de storage configurado (local ou S3).
+
+import { createReadStream, createWriteStream, mkdirSync } from 'fs';
+import { promises as fs } from 'fs';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { createHash, randomBytes } from 'crypto';
+import { join, dirname, posix } from 'path';
+import { fileURLToPath } from 'url';
+import { dbOperations } from '../database.js';
+import { storage, readToBuffer } from './storage/index.js';
+import { invalidateCachedFile } from './hot-cache.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Configurações
+const TMP_DIR = join(__dirname, '..', '..', 'config', 'uploads', '.tmp');
+// Extensão das variantes comprimidas no storage
+const VARIANT_EXTENSIONS = { br: 'br', gzip: 'gz' };
+// Extensão das versões de vídeo transcodificadas, por perfil
+const RENDITION_EXTENSIONS = { mp4: 'mp4', webm: 'webm' };
+// Arquivo de entrada de um pacote HLS
+const HLS_MASTER_PLAYLIST = 'master.m3u8';
+
+mkdirSync(TMP_DIR, { recursive: true });
+
+// Operações em andamento por hash (evita corrida entre gravar e remover o mesmo blob)
+const blobLocks = new Map();
+
+async function withBlobLock(hash, fn) {
+  while (blobLocks.has(hash)) {
+    await blobLocks.get(hash);
+  }
+
+  const promise = (async () => fn())();
+  blobLocks.set(hash, promise.catch(() => {}));
+
+  try {
+    return await promise;
+  } finally {
+    blobLocks.delete(hash);
+  }
+}
+
+/**
+ * Chave de storage de um blob
+ */
+export function getBlobKey(hash) {
+  return `blobs/${hash.slice(0, 2)}/${hash}`;
+}
+
+/**
+ * Chave de storage do conteúdo de um arquivo registrado.
+ * Arquivos antigos (anteriores à deduplicação) continuam na chave <stored_name>.
+ */
+export function getFileKey(file) {
+  return file.blob_hash ? getBlobKey(file.blob_hash) : file.stored_name;
+}
+
+/**
+ * Chave de storage da miniatura de um arquivo (compartilhada entre arquivos do mesmo blob)
+ */
+export function getThumbnailKey(file) {
+  return file.blob_hash
+    ? `thumbs/${file.blob_hash.slice(0, 2)}/${file.blob_hash}.webp`
+    : `thumbs/${file.stored_name}.webp`;
+}
+
+/**
+ * Chave de storage de uma variante comprimida (pasta própria, como as demais
+ * derivadas: nunca é confundida com o nome de um arquivo)
+ */
+export function getVariantKey(key, encoding) {
+  return `variants/${key}.${VARIANT_EXTENSIONS[encoding]}`;
+}
+
+/**
+ * Chave de storage de uma imagem derivada (redimensionada/convertida)
+ */
+export function getTransformKey(key, params) {
+  return `transforms/${key}/${params}`;
+}
+
+/**
+ * Chave de storage de uma versão de vídeo transcodificada (compartilhada entre arquivos do mesmo blob)
+ */
+export function getRenditionKey(key, profile) {
+  return `renditions/${key}.${RENDITION_EXTENSIONS[profile]}`;
+}
+
+/**
+ * Chave de storage de um arquivo do pacote HLS de um vídeo (sem `path`, o
+ * master playlist). Ex.: hls/<chave>/v0/seg_00001.ts
+ */
+export function getHlsKey(key, path = HLS_MASTER_PLAYLIST) {
+  return `hls/${key}/${path}`;
+}
+
+/**
+ * Mover arquivo temporário para o blob correspondente e registrar a referência
+ */
+async function commitBlob(tempPath, hash, size) {
+  return withBlobLock(hash, async () => {
+    const existing = dbOperations.getBlob(hash);
+
+    if (existing) {
+      // Conteúdo já armazenado: descartar a cópia recebida
+      await fs.unlink(tempPath).catch(() => {});
+    } else {
+      await storage.putFile(getBlobKey(hash), tempPath);
+    }
+
+    dbOperations.acquireBlob(hash, size);
+
+    return {
+      hash,
+      size,
+      deduplicated: Boolean(existing)
+    };
+  });
+}
+
+/**
+ * Gravar um stream calculando o SHA-256 durante a escrita.
+ * `transforms` extras (ex.: limite de cota) são aplicados antes do hash;
+ * se algum falhar, o arquivo temporário é descartado.
+ */
+export async function ingestStream(stream, { transforms = [] } = {}) {
+  const tempPath = join(TMP_DIR, randomBytes(16).toString('hex'));
+  const hash = createHash('sha256');
+  let size = 0;
+
+  const hasher = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      size += chunk.length;
+      callback(null, chunk);
+    }
+  });
+
+  try {
+    await pipeline(stream, ...transforms, hasher, createWriteStream(tempPath, { flags: 'w' }));
+  } catch (error) {
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+
+  return commitBlob(tempPath, hash.digest('hex'), size);
+}
+
+/**
+ * Importar um arquivo já existente no disco (ex.: upload resumível finalizado).
+ * O arquivo de origem é movido (ou descartado, se o conteúdo já existir).
+ */
+export async function ingestFile(sourcePath) {
+  const hash = createHash('sha256');
+  let size = 0;
+
+  for await (const chunk of createReadStream(sourcePath)) {
+    hash.update(chunk);
+    size += chunk.length;
+  }
+
+  return commitBlob(sourcePath, hash.digest('hex'), size);
+}
+
+/**
+ * Adicionar uma referência a um blob já armazenado (registrar um arquivo sem
+ * reenviar os bytes). Conhecer o hash não prova acesso ao conteúdo: só quem já
+ * tem um arquivo com esse blob pode reaproveitá-lo. A busca e a referência
+ * acontecem sob o lock do hash, para que uma remoção simultânea não apague o
+ * blob no meio. Retorna o blob no formato de ingestStream ou null.
+ */
+export async function acquireOwnedBlob(hash, userId) {
+  if (userId === null) return null;
+
+  return withBlobLock(hash, async () => {
+    const existing = dbOperations.getBlob(hash);
+    if (!existing || !dbOperations.userHasBlob(userId, hash)) return null;
+
+    dbOperations.acquireBlob(hash, existing.size);
+
+    return {
+      hash,
+      size: existing.size,
+      deduplicated: true
+    };
+  });
+}
+
+/**
+ * Liberar uma referência de blob criada por ingestStream/ingestFile
+ * (usado quando o registro do arquivo falha depois do conteúdo gravado)
+ */
+export async function releaseBlob(hash) {
+  return withBlobLock(hash, async () => {
+    const remaining = dbOperations.releaseBlob(hash);
+    if (remaining === 0) {
+      invalidateCachedFile(getBlobKey(hash));
+      await storage.delete(getBlobKey(hash)).catch(error => {
+        console.warn(`Erro ao remover blob ${hash}: ${error.message}`);
+      });
+      await removeVariants(getBlobKey(hash));
+    }
+    return remaining;
+  });
+}
+
+/**
+ * Remover arquivo: apaga o registro e o conteúdo físico (e a miniatura)
+ * quando não houver mais nenhuma referência ao blob
+ */
+export async function removeFile(file) {
+  dbOperations.deleteFile(file.id);
+
+  if (file.blob_hash) {
+    const remaining = await releaseBlob(file.blob_hash);
+    if (remaining === 0) {
+      await deleteKey(getThumbnailKey(file));
+    }
+    return;
+  }
+
+  // Arquivo antigo, sem deduplicação
+  await deleteKey(file.stored_name);
+  await removeVariants(file.stored_name);
+  await deleteKey(getThumbnailKey(file));
+}
+
+/**
+ * Remover as variantes comprimidas, as imagens derivadas e as versões de vídeo
+ * de uma chave (storage e registros)
+ */
+async function removeVariants(key) {
+  for (const variant of dbOperations.getContentVariants(key)) {
+    if (variant.stored) await deleteKey(getVariantKey(key, variant.encoding));
+  }
+  dbOperations.deleteContentVariants(key);
+
+  for (const transform of dbOperations.getImageTransforms(key)) {
+    await deleteKey(getTransformKey(key, transform.params));
+  }
+  dbOperations.deleteImageTransforms(key);
+
+  for (const profile of Object.keys(RENDITION_EXTENSIONS)) {
+    await deleteKey(getRenditionKey(key, profile));
+  }
+
+  await removeHlsPackage(key);
+}
+
+/**
+ * URIs listadas em um playlist HLS (linhas que não são tags nem comentários)
+ */
+async function readPlaylistUris(key) {
+  return (await readToBuffer(key)).toString('utf8')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Remover o pacote HLS de uma chave. O storage não lista diretórios: os
+ * segmentos são descobertos pelos playlists, e o master sai por último.
+ */
+export async function removeHlsPackage(key) {
+  const masterKey = getHlsKey(key);
+  if (!(await storage.stat(masterKey))) return;
+
+  try {
+    for (const playlist of await readPlaylistUris(masterKey)) {
+      const playlistKey = getHlsKey(key, playlist);
+      const dir = posix.dirname(playlist);
+
+      for (const segment of await readPlaylistUris(playlistKey).catch(() => [])) {
+        await deleteKey(getHlsKey(key, posix.join(dir, posix.basename(segment))));
+      }
+      await deleteKey(playlistKey);
+    }
+  } catch (error) {
+    console.warn(`Erro ao ler pacote HLS ${masterKey}: ${error.message}`);
+  }
+
+  await deleteKey(masterKey);
+}
+
+/**
+ * Remover chave do storage sem interromper a operação em caso de erro
+ */
+async function deleteKey(key) {
+  invalidateCachedFile(key);
+
+  try {
+    await storage.delete(key);
+  } catch (error) {
+    console.warn(`Erro ao remover arquivo físico ${key}: ${error.message}`);
+  }
+}
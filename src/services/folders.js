@@ -0,0 +1,190 @@
+// Pastas para organizar arquivos
+// Pastas formam uma árvore (parent_id NULL = raiz) e são visíveis para todos,
+// mas só o dono ou um admin pode alterá-las ou colocar arquivos nelas.
+// Nomes são únicos entre pastas irmãs, sem diferenciar maiúsculas.
+
+import { dbOperations } from '../database.js';
+
+// Configurações
+const MAX_FOLDER_NAME_LENGTH = 100;
+
+/**
+ * Erro de pasta (o status HTTP vai em `statusCode`)
+ */
+function folderError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Validar e normalizar nome de pasta
+ */
+function normalizeFolderName(name) {
+  const normalized = typeof name === 'string' ? name.trim() : '';
+
+  if (!normalized) {
+    throw folderError(400, 'Nome da pasta é obrigatório.');
+  }
+  if (normalized.length > MAX_FOLDER_NAME_LENGTH) {
+    throw folderError(400, `Nome da pasta deve ter no máximo ${MAX_FOLDER_NAME_LENGTH} caracteres.`);
+  }
+  if (/[\/\\]/.test(normalized)) {
+    throw folderError(400, 'Nome da pasta não pode conter "/" ou "\\".');
+  }
+
+  return normalized;
+}
+
+/**
+ * Converter ID de pasta recebido na API ('' / null / 'root' = raiz)
+ */
+function parseFolderId(value) {
+  if (value === undefined || value === null || value === '' || value === 'root') return null;
+  const id = Number(value);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw folderError(400, 'ID de pasta inválido.');
+  }
+  return id;
+}
+
+/**
+ * Verificar se o usuário pode alterar a pasta (dono ou admin)
+ */
+export function canManageFolder(folder, userId, userRole) {
+  return userRole === 'admin' || (userId !== null && folder.owner_id === userId);
+}
+
+/**
+ * Resolver a pasta de destino de um upload ou movimentação.
+ * Retorna null para a raiz; exige que o usuário possa alterar a pasta.
+ */
+export function resolveTargetFolder(value, userId, userRole) {
+  const folderId = parseFolderId(value);
+  if (folderId === null) return null;
+
+  const folder = dbOperations.getFolderById(folderId);
+  if (!folder) {
+    throw folderError(404, 'Pasta não encontrada.');
+  }
+  if (!canManageFolder(folder, userId, userRole)) {
+    throw folderError(403, 'Você não tem permissão para usar esta pasta.');
+  }
+
+  return folder;
+}
+
+/**
+ * Filtro de pasta para listagem/busca: 'root' ou lista de IDs
+ * (a própria pasta e, com `recursive`, todas as subpastas)
+ */
+export function resolveFolderFilter(value, recursive = false) {
+  const folderId = parseFolderId(value);
+  if (folderId === null) return 'root';
+
+  if (!dbOperations.getFolderById(folderId)) {
+    throw folderError(404, 'Pasta não encontrada.');
+  }
+
+  return recursive ? dbOperations.getFolderDescendantIds(folderId) : [folderId];
+}
+
+/**
+ * Garantir que não existe outra pasta irmã com o mesmo nome
+ */
+function assertUniqueName(parentId, name, ignoreId = null) {
+  const existing = dbOperations.findFolderByName(parentId, name);
+  if (existing && existing.id !== ignoreId) {
+    throw folderError(409, `Já existe uma pasta chamada "${existing.name}" neste local.`);
+  }
+}
+
+/**
+ * Criar pasta
+ */
+export function createFolder({ name, parentId, ownerId, ownerRole }) {
+  const folderName = normalizeFolderName(name);
+  const parent = resolveTargetFolder(parentId, ownerId, ownerRole);
+
+  assertUniqueName(parent?.id ?? null, folderName);
+
+  const id = dbOperations.createFolder({
+    name: folderName,
+    parentId: parent?.id ?? null,
+    ownerId
+  });
+
+  return dbOperations.getFolderById(id);
+}
+
+/**
+ * Renomear e/ou mover pasta. Campos omitidos mantêm o valor atual.
+ */
+export function updateFolder(folder, { name, parentId }, userId, userRole) {
+  const folderName = name === undefined ? folder.name : normalizeFolderName(name);
+  let newParentId = folder.parent_id;
+
+  if (parentId !== undefined) {
+    const parent = resolveTargetFolder(parentId, userId, userRole);
+    newParentId = parent?.id ?? null;
+
+    // Uma pasta não pode ir para dentro de si mesma ou de uma subpasta
+    if (newParentId !== null && dbOperations.getFolderDescendantIds(folder.id).includes(newParentId)) {
+      throw folderError(400, 'Não é possível mover uma pasta para dentro dela mesma.');
+    }
+  }
+
+  assertUniqueName(newParentId, folderName, folder.id);
+  dbOperations.updateFolder(folder.id, { name: folderName, parentId: newParentId });
+
+  return dbOperations.getFolderById(folder.id);
+}
+
+/**
+ * Deletar pasta (apenas se estiver vazia)
+ */
+export function deleteFolder(folder) {
+  const contents = dbOperations.countFolderContents(folder.id);
+
+  if (contents.folders > 0 || contents.files > 0) {
+    throw folderError(409, `A pasta não está vazia (${contents.folders} subpasta(s), ${contents.files} arquivo(s)).`);
+  }
+
+  dbOperations.deleteFolder(folder.id);
+}
+
+/**
+ * Montar árvore de pastas a partir da lista plana
+ */
+export function buildFolderTree(folders) {
+  const nodes = new Map(folders.map(folder => [folder.id, { ...folder, children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parent_id !== null ? nodes.get(node.parent_id) : null;
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  return roots;
+}
+
+/**
+ * Caminho da raiz até a pasta (para breadcrumbs)
+ */
+export function getFolderPath(folder) {
+  const path = [];
+  const visited = new Set();
+  let current = folder;
+
+  while (current && !visited.has(current.id)) {
+    visited.add(current.id);
+    path.unshift({ id: current.id, name: current.name });
+    current = current.parent_id !== null ? dbOperations.getFolderById(current.parent_id) : null;
+  }
+
+  return path;
+}
@@ -0,0 +1,212 @@
+// Streaming HLS de vídeos longos
+// Gravações de 100MB–1GB servidas como um único MP4 fazem o player da NUI
+// bufferizar muito. O pacote HLS corta o vídeo em segmentos de poucos segundos,
+// em várias qualidades (HLS_VARIANTS), e o player troca de qualidade conforme a
+// conexão. O empacotamento é um job da fila de transcodificação (perfil "hls");
+// o pacote fica no storage em hls/<chave do conteúdo>/ (master.m3u8,
+// v0/index.m3u8, v0/seg_00000.ts...) e é servido por /stream/:id/master.m3u8.
+
+import { Readable } from 'stream';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { dbOperations } from '../database.js';
+import { storage, readToBuffer } from './storage/index.js';
+import { getFileKey, getHlsKey } from './file-store.js';
+import { getSignedParams } from './signed-url.js';
+
+// Configurações
+// Qualidades em "altura:kbps de vídeo"; só as que não ampliam o original são geradas
+const HLS_VARIANTS = String(process.env.HLS_VARIANTS || '1080:5000,720:2800,480:1200')
+  .split(',')
+  .map(item => item.split(':').map(value => parseInt(value)))
+  .filter(([height, kbps]) => height >= 144 && kbps > 0)
+  .map(([height, kbps]) => ({ height: height - (height % 2), kbps }))
+  .sort((a, b) => b.height - a.height);
+const HLS_ON_UPLOAD = process.env.HLS_ON_UPLOAD === 'true';
+const HLS_MIN_BYTES = Math.max(parseInt(process.env.HLS_MIN_SIZE_MB || '100'), 0) * 1024 * 1024;
+const HLS_SEGMENT_SECONDS = Math.max(parseInt(process.env.HLS_SEGMENT_SECONDS || '6'), 2);
+const HLS_AUDIO_KBPS = 128;
+
+export const HLS_MIME_TYPE = 'application/vnd.apple.mpegurl';
+const SEGMENT_MIME_TYPE = 'video/mp2t';
+const MASTER_PLAYLIST = 'master.m3u8';
+const VARIANT_PLAYLIST = 'index.m3u8';
+
+// Caminhos aceitos nas rotas de segmento (o resto responde 404)
+const VARIANT_PATTERN = /^v\d{1,2}$/;
+const SEGMENT_PATTERN = /^(index\.m3u8|seg_\d{5,}\.ts)$/;
+
+/**
+ * Erro de streaming (o status HTTP vai em `statusCode`)
+ */
+function hlsError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * O vídeo recém-enviado deve ganhar pacote HLS? (HLS_ON_UPLOAD e HLS_MIN_SIZE_MB)
+ */
+export function shouldPackageHls(file) {
+  return HLS_ON_UPLOAD && HLS_VARIANTS.length > 0 && file.file_type === 'video' && file.size >= HLS_MIN_BYTES;
+}
+
+/**
+ * Qualidades a gerar para um vídeo com a altura dada. Vídeos menores que a
+ * menor qualidade configurada ganham uma só, na altura original.
+ */
+function selectVariants(sourceHeight) {
+  if (!sourceHeight) return HLS_VARIANTS.slice(-1);
+
+  const variants = HLS_VARIANTS.filter(variant => variant.height <= sourceHeight);
+  if (variants.length > 0) return variants;
+
+  const smallest = HLS_VARIANTS[HLS_VARIANTS.length - 1];
+  return [{ height: sourceHeight - (sourceHeight % 2), kbps: smallest.kbps }];
+}
+
+/**
+ * Preparar o diretório de saída e os argumentos do ffmpeg para empacotar o
+ * vídeo (todas as qualidades em uma única passada). Retorna { args, variants, audio },
+ * que depois vão para storeHlsPackage.
+ */
+export async function prepareHlsPackage(inputPath, outputDir, info) {
+  const variants = selectVariants(info.height);
+  const audio = Boolean(info.audioCodec);
+
+  for (let i = 0; i < variants.length; i++) {
+    await fs.mkdir(join(outputDir, `v${i}`), { recursive: true });
+  }
+
+  const scales = variants.map((variant, i) => `[s${i}]scale=-2:${variant.height}[v${i}]`);
+  const args = [
+    '-i', inputPath,
+    '-filter_complex', `[0:v:0]split=${variants.length}${variants.map((_, i) => `[s${i}]`).join('')};${scales.join(';')}`
+  ];
+
+  variants.forEach((variant, i) => {
+    args.push(
+      '-map', `[v${i}]`,
+      `-b:v:${i}`, `${variant.kbps}k`,
+      `-maxrate:v:${i}`, `${Math.round(variant.kbps * 1.1)}k`,
+      `-bufsize:v:${i}`, `${variant.kbps * 2}k`
+    );
+    if (audio) args.push('-map', '0:a:0');
+  });
+
+  args.push(
+    '-c:v', 'libx264', '-preset', process.env.TRANSCODE_X264_PRESET || 'veryfast', '-pix_fmt', 'yuv420p',
+    // Quadros-chave alinhados entre as qualidades: o player troca de qualidade em qualquer segmento
+    '-force_key_frames', `expr:gte(t,n_forced*${HLS_SEGMENT_SECONDS})`, '-sc_threshold', '0'
+  );
+  if (audio) args.push('-c:a', 'aac', '-b:a', `${HLS_AUDIO_KBPS}k`, '-ac', '2');
+
+  args.push(
+    '-f', 'hls',
+    '-hls_time', String(HLS_SEGMENT_SECONDS),
+    '-hls_playlist_type', 'vod',
+    '-hls_flags', 'independent_segments',
+    '-hls_segment_filename', join(outputDir, 'v%v', 'seg_%05d.ts'),
+    '-var_stream_map', variants.map((_, i) => (audio ? `v:${i},a:${i}` : `v:${i}`)).join(' '),
+    join(outputDir, 'v%v', VARIANT_PLAYLIST)
+  );
+
+  return { args, variants, audio };
+}
+
+/**
+ * Master playlist com as qualidades geradas (BANDWIDTH = pico de vídeo + áudio)
+ */
+function buildMasterPlaylist(variants, audio) {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-INDEPENDENT-SEGMENTS'];
+
+  variants.forEach((variant, i) => {
+    const bandwidth = (Math.round(variant.kbps * 1.1) + (audio ? HLS_AUDIO_KBPS : 0)) * 1000;
+    lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth}`, `v${i}/${VARIANT_PLAYLIST}`);
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Enviar o pacote gerado para o storage. Segmentos primeiro e o master por
+ * último: o master no storage indica um pacote completo. Em caso de erro, o
+ * que já foi enviado é removido. Retorna o tamanho total do pacote.
+ */
+export async function storeHlsPackage(outputDir, key, { variants, audio }) {
+  const uploaded = [];
+  let total = 0;
+
+  const upload = async (path, contentType) => {
+    const { size } = await fs.stat(join(outputDir, path));
+    await storage.putFile(getHlsKey(key, path), join(outputDir, path), { contentType });
+    uploaded.push(getHlsKey(key, path));
+    total += size;
+  };
+
+  try {
+    for (let i = 0; i < variants.length; i++) {
+      const segments = (await fs.readdir(join(outputDir, `v${i}`))).filter(name => name.endsWith('.ts')).sort();
+
+      for (const segment of segments) {
+        await upload(`v${i}/${segment}`, SEGMENT_MIME_TYPE);
+      }
+      await upload(`v${i}/${VARIANT_PLAYLIST}`, HLS_MIME_TYPE);
+    }
+
+    const master = Buffer.from(buildMasterPlaylist(variants, audio));
+    await storage.put(getHlsKey(key), Readable.from([master]), { size: master.length, contentType: HLS_MIME_TYPE });
+    return total + master.length;
+  } catch (error) {
+    for (const uploadedKey of uploaded) {
+      await storage.delete(uploadedKey).catch(() => {});
+    }
+    throw error;
+  }
+}
+
+/**
+ * Arquivo do pacote HLS pedido nas rotas /stream/:id/... (`variant` null = master).
+ * Retorna { key, mimeType, playlist }.
+ */
+export function resolveHlsFile(file, variant, name) {
+  if (!file) {
+    throw hlsError(404, 'Arquivo não encontrado.');
+  }
+  if (variant !== null && (!VARIANT_PATTERN.test(variant) || !SEGMENT_PATTERN.test(name))) {
+    throw hlsError(404, 'Arquivo do stream não encontrado.');
+  }
+
+  if (!dbOperations.getFileRendition(file.id, 'hls')) {
+    const job = dbOperations.findActiveTranscodeJob(file.id, 'hls');
+    if (job) {
+      throw hlsError(409, `O stream deste vídeo ainda está sendo preparado (${Math.round(job.progress)}%). Tente novamente em instantes.`);
+    }
+    throw hlsError(404, 'Stream HLS não disponível para este arquivo.');
+  }
+
+  const path = variant === null ? MASTER_PLAYLIST : `${variant}/${name}`;
+  const playlist = path.endsWith('.m3u8');
+
+  return {
+    key: getHlsKey(getFileKey(file), path),
+    mimeType: playlist ? HLS_MIME_TYPE : SEGMENT_MIME_TYPE,
+    playlist
+  };
+}
+
+/**
+ * Ler um playlist do pacote. Em URLs assinadas, a assinatura é repassada às
+ * URIs do playlist (o player não propaga a query string sozinho).
+ */
+export async function readHlsPlaylist(key, query) {
+  const playlist = (await readToBuffer(key)).toString('utf8');
+  const signed = getSignedParams(query);
+  if (!signed) return playlist;
+
+  return playlist
+    .split('\n')
+    .map(line => (line.trim() && !line.startsWith('#') ? `${line.trim()}?${signed}` : line))
+    .join('\n');
+}
@@ -0,0 +1,194 @@
+// Cache em memória dos arquivos mais baixados (hot files)
+// LRU com orçamento em bytes: cada acesso move o arquivo para o fim da fila e,
+// quando falta espaço, saem os menos usados recentemente até caber o novo.
+// Só entram arquivos até HOT_CACHE_MAX_FILE_MB com HOT_CACHE_MIN_HITS
+// downloads (evita que downloads únicos expulsem os populares), e o que fica
+// HOT_CACHE_IDLE_MINUTES sem acesso é descartado.
+//
+// As entradas são indexadas pela chave do storage (ex.: blobs/ab/abcd...):
+// arquivos deduplicados compartilham a mesma entrada.
+
+import { storage, readToBuffer } from './storage/index.js';
+
+// Configurações
+export const HOT_CACHE_MAX_BYTES = Math.max(parseInt(process.env.HOT_CACHE_MAX_MB || '512'), 1) * 1024 * 1024;
+const HOT_CACHE_MAX_FILE_BYTES = Math.max(parseInt(process.env.HOT_CACHE_MAX_FILE_MB || '50'), 1) * 1024 * 1024;
+const HOT_CACHE_MIN_HITS = Math.max(parseInt(process.env.HOT_CACHE_MIN_HITS || '3'), 1);
+const HOT_CACHE_IDLE_MS = Math.max(parseInt(process.env.HOT_CACHE_IDLE_MINUTES || '30'), 1) * 60 * 1000;
+const MAX_CANDIDATES = 10000; // Chaves contadas antes de entrar no cache
+const CLEANUP_INTERVAL = 5 * 60 * 1000;
+
+// Map mantém a ordem de inserção: o primeiro é o menos usado recentemente
+const entries = new Map();
+// Downloads de chaves ainda fora do cache
+const candidates = new Map();
+// Leituras em andamento (chave -> token), para não ler o mesmo arquivo duas vezes
+const loading = new Map();
+
+let totalSize = 0;
+let hits = 0;
+let misses = 0;
+let evictions = 0;
+
+/**
+ * Remover entrada e descontar o tamanho
+ */
+function removeEntry(key) {
+  const entry = entries.get(key);
+  if (!entry) return false;
+
+  entries.delete(key);
+  totalSize -= entry.size;
+  return true;
+}
+
+/**
+ * Liberar espaço removendo os menos usados recentemente
+ */
+function evictFor(size) {
+  for (const key of entries.keys()) {
+    if (totalSize + size <= HOT_CACHE_MAX_BYTES) break;
+    removeEntry(key);
+    evictions++;
+  }
+}
+
+/**
+ * O arquivo pode entrar no cache?
+ */
+function fitsInCache(size) {
+  return size <= HOT_CACHE_MAX_FILE_BYTES && size <= HOT_CACHE_MAX_BYTES;
+}
+
+/**
+ * Ler arquivo do storage e guardar no cache
+ */
+async function load(key) {
+  const token = Symbol(key);
+  loading.set(key, token);
+
+  try {
+    const stats = await storage.stat(key);
+    if (!stats || !fitsInCache(stats.size)) return;
+
+    const buffer = await readToBuffer(key);
+
+    // Invalidado durante a leitura (arquivo removido)
+    if (loading.get(key) !== token) return;
+
+    removeEntry(key);
+    evictFor(buffer.length);
+    entries.set(key, {
+      buffer,
+      size: buffer.length,
+      mtime: stats.mtime,
+      hits: 0,
+      lastAccess: Date.now()
+    });
+    totalSize += buffer.length;
+    candidates.delete(key);
+
+    console.log(`✅ Arquivo cacheado: ${key} (${(buffer.length / 1024 / 1024).toFixed(2)}MB)`);
+  } catch (error) {
+    console.error(`Erro ao cachear ${key}:`, error.message);
+  } finally {
+    if (loading.get(key) === token) loading.delete(key);
+  }
+}
+
+/**
+ * Obter arquivo do cache (e marcá-lo como usado agora), ou null
+ */
+export function getCachedFile(key) {
+  const entry = entries.get(key);
+
+  if (!entry) {
+    misses++;
+    return null;
+  }
+
+  // Mover para o fim da fila (mais recente)
+  entries.delete(key);
+  entries.set(key, entry);
+  entry.hits++;
+  entry.lastAccess = Date.now();
+  hits++;
+
+  return entry;
+}
+
+/**
+ * Contar um download fora do cache; ao atingir HOT_CACHE_MIN_HITS, o arquivo
+ * é lido em segundo plano. `size` (se conhecido) descarta arquivos grandes sem
+ * consultar o storage.
+ */
+export function recordCacheMiss(key, size) {
+  if (entries.has(key) || loading.has(key)) return;
+  if (size !== undefined && !fitsInCache(size)) return;
+
+  const count = (candidates.get(key)?.count || 0) + 1;
+
+  // Reinsere no fim: as contagens mais antigas saem primeiro quando o limite estoura
+  candidates.delete(key);
+  candidates.set(key, { count, lastSeen: Date.now() });
+
+  if (candidates.size > MAX_CANDIDATES) {
+    candidates.delete(candidates.keys().next().value);
+  }
+
+  if (count >= HOT_CACHE_MIN_HITS) {
+    load(key);
+  }
+}
+
+/**
+ * Tirar uma chave do cache (arquivo removido do storage)
+ */
+export function invalidateCachedFile(key) {
+  loading.delete(key);
+  candidates.delete(key);
+  return removeEntry(key);
+}
+
+/**
+ * Estatísticas do cache
+ */
+export function getHotCacheStats() {
+  const cachedFiles = Array.from(entries.entries()).map(([key, entry]) => ({
+    key,
+    size: entry.size,
+    hits: entry.hits,
+    lastAccess: new Date(entry.lastAccess)
+  })).reverse(); // Mais recentes primeiro
+
+  return {
+    totalCached: entries.size,
+    totalSizeMB: (totalSize / 1024 / 1024).toFixed(2),
+    maxSizeMB: HOT_CACHE_MAX_BYTES / 1024 / 1024,
+    utilizationPercent: ((totalSize / HOT_CACHE_MAX_BYTES) * 100).toFixed(1),
+    hits,
+    misses,
+    hitRatePercent: hits + misses > 0 ? ((hits / (hits + misses)) * 100).toFixed(1) : '0.0',
+    evictions,
+    cachedFiles
+  };
+}
+
+/**
+ * Limpeza periódica: arquivos parados e contagens antigas
+ */
+setInterval(() => {
+  const now = Date.now();
+
+  for (const [key, entry] of entries.entries()) {
+    if (now - entry.lastAccess > HOT_CACHE_IDLE_MS) {
+      removeEntry(key);
+    }
+  }
+
+  for (const [key, candidate] of candidates.entries()) {
+    if (now - candidate.lastSeen > HOT_CACHE_IDLE_MS) {
+      candidates.delete(key);
+    }
+  }
+}, CLEANUP_INTERVAL);
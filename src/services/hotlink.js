@@ -0,0 +1,261 @@
+// Proteção contra hotlink no /download
+// Cada política define um modo para o host do Referer/Origin:
+//   off       - sem restrição
+//   allowlist - só os domínios da lista (e o próprio storage)
+//   denylist  - todos, menos os domínios da lista
+// Um domínio cobre também os subdomínios. Referer vazio (ex.: cliente HTTP do
+// FiveM) é liberado no modo allowlist apenas com allow_empty_referrer.
+// A política mais específica vence: arquivo > tag > global.
+
+import { readFileSync } from 'fs';
+import { extname } from 'path';
+import { dbOperations, parseTagList } from '../database.js';
+
+// Configurações
+export const HOTLINK_MODES = ['off', 'allowlist', 'denylist'];
+// Imagem servida no lugar de imagens bloqueadas (padrão: SVG embutido)
+const HOTLINK_PLACEHOLDER = process.env.HOTLINK_PLACEHOLDER || '';
+
+// Hosts do próprio storage (a interface web sempre pode exibir os arquivos)
+const OWN_HOSTS = new Set(['localhost']);
+if (process.env.BASE_URL) {
+  try {
+    OWN_HOSTS.add(new URL(process.env.BASE_URL).hostname.toLowerCase());
+  } catch {
+    // BASE_URL inválida: vale só o Host da requisição
+  }
+}
+
+const PLACEHOLDER_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml'
+};
+
+const DEFAULT_PLACEHOLDER = `<svg xmlns="http://www.w3.org/2000/svg" width="480" height="270" viewBox="0 0 480 270">
+  <rect width="480" height="270" fill="#1f2937"/>
+  <text x="240" y="128" font-family="sans-serif" font-size="26" font-weight="bold" fill="#f3f4f6" text-anchor="middle">Hotlink não permitido</text>
+  <text x="240" y="162" font-family="sans-serif" font-size="15" fill="#9ca3af" text-anchor="middle">Esta imagem não pode ser exibida neste site.</text>
+</svg>
+`;
+
+let policyCache = null;
+let placeholderImage = null;
+
+/**
+ * Erro de política (o status HTTP vai em `statusCode`)
+ */
+function hotlinkError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Normalizar domínio informado pelo admin ('https://Site.com/x' -> 'site.com')
+ */
+function normalizeDomain(value) {
+  let domain = String(value).trim().toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .replace(/[\/?#].*$/, '')
+    .replace(/:\d+$/, '')
+    .replace(/^\*?\./, '');
+
+  if (!domain) return null;
+  if (!/^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(domain)) {
+    throw hotlinkError(400, `Domínio inválido: ${value}`);
+  }
+  return domain;
+}
+
+/**
+ * Lista de domínios (string separada por vírgulas/linhas ou array), sem repetidos
+ */
+function parseDomainList(value) {
+  if (value === undefined || value === null || value === '') return [];
+
+  const items = Array.isArray(value) ? value : String(value).split(/[,\s]+/);
+  return [...new Set(items.map(normalizeDomain).filter(Boolean))];
+}
+
+/**
+ * O host é o domínio ou um subdomínio dele?
+ */
+function matchesDomain(host, domain) {
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+/**
+ * Política no formato da API (domínios como array, flags como boolean)
+ */
+export function formatHotlinkPolicy(policy) {
+  return {
+    id: policy.id,
+    scope: policy.file_id !== null ? 'file' : policy.tag !== null ? 'tag' : 'global',
+    file_id: policy.file_id,
+    file_name: policy.file_name ?? null,
+    tag: policy.tag,
+    mode: policy.mode,
+    domains: policy.domains ? policy.domains.split(',') : [],
+    allow_empty_referrer: policy.allow_empty_referrer === 1,
+    placeholder: policy.placeholder === 1,
+    enabled: policy.enabled === 1,
+    created_at: policy.created_at
+  };
+}
+
+/**
+ * Validar campos comuns de criação/edição (omitidos mantêm `current`)
+ */
+function normalizePolicyFields(input, current = {}) {
+  const mode = input.mode ?? current.mode ?? 'allowlist';
+  if (!HOTLINK_MODES.includes(mode)) {
+    throw hotlinkError(400, `Modo inválido. Use: ${HOTLINK_MODES.join(', ')}.`);
+  }
+
+  const domains = input.domains !== undefined ? parseDomainList(input.domains) : (current.domains ?? []);
+  if (mode === 'denylist' && domains.length === 0) {
+    throw hotlinkError(400, 'Informe ao menos um domínio para bloquear.');
+  }
+
+  const flag = (value, fallback) => value === undefined ? fallback : value === true || value === 'true';
+
+  return {
+    mode,
+    domains,
+    allowEmptyReferrer: flag(input.allowEmptyReferrer, current.allow_empty_referrer ?? true),
+    placeholder: flag(input.placeholder, current.placeholder ?? true),
+    enabled: flag(input.enabled, current.enabled ?? true)
+  };
+}
+
+/**
+ * Criar política. Sem fileId e sem tag, a política é global.
+ */
+export function createHotlinkPolicy(input) {
+  const hasFile = input.fileId !== undefined && input.fileId !== null && input.fileId !== '';
+  const tag = input.tag ? String(input.tag).trim() : null;
+
+  if (hasFile && tag) {
+    throw hotlinkError(400, 'Informe fileId ou tag, não os dois.');
+  }
+
+  let fileId = null;
+  if (hasFile) {
+    fileId = Number(input.fileId);
+    if (!Number.isInteger(fileId) || !dbOperations.getFileById(fileId)) {
+      throw hotlinkError(404, 'Arquivo não encontrado.');
+    }
+  }
+
+  const fields = normalizePolicyFields(input);
+
+  if (dbOperations.findHotlinkPolicy({ fileId, tag })) {
+    throw hotlinkError(409, 'Já existe uma política para este alvo. Edite a existente.');
+  }
+
+  const id = dbOperations.createHotlinkPolicy({ fileId, tag, ...fields });
+  policyCache = null;
+
+  return formatHotlinkPolicy(dbOperations.getHotlinkPolicyById(id));
+}
+
+/**
+ * Editar modo, domínios e flags (o alvo não muda)
+ */
+export function updateHotlinkPolicy(policy, input) {
+  const current = formatHotlinkPolicy(policy);
+  dbOperations.updateHotlinkPolicy(policy.id, normalizePolicyFields(input, current));
+  policyCache = null;
+
+  return formatHotlinkPolicy(dbOperations.getHotlinkPolicyById(policy.id));
+}
+
+/**
+ * Deletar política
+ */
+export function deleteHotlinkPolicy(policy) {
+  dbOperations.deleteHotlinkPolicy(policy.id);
+  policyCache = null;
+}
+
+/**
+ * Políticas ativas, carregadas uma vez e recarregadas após alterações
+ */
+function getActivePolicies() {
+  if (!policyCache) {
+    const policies = dbOperations.getHotlinkPolicies()
+      .filter(policy => policy.enabled === 1)
+      .map(formatHotlinkPolicy);
+
+    policyCache = {
+      global: policies.find(policy => policy.scope === 'global') || null,
+      byFile: new Map(policies.filter(p => p.scope === 'file').map(p => [p.file_id, p])),
+      byTag: new Map(policies.filter(p => p.scope === 'tag').map(p => [p.tag.toLowerCase(), p]))
+    };
+  }
+  return policyCache;
+}
+
+/**
+ * Política que vale para o arquivo (arquivo > tag > global), ou null.
+ * Com várias tags com política, vale a criada primeiro.
+ */
+export function resolveHotlinkPolicy(fileRecord) {
+  const { global, byFile, byTag } = getActivePolicies();
+
+  if (byFile.has(fileRecord.id)) return byFile.get(fileRecord.id);
+
+  if (byTag.size > 0) {
+    const tagPolicies = parseTagList(fileRecord.tags)
+      .map(tag => byTag.get(tag.toLowerCase()))
+      .filter(Boolean)
+      .sort((a, b) => a.id - b.id);
+    if (tagPolicies.length > 0) return tagPolicies[0];
+  }
+
+  return global;
+}
+
+/**
+ * A política permite o host de origem? (null = sem Referer/Origin)
+ */
+export function isReferrerAllowed(policy, referrerHost, requestHost) {
+  if (!policy || policy.mode === 'off') return true;
+
+  if (!referrerHost) {
+    return policy.mode === 'denylist' || policy.allow_empty_referrer;
+  }
+
+  // O próprio storage sempre pode exibir seus arquivos
+  if (OWN_HOSTS.has(referrerHost) || referrerHost === requestHost?.toLowerCase()) {
+    return true;
+  }
+
+  const listed = policy.domains.some(domain => matchesDomain(referrerHost, domain));
+  return policy.mode === 'allowlist' ? listed : !listed;
+}
+
+/**
+ * Imagem exibida no lugar de imagens bloqueadas
+ */
+export function getPlaceholderImage() {
+  if (!placeholderImage) {
+    placeholderImage = { type: 'image/svg+xml', body: DEFAULT_PLACEHOLDER };
+
+    if (HOTLINK_PLACEHOLDER) {
+      try {
+        placeholderImage = {
+          type: PLACEHOLDER_TYPES[extname(HOTLINK_PLACEHOLDER).toLowerCase()] || 'application/octet-stream',
+          body: readFileSync(HOTLINK_PLACEHOLDER)
+        };
+      } catch (error) {
+        console.warn(`⚠️  Não foi possível ler HOTLINK_PLACEHOLDER (${HOTLINK_PLACEHOLDER}): ${error.message}`);
+      }
+    }
+  }
+  return placeholderImage;
+}
@@ -0,0 +1,226 @@
+// Transformação de imagens por parâmetros do /download/:filename
+// ?w=256&h=256&fit=cover&format=webp&q=80 redimensiona, recorta e converte a
+// imagem com sharp. Cada combinação de parâmetros é gerada uma vez e gravada no
+// storage (transforms/<chave do original>/<parâmetros>), compartilhada entre
+// arquivos com o mesmo conteúdo. Larguras/alturas e qualidades ficam restritas
+// a listas do .env para que ninguém gere infinitas variantes de um arquivo.
+
+import { Readable } from 'stream';
+import sharp from 'sharp';
+import { dbOperations } from '../database.js';
+import { storage } from './storage/index.js';
+import { getFileKey, getTransformKey } from './file-store.js';
+
+// Configurações
+const parseList = value => value.split(',').map(item => parseInt(item.trim())).filter(item => item > 0);
+
+export const IMAGE_TRANSFORM_SIZES = parseList(process.env.IMAGE_TRANSFORM_SIZES || '32,64,128,256,512,1024,2048');
+export const IMAGE_TRANSFORM_QUALITIES = parseList(process.env.IMAGE_TRANSFORM_QUALITIES || '50,60,70,75,80,85,90,100');
+export const IMAGE_TRANSFORM_FITS = ['cover', 'contain', 'inside', 'outside', 'fill'];
+export const IMAGE_TRANSFORM_FORMATS = ['webp', 'avif', 'png', 'jpeg'];
+const IMAGE_TRANSFORM_MAX_SOURCE_BYTES = Math.max(parseInt(process.env.IMAGE_TRANSFORM_MAX_SOURCE_MB || '25'), 1) * 1024 * 1024;
+const IMAGE_TRANSFORM_CONCURRENCY = Math.max(parseInt(process.env.IMAGE_TRANSFORM_CONCURRENCY || '2'), 1);
+const DEFAULT_QUALITY = IMAGE_TRANSFORM_QUALITIES.includes(80) ? 80 : IMAGE_TRANSFORM_QUALITIES[0];
+
+const TRANSFORM_PARAMS = ['w', 'h', 'fit', 'format', 'q'];
+const FORMAT_TYPES = { webp: 'image/webp', avif: 'image/avif', png: 'image/png', jpeg: 'image/jpeg' };
+
+// Gerações em andamento (chave -> promise), para não gerar a mesma variante duas vezes
+const pending = new Map();
+// Fila de gerações aguardando vaga (sharp é pesado em CPU)
+const waiting = [];
+let running = 0;
+
+/**
+ * Erro de transformação (o status HTTP vai em `statusCode`)
+ */
+function transformError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * A query pede alguma transformação?
+ */
+export function hasImageTransform(query) {
+  return TRANSFORM_PARAMS.some(param => query?.[param] !== undefined);
+}
+
+/**
+ * Validar os parâmetros da query. Retorna { width, height, fit, format, quality }
+ * (width/height null = proporcional; format null = o mesmo do original)
+ */
+export function parseImageTransform(query) {
+  const size = param => {
+    if (query[param] === undefined || query[param] === '') return null;
+
+    const value = Number(query[param]);
+    if (!IMAGE_TRANSFORM_SIZES.includes(value)) {
+      throw transformError(400, `${param} inválido. Tamanhos permitidos: ${IMAGE_TRANSFORM_SIZES.join(', ')}.`);
+    }
+    return value;
+  };
+
+  const width = size('w');
+  const height = size('h');
+
+  const fit = query.fit || 'cover';
+  if (!IMAGE_TRANSFORM_FITS.includes(fit)) {
+    throw transformError(400, `fit inválido. Use: ${IMAGE_TRANSFORM_FITS.join(', ')}.`);
+  }
+
+  const format = query.format === 'jpg' ? 'jpeg' : (query.format || null);
+  if (format !== null && !IMAGE_TRANSFORM_FORMATS.includes(format)) {
+    throw transformError(400, `format inválido. Use: ${IMAGE_TRANSFORM_FORMATS.join(', ')}.`);
+  }
+
+  const quality = query.q === undefined || query.q === '' ? DEFAULT_QUALITY : Number(query.q);
+  if (!IMAGE_TRANSFORM_QUALITIES.includes(quality)) {
+    throw transformError(400, `q inválido. Qualidades permitidas: ${IMAGE_TRANSFORM_QUALITIES.join(', ')}.`);
+  }
+
+  return { width, height, fit, format, quality };
+}
+
+/**
+ * Formato de saída: o pedido ou o do original (WebP quando o original não é
+ * JPEG/PNG/WebP/AVIF, ex.: GIF e SVG)
+ */
+function outputFormat(file, transform) {
+  if (transform.format) return transform.format;
+
+  const source = Object.keys(FORMAT_TYPES).find(format => FORMAT_TYPES[format] === file.mime_type);
+  return source || 'webp';
+}
+
+/**
+ * Identificador da variante no storage e no banco (ex.: 256x256-cover-q80.webp)
+ */
+function transformParams(file, transform) {
+  const { width, height, fit, quality } = transform;
+  return `${width ?? 'auto'}x${height ?? 'auto'}-${fit}-q${quality}.${outputFormat(file, transform)}`;
+}
+
+/**
+ * Imagem derivada no formato usado pela rota de download
+ */
+function describe(file, params, size) {
+  const format = params.slice(params.lastIndexOf('.') + 1);
+  const contentKey = getFileKey(file);
+
+  return {
+    key: getTransformKey(contentKey, params),
+    size,
+    stored: true,
+    mimeType: FORMAT_TYPES[format],
+    etag: `"${file.blob_hash || file.stored_name}-${params}"`
+  };
+}
+
+/**
+ * Verificar se o arquivo pode ser transformado
+ */
+function assertTransformable(file) {
+  if (!file) {
+    throw transformError(404, 'Arquivo não encontrado.');
+  }
+  if (file.file_type !== 'image') {
+    throw transformError(400, 'Transformações só estão disponíveis para imagens.');
+  }
+  if (file.size > IMAGE_TRANSFORM_MAX_SOURCE_BYTES) {
+    throw transformError(400, `Imagem grande demais para transformar (máximo ${IMAGE_TRANSFORM_MAX_SOURCE_BYTES / 1024 / 1024}MB).`);
+  }
+}
+
+/**
+ * Imagem derivada já gerada para os parâmetros, ou null
+ */
+export function getTransformedImage(file, transform) {
+  assertTransformable(file);
+
+  const params = transformParams(file, transform);
+  const existing = dbOperations.getImageTransform(getFileKey(file), params);
+
+  return existing ? describe(file, params, existing.size) : null;
+}
+
+/**
+ * Executar com no máximo IMAGE_TRANSFORM_CONCURRENCY gerações ao mesmo tempo
+ */
+async function withSlot(fn) {
+  if (running >= IMAGE_TRANSFORM_CONCURRENCY) {
+    await new Promise(resolve => waiting.push(resolve));
+  } else {
+    running++;
+  }
+
+  try {
+    return await fn();
+  } finally {
+    // Vaga passa direto para o próximo da fila
+    const next = waiting.shift();
+    if (next) next();
+    else running--;
+  }
+}
+
+/**
+ * Redimensionar/converter o original (stream do storage) para buffer
+ */
+async function render(sourceKey, transform, format) {
+  const transformer = sharp({ failOn: 'none' })
+    .rotate() // Respeitar orientação EXIF
+    .resize(transform.width, transform.height, { fit: transform.fit, withoutEnlargement: true })
+    .toFormat(format, { quality: transform.quality });
+
+  const input = await storage.createReadStream(sourceKey);
+
+  // Erros de leitura do storage não se propagam pelo pipe(): rejeitar manualmente
+  return new Promise((resolve, reject) => {
+    input.on('error', reject);
+    input.pipe(transformer);
+    transformer.toBuffer().then(resolve, reject);
+  });
+}
+
+/**
+ * Gerar, gravar e registrar a imagem derivada (uma vez por combinação de parâmetros)
+ */
+export async function createTransformedImage(file, transform) {
+  assertTransformable(file);
+
+  const contentKey = getFileKey(file);
+  const params = transformParams(file, transform);
+  const key = getTransformKey(contentKey, params);
+
+  if (!pending.has(key)) {
+    const promise = withSlot(async () => {
+      let buffer;
+      try {
+        buffer = await render(contentKey, transform, outputFormat(file, transform));
+      } catch (error) {
+        throw transformError(400, `Não foi possível transformar a imagem: ${error.message}`);
+      }
+
+      await storage.put(key, Readable.from([buffer]), {
+        size: buffer.length,
+        contentType: FORMAT_TYPES[outputFormat(file, transform)]
+      });
+      dbOperations.setImageTransform(contentKey, params, buffer.length);
+
+      // Original removido enquanto gerava: não deixar a variante órfã
+      if (!(await storage.stat(contentKey))) {
+        await storage.delete(key).catch(() => {});
+        dbOperations.deleteImageTransforms(contentKey);
+        throw transformError(404, 'Arquivo não encontrado.');
+      }
+
+      return buffer.length;
+    }).finally(() => pending.delete(key));
+
+    pending.set(key, promise);
+  }
+
+  return describe(file, params, await pending.get(key));
+}
@@ -0,0 +1,180 @@
+// Migrações versionadas do banco de dados
+// Cada arquivo em src/migrations chamado NNN_descricao.js exporta `up(db)` e,
+// opcionalmente, `down(db)`. As versões aplicadas ficam em `schema_migrations`
+// e cada migração roda dentro de uma transação: se falhar, nada é gravado.
+
+import { readdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const MIGRATIONS_DIR = join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Criar tabela de controle se não existir
+ */
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Carregar migrações da pasta, em ordem de versão
+ */
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = readdirSync(dir)
+    .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+    .filter(entry => entry.match);
+
+  const migrations = [];
+  const versions = new Set();
+
+  for (const { file, match } of files) {
+    const version = parseInt(match[1]);
+    if (versions.has(version)) {
+      throw new Error(`Versão de migração duplicada: ${version} (${file})`);
+    }
+    versions.add(version);
+
+    const module = await import(pathToFileURL(join(dir, file)).href);
+    if (typeof module.up !== 'function') {
+      throw new Error(`Migração ${file} não exporta a função up()`);
+    }
+
+    migrations.push({
+      version,
+      name: match[2],
+      up: module.up,
+      down: typeof module.down === 'function' ? module.down : null
+    });
+  }
+
+  return migrations.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Versões já aplicadas (version -> registro)
+ */
+function getAppliedMigrations(db) {
+  ensureMigrationsTable(db);
+  const rows = db.prepare('SELECT * FROM schema_migrations ORDER BY version').all();
+  return new Map(rows.map(row => [row.version, row]));
+}
+
+/**
+ * Situação de cada migração: aplicada, pendente ou desconhecida
+ * (aplicada no banco, mas sem arquivo correspondente)
+ */
+export function getMigrationStatus(db, migrations) {
+  const applied = getAppliedMigrations(db);
+
+  const status = migrations.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    state: applied.has(migration.version) ? 'applied' : 'pending',
+    appliedAt: applied.get(migration.version)?.applied_at || null
+  }));
+
+  const known = new Set(migrations.map(migration => migration.version));
+  for (const row of applied.values()) {
+    if (!known.has(row.version)) {
+      status.push({ version: row.version, name: row.name, state: 'unknown', appliedAt: row.applied_at });
+    }
+  }
+
+  return status.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Aplicar migrações pendentes (até `to`, se informado).
+ * Retorna a lista de migrações aplicadas.
+ */
+export function migrateUp(db, migrations, { to = Infinity } = {}) {
+  const applied = getAppliedMigrations(db);
+  const record = db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+  const done = [];
+
+  for (const migration of migrations) {
+    if (migration.version > to || applied.has(migration.version)) continue;
+
+    try {
+      db.transaction(() => {
+        migration.up(db);
+        record.run(migration.version, migration.name);
+      })();
+    } catch (error) {
+      error.message = `Migração ${migration.version}_${migration.name} falhou: ${error.message}`;
+      throw error;
+    }
+
+    done.push(migration);
+  }
+
+  return done;
+}
+
+/**
+ * Desfazer as últimas `steps` migrações aplicadas.
+ * Retorna a lista de migrações desfeitas.
+ */
+export function migrateDown(db, migrations, { steps = 1 } = {}) {
+  const applied = getAppliedMigrations(db);
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+  const remove = db.prepare('DELETE FROM schema_migrations WHERE version = ?');
+  const done = [];
+
+  const versions = Array.from(applied.keys()).sort((a, b) => b - a).slice(0, steps);
+
+  for (const version of versions) {
+    const migration = byVersion.get(version);
+
+    if (!migration) {
+      throw new Error(`Migração ${version} está aplicada, mas o arquivo não existe.`);
+    }
+    if (!migration.down) {
+      throw new Error(`Migração ${version}_${migration.name} não pode ser desfeita (sem down()).`);
+    }
+
+    try {
+      db.transaction(() => {
+        migration.down(db);
+        remove.run(version);
+      })();
+    } catch (error) {
+      error.message = `Rollback de ${version}_${migration.name} falhou: ${error.message}`;
+      throw error;
+    }
+
+    done.push(migration);
+  }
+
+  return done;
+}
+
+/**
+ * Aplicar todas as migrações pendentes na inicialização do servidor
+ */
+export async function runPendingMigrations(db) {
+  const migrations = await loadMigrations();
+  const done = migrateUp(db, migrations);
+
+  done.forEach(migration => {
+    console.log(`🗄️  Migração aplicada: ${String(migration.version).padStart(3, '0')}_${migration.name}`);
+  });
+
+  // Banco mais novo que o código (ex.: deploy revertido)
+  const unknown = getMigrationStatus(db, migrations).filter(item => item.state === 'unknown');
+  if (unknown.length > 0) {
+    console.warn(`⚠️  Migrações aplicadas sem arquivo correspondente: ${unknown.map(item => item.version).join(', ')}`);
+  }
+
+  return done;
+}
@@ -0,0 +1,92 @@
+// Cotas de armazenamento por usuário
+// Ordem de prioridade: cota do usuário > cota da função (role) > padrão do .env.
+// Valores nulos significam "sem limite" naquele nível.
+
+import { Transform } from 'stream';
+import { dbOperations } from '../database.js';
+
+// Padrões globais (opcionais)
+export const DEFAULT_QUOTA_BYTES = process.env.DEFAULT_QUOTA_MB
+  ? parseInt(process.env.DEFAULT_QUOTA_MB) * 1024 * 1024
+  : null;
+export const DEFAULT_QUOTA_FILES = process.env.DEFAULT_QUOTA_FILES
+  ? parseInt(process.env.DEFAULT_QUOTA_FILES)
+  : null;
+
+/**
+ * Erro de cota excedida (respondido como 413 pelas rotas de upload)
+ */
+function quotaError(message) {
+  const error = new Error(message);
+  error.statusCode = 413;
+  error.code = 'QUOTA_EXCEEDED';
+  return error;
+}
+
+/**
+ * Cota efetiva e uso atual de um usuário. Uploads resumíveis em andamento
+ * reservam o tamanho total desde a criação da sessão (reservedBytes/reservedFiles).
+ */
+export function getQuotaStatus(userId, { excludeSessionId = null } = {}) {
+  const user = dbOperations.getUserById(userId);
+  if (!user) return null;
+
+  const roleQuota = dbOperations.getRoleQuota(user.role);
+  const usage = dbOperations.getUserUsage(userId);
+  const reserved = dbOperations.getUserReservedUsage(userId, excludeSessionId);
+
+  const pick = (userValue, roleValue, defaultValue) => {
+    if (userValue !== null && userValue !== undefined) return userValue;
+    if (roleValue !== null && roleValue !== undefined) return roleValue;
+    return defaultValue;
+  };
+
+  return {
+    usedBytes: usage.bytes,
+    usedFiles: usage.files,
+    reservedBytes: reserved.bytes,
+    reservedFiles: reserved.files,
+    quotaBytes: pick(user.quota_bytes, roleQuota?.quota_bytes, DEFAULT_QUOTA_BYTES),
+    quotaFiles: pick(user.quota_files, roleQuota?.quota_files, DEFAULT_QUOTA_FILES)
+  };
+}
+
+/**
+ * Verificar se um novo arquivo de `size` bytes cabe na cota (somando as reservas).
+ * `size` pode ser omitido quando ainda não é conhecido (upload multipart).
+ * `excludeSessionId` ignora a reserva da própria sessão ao finalizá-la.
+ */
+export function assertQuota(userId, size = 0, { excludeSessionId = null } = {}) {
+  if (!userId) return null; // Uploads sem usuário não têm cota
+
+  const status = getQuotaStatus(userId, { excludeSessionId });
+  if (!status) return null;
+
+  if (status.quotaFiles !== null && status.usedFiles + status.reservedFiles + 1 > status.quotaFiles) {
+    throw quotaError(`Limite de ${status.quotaFiles} arquivos atingido.`);
+  }
+
+  if (status.quotaBytes !== null && status.usedBytes + status.reservedBytes + size > status.quotaBytes) {
+    throw quotaError('Cota de armazenamento excedida.');
+  }
+
+  return status;
+}
+
+/**
+ * Transform que aborta o stream assim que o upload ultrapassar a cota restante
+ */
+export function createQuotaGuard(status) {
+  const remaining = status.quotaBytes - status.usedBytes - status.reservedBytes;
+  let received = 0;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > remaining) {
+        return callback(quotaError('Cota de armazenamento excedida.'));
+      }
+      callback(null, chunk);
+    }
+  });
+}
@@ -0,0 +1,86 @@
+// Algoritmos de rate limit (usados pelos stores memory e sqlite; o store redis
+// tem a mesma lógica em Lua, em redis.js)
+//
+// sliding-window: contador da janela atual somado ao da janela anterior,
+//   ponderado pelo quanto dela ainda está dentro dos últimos `windowMs`.
+//   Evita a rajada de 2x o limite na virada de uma janela fixa.
+// token-bucket: balde com `limit` fichas que reabastece `limit` a cada
+//   `windowMs`. Permite rajadas curtas e limita a taxa média.
+//
+// Cada função recebe o estado anterior (ou null) e devolve
+// { state, expiresAt, result }, onde result é
+// { allowed, limit, remaining, resetMs, retryAfterMs }.
+
+export const RATE_LIMIT_ALGORITHMS = ['sliding-window', 'token-bucket'];
+
+function slidingWindow(state, { limit, windowMs }, now) {
+  const start = Math.floor(now / windowMs) * windowMs;
+  let count = 0;
+  let previous = 0;
+
+  if (state?.start === start) {
+    ({ count, previous } = state);
+  } else if (state?.start === start - windowMs) {
+    previous = state.count;
+  }
+
+  const elapsed = now - start;
+  const weighted = previous * (1 - elapsed / windowMs);
+  const allowed = weighted + count + 1 <= limit;
+  if (allowed) count++;
+
+  let retryAfterMs = 0;
+  if (!allowed) {
+    // Esperar o peso da janela anterior cair o bastante (ou, com a atual
+    // cheia, a próxima janela com esta no lugar da anterior)
+    const room = limit - count - 1;
+    retryAfterMs = room >= 0
+      ? Math.ceil(windowMs * (1 - room / previous)) - elapsed
+      : windowMs - elapsed + Math.ceil(windowMs * (1 - (limit - 1) / count));
+  }
+
+  return {
+    state: { start, count, previous },
+    expiresAt: start + 2 * windowMs,
+    result: {
+      allowed,
+      limit,
+      remaining: Math.max(0, Math.floor(limit - weighted - count)),
+      resetMs: allowed ? windowMs - elapsed : retryAfterMs,
+      retryAfterMs
+    }
+  };
+}
+
+function tokenBucket(state, { limit, windowMs }, now) {
+  const rate = limit / windowMs; // Fichas por ms
+  // Estado de outro algoritmo (política alterada) conta como balde cheio
+  let tokens = state?.tokens !== undefined ? Math.min(limit, state.tokens + (now - state.updatedAt) * rate) : limit;
+
+  const allowed = tokens >= 1;
+  if (allowed) tokens -= 1;
+
+  const resetMs = Math.ceil((limit - tokens) / rate);
+
+  return {
+    state: { tokens, updatedAt: now },
+    // Balde cheio é igual a não ter estado
+    expiresAt: now + resetMs + 1000,
+    result: {
+      allowed,
+      limit,
+      remaining: Math.floor(tokens),
+      resetMs,
+      retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / rate)
+    }
+  };
+}
+
+/**
+ * Consumir uma requisição da regra { algorithm, limit, windowMs }
+ */
+export function applyRateLimit(state, rule, now) {
+  return rule.algorithm === 'token-bucket'
+    ? tokenBucket(state, rule, now)
+    : slidingWindow(state, rule, now);
+}
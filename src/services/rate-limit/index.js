@@ -0,0 +1,67 @@
+// Seleção do store de rate limit pelo .env
+//
+// Todo store implementa a mesma interface:
+//   consume(key, rule, now) -> Promise<{ allowed, limit, remaining, resetMs, retryAfterMs }>
+//   cleanup(now)            -> Promise<número de chaves removidas>
+//   size(now)               -> Promise<chaves ativas> (null se o store não souber)
+// onde rule = { algorithm, limit, windowMs } (ver algorithms.js).
+//
+// memory (padrão): contadores do processo, zeram ao reiniciar
+// sqlite:          tabela rate_limits, compartilhada por instâncias no mesmo banco
+// redis:           Redis/compatível, compartilhado entre hosts (RATE_LIMIT_REDIS_URL)
+
+import dotenv from 'dotenv';
+import { createMemoryStore } from './memory.js';
+import { RATE_LIMIT_ALGORITHMS } from './algorithms.js';
+
+dotenv.config();
+
+const RATE_LIMIT_STORE = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+const CLEANUP_INTERVAL = 5 * 60 * 1000; // Limpar a cada 5 minutos
+
+export { RATE_LIMIT_ALGORITHMS };
+export const RATE_LIMIT_ALGORITHM = parseAlgorithm(process.env.RATE_LIMIT_ALGORITHM, 'sliding-window');
+
+/**
+ * Validar nome de algoritmo (vazio = `fallback`)
+ */
+export function parseAlgorithm(value, fallback) {
+  const algorithm = (value || fallback).toLowerCase();
+  if (!RATE_LIMIT_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Algoritmo de rate limit desconhecido: ${algorithm} (use ${RATE_LIMIT_ALGORITHMS.join(' ou ')})`);
+  }
+  return algorithm;
+}
+
+async function createStore() {
+  if (RATE_LIMIT_STORE === 'sqlite') {
+    const { createSqliteStore } = await import('./sqlite.js');
+    return createSqliteStore();
+  }
+
+  if (RATE_LIMIT_STORE === 'redis') {
+    const { createRedisStore } = await import('./redis.js');
+    return createRedisStore({
+      url: process.env.RATE_LIMIT_REDIS_URL || 'redis://localhost:6379'
+    });
+  }
+
+  if (RATE_LIMIT_STORE !== 'memory') {
+    throw new Error(`RATE_LIMIT_STORE desconhecido: ${RATE_LIMIT_STORE} (use "memory", "sqlite" ou "redis")`);
+  }
+
+  return createMemoryStore();
+}
+
+export const rateLimitStore = await createStore();
+
+/**
+ * Limpeza periódica das chaves expiradas
+ */
+setInterval(() => {
+  rateLimitStore.cleanup(Date.now()).catch(error => {
+    console.error('Erro ao limpar rate limit:', error.message);
+  });
+}, CLEANUP_INTERVAL);
+
+export default rateLimitStore;
@@ -0,0 +1,37 @@
+// Store de rate limit em memória (padrão)
+// Rápido e sem dependências, mas cada instância tem seus próprios contadores
+// e eles zeram quando o servidor reinicia.
+
+import { applyRateLimit } from './algorithms.js';
+
+export function createMemoryStore() {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async consume(key, rule, now) {
+      const entry = entries.get(key);
+      const current = entry && entry.expiresAt > now ? entry.state : null;
+      const { state, expiresAt, result } = applyRateLimit(current, rule, now);
+
+      entries.set(key, { state, expiresAt });
+      return result;
+    },
+
+    async cleanup(now) {
+      let removed = 0;
+      for (const [key, entry] of entries.entries()) {
+        if (entry.expiresAt <= now) {
+          entries.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    async size() {
+      return entries.size;
+    }
+  };
+}
@@ -0,0 +1,173 @@
+// Políticas de rate limit por usuário, função (role) ou API Key
+// Cada política vale para uma rota ("download", "upload" ou "transform") e troca o limite
+// padrão do .env por `max` requisições a cada `window_seconds` (0 = sem limite).
+// A mais específica vence: API Key > usuário > função > padrão da rota.
+// Requisições sem autenticação continuam limitadas por IP.
+
+import { dbOperations } from '../../database.js';
+import { RATE_LIMIT_ALGORITHMS } from './algorithms.js';
+
+// Configurações
+export const RATE_LIMIT_ROUTES = ['download', 'upload', 'transform'];
+export const RATE_LIMIT_ROLES = ['user', 'admin'];
+// Com várias instâncias, alterações feitas em outra aparecem em até 30 segundos
+const POLICY_CACHE_TTL = 30 * 1000;
+
+let policyCache = null;
+
+/**
+ * Erro de política (o status HTTP vai em `statusCode`)
+ */
+function policyError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Política no formato da API
+ */
+export function formatRateLimitPolicy(policy) {
+  return {
+    id: policy.id,
+    route: policy.route,
+    scope: policy.api_key_id !== null ? 'apiKey' : policy.user_id !== null ? 'user' : 'role',
+    user_id: policy.user_id,
+    username: policy.username ?? null,
+    role: policy.role,
+    api_key_id: policy.api_key_id,
+    api_key_label: policy.api_key_label ?? null,
+    api_key_prefix: policy.api_key_prefix ?? null,
+    max: policy.max_requests,
+    window_seconds: policy.window_seconds,
+    algorithm: policy.algorithm,
+    enabled: policy.enabled === 1,
+    created_at: policy.created_at
+  };
+}
+
+/**
+ * Validar campos comuns de criação/edição (omitidos mantêm `current`)
+ */
+function normalizePolicyFields(input, current = {}) {
+  const maxRequests = Number(input.max ?? current.max);
+  if (!Number.isInteger(maxRequests) || maxRequests < 0) {
+    throw policyError(400, 'max deve ser um inteiro maior ou igual a zero (0 = sem limite).');
+  }
+
+  const windowSeconds = Number(input.windowSeconds ?? current.window_seconds ?? 60);
+  if (!Number.isInteger(windowSeconds) || windowSeconds < 1) {
+    throw policyError(400, 'windowSeconds deve ser um inteiro maior que zero.');
+  }
+
+  const algorithm = input.algorithm !== undefined ? (input.algorithm || null) : (current.algorithm ?? null);
+  if (algorithm !== null && !RATE_LIMIT_ALGORITHMS.includes(algorithm)) {
+    throw policyError(400, `Algoritmo inválido. Use: ${RATE_LIMIT_ALGORITHMS.join(', ')}.`);
+  }
+
+  const enabled = input.enabled === undefined ? (current.enabled ?? true) : input.enabled === true || input.enabled === 'true';
+
+  return { maxRequests, windowSeconds, algorithm, enabled };
+}
+
+/**
+ * Criar política para exatamente um alvo: userId, role ou apiKeyId
+ */
+export function createRateLimitPolicy(input) {
+  const route = input.route;
+  if (!RATE_LIMIT_ROUTES.includes(route)) {
+    throw policyError(400, `Rota inválida. Use: ${RATE_LIMIT_ROUTES.join(', ')}.`);
+  }
+
+  const present = value => value !== undefined && value !== null && value !== '';
+  const targets = ['userId', 'role', 'apiKeyId'].filter(field => present(input[field]));
+  if (targets.length !== 1) {
+    throw policyError(400, 'Informe exatamente um alvo: userId, role ou apiKeyId.');
+  }
+
+  const target = { userId: null, role: null, apiKeyId: null };
+
+  if (present(input.userId)) {
+    target.userId = Number(input.userId);
+    if (!Number.isInteger(target.userId) || !dbOperations.getUserById(target.userId)) {
+      throw policyError(404, 'Usuário não encontrado.');
+    }
+  }
+
+  if (present(input.role)) {
+    if (!RATE_LIMIT_ROLES.includes(input.role)) {
+      throw policyError(400, `Função inválida. Use: ${RATE_LIMIT_ROLES.join(', ')}.`);
+    }
+    target.role = input.role;
+  }
+
+  if (present(input.apiKeyId)) {
+    target.apiKeyId = Number(input.apiKeyId);
+    if (!Number.isInteger(target.apiKeyId) || !dbOperations.getApiKeyById(target.apiKeyId)) {
+      throw policyError(404, 'API Key não encontrada.');
+    }
+  }
+
+  const fields = normalizePolicyFields(input);
+
+  if (dbOperations.findRateLimitPolicy({ route, ...target })) {
+    throw policyError(409, 'Já existe uma política para este alvo nesta rota. Edite a existente.');
+  }
+
+  const id = dbOperations.createRateLimitPolicy({ route, ...target, ...fields });
+  policyCache = null;
+
+  return formatRateLimitPolicy(dbOperations.getRateLimitPolicyById(id));
+}
+
+/**
+ * Editar limite, janela, algoritmo e status (rota e alvo não mudam)
+ */
+export function updateRateLimitPolicy(policy, input) {
+  const current = formatRateLimitPolicy(policy);
+  dbOperations.updateRateLimitPolicy(policy.id, normalizePolicyFields(input, current));
+  policyCache = null;
+
+  return formatRateLimitPolicy(dbOperations.getRateLimitPolicyById(policy.id));
+}
+
+/**
+ * Deletar política
+ */
+export function deleteRateLimitPolicy(policy) {
+  dbOperations.deleteRateLimitPolicy(policy.id);
+  policyCache = null;
+}
+
+/**
+ * Políticas ativas indexadas por "rota:alvo", recarregadas após alterações
+ * ou quando o cache vence
+ */
+function getActivePolicies() {
+  if (!policyCache || Date.now() - policyCache.loadedAt > POLICY_CACHE_TTL) {
+    const policies = dbOperations.getRateLimitPolicies()
+      .filter(policy => policy.enabled === 1)
+      .map(formatRateLimitPolicy);
+
+    policyCache = {
+      loadedAt: Date.now(),
+      byApiKey: new Map(policies.filter(p => p.scope === 'apiKey').map(p => [`${p.route}:${p.api_key_id}`, p])),
+      byUser: new Map(policies.filter(p => p.scope === 'user').map(p => [`${p.route}:${p.user_id}`, p])),
+      byRole: new Map(policies.filter(p => p.scope === 'role').map(p => [`${p.route}:${p.role}`, p]))
+    };
+  }
+  return policyCache;
+}
+
+/**
+ * Política que vale para a identidade na rota (API Key > usuário > função), ou null.
+ * `identity` = { apiKeyId, userId, role }
+ */
+export function resolveRateLimitPolicy(route, { apiKeyId, userId, role }) {
+  const { byApiKey, byUser, byRole } = getActivePolicies();
+
+  return (apiKeyId && byApiKey.get(`${route}:${apiKeyId}`))
+    || (userId && byUser.get(`${route}:${userId}`))
+    || (role && byRole.get(`${route}:${role}`))
+    || null;
+}
@@ -0,0 +1,236 @@
+// Store de rate limit em Redis (ou compatível: Valkey, KeyDB, Dragonfly...)
+// Compartilha os limites entre instâncias em hosts diferentes. Cada consumo é
+// um script Lua (atômico no servidor) com os mesmos algoritmos de
+// algorithms.js, e as chaves expiram sozinhas (PX).
+//
+// Fala o protocolo RESP diretamente, sem dependências: uma conexão por
+// instância, reaberta na próxima requisição se cair.
+
+import net from 'net';
+import tls from 'tls';
+
+const CONNECT_TIMEOUT = 2000;
+const COMMAND_TIMEOUT = 2000;
+
+const CONSUME_SCRIPT = `
+local key = KEYS[1]
+local algorithm = ARGV[1]
+local limit = tonumber(ARGV[2])
+local window = tonumber(ARGV[3])
+local now = tonumber(ARGV[4])
+local raw = redis.call('GET', key)
+local state = raw and cjson.decode(raw) or nil
+
+if algorithm == 'token-bucket' then
+  local rate = limit / window
+  local tokens = limit
+  if state and state.tokens then tokens = math.min(limit, state.tokens + (now - state.updatedAt) * rate) end
+
+  local allowed = tokens >= 1
+  if allowed then tokens = tokens - 1 end
+
+  local reset = math.ceil((limit - tokens) / rate)
+  local retry = 0
+  if not allowed then retry = math.ceil((1 - tokens) / rate) end
+
+  redis.call('SET', key, cjson.encode({ tokens = tokens, updatedAt = now }), 'PX', reset + 1000)
+  return { allowed and 1 or 0, math.floor(tokens), reset, retry }
+end
+
+local start = math.floor(now / window) * window
+local count, previous = 0, 0
+if state and state.start == start then
+  count, previous = state.count, state.previous
+elseif state and state.start == start - window then
+  previous = state.count
+end
+
+local elapsed = now - start
+local weighted = previous * (1 - elapsed / window)
+local allowed = weighted + count + 1 <= limit
+if allowed then count = count + 1 end
+
+local retry = 0
+if not allowed then
+  local room = limit - count - 1
+  if room >= 0 then
+    retry = math.ceil(window * (1 - room / previous)) - elapsed
+  else
+    retry = window - elapsed + math.ceil(window * (1 - (limit - 1) / count))
+  end
+end
+
+redis.call('SET', key, cjson.encode({ start = start, count = count, previous = previous }), 'PX', start + 2 * window - now)
+local reset = retry
+if allowed then reset = window - elapsed end
+return { allowed and 1 or 0, math.max(0, math.floor(limit - weighted - count)), reset, retry }
+`;
+
+/**
+ * Codificar comando no formato RESP (array de bulk strings)
+ */
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return out;
+}
+
+/**
+ * Ler uma resposta RESP a partir de `offset`.
+ * Retorna { value, offset } ou null se o buffer ainda não tem a resposta inteira.
+ */
+function parseReply(buffer, offset) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(`Redis: ${line}`), offset: next };
+    case ':':
+      return { value: parseInt(line), offset: next };
+    case '$': {
+      const length = parseInt(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const length = parseInt(line);
+      if (length === -1) return { value: null, offset: next };
+
+      const items = [];
+      let position = next;
+      for (let i = 0; i < length; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Resposta Redis inválida (tipo "${type}")`);
+  }
+}
+
+/**
+ * Cliente Redis mínimo: comandos em fila, respostas na mesma ordem
+ */
+function createRedisClient(url) {
+  const { protocol, hostname, port, username, password, pathname } = new URL(url);
+  const database = parseInt(pathname.slice(1)) || 0;
+
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  let pending = [];
+
+  function fail(error) {
+    const waiting = pending;
+    pending = [];
+    buffer = Buffer.alloc(0);
+    socket?.destroy();
+    socket = null;
+    waiting.forEach(command => {
+      clearTimeout(command.timer);
+      command.reject(error);
+    });
+  }
+
+  function connect() {
+    const options = { host: hostname || 'localhost', port: parseInt(port) || 6379 };
+    const current = protocol === 'rediss:'
+      ? tls.connect({ ...options, servername: options.host })
+      : net.connect(options);
+    socket = current;
+
+    // Eventos de uma conexão já descartada não derrubam a nova
+    const onFail = error => {
+      if (socket === current) fail(error);
+    };
+
+    current.setNoDelay(true);
+    current.setTimeout(CONNECT_TIMEOUT, () => onFail(new Error('Redis não respondeu a tempo')));
+    current.once('connect', () => current.setTimeout(0));
+    current.once('secureConnect', () => current.setTimeout(0));
+    current.on('error', onFail);
+    current.on('close', () => onFail(new Error('Conexão com o Redis encerrada')));
+
+    current.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+
+      try {
+        let parsed;
+        while (pending.length > 0 && (parsed = parseReply(buffer, 0))) {
+          buffer = buffer.subarray(parsed.offset);
+          const command = pending.shift();
+          clearTimeout(command.timer);
+
+          if (parsed.value instanceof Error) {
+            command.reject(parsed.value);
+          } else {
+            command.resolve(parsed.value);
+          }
+        }
+      } catch (error) {
+        onFail(error);
+      }
+    });
+
+    // Comandos de preparo entram na frente da fila
+    if (password) {
+      send(username ? ['AUTH', decodeURIComponent(username), decodeURIComponent(password)] : ['AUTH', decodeURIComponent(password)])
+        .catch(() => {});
+    }
+    if (database) {
+      send(['SELECT', database]).catch(() => {});
+    }
+  }
+
+  function send(args) {
+    if (!socket) connect();
+
+    return new Promise((resolve, reject) => {
+      const command = { resolve, reject };
+      command.timer = setTimeout(() => fail(new Error('Redis não respondeu a tempo')), COMMAND_TIMEOUT);
+      pending.push(command);
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  return { send };
+}
+
+export function createRedisStore({ url }) {
+  const client = createRedisClient(url);
+
+  return {
+    name: 'redis',
+
+    async consume(key, rule, now) {
+      const [allowed, remaining, resetMs, retryAfterMs] = await client.send([
+        'EVAL', CONSUME_SCRIPT, 1, `ratelimit:${key}`,
+        rule.algorithm, rule.limit, rule.windowMs, now
+      ]);
+
+      return { allowed: allowed === 1, limit: rule.limit, remaining, resetMs, retryAfterMs };
+    },
+
+    // As chaves expiram sozinhas no Redis
+    async cleanup() {
+      return 0;
+    },
+
+    async size() {
+      return null;
+    }
+  };
+}
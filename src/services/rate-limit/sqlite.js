@@ -0,0 +1,24 @@
+// Store de rate limit no SQLite (tabela rate_limits)
+// Os limites sobrevivem a reinícios e são compartilhados entre instâncias que
+// usam o mesmo arquivo de banco (mesmo host ou volume compartilhado).
+
+import { dbOperations } from '../../database.js';
+import { applyRateLimit } from './algorithms.js';
+
+export function createSqliteStore() {
+  return {
+    name: 'sqlite',
+
+    async consume(key, rule, now) {
+      return dbOperations.consumeRateLimit(key, now, current => applyRateLimit(current, rule, now));
+    },
+
+    async cleanup(now) {
+      return dbOperations.deleteExpiredRateLimits(now);
+    },
+
+    async size(now) {
+      return dbOperations.countRateLimits(now);
+    }
+  };
+}
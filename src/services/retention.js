@@ -0,0 +1,153 @@
+// Expiração de arquivos e políticas de retenção
+// Um job periódico remove arquivos com `expires_at` vencido e os que se
+// encaixam em alguma política ativa (ex.: tag "tmp" com mais de 7 dias,
+// nenhum download em 90 dias). O relatório em modo dry-run mostra o que
+// seria removido sem apagar nada.
+
+import { dbOperations } from '../database.js';
+import { removeFile } from './file-store.js';
+
+// Configurações
+const RETENTION_INTERVAL_MINUTES = parseInt(process.env.RETENTION_INTERVAL_MINUTES || '60');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let running = false;
+
+/**
+ * Idade de um arquivo em dias (datas do SQLite estão em UTC)
+ */
+function getAgeDays(file) {
+  const uploadedAt = new Date(`${file.uploaded_at.replace(' ', 'T')}Z`);
+  return (Date.now() - uploadedAt.getTime()) / DAY_MS;
+}
+
+/**
+ * Verificar se o arquivo tem a tag (comparação exata, sem diferenciar maiúsculas)
+ */
+function hasTag(file, tag) {
+  return (file.tags || '')
+    .split(',')
+    .some(t => t.trim().toLowerCase() === tag.toLowerCase());
+}
+
+/**
+ * Arquivos que se encaixam em uma política
+ */
+function getPolicyMatches(policy) {
+  // "Sem downloads em N dias" usa as estatísticas de download; arquivos mais
+  // novos que N dias ainda não tiveram a chance de ser baixados e ficam de fora
+  const candidates = policy.unused_days
+    ? dbOperations.getDownloadStats(policy.unused_days)
+        .filter(file => file.download_count === 0 && getAgeDays(file) >= policy.unused_days)
+    : dbOperations.getFilesOlderThan(policy.min_age_days);
+
+  return candidates.filter(file => {
+    if (policy.min_age_days && getAgeDays(file) < policy.min_age_days) return false;
+    if (policy.tag && !hasTag(file, policy.tag)) return false;
+    if (policy.file_type && file.file_type !== policy.file_type) return false;
+    return true;
+  });
+}
+
+/**
+ * Resumo de um arquivo para o relatório
+ */
+function summarize(file) {
+  return {
+    id: file.id,
+    originalName: file.original_name,
+    storedName: file.stored_name,
+    size: file.size,
+    uploadedAt: file.uploaded_at
+  };
+}
+
+/**
+ * Montar relatório do que seria removido agora
+ */
+export function buildRetentionReport() {
+  const selected = new Map(); // id -> resumo (um arquivo pode casar com várias regras)
+
+  const expired = dbOperations.getExpiredFiles().map(file => {
+    const item = { ...summarize(file), expiresAt: file.expires_at };
+    selected.set(file.id, item);
+    return item;
+  });
+
+  const policies = dbOperations.getRetentionPolicies()
+    .filter(policy => policy.enabled)
+    .map(policy => {
+      const files = getPolicyMatches(policy).map(summarize);
+      files.forEach(file => {
+        if (!selected.has(file.id)) selected.set(file.id, file);
+      });
+      return {
+        id: policy.id,
+        name: policy.name,
+        count: files.length,
+        files
+      };
+    });
+
+  const files = Array.from(selected.values());
+
+  return {
+    expired,
+    policies,
+    totalFiles: files.length,
+    totalBytes: files.reduce((sum, file) => sum + file.size, 0),
+    fileIds: files.map(file => file.id)
+  };
+}
+
+/**
+ * Executar retenção. Com dryRun, apenas retorna o relatório.
+ */
+export async function runRetention({ dryRun = false } = {}) {
+  const report = buildRetentionReport();
+
+  if (dryRun) {
+    return { ...report, dryRun: true, removed: 0 };
+  }
+
+  // Execução anterior ainda em andamento
+  if (running) {
+    return { ...report, dryRun: false, removed: 0, skipped: true };
+  }
+
+  running = true;
+  let removed = 0;
+
+  try {
+    for (const id of report.fileIds) {
+      const file = dbOperations.getFileById(id);
+      if (!file) continue;
+
+      try {
+        await removeFile(file);
+        removed++;
+      } catch (error) {
+        console.warn(`Erro ao remover ${file.stored_name} (retenção): ${error.message}`);
+      }
+    }
+  } finally {
+    running = false;
+  }
+
+  if (removed > 0) {
+    console.log(`🗑️  Retenção: ${removed} arquivo(s) removido(s)`);
+  }
+
+  return { ...report, dryRun: false, removed };
+}
+
+/**
+ * Job periódico
+ */
+setInterval(async () => {
+  try {
+    await runRetention();
+  } catch (error) {
+    console.error('Erro ao aplicar retenção:', error.message);
+  }
+}, RETENTION_INTERVAL_MINUTES * 60 * 1000);
@@ -0,0 +1,65 @@
+// URLs de download assinadas (HMAC-SHA256) para arquivos privados
+// A assinatura cobre o nome do arquivo, a expiração e, opcionalmente, o IP do cliente.
+
+import { createHmac, timingSafeEqual } from 'crypto';
+
+// Configurações
+const SIGNED_URL_SECRET = process.env.SIGNED_URL_SECRET || process.env.SESSION_SECRET || 'your-secret-key-change-this-in-production';
+export const SIGNED_URL_DEFAULT_TTL = parseInt(process.env.SIGNED_URL_DEFAULT_TTL || '3600'); // 1 hora
+export const SIGNED_URL_MAX_TTL = 7 * 24 * 60 * 60; // 7 dias
+
+/**
+ * Calcular assinatura
+ */
+function sign(storedName, expires, ip) {
+  return createHmac('sha256', SIGNED_URL_SECRET)
+    .update(`${storedName}\n${expires}\n${ip || ''}`)
+    .digest('base64url');
+}
+
+/**
+ * Gerar query string assinada para /download/:filename.
+ * Com `ip`, a URL só funciona a partir desse endereço.
+ */
+export function createSignedQuery(storedName, { expiresIn = SIGNED_URL_DEFAULT_TTL, ip = null } = {}) {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const params = new URLSearchParams({
+    expires: String(expires),
+    sig: sign(storedName, expires, ip)
+  });
+
+  if (ip) params.set('bind', 'ip');
+
+  return {
+    query: params.toString(),
+    expiresAt: new Date(expires * 1000).toISOString()
+  };
+}
+
+/**
+ * Verificar assinatura recebida na query string do download
+ */
+export function verifySignedQuery(storedName, query, requestIp) {
+  const expires = parseInt(query.expires);
+  if (!query.sig || !Number.isInteger(expires)) return false;
+  if (expires < Math.floor(Date.now() / 1000)) return false;
+
+  const expected = Buffer.from(sign(storedName, expires, query.bind === 'ip' ? requestIp : null));
+  const received = Buffer.from(String(query.sig));
+
+  return expected.length === received.length && timingSafeEqual(expected, received);
+}
+
+/**
+ * Parâmetros de assinatura presentes na query (para repassar às URLs que a
+ * resposta referencia, como os segmentos de um playlist HLS). '' se não houver.
+ */
+export function getSignedParams(query) {
+  if (!query.sig) return '';
+
+  const params = new URLSearchParams();
+  for (const name of ['expires', 'sig', 'bind']) {
+    if (query[name] !== undefined) params.set(name, String(query[name]));
+  }
+  return params.toString();
+}
@@ -0,0 +1,61 @@
+// Seleção do driver de storage pelo .env
+//
+// Todo driver implementa a mesma interface (chaves relativas, ex.: "blobs/ab/abcd..."):
+//   put(key, stream, { size, contentType })   -> grava um stream
+//   putFile(key, sourcePath, { contentType }) -> move um arquivo local para o storage
+//   createReadStream(key, { start, end })     -> Promise<Readable> (leitura parcial para Range)
+//   stat(key)                                 -> { size, mtime } ou null
+//   delete(key)                               -> remove (ignora se não existir)
+//   localPath(key)                            -> caminho no disco ou null (drivers remotos)
+//   root                                      -> raiz no disco (apenas driver local)
+
+import dotenv from 'dotenv';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createLocalDriver } from './local.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const STORAGE_DRIVER = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+async function createDriver() {
+  if (STORAGE_DRIVER === 's3') {
+    const { createS3Driver } = await import('./s3.js');
+    return createS3Driver({
+      endpoint: process.env.S3_ENDPOINT,
+      region: process.env.S3_REGION,
+      bucket: process.env.S3_BUCKET,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true', // Necessário para MinIO
+      prefix: process.env.S3_PREFIX
+    });
+  }
+
+  if (STORAGE_DRIVER !== 'local') {
+    throw new Error(`STORAGE_DRIVER desconhecido: ${STORAGE_DRIVER} (use "local" ou "s3")`);
+  }
+
+  return createLocalDriver({
+    root: process.env.STORAGE_LOCAL_DIR || join(__dirname, '..', '..', '..', 'config', 'uploads')
+  });
+}
+
+export const storage = await createDriver();
+
+/**
+ * Ler objeto inteiro para memória (usado pelo hot cache)
+ */
+export async function readToBuffer(key) {
+  const stream = await storage.createReadStream(key);
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+export default storage;
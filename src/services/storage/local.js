@@ -0,0 +1,88 @@
+// Driver de storage em disco local (padrão)
+
+import { createReadStream, createWriteStream } from 'fs';
+import { promises as fs } from 'fs';
+import { pipeline } from 'stream/promises';
+import { randomBytes } from 'crypto';
+import { dirname, resolve, sep } from 'path';
+
+export function createLocalDriver({ root }) {
+  const rootDir = resolve(root);
+
+  // Resolver chave para caminho absoluto sem permitir sair da raiz
+  function resolveKey(key) {
+    const fullPath = resolve(rootDir, key);
+    if (!fullPath.startsWith(rootDir + sep)) {
+      throw new Error(`Chave de storage inválida: ${key}`);
+    }
+    return fullPath;
+  }
+
+  return {
+    name: 'local',
+
+    // Raiz no disco: permite servir com sendFile (Range/ETag nativos do @fastify/static)
+    root: rootDir,
+
+    // Gravar stream na chave (escreve em arquivo temporário e renomeia)
+    async put(key, stream) {
+      const target = resolveKey(key);
+      const tempPath = `${target}.${randomBytes(6).toString('hex')}.tmp`;
+      await fs.mkdir(dirname(target), { recursive: true });
+
+      try {
+        await pipeline(stream, createWriteStream(tempPath));
+        await fs.rename(tempPath, target);
+      } catch (error) {
+        await fs.unlink(tempPath).catch(() => {});
+        throw error;
+      }
+    },
+
+    // Mover arquivo local para a chave (rename quando possível, evita copiar GBs)
+    async putFile(key, sourcePath) {
+      const target = resolveKey(key);
+      await fs.mkdir(dirname(target), { recursive: true });
+
+      try {
+        await fs.rename(sourcePath, target);
+      } catch (error) {
+        if (error.code !== 'EXDEV') throw error;
+        // Origem em outro disco/volume: copiar e remover
+        await fs.copyFile(sourcePath, target);
+        await fs.unlink(sourcePath);
+      }
+    },
+
+    // Stream de leitura (start/end inclusivos, como em fs.createReadStream)
+    async createReadStream(key, range = {}) {
+      return createReadStream(resolveKey(key), range);
+    },
+
+    // Tamanho e data de modificação (null se não existir)
+    async stat(key) {
+      try {
+        const stats = await fs.stat(resolveKey(key));
+        return { size: stats.size, mtime: stats.mtime };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      try {
+        await fs.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    // Caminho absoluto no disco
+    localPath(key) {
+      return resolveKey(key);
+    }
+  };
+}
+
+export default createLocalDriver;
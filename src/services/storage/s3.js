@@ -0,0 +1,108 @@
+// Driver de storage S3-compatível (AWS S3, MinIO, Cloudflare R2, Backblaze B2...)
+// O SDK só é carregado quando este driver é selecionado, para não ocupar memória no modo local.
+
+import { createReadStream } from 'fs';
+import { promises as fs } from 'fs';
+
+export async function createS3Driver({ endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle, prefix }) {
+  if (!bucket) {
+    throw new Error('S3_BUCKET é obrigatório quando STORAGE_DRIVER=s3');
+  }
+
+  const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand
+  } = await import('@aws-sdk/client-s3');
+
+  const client = new S3Client({
+    endpoint: endpoint || undefined,
+    region: region || 'us-east-1',
+    forcePathStyle,
+    // Checksums só quando obrigatórios: vários serviços S3-compatíveis
+    // não aceitam o corpo "aws-chunked" que o SDK usa por padrão em streams
+    requestChecksumCalculation: 'WHEN_REQUIRED',
+    responseChecksumValidation: 'WHEN_REQUIRED',
+    credentials: accessKeyId
+      ? { accessKeyId, secretAccessKey }
+      : undefined
+  });
+
+  const keyPrefix = prefix ? prefix.replace(/\/+$/, '') + '/' : '';
+  const objectKey = (key) => keyPrefix + key.split('\\').join('/');
+
+  return {
+    name: 's3',
+
+    // Sem raiz local: downloads são servidos via stream (ver file-sender.js)
+    root: null,
+
+    // Gravar stream na chave. O S3 exige o tamanho para streams, então
+    // quem não souber o tamanho deve usar putFile.
+    async put(key, stream, { size, contentType } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: stream,
+        ContentLength: size,
+        ContentType: contentType
+      }));
+    },
+
+    // Enviar arquivo local e remover a cópia temporária
+    async putFile(key, sourcePath, { contentType } = {}) {
+      const stats = await fs.stat(sourcePath);
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: createReadStream(sourcePath),
+        ContentLength: stats.size,
+        ContentType: contentType
+      }));
+      await fs.unlink(sourcePath).catch(() => {});
+    },
+
+    // Stream de leitura com leitura parcial via header Range (start/end inclusivos)
+    async createReadStream(key, { start, end } = {}) {
+      const range = start !== undefined || end !== undefined
+        ? `bytes=${start ?? 0}-${end ?? ''}`
+        : undefined;
+
+      const response = await client.send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Range: range
+      }));
+      return response.Body;
+    },
+
+    async stat(key) {
+      try {
+        const response = await client.send(new HeadObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(key)
+        }));
+        return { size: response.ContentLength, mtime: response.LastModified };
+      } catch (error) {
+        if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key)
+      }));
+    },
+
+    // Objetos remotos não têm caminho local
+    localPath() {
+      return null;
+    }
+  };
+}
+
+export default createS3Driver;
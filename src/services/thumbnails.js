@@ -0,0 +1,170 @@
+// Geração de miniaturas (WebP) após o upload
+// Imagens são redimensionadas com sharp; vídeos ganham um quadro de capa
+// extraído com ffmpeg, quando o binário estiver disponível na máquina.
+// As miniaturas ficam no mesmo storage dos arquivos, em thumbs/, e são
+// compartilhadas entre arquivos com o mesmo conteúdo (mesmo blob).
+
+import { spawn } from 'child_process';
+import { Readable } from 'stream';
+import sharp from 'sharp';
+import { dbOperations } from '../database.js';
+import { storage } from './storage/index.js';
+import { getFileKey, getThumbnailKey } from './file-store.js';
+import { FFMPEG_PATH, checkFfmpeg, withLocalFile } from './ffmpeg.js';
+
+// Configurações
+const THUMBNAIL_SIZE = parseInt(process.env.THUMBNAIL_SIZE || '320'); // Lado maior, em pixels
+const THUMBNAIL_QUALITY = 75;
+
+// Fila em memória: uma miniatura por vez para não disputar CPU com os uploads
+const queue = [];
+let processing = false;
+
+/**
+ * Verificar se o tipo de arquivo gera miniatura
+ */
+export function supportsThumbnail(file) {
+  return file.file_type === 'image' || file.file_type === 'video';
+}
+
+/**
+ * Redimensionar imagem (stream ou buffer) para WebP
+ */
+function resizeToWebp(input) {
+  const transformer = sharp({ failOn: 'none' })
+    .rotate() // Respeitar orientação EXIF
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: THUMBNAIL_QUALITY });
+
+  if (Buffer.isBuffer(input)) {
+    return transformer.end(input).toBuffer();
+  }
+
+  // Erros de leitura do storage não se propagam pelo pipe(): rejeitar manualmente
+  return new Promise((resolve, reject) => {
+    input.on('error', reject);
+    input.pipe(transformer);
+    transformer.toBuffer().then(resolve, reject);
+  });
+}
+
+/**
+ * Extrair um quadro do vídeo como PNG (em memória)
+ */
+function extractFrame(inputPath, seekSeconds) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(FFMPEG_PATH, [
+      '-ss', String(seekSeconds),
+      '-i', inputPath,
+      '-frames:v', '1',
+      '-f', 'image2pipe',
+      '-vcodec', 'png',
+      '-loglevel', 'error',
+      'pipe:1'
+    ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+    const chunks = [];
+    let stderr = '';
+
+    child.stdout.on('data', chunk => chunks.push(chunk));
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', code => {
+      if (code !== 0) {
+        return reject(new Error(`ffmpeg saiu com código ${code}: ${stderr.trim()}`));
+      }
+      resolve(Buffer.concat(chunks));
+    });
+  });
+}
+
+/**
+ * Gerar capa de vídeo (a partir de uma cópia local, se o storage for remoto)
+ */
+function createVideoPoster(sourceKey) {
+  return withLocalFile(sourceKey, async inputPath => {
+    // Quadro em 1s evita telas pretas de abertura; vídeos curtos usam o primeiro quadro
+    let frame = await extractFrame(inputPath, 1);
+    if (frame.length === 0) {
+      frame = await extractFrame(inputPath, 0);
+    }
+    if (frame.length === 0) {
+      throw new Error('Nenhum quadro extraído do vídeo.');
+    }
+    return resizeToWebp(frame);
+  });
+}
+
+/**
+ * Gerar e registrar a miniatura de um arquivo.
+ * Retorna a chave da miniatura ou null se o tipo não for suportado.
+ */
+export async function generateThumbnail(file) {
+  if (!supportsThumbnail(file)) return null;
+
+  const thumbnailKey = getThumbnailKey(file);
+
+  // Conteúdo deduplicado: a miniatura do blob pode já existir
+  if (!(await storage.stat(thumbnailKey))) {
+    let buffer;
+
+    if (file.file_type === 'image') {
+      buffer = await resizeToWebp(await storage.createReadStream(getFileKey(file)));
+    } else {
+      if (!(await checkFfmpeg())) return null;
+      buffer = await createVideoPoster(getFileKey(file));
+    }
+
+    await storage.put(thumbnailKey, Readable.from(buffer), {
+      size: buffer.length,
+      contentType: 'image/webp'
+    });
+  }
+
+  dbOperations.setFileThumbnail(file.id, thumbnailKey);
+  return thumbnailKey;
+}
+
+/**
+ * Processar fila de miniaturas
+ */
+async function processQueue() {
+  if (processing) return;
+  processing = true;
+
+  while (queue.length > 0) {
+    const file = queue.shift();
+
+    // Arquivo apagado enquanto esperava na fila
+    if (!dbOperations.getFileById(file.id)) continue;
+
+    try {
+      const key = await generateThumbnail(file);
+      if (key) console.log(`🖼️  Miniatura gerada: ${file.stored_name}`);
+    } catch (error) {
+      console.warn(`Erro ao gerar miniatura de ${file.stored_name}: ${error.message}`);
+    }
+  }
+
+  processing = false;
+}
+
+/**
+ * Agendar geração de miniatura (não bloqueia a resposta do upload)
+ */
+export function queueThumbnail(file) {
+  if (!supportsThumbnail(file)) return false;
+
+  queue.push(file);
+  setImmediate(processQueue);
+  return true;
+}
+
+/**
+ * Agendar miniaturas de arquivos antigos (enviados antes desta funcionalidade)
+ */
+export function queueMissingThumbnails(limit) {
+  const files = dbOperations.getFilesWithoutThumbnail(limit);
+  files.forEach(queueThumbnail);
+  return files.length;
+}
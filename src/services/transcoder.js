@@ -0,0 +1,527 @@
+// Transcodificação de vídeos para formatos que tocam no navegador do FiveM (NUI)
+// Clipes .mov/.mkv/HEVC enviados pelos jogadores ganham versões H.264/MP4 e/ou
+// WebM (VP9), geradas pelo ffmpeg local em uma fila persistida no SQLite: jobs
+// sobrevivem a reinícios e várias instâncias podem dividir a fila. As versões
+// ficam no storage em renditions/ (compartilhadas entre arquivos do mesmo blob)
+// e são servidas por /download/:filename?rendition=mp4. O pacote HLS de vídeos
+// longos (perfil "hls", ver hls.js) passa pela mesma fila.
+// Sem ffmpeg na máquina, nenhum job é criado.
+
+import { spawn } from 'child_process';
+import { promises as fs } from 'fs';
+import { randomBytes } from 'crypto';
+import { join } from 'path';
+import { dbOperations } from '../database.js';
+import { storage } from './storage/index.js';
+import { getFileKey, getRenditionKey, getHlsKey, removeHlsPackage } from './file-store.js';
+import { FFMPEG_PATH, TMP_DIR, checkFfmpeg, isFfmpegAvailable, withLocalFile } from './ffmpeg.js';
+import { HLS_MIME_TYPE, shouldPackageHls, prepareHlsPackage, storeHlsPackage } from './hls.js';
+
+// Perfis de saída. `compatible` diz se o original já toca sem conversão.
+const PROFILES = {
+  mp4: {
+    mimeType: 'video/mp4',
+    args: [
+      '-c:v', 'libx264', '-preset', process.env.TRANSCODE_X264_PRESET || 'veryfast', '-crf', '23',
+      '-pix_fmt', 'yuv420p', '-c:a', 'aac', '-b:a', '128k', '-movflags', '+faststart'
+    ],
+    compatible: (file, info) => file.mime_type === 'video/mp4'
+      && info.videoCodec === 'h264'
+      && [null, 'aac', 'mp3'].includes(info.audioCodec)
+  },
+  webm: {
+    mimeType: 'video/webm',
+    args: [
+      '-c:v', 'libvpx-vp9', '-crf', '32', '-b:v', '0', '-deadline', 'good', '-cpu-used', '4',
+      '-row-mt', '1', '-c:a', 'libopus', '-b:a', '96k'
+    ],
+    compatible: (file, info) => file.mime_type === 'video/webm'
+      && ['vp8', 'vp9', 'av1'].includes(info.videoCodec)
+      && [null, 'opus', 'vorbis'].includes(info.audioCodec)
+  },
+  // Pacote HLS em várias qualidades (argumentos montados por hls.js)
+  hls: {
+    mimeType: HLS_MIME_TYPE,
+    hls: true,
+    compatible: () => false
+  }
+};
+
+// Configurações
+export const TRANSCODE_PROFILES = Object.keys(PROFILES);
+// Perfis gerados automaticamente após o upload de um vídeo
+const TRANSCODE_UPLOAD_PROFILES = String(process.env.TRANSCODE_PROFILES ?? 'mp4')
+  .split(',')
+  .map(profile => profile.trim().toLowerCase())
+  .filter(profile => TRANSCODE_PROFILES.includes(profile));
+const TRANSCODE_ON_UPLOAD = process.env.TRANSCODE_ON_UPLOAD !== 'false';
+const TRANSCODE_MAX_HEIGHT = Math.max(parseInt(process.env.TRANSCODE_MAX_HEIGHT || '1080'), 144);
+const TRANSCODE_MAX_ATTEMPTS = Math.max(parseInt(process.env.TRANSCODE_MAX_ATTEMPTS || '2'), 1);
+const TRANSCODE_TIMEOUT_MS = Math.max(parseInt(process.env.TRANSCODE_TIMEOUT_MINUTES || '60'), 1) * 60 * 1000;
+const STALE_MINUTES = 15; // Job "rodando" sem sinal de vida por mais que isso volta para a fila
+const HEARTBEAT_INTERVAL = 60 * 1000; // Sinal de vida do job em execução (com ou sem progresso)
+const POLL_INTERVAL = 30 * 1000; // Jobs criados por outras instâncias
+const PROGRESS_INTERVAL = 1000;
+const JOB_RESULTS = { done: 'concluída', skipped: 'dispensada (original compatível)', canceled: 'cancelada' };
+
+let working = false;
+
+/**
+ * Erro de transcodificação (o status HTTP vai em `statusCode`)
+ */
+function transcodeError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Job no formato da API
+ */
+export function formatTranscodeJob(job) {
+  return {
+    id: job.id,
+    file_id: job.file_id,
+    original_name: job.original_name ?? null,
+    profile: job.profile,
+    status: job.status,
+    progress: Math.round(job.progress * 10) / 10,
+    attempts: job.attempts,
+    error: job.error,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at
+  };
+}
+
+/**
+ * Versão no formato da API
+ */
+export function formatRendition(rendition, file) {
+  return {
+    profile: rendition.profile,
+    mime_type: rendition.mime_type,
+    size: rendition.size,
+    is_original: rendition.is_original === 1,
+    download_url: rendition.profile === 'hls'
+      ? `/stream/${file.id}/master.m3u8`
+      : `/download/${file.stored_name}?rendition=${rendition.profile}`,
+    created_at: rendition.created_at
+  };
+}
+
+/**
+ * Dono do arquivo ou admin?
+ */
+function assertCanManage(file, { userId, role }) {
+  if (role !== 'admin' && (userId === null || file.uploaded_by !== userId)) {
+    throw transcodeError(403, 'Você só pode gerenciar vídeos que você enviou.');
+  }
+}
+
+/**
+ * Criar jobs para os perfis que ainda não têm versão nem job pendente.
+ * Retorna { jobs, skipped } (skipped = perfis ignorados).
+ */
+function enqueue(file, profiles, requestedBy) {
+  const jobs = [];
+  const skipped = [];
+
+  for (const profile of profiles) {
+    if (dbOperations.getFileRendition(file.id, profile) || dbOperations.findActiveTranscodeJob(file.id, profile)) {
+      skipped.push(profile);
+      continue;
+    }
+
+    const id = dbOperations.createTranscodeJob({ fileId: file.id, profile, requestedBy });
+    jobs.push(formatTranscodeJob(dbOperations.getTranscodeJobById(id)));
+  }
+
+  if (jobs.length > 0) scheduleQueue();
+  return { jobs, skipped };
+}
+
+/**
+ * Agendar as versões padrão de um vídeo recém-enviado (se houver ffmpeg).
+ * Vídeos longos também ganham o pacote HLS (HLS_ON_UPLOAD).
+ */
+export async function queueTranscode(file, requestedBy = null) {
+  if (file.file_type !== 'video') return [];
+
+  const profiles = TRANSCODE_ON_UPLOAD ? [...TRANSCODE_UPLOAD_PROFILES] : [];
+  if (shouldPackageHls(file) && !profiles.includes('hls')) profiles.push('hls');
+
+  if (profiles.length === 0 || !(await checkFfmpeg())) return [];
+
+  return enqueue(file, profiles, requestedBy).jobs;
+}
+
+/**
+ * Pedir versões de um vídeo pela API (dono ou admin).
+ * `profiles` vazio usa os perfis de TRANSCODE_PROFILES.
+ */
+export async function requestTranscode(file, profiles, actor) {
+  if (!file || file.deleted_at) {
+    throw transcodeError(404, 'Arquivo não encontrado.');
+  }
+  assertCanManage(file, actor);
+
+  if (file.file_type !== 'video') {
+    throw transcodeError(400, 'Apenas vídeos podem ser transcodificados.');
+  }
+
+  const requested = profiles === undefined || profiles === null || profiles.length === 0
+    ? TRANSCODE_UPLOAD_PROFILES
+    : [...new Set([].concat(profiles).map(profile => String(profile).trim().toLowerCase()))];
+
+  const invalid = requested.filter(profile => !TRANSCODE_PROFILES.includes(profile));
+  if (invalid.length > 0 || requested.length === 0) {
+    throw transcodeError(400, `Perfil inválido. Use: ${TRANSCODE_PROFILES.join(', ')}.`);
+  }
+
+  if (!(await checkFfmpeg())) {
+    throw transcodeError(503, 'Transcodificação indisponível: ffmpeg não encontrado no servidor.');
+  }
+
+  return enqueue(file, requested, actor.userId);
+}
+
+/**
+ * Buscar job verificando permissão (dono do arquivo ou admin)
+ */
+export function getTranscodeJob(id, actor) {
+  const job = dbOperations.getTranscodeJobById(id);
+  if (!job) {
+    throw transcodeError(404, 'Job não encontrado.');
+  }
+  assertCanManage(job, actor);
+  return job;
+}
+
+/**
+ * Cancelar job na fila ou em andamento (o ffmpeg é interrompido no próximo progresso)
+ */
+export function cancelTranscodeJob(job) {
+  if (!dbOperations.finishTranscodeJob(job.id, 'canceled', 'Cancelado pelo usuário.')) {
+    throw transcodeError(409, 'O job já terminou e não pode ser cancelado.');
+  }
+  return formatTranscodeJob(dbOperations.getTranscodeJobById(job.id));
+}
+
+/**
+ * Recolocar na fila um job que falhou ou foi cancelado
+ */
+export function retryTranscodeJob(job) {
+  if (!['failed', 'canceled'].includes(job.status)) {
+    throw transcodeError(409, 'Só jobs com falha ou cancelados podem ser reenviados.');
+  }
+  if (dbOperations.findActiveTranscodeJob(job.file_id, job.profile)) {
+    throw transcodeError(409, 'Já existe um job pendente para este vídeo e perfil.');
+  }
+
+  dbOperations.requeueTranscodeJob(job.id, { resetAttempts: true });
+  scheduleQueue();
+  return formatTranscodeJob(dbOperations.getTranscodeJobById(job.id));
+}
+
+/**
+ * Versão pedida em /download/:filename?rendition=<perfil>, no formato usado
+ * pela rota (mesmo formato das outras variantes)
+ */
+export function resolveRendition(file, profile) {
+  if (!TRANSCODE_PROFILES.includes(profile)) {
+    throw transcodeError(400, `rendition inválido. Use: ${TRANSCODE_PROFILES.join(', ')}.`);
+  }
+  if (!file) {
+    throw transcodeError(404, 'Arquivo não encontrado.');
+  }
+  if (PROFILES[profile].hls) {
+    throw transcodeError(400, `O pacote HLS é servido por /stream/${file.id}/master.m3u8.`);
+  }
+
+  const rendition = dbOperations.getFileRendition(file.id, profile);
+
+  if (!rendition) {
+    const job = dbOperations.findActiveTranscodeJob(file.id, profile);
+    if (job) {
+      throw transcodeError(409, `A versão ${profile} ainda está sendo gerada (${Math.round(job.progress)}%). Tente novamente em instantes.`);
+    }
+    throw transcodeError(404, `Versão ${profile} não disponível para este arquivo.`);
+  }
+
+  return {
+    key: rendition.storage_key,
+    size: rendition.size,
+    stored: true,
+    mimeType: rendition.mime_type,
+    etag: rendition.is_original
+      ? (file.blob_hash ? `"${file.blob_hash}"` : undefined)
+      : `"${file.blob_hash || file.stored_name}-${profile}"`
+  };
+}
+
+/**
+ * Codecs, altura e duração do vídeo, lidos da saída do `ffmpeg -i`
+ */
+function probe(inputPath) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(FFMPEG_PATH, ['-hide_banner', '-nostdin', '-i', inputPath], { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    // Sem arquivo de saída o ffmpeg sai com código 1: o que importa é o cabeçalho impresso
+    child.on('close', () => {
+      const duration = stderr.match(/Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/);
+      const codec = type => stderr.match(new RegExp(`Stream #\\S+.*?: ${type}: (\\w+)`))?.[1] ?? null;
+      const size = stderr.match(/Stream #\S+.*?: Video: .*?, (\d{2,5})x(\d{2,5})/);
+
+      resolve({
+        duration: duration ? Number(duration[1]) * 3600 + Number(duration[2]) * 60 + Number(duration[3]) : null,
+        videoCodec: codec('Video'),
+        audioCodec: codec('Audio'),
+        height: size ? Number(size[2]) : null
+      });
+    });
+  });
+}
+
+/**
+ * Argumentos do ffmpeg para gerar a versão de um perfil em um único arquivo
+ */
+function transcodeArgs(inputPath, outputPath, profile) {
+  return [
+    '-i', inputPath,
+    '-map', '0:v:0', '-map', '0:a:0?',
+    // Altura máxima e dimensões pares (exigidas pelo H.264 em yuv420p)
+    '-vf', `scale=-2:'trunc(min(ih,${TRANSCODE_MAX_HEIGHT})/2)*2'`,
+    ...PROFILES[profile].args,
+    outputPath
+  ];
+}
+
+/**
+ * Rodar o ffmpeg com os argumentos de um job. `onProgress(percent)` devolve
+ * false quando o job foi cancelado, o que interrompe o processo.
+ */
+function runFfmpeg(args, duration, onProgress) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(FFMPEG_PATH, [
+      '-hide_banner', '-nostdin', '-y',
+      '-progress', 'pipe:1', '-nostats', '-loglevel', 'error',
+      ...args
+    ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+    let stderr = '';
+    let stopReason = null;
+    let lastReport = 0;
+
+    const stop = reason => {
+      stopReason = reason;
+      child.kill('SIGKILL');
+    };
+
+    const timeout = setTimeout(() => stop('Tempo limite de transcodificação excedido.'), TRANSCODE_TIMEOUT_MS);
+
+    child.stdout.on('data', chunk => {
+      // Linhas chave=valor; out_time_us é o tempo já codificado, em microssegundos
+      const match = String(chunk).match(/out_time_(?:us|ms)=(\d+)/);
+      if (!match || !duration || Date.now() - lastReport < PROGRESS_INTERVAL) return;
+
+      lastReport = Date.now();
+      const percent = Math.min((Number(match[1]) / 1e6 / duration) * 100, 99.9);
+      if (onProgress(percent) === false) stop('Cancelado pelo usuário.');
+    });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', error => {
+      clearTimeout(timeout);
+      reject(error);
+    });
+    child.on('close', code => {
+      clearTimeout(timeout);
+
+      if (stopReason) {
+        const error = new Error(stopReason);
+        error.canceled = stopReason.startsWith('Cancelado');
+        return reject(error);
+      }
+      if (code !== 0) {
+        return reject(new Error(`ffmpeg saiu com código ${code}: ${stderr.trim().slice(-500)}`));
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Executar um job já marcado como "running". Retorna o status final.
+ */
+async function runJob(job) {
+  const file = dbOperations.getFileById(job.file_id);
+
+  // Arquivo apagado ou na lixeira enquanto esperava na fila
+  if (!file || file.deleted_at) {
+    dbOperations.finishTranscodeJob(job.id, 'canceled', 'Arquivo removido.');
+    return 'canceled';
+  }
+
+  const profile = PROFILES[job.profile];
+  const sourceKey = getFileKey(file);
+  const targetKey = profile.hls ? getHlsKey(sourceKey) : getRenditionKey(sourceKey, job.profile);
+
+  // Conteúdo deduplicado: a versão do blob pode já existir (do pacote HLS, o
+  // storage só informa o tamanho do master; o total vem da versão já registrada)
+  const existing = await storage.stat(targetKey);
+  if (existing) {
+    const size = dbOperations.getRenditionByStorageKey(targetKey)?.size ?? existing.size;
+    dbOperations.setFileRendition({ fileId: file.id, profile: job.profile, storageKey: targetKey, mimeType: profile.mimeType, size });
+    dbOperations.finishTranscodeJob(job.id, 'done');
+    return 'done';
+  }
+
+  const status = await withLocalFile(sourceKey, async inputPath => {
+    const info = await probe(inputPath);
+
+    if (!info.videoCodec) {
+      const error = new Error('Nenhum stream de vídeo encontrado no arquivo.');
+      error.permanent = true;
+      throw error;
+    }
+
+    // Original já toca no navegador: a versão é o próprio arquivo
+    if (profile.compatible(file, info)) {
+      dbOperations.setFileRendition({ fileId: file.id, profile: job.profile, storageKey: sourceKey, mimeType: file.mime_type, size: file.size, isOriginal: true });
+      dbOperations.finishTranscodeJob(job.id, 'skipped', 'O original já é compatível.');
+      return 'skipped';
+    }
+
+    // Arquivo de saída (ou diretório, no pacote HLS)
+    const outputPath = join(TMP_DIR, `${randomBytes(16).toString('hex')}.${job.profile}`);
+    const onProgress = percent => dbOperations.updateTranscodeProgress(job.id, percent) > 0;
+
+    try {
+      const hlsPackage = profile.hls ? await prepareHlsPackage(inputPath, outputPath, info) : null;
+      await runFfmpeg(hlsPackage ? hlsPackage.args : transcodeArgs(inputPath, outputPath, job.profile), info.duration, onProgress);
+
+      // Cancelado depois do último progresso: descartar a saída
+      if (!dbOperations.updateTranscodeProgress(job.id, 99.9)) {
+        return 'canceled';
+      }
+
+      let size;
+      if (hlsPackage) {
+        size = await storeHlsPackage(outputPath, sourceKey, hlsPackage);
+      } else {
+        size = (await fs.stat(outputPath)).size;
+        await storage.putFile(targetKey, outputPath, { contentType: profile.mimeType });
+      }
+
+      dbOperations.setFileRendition({ fileId: file.id, profile: job.profile, storageKey: targetKey, mimeType: profile.mimeType, size });
+      dbOperations.finishTranscodeJob(job.id, 'done');
+      return 'done';
+    } finally {
+      await fs.rm(outputPath, { recursive: true, force: true }).catch(() => {});
+    }
+  });
+
+  // Conteúdo removido durante a transcodificação: não deixar a versão órfã
+  if (!(await storage.stat(sourceKey))) {
+    if (profile.hls) await removeHlsPackage(sourceKey);
+    else await storage.delete(targetKey).catch(() => {});
+  }
+
+  return status;
+}
+
+/**
+ * Processar a fila até esvaziar (um job por vez nesta instância)
+ */
+export async function processTranscodeQueue() {
+  if (working) return;
+  working = true;
+
+  try {
+    if (!(await checkFfmpeg())) return;
+
+    let job;
+    while ((job = dbOperations.claimNextTranscodeJob())) {
+      // Sem a duração do vídeo não há progresso: o sinal de vida mantém o job
+      // fora de requeueStaleTranscodeJobs enquanto ele roda (inclusive no
+      // download do original e no envio da saída)
+      const heartbeat = setInterval(() => {
+        try {
+          dbOperations.touchTranscodeJob(job.id);
+        } catch (error) {
+          console.warn(`Erro ao atualizar job de transcodificação ${job.id}: ${error.message}`);
+        }
+      }, HEARTBEAT_INTERVAL);
+
+      try {
+        const status = await runJob(job);
+        console.log(`🎬 Transcodificação ${JOB_RESULTS[status]}: arquivo ${job.file_id} (${job.profile})`);
+      } catch (error) {
+        if (error.canceled) {
+          console.log(`🎬 Transcodificação ${JOB_RESULTS.canceled}: arquivo ${job.file_id} (${job.profile})`);
+        } else if (!error.permanent && job.attempts < TRANSCODE_MAX_ATTEMPTS) {
+          console.warn(`Erro ao transcodificar arquivo ${job.file_id} (${job.profile}), nova tentativa: ${error.message}`);
+          dbOperations.requeueTranscodeJob(job.id, { error: error.message });
+        } else {
+          console.warn(`Erro ao transcodificar arquivo ${job.file_id} (${job.profile}): ${error.message}`);
+          dbOperations.finishTranscodeJob(job.id, 'failed', error.message);
+        }
+      } finally {
+        clearInterval(heartbeat);
+      }
+    }
+  } finally {
+    working = false;
+  }
+}
+
+/**
+ * Agendar o processamento da fila (erros vão para o log)
+ */
+function scheduleQueue() {
+  setImmediate(() => {
+    processTranscodeQueue().catch(error => {
+      console.error('Erro na fila de transcodificação:', error.message);
+    });
+  });
+}
+
+/**
+ * Estatísticas da fila
+ */
+export function getTranscodeStats() {
+  const counts = dbOperations.getTranscodeJobCounts();
+
+  return {
+    ffmpeg: isFfmpegAvailable(),
+    working,
+    queued: counts.queued || 0,
+    running: counts.running || 0,
+    done: (counts.done || 0) + (counts.skipped || 0),
+    failed: counts.failed || 0,
+    canceled: counts.canceled || 0
+  };
+}
+
+/**
+ * Retomar a fila: jobs de instâncias que caíram voltam para a fila e os
+ * pendentes (inclusive de outras instâncias) são processados
+ */
+function resumeQueue() {
+  try {
+    const requeued = dbOperations.requeueStaleTranscodeJobs(STALE_MINUTES);
+    if (requeued > 0) console.log(`🎬 ${requeued} job(s) de transcodificação parados voltaram para a fila`);
+  } catch (error) {
+    console.error('Erro ao retomar fila de transcodificação:', error.message);
+  }
+
+  processTranscodeQueue().catch(error => {
+    console.error('Erro na fila de transcodificação:', error.message);
+  });
+}
+
+setImmediate(resumeQueue);
+setInterval(resumeQueue, POLL_INTERVAL);
@@ -0,0 +1,43 @@
+// Lixeira: arquivos deletados ficam ocultos por TRASH_RETENTION_DAYS dias
+// antes da remoção definitiva (registro + conteúdo físico)
+
+import { dbOperations } from '../database.js';
+import { removeFile } from './file-store.js';
+
+// Configurações
+export const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || '30');
+const PURGE_INTERVAL = 60 * 60 * 1000; // Verificar a cada 1 hora
+
+/**
+ * Remover definitivamente arquivos que estão na lixeira há mais tempo que o permitido
+ */
+export async function purgeTrash(days = TRASH_RETENTION_DAYS) {
+  const files = dbOperations.getTrashedFilesOlderThan(days);
+  let purged = 0;
+
+  for (const file of files) {
+    try {
+      await removeFile(file);
+      purged++;
+    } catch (error) {
+      console.warn(`Erro ao remover ${file.stored_name} da lixeira: ${error.message}`);
+    }
+  }
+
+  if (purged > 0) {
+    console.log(`🗑️  Lixeira: ${purged} arquivo(s) removido(s) definitivamente`);
+  }
+
+  return purged;
+}
+
+/**
+ * Limpeza periódica da lixeira
+ */
+setInterval(async () => {
+  try {
+    await purgeTrash();
+  } catch (error) {
+    console.error('Erro ao esvaziar lixeira:', error.message);
+  }
+}, PURGE_INTERVAL);
@@ -0,0 +1,115 @@
+// Testes da busca textual (FTS5): conversão da busca do usuário em expressão
+// FTS segura (pontuação, entrada vazia) e triggers que mantêm o files_fts em
+// sincronia com a tabela files. Usa um banco temporário (DATABASE_PATH).
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+let dir;
+let db;
+let dbOperations;
+let buildFtsQuery;
+
+before(async () => {
+  dir = await fs.mkdtemp(join(tmpdir(), 'ely-fts-'));
+  process.env.DATABASE_PATH = join(dir, 'storage.db');
+
+  ({ default: db, dbOperations, buildFtsQuery } = await import('../../src/database.js'));
+});
+
+after(async () => {
+  db?.close();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+let counter = 0;
+
+function insertFile({ name, description = '', tags = '' }) {
+  counter++;
+  return Number(dbOperations.insertFile({
+    originalName: name,
+    storedName: `fts-${counter}.bin`,
+    fileType: 'other',
+    mimeType: 'application/octet-stream',
+    size: 10,
+    downloadUrl: `http://localhost/download/fts-${counter}.bin`,
+    description,
+    tags
+  }));
+}
+
+// IDs que o índice FTS devolve para a expressão (direto no files_fts)
+function indexedIds(search) {
+  return db.prepare('SELECT rowid FROM files_fts WHERE files_fts MATCH ? ORDER BY rowid')
+    .all(buildFtsQuery(search))
+    .map(row => row.rowid);
+}
+
+function searchIds(search) {
+  return dbOperations.searchFiles({ search }).map(file => file.id);
+}
+
+test('buildFtsQuery: entrada vazia ou sem letras e números não gera busca', () => {
+  for (const input of [undefined, null, '', '   ', '!!!', '"" ** --', '*', '"', '()']) {
+    assert.equal(buildFtsQuery(input), null, `entrada ${JSON.stringify(input)}`);
+  }
+});
+
+test('buildFtsQuery: pontuação e operadores viram texto entre aspas', () => {
+  assert.equal(buildFtsQuery('carro azul'), '"carro" AND "azul"');
+  assert.equal(buildFtsQuery('c++'), '"c++"');
+  assert.equal(buildFtsQuery('foo-bar'), '"foo-bar"');
+  assert.equal(buildFtsQuery('(a OR b)'), '"(a" AND "OR" AND "b)"');
+  assert.equal(buildFtsQuery('NOT secreto'), '"NOT" AND "secreto"');
+  assert.equal(buildFtsQuery('http://exemplo.com'), '"http://exemplo.com"');
+  assert.equal(buildFtsQuery('a"b'), '"a" AND "b"');
+  assert.equal(buildFtsQuery('"pôr do sol"'), '"pôr do sol"');
+  assert.equal(buildFtsQuery('carr*'), '"carr" *');
+  assert.equal(buildFtsQuery('tag:carros desc:"pôr do sol"'), 'tags : "carros" AND description : "pôr do sol"');
+});
+
+test('buscas com pontuação não quebram a consulta', () => {
+  insertFile({ name: 'manual-c++.pdf', description: 'guia (rápido)' });
+
+  for (const search of ['c++', '(rápido)', 'manual-c', 'a"b', '"guia', 'AND OR NOT', 'tag:"', 'desc:*', '!!!']) {
+    assert.doesNotThrow(() => dbOperations.searchFiles({ search }), `busca ${JSON.stringify(search)}`);
+    assert.doesNotThrow(() => dbOperations.countSearchFiles({ search }), `contagem ${JSON.stringify(search)}`);
+  }
+
+  assert.equal(dbOperations.searchFiles({ search: '!!!' }).length, 0);
+  assert.equal(dbOperations.countSearchFiles({ search: '' }), dbOperations.countSearchFiles({}));
+});
+
+test('triggers: insert e update de nome, descrição e tags atualizam o índice', () => {
+  const id = insertFile({ name: 'relatorio-anual.pdf', description: 'balanço', tags: 'financeiro' });
+
+  assert.deepEqual(indexedIds('relatorio'), [id]);
+  assert.deepEqual(searchIds('tag:financeiro'), [id]);
+
+  db.prepare('UPDATE files SET original_name = ? WHERE id = ?').run('planilha-mensal.xlsx', id);
+  assert.deepEqual(indexedIds('relatorio'), []);
+  assert.deepEqual(indexedIds('planilha'), [id]);
+
+  dbOperations.updateFileTags(id, 'contabil', 'fechamento do mês');
+  assert.deepEqual(indexedIds('balanço'), []);
+  assert.deepEqual(indexedIds('tag:financeiro'), []);
+  assert.deepEqual(indexedIds('fechamento'), [id]);
+  assert.deepEqual(searchIds('tag:contabil'), [id]);
+});
+
+test('triggers: delete remove o arquivo do índice', () => {
+  const id = insertFile({ name: 'temporario-unico.txt', tags: 'descartavel' });
+  assert.deepEqual(indexedIds('temporario'), [id]);
+
+  dbOperations.deleteFile(id);
+
+  assert.deepEqual(indexedIds('temporario'), []);
+  assert.deepEqual(indexedIds('tag:descartavel'), []);
+  assert.deepEqual(searchIds('temporario'), []);
+
+  // O índice continua íntegro em relação à tabela de conteúdo
+  assert.doesNotThrow(() => db.prepare("INSERT INTO files_fts (files_fts, rank) VALUES ('integrity-check', 1)").run());
+});
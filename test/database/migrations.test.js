@@ -0,0 +1,274 @@
+// Testes do migrador: banco novo (todas as migrações, idempotência e rollback
+// completo), banco criado antes do sistema de migrações (colunas que já existem
+// não são recriadas e os dados ficam) e migração com erro (nada é gravado).
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { openDatabase } from '../../src/database-connection.js';
+import { loadMigrations, migrateUp, migrateDown, getMigrationStatus } from '../../src/services/migrator.js';
+import { addColumn, hasColumn } from '../../src/migrations/helpers.js';
+
+let dir;
+let migrations;
+const openDatabases = [];
+
+before(async () => {
+  dir = await fs.mkdtemp(join(tmpdir(), 'ely-migrations-'));
+  migrations = await loadMigrations();
+});
+
+after(async () => {
+  openDatabases.forEach(db => db.close());
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+function createDatabase(name) {
+  const db = openDatabase(join(dir, `${name}.db`));
+  openDatabases.push(db);
+  return db;
+}
+
+function tableNames(db) {
+  return db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'files_fts_%' AND name != 'sqlite_sequence'")
+    .all()
+    .map(row => row.name)
+    .sort();
+}
+
+function columnNames(db, table) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().map(col => col.name);
+}
+
+// Esquema como o database.js deixava o banco logo antes das migrações
+// versionadas: tabelas criadas no boot e colunas acrescentadas com ALTER TABLE
+const LEGACY_SCHEMA = `
+  CREATE TABLE users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL UNIQUE,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'user',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  ALTER TABLE users ADD COLUMN quota_bytes INTEGER;
+  ALTER TABLE users ADD COLUMN quota_files INTEGER;
+  CREATE TABLE role_quotas (
+    role TEXT PRIMARY KEY,
+    quota_bytes INTEGER,
+    quota_files INTEGER,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE files (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    original_name TEXT NOT NULL,
+    stored_name TEXT NOT NULL UNIQUE,
+    file_type TEXT NOT NULL,
+    mime_type TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    download_url TEXT NOT NULL,
+    tags TEXT DEFAULT '',
+    description TEXT DEFAULT '',
+    uploaded_by INTEGER,
+    uploaded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (uploaded_by) REFERENCES users(id)
+  );
+  ALTER TABLE files ADD COLUMN blob_hash TEXT;
+  ALTER TABLE files ADD COLUMN visibility TEXT DEFAULT 'public';
+  ALTER TABLE files ADD COLUMN thumbnail_key TEXT;
+  ALTER TABLE files ADD COLUMN expires_at DATETIME;
+  ALTER TABLE files ADD COLUMN deleted_at DATETIME;
+  ALTER TABLE files ADD COLUMN deleted_by INTEGER;
+  CREATE TABLE folders (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    parent_id INTEGER REFERENCES folders(id),
+    owner_id INTEGER REFERENCES users(id),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  ALTER TABLE files ADD COLUMN folder_id INTEGER REFERENCES folders(id);
+  CREATE TABLE blobs (
+    hash TEXT PRIMARY KEY,
+    size INTEGER NOT NULL,
+    ref_count INTEGER NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE file_downloads (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    file_id INTEGER NOT NULL,
+    downloaded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (file_id) REFERENCES files(id) ON DELETE CASCADE
+  );
+  CREATE TABLE upload_sessions (
+    id TEXT PRIMARY KEY,
+    original_name TEXT NOT NULL,
+    mime_type TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    tags TEXT DEFAULT '',
+    description TEXT DEFAULT '',
+    uploaded_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE CASCADE
+  );
+  ALTER TABLE upload_sessions ADD COLUMN expires_at DATETIME;
+  CREATE TABLE retention_policies (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    tag TEXT,
+    file_type TEXT,
+    min_age_days INTEGER,
+    unused_days INTEGER,
+    enabled INTEGER NOT NULL DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    key_hash TEXT UNIQUE NOT NULL,
+    key_prefix TEXT NOT NULL,
+    user_id INTEGER NOT NULL,
+    label TEXT NOT NULL,
+    scopes TEXT NOT NULL DEFAULT '',
+    expires_at DATETIME,
+    last_used_at DATETIME,
+    revoked_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  );
+  ALTER TABLE upload_sessions ADD COLUMN visibility TEXT DEFAULT 'public';
+  ALTER TABLE upload_sessions ADD COLUMN folder_id INTEGER;
+`;
+
+test('banco novo: aplica todas as migrações uma única vez', () => {
+  const db = createDatabase('novo');
+
+  const applied = migrateUp(db, migrations);
+  assert.deepEqual(applied.map(m => m.version), migrations.map(m => m.version));
+  assert.ok(getMigrationStatus(db, migrations).every(item => item.state === 'applied'));
+
+  for (const table of ['users', 'files', 'folders', 'blobs', 'api_keys', 'tags', 'file_tags', 'files_fts', 'upload_sessions']) {
+    assert.ok(tableNames(db).includes(table), `tabela ${table}`);
+  }
+  for (const column of ['tags', 'description', 'uploaded_by', 'blob_hash', 'visibility', 'expires_at', 'deleted_at', 'folder_id']) {
+    assert.ok(hasColumn(db, 'files', column), `coluna files.${column}`);
+  }
+
+  // Segunda execução não faz nada
+  assert.deepEqual(migrateUp(db, migrations), []);
+});
+
+test('banco novo: desfazer tudo e aplicar de novo', () => {
+  const db = createDatabase('ida-e-volta');
+  migrateUp(db, migrations);
+  const tablesAfterUp = tableNames(db);
+
+  const reverted = migrateDown(db, migrations, { steps: migrations.length });
+  assert.equal(reverted.length, migrations.length);
+  assert.deepEqual(tableNames(db), ['schema_migrations']);
+
+  migrateUp(db, migrations);
+  assert.deepEqual(tableNames(db), tablesAfterUp);
+});
+
+test('banco anterior às migrações: colunas existentes são mantidas e os dados ficam', () => {
+  const db = createDatabase('legado');
+  db.exec(LEGACY_SCHEMA);
+
+  const userId = db.prepare("INSERT INTO users (username, password_hash, role) VALUES ('antigo', 'hash', 'user')").run().lastInsertRowid;
+  const folderId = db.prepare("INSERT INTO folders (name, owner_id) VALUES ('Pasta antiga', ?)").run(userId).lastInsertRowid;
+  const fileId = db.prepare(`
+    INSERT INTO files (original_name, stored_name, file_type, mime_type, size, download_url, tags, description, uploaded_by, visibility, folder_id)
+    VALUES ('relatorio-legado.pdf', 'legado.pdf', 'document', 'application/pdf', 123, 'http://localhost/download/legado.pdf', 'carros, Motos,, carros', 'arquivo antigo', ?, 'private', ?)
+  `).run(userId, folderId).lastInsertRowid;
+  const columnsBefore = columnNames(db, 'files');
+
+  const applied = migrateUp(db, migrations);
+  assert.equal(applied.length, migrations.length);
+
+  // As colunas que já existiam continuam na mesma posição, sem duplicatas
+  const columnsAfter = columnNames(db, 'files');
+  assert.deepEqual(columnsAfter.slice(0, columnsBefore.length), columnsBefore);
+  assert.equal(new Set(columnsAfter).size, columnsAfter.length);
+
+  const file = db.prepare('SELECT * FROM files WHERE id = ?').get(fileId);
+  assert.equal(file.original_name, 'relatorio-legado.pdf');
+  assert.equal(file.visibility, 'private');
+  assert.equal(file.folder_id, folderId);
+  assert.equal(file.uploaded_by, userId);
+  assert.equal(file.tags, 'carros, Motos');
+
+  // Tags em texto viram associações; o índice de busca inclui os arquivos antigos
+  const tags = db.prepare(`
+    SELECT t.name FROM file_tags ft JOIN tags t ON t.id = ft.tag_id WHERE ft.file_id = ? ORDER BY t.name
+  `).all(fileId).map(row => row.name);
+  assert.deepEqual(tags, ['carros', 'Motos']);
+
+  const found = db.prepare("SELECT rowid FROM files_fts WHERE files_fts MATCH '\"legado\"'").all();
+  assert.deepEqual(found.map(row => row.rowid), [fileId]);
+});
+
+test('banco muito antigo (sem tags, descrição e dono): as colunas são criadas', () => {
+  const db = createDatabase('muito-antigo');
+  db.exec(`
+    CREATE TABLE files (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      original_name TEXT NOT NULL,
+      stored_name TEXT NOT NULL UNIQUE,
+      file_type TEXT NOT NULL,
+      mime_type TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      download_url TEXT NOT NULL,
+      uploaded_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.prepare(`
+    INSERT INTO files (original_name, stored_name, file_type, mime_type, size, download_url)
+    VALUES ('velho.txt', 'velho.txt', 'document', 'text/plain', 5, 'http://localhost/download/velho.txt')
+  `).run();
+
+  migrateUp(db, migrations);
+
+  for (const column of ['tags', 'description', 'uploaded_by']) {
+    assert.ok(hasColumn(db, 'files', column), `coluna files.${column}`);
+  }
+  const file = db.prepare("SELECT * FROM files WHERE stored_name = 'velho.txt'").get();
+  assert.equal(file.tags, '');
+  assert.equal(file.description, '');
+  assert.equal(file.uploaded_by, null);
+  assert.equal(file.visibility, 'public');
+});
+
+test('addColumn só cria a coluna que ainda não existe', () => {
+  const db = createDatabase('helpers');
+  db.exec('CREATE TABLE itens (id INTEGER PRIMARY KEY, nome TEXT)');
+
+  assert.equal(addColumn(db, 'itens', 'nome', 'TEXT'), false);
+  assert.equal(addColumn(db, 'itens', 'preco', 'INTEGER'), true);
+  assert.equal(addColumn(db, 'itens', 'preco', 'INTEGER'), false);
+  assert.deepEqual(columnNames(db, 'itens'), ['id', 'nome', 'preco']);
+});
+
+test('migração com erro não grava nada', async () => {
+  const migrationsDir = join(dir, 'com-erro');
+  await fs.mkdir(migrationsDir);
+  await fs.writeFile(join(migrationsDir, '001_ok.js'), `
+    export function up(db) { db.exec('CREATE TABLE ok (id INTEGER)'); }
+  `);
+  await fs.writeFile(join(migrationsDir, '002_quebrada.js'), `
+    export function up(db) {
+      db.exec('CREATE TABLE parcial (id INTEGER)');
+      db.exec('INSERT INTO tabela_inexistente VALUES (1)');
+    }
+  `);
+
+  const db = createDatabase('com-erro');
+  const broken = await loadMigrations(migrationsDir);
+
+  assert.throws(() => migrateUp(db, broken), /Migração 2_quebrada falhou/);
+  assert.deepEqual(tableNames(db), ['ok', 'schema_migrations']);
+  assert.deepEqual(
+    getMigrationStatus(db, broken).map(item => [item.version, item.state]),
+    [[1, 'applied'], [2, 'pending']]
+  );
+});
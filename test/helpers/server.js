@@ -0,0 +1,159 @@
+// Servidor de verdade para testes de rota: sobe src/server.js em outro
+// processo, com banco e storage em uma pasta temporária própria, e devolve
+// funções para fazer requisições (com ou sem login) e para derrubá-lo.
+
+import { spawn } from 'child_process';
+import { createServer } from 'net';
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SERVER_PATH = join(__dirname, '..', '..', 'src', 'server.js');
+
+export const ADMIN_USERNAME = 'admin';
+export const ADMIN_PASSWORD = 'admin-test-123';
+
+// Porta livre escolhida pelo sistema
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = createServer();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForHealth(baseUrl, child, output) {
+  const deadline = Date.now() + 20000;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`Servidor saiu com código ${child.exitCode}:\n${output.join('')}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/api/health`);
+      if (response.ok) return;
+    } catch (error) {
+      // Ainda subindo
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`Servidor não respondeu a tempo:\n${output.join('')}`);
+}
+
+/**
+ * Subir o servidor com as variáveis de ambiente informadas (além das padrão
+ * de teste). Retorna { baseUrl, dir, request, login, createUser, uploadFile, stop }.
+ */
+export async function startServer(env = {}) {
+  const dir = await fs.mkdtemp(join(tmpdir(), 'ely-server-'));
+  const port = await getFreePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const output = [];
+
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    env: {
+      PATH: process.env.PATH,
+      NODE_ENV: 'test',
+      PORT: String(port),
+      BASE_URL: baseUrl,
+      DATABASE_PATH: join(dir, 'storage.db'),
+      STORAGE_DRIVER: 'local',
+      STORAGE_LOCAL_DIR: join(dir, 'uploads'),
+      ADMIN_USERNAME,
+      ADMIN_PASSWORD,
+      SESSION_SECRET: 'segredo-de-sessao-dos-testes-com-mais-de-32-caracteres',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.stdout.on('data', chunk => output.push(chunk.toString()));
+  child.stderr.on('data', chunk => output.push(chunk.toString()));
+
+  try {
+    await waitForHealth(baseUrl, child, output);
+  } catch (error) {
+    child.kill();
+    await fs.rm(dir, { recursive: true, force: true });
+    throw error;
+  }
+
+  /**
+   * Requisição ao servidor. `cookie` (de login) e `body` (objeto simples vira
+   * JSON; Buffer, string e FormData vão como estão) são opcionais; o resto vai
+   * direto para o fetch.
+   */
+  async function request(path, { cookie, body, headers = {}, ...options } = {}) {
+    const finalHeaders = { ...headers };
+    if (cookie) finalHeaders.cookie = cookie;
+
+    let finalBody = body;
+    if (body !== undefined && body !== null && Object.getPrototypeOf(body) === Object.prototype) {
+      finalHeaders['content-type'] = 'application/json';
+      finalBody = JSON.stringify(body);
+    }
+
+    const response = await fetch(`${baseUrl}${path}`, { ...options, headers: finalHeaders, body: finalBody });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch (error) {
+      // Corpo não é JSON (download, HTML...)
+    }
+    return { status: response.status, headers: response.headers, text, json };
+  }
+
+  // Login por sessão: devolve o cookie para as próximas requisições
+  async function login(username = ADMIN_USERNAME, password = ADMIN_PASSWORD) {
+    const response = await fetch(`${baseUrl}/api/auth/login`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+    if (!response.ok) {
+      throw new Error(`Login de ${username} falhou: ${response.status} ${await response.text()}`);
+    }
+    return response.headers.getSetCookie().map(cookie => cookie.split(';')[0]).join('; ');
+  }
+
+  // Criar usuário (como admin) e já fazer login com ele
+  async function createUser(adminCookie, username, password = `${username}-senha-123`, role = 'user') {
+    const response = await request('/api/users', {
+      method: 'POST',
+      cookie: adminCookie,
+      body: { username, password, role }
+    });
+    if (response.status >= 300) {
+      throw new Error(`Criar usuário ${username} falhou: ${response.status} ${response.text}`);
+    }
+    return { id: response.json.user.id, cookie: await login(username, password) };
+  }
+
+  // Upload simples (multipart); os campos vão antes do arquivo, como o servidor espera
+  async function uploadFile(cookie, { name = 'arquivo.txt', content = 'conteúdo de teste', type = 'text/plain', fields = {} } = {}) {
+    const form = new FormData();
+    for (const [field, value] of Object.entries(fields)) form.append(field, value);
+    form.append('file', new Blob([content], { type }), name);
+
+    const response = await request('/api/upload', { method: 'POST', cookie, body: form });
+    if (response.status !== 201) {
+      throw new Error(`Upload de ${name} falhou: ${response.status} ${response.text}`);
+    }
+    return response.json.file;
+  }
+
+  async function stop() {
+    if (child.exitCode === null) {
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      child.kill();
+      await exited;
+    }
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+
+  return { baseUrl, dir, request, login, createUser, uploadFile, stop };
+}
@@ -0,0 +1,83 @@
+// A API_KEY legada do .env não tem dono e costuma ser compartilhada por vários
+// servidores: o rate limit dela conta por IP, separado dos anônimos do mesmo
+// IP e das chaves de usuário. Testado no servidor de verdade, com o limite de
+// upload reduzido e o IP do cliente vindo do X-Forwarded-For.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from '../helpers/server.js';
+
+const LEGACY_KEY = 'chave-legada-dos-testes';
+
+let server;
+let userKey;
+
+before(async () => {
+  server = await startServer({
+    API_KEY: LEGACY_KEY,
+    RATE_LIMIT_UPLOAD_MAX: '2',
+    RATE_LIMIT_UPLOAD_WINDOW_SECONDS: '600'
+  });
+
+  const adminCookie = await server.login();
+  const created = await server.request('/api/keys', {
+    method: 'POST',
+    cookie: adminCookie,
+    body: { label: 'servidor', scopes: ['upload'] }
+  });
+  assert.equal(created.status, 201, created.text);
+  userKey = created.json.key;
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+let counter = 0;
+
+function upload(ip, apiKey) {
+  counter++;
+  const form = new FormData();
+  form.append('file', new Blob([`arquivo ${counter}`], { type: 'text/plain' }), `legado-${counter}.txt`);
+
+  const headers = { 'x-forwarded-for': ip };
+  if (apiKey) headers['x-api-key'] = apiKey;
+
+  return server.request('/api/upload', { method: 'POST', headers, body: form });
+}
+
+async function statuses(ip, apiKey, times) {
+  const result = [];
+  for (let i = 0; i < times; i++) {
+    result.push((await upload(ip, apiKey)).status);
+  }
+  return result;
+}
+
+test('chave legada conta por IP', async () => {
+  assert.deepEqual(await statuses('203.0.113.10', LEGACY_KEY, 3), [201, 201, 429]);
+
+  // Outro servidor com a mesma chave, em outro IP, tem o próprio limite
+  assert.deepEqual(await statuses('203.0.113.20', LEGACY_KEY, 3), [201, 201, 429]);
+});
+
+test('contador da chave legada é separado do dos anônimos e das chaves de usuário no mesmo IP', async () => {
+  const ip = '203.0.113.30';
+  assert.deepEqual(await statuses(ip, LEGACY_KEY, 3), [201, 201, 429]);
+
+  // Anônimo no mesmo IP: ainda não gastou nada (401 por falta de chave, não 429)
+  assert.deepEqual(await statuses(ip, null, 2), [401, 401]);
+  assert.equal((await upload(ip, null)).status, 429);
+
+  // Chave de usuário no mesmo IP conta pelo usuário
+  assert.deepEqual(await statuses(ip, userKey, 3), [201, 201, 429]);
+});
+
+test('resposta 429 da chave legada traz os cabeçalhos de rate limit', async () => {
+  const response = await upload('203.0.113.10', LEGACY_KEY);
+
+  assert.equal(response.status, 429);
+  assert.equal(response.headers.get('ratelimit-limit'), '2');
+  assert.equal(response.headers.get('ratelimit-remaining'), '0');
+  assert.ok(Number(response.headers.get('retry-after')) >= 1);
+});
@@ -0,0 +1,90 @@
+// Testes da precedência das políticas de rate limit: API Key > usuário >
+// função (role) > padrão da rota, por rota, ignorando políticas desativadas.
+// Usa um banco temporário (DATABASE_PATH).
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+let dir;
+let db;
+let dbOperations;
+let policies;
+let ana;
+let bruno;
+let anaKey;
+let anaOtherKey;
+
+before(async () => {
+  dir = await fs.mkdtemp(join(tmpdir(), 'ely-policies-'));
+  process.env.DATABASE_PATH = join(dir, 'storage.db');
+
+  ({ default: db, dbOperations } = await import('../../src/database.js'));
+  policies = await import('../../src/services/rate-limit/policies.js');
+  const { createApiKey } = await import('../../src/services/api-keys.js');
+
+  ana = Number(dbOperations.createUser('ana', 'ana-senha-123', 'user'));
+  bruno = Number(dbOperations.createUser('bruno', 'bruno-senha-123', 'user'));
+  anaKey = createApiKey({ userId: ana, label: 'servidor', scopes: ['read'] }).apiKey.id;
+  anaOtherKey = createApiKey({ userId: ana, label: 'outra', scopes: ['read'] }).apiKey.id;
+
+  policies.createRateLimitPolicy({ route: 'download', role: 'user', max: 10, windowSeconds: 60 });
+  policies.createRateLimitPolicy({ route: 'download', userId: ana, max: 20, windowSeconds: 60 });
+  policies.createRateLimitPolicy({ route: 'download', apiKeyId: anaKey, max: 30, windowSeconds: 60, algorithm: 'token-bucket' });
+});
+
+after(async () => {
+  db?.close();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+function resolve(identity, route = 'download') {
+  const policy = policies.resolveRateLimitPolicy(route, identity);
+  return policy && { scope: policy.scope, max: policy.max };
+}
+
+test('API Key com política própria vence usuário e função', () => {
+  assert.deepEqual(resolve({ apiKeyId: anaKey, userId: ana, role: 'user' }), { scope: 'apiKey', max: 30 });
+  assert.equal(policies.resolveRateLimitPolicy('download', { apiKeyId: anaKey, userId: ana, role: 'user' }).algorithm, 'token-bucket');
+});
+
+test('sem política da API Key, vale a do usuário (sessão ou qualquer chave dele)', () => {
+  assert.deepEqual(resolve({ apiKeyId: anaOtherKey, userId: ana, role: 'user' }), { scope: 'user', max: 20 });
+  assert.deepEqual(resolve({ apiKeyId: null, userId: ana, role: 'user' }), { scope: 'user', max: 20 });
+});
+
+test('sem política da chave nem do usuário, vale a da função', () => {
+  assert.deepEqual(resolve({ apiKeyId: null, userId: bruno, role: 'user' }), { scope: 'role', max: 10 });
+});
+
+test('sem nenhuma política, vale o padrão da rota (null)', () => {
+  assert.equal(resolve({ apiKeyId: null, userId: 999, role: 'admin' }), null);
+  // Políticas são por rota
+  assert.equal(resolve({ apiKeyId: anaKey, userId: ana, role: 'user' }, 'upload'), null);
+});
+
+test('política desativada é ignorada e a próxima na ordem vale', () => {
+  const keyPolicy = dbOperations.findRateLimitPolicy({ route: 'download', apiKeyId: anaKey });
+  policies.updateRateLimitPolicy(keyPolicy, { enabled: false });
+  assert.deepEqual(resolve({ apiKeyId: anaKey, userId: ana, role: 'user' }), { scope: 'user', max: 20 });
+
+  const userPolicy = dbOperations.findRateLimitPolicy({ route: 'download', userId: ana });
+  policies.updateRateLimitPolicy(userPolicy, { enabled: false });
+  assert.deepEqual(resolve({ apiKeyId: anaKey, userId: ana, role: 'user' }), { scope: 'role', max: 10 });
+
+  policies.updateRateLimitPolicy(keyPolicy, { enabled: true });
+  assert.deepEqual(resolve({ apiKeyId: anaKey, userId: ana, role: 'user' }), { scope: 'apiKey', max: 30 });
+});
+
+test('só um alvo por política e um por rota', () => {
+  assert.throws(
+    () => policies.createRateLimitPolicy({ route: 'download', userId: ana, role: 'user', max: 1 }),
+    error => error.statusCode === 400
+  );
+  assert.throws(
+    () => policies.createRateLimitPolicy({ route: 'download', role: 'user', max: 1 }),
+    error => error.statusCode === 409
+  );
+});
@@ -0,0 +1,235 @@
+// Testes dos stores de rate limit (memory, sqlite e redis) com os dois
+// algoritmos. Todos recebem os mesmos cenários com o relógio controlado
+// (`now`), então devem dar exatamente o mesmo resultado: o store redis roda os
+// algoritmos em Lua e precisa bater com algorithms.js.
+//
+// O store redis só roda contra um Redis de verdade quando RATE_LIMIT_TEST_REDIS_URL
+// está definido (ex.: redis://localhost:6379/15); sem ele, esses testes são
+// pulados. O protocolo do cliente é testado sempre, contra um servidor RESP falso.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'net';
+import { randomBytes } from 'crypto';
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createMemoryStore } from '../../src/services/rate-limit/memory.js';
+import { createRedisStore } from '../../src/services/rate-limit/redis.js';
+
+const REDIS_URL = process.env.RATE_LIMIT_TEST_REDIS_URL;
+
+// Início de uma janela de 1s (alinhado), para os cálculos ficarem exatos
+const T0 = 1_700_000_000_000;
+const SLIDING = { algorithm: 'sliding-window', limit: 3, windowMs: 1000 };
+const BUCKET = { algorithm: 'token-bucket', limit: 3, windowMs: 3000 };
+
+let dir;
+let db;
+let createSqliteStore;
+
+before(async () => {
+  dir = await fs.mkdtemp(join(tmpdir(), 'ely-rate-limit-'));
+  process.env.DATABASE_PATH = join(dir, 'storage.db');
+
+  ({ default: db } = await import('../../src/database.js'));
+  ({ createSqliteStore } = await import('../../src/services/rate-limit/sqlite.js'));
+});
+
+after(async () => {
+  db?.close();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+// Chaves únicas por execução (o Redis de teste pode ser compartilhado)
+function uniqueKey(name) {
+  return `teste:${randomBytes(6).toString('hex')}:${name}`;
+}
+
+async function consumeMany(store, key, rule, now, times) {
+  const results = [];
+  for (let i = 0; i < times; i++) {
+    results.push(await store.consume(key, rule, now));
+  }
+  return results;
+}
+
+const scenarios = {
+  async 'sliding-window: libera até o limite e bloqueia com Retry-After'(store) {
+    const key = uniqueKey('janela');
+    const results = await consumeMany(store, key, SLIDING, T0, 4);
+
+    assert.deepEqual(results.map(r => r.allowed), [true, true, true, false]);
+    assert.deepEqual(results.map(r => r.remaining), [2, 1, 0, 0]);
+    assert.equal(results[0].limit, 3);
+    assert.equal(results[0].resetMs, 1000);
+    assert.equal(results[3].retryAfterMs, 1334);
+    assert.equal(results[3].resetMs, 1334);
+  },
+
+  async 'sliding-window: a janela anterior pesa proporcionalmente'(store) {
+    const key = uniqueKey('peso');
+    await consumeMany(store, key, SLIDING, T0, 3);
+
+    // Virada da janela: as 3 anteriores ainda pesam inteiras
+    const atTurn = await store.consume(key, SLIDING, T0 + 1000);
+    assert.equal(atTurn.allowed, false);
+    assert.equal(atTurn.retryAfterMs, 334);
+
+    // Na metade da janela, o peso caiu para 1,5: cabe mais uma
+    const half = await consumeMany(store, key, SLIDING, T0 + 1500, 2);
+    assert.deepEqual(half.map(r => r.allowed), [true, false]);
+    assert.equal(half[1].retryAfterMs, 167);
+
+    // Duas janelas depois, o contador antigo não conta mais
+    const later = await consumeMany(store, key, SLIDING, T0 + 3000, 4);
+    assert.deepEqual(later.map(r => r.allowed), [true, true, true, false]);
+  },
+
+  async 'token-bucket: rajada até o limite e reabastecimento gradual'(store) {
+    const key = uniqueKey('balde');
+    const burst = await consumeMany(store, key, BUCKET, T0, 4);
+
+    assert.deepEqual(burst.map(r => r.allowed), [true, true, true, false]);
+    assert.deepEqual(burst.map(r => r.remaining), [2, 1, 0, 0]);
+    assert.equal(burst[3].retryAfterMs, 1000);
+    assert.equal(burst[2].resetMs, 3000);
+
+    // 1 ficha a cada segundo
+    const refill = await consumeMany(store, key, BUCKET, T0 + 1000, 2);
+    assert.deepEqual(refill.map(r => r.allowed), [true, false]);
+
+    // Muito tempo parado não passa do tamanho do balde
+    const full = await consumeMany(store, key, BUCKET, T0 + 60_000, 4);
+    assert.deepEqual(full.map(r => r.allowed), [true, true, true, false]);
+  },
+
+  async 'chaves diferentes têm contadores separados'(store) {
+    const first = uniqueKey('a');
+    const second = uniqueKey('b');
+
+    await consumeMany(store, first, SLIDING, T0, 3);
+    assert.equal((await store.consume(first, SLIDING, T0)).allowed, false);
+    assert.equal((await store.consume(second, SLIDING, T0)).allowed, true);
+  }
+};
+
+function runScenarios(name, getStore, options = {}) {
+  for (const [title, scenario] of Object.entries(scenarios)) {
+    test(`${name} — ${title}`, options, () => scenario(getStore()));
+  }
+}
+
+const memoryStore = createMemoryStore();
+runScenarios('memory', () => memoryStore);
+
+let sqliteStore;
+runScenarios('sqlite', () => (sqliteStore ??= createSqliteStore()));
+
+let redisStore;
+runScenarios('redis', () => (redisStore ??= createRedisStore({ url: REDIS_URL })), {
+  skip: REDIS_URL ? false : 'defina RATE_LIMIT_TEST_REDIS_URL para testar contra um Redis'
+});
+
+test('memory e sqlite: cleanup remove só as chaves expiradas', async () => {
+  for (const store of [createMemoryStore(), createSqliteStore()]) {
+    await store.cleanup(Number.MAX_SAFE_INTEGER);
+
+    await store.consume(uniqueKey('curta'), SLIDING, T0);
+    await store.consume(uniqueKey('longa'), { ...SLIDING, windowMs: 60_000 }, T0);
+    assert.equal(await store.size(T0), 2, store.name);
+
+    // A janela de 1s expira em 2s; a de 60s continua
+    assert.equal(await store.cleanup(T0 + 2000), 1, store.name);
+    assert.equal(await store.size(T0 + 2000), 1, store.name);
+  }
+});
+
+// Servidor RESP mínimo: guarda os comandos recebidos e responde com `reply(args)`
+async function startFakeRedis(reply) {
+  const commands = [];
+  const sockets = new Set();
+
+  const server = createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+
+    let buffer = '';
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      // Comandos completos: *N\r\n seguido de N pares $len\r\nvalor\r\n
+      for (;;) {
+        const match = buffer.match(/^\*(\d+)\r\n/);
+        if (!match) return;
+
+        let position = match[0].length;
+        const args = [];
+        for (let i = 0; i < Number(match[1]); i++) {
+          const header = buffer.slice(position).match(/^\$(\d+)\r\n/);
+          if (!header) return;
+          const start = position + header[0].length;
+          const length = Number(header[1]);
+          if (Buffer.byteLength(buffer.slice(start)) < length + 2) return;
+          args.push(buffer.slice(start, start + length));
+          position = start + length + 2;
+        }
+
+        buffer = buffer.slice(position);
+        commands.push(args);
+        socket.write(reply(args, socket));
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `redis://127.0.0.1:${server.address().port}`,
+    commands,
+    dropConnections: () => sockets.forEach(socket => socket.destroy()),
+    close: () => new Promise(resolve => {
+      sockets.forEach(socket => socket.destroy());
+      server.close(resolve);
+    })
+  };
+}
+
+test('redis: cliente fala RESP (EVAL, AUTH/SELECT da URL, erros e reconexão)', async () => {
+  const fake = await startFakeRedis(([command, , , key]) => {
+    if (command === 'AUTH' || command === 'SELECT') return '+OK\r\n';
+    if (key === 'ratelimit:quebrada') return '-ERR script falhou\r\n';
+    return '*4\r\n:1\r\n:2\r\n:1000\r\n:0\r\n';
+  });
+
+  try {
+    const url = new URL(fake.url);
+    url.username = 'app';
+    url.password = 's3nh@';
+    url.pathname = '/2';
+    const store = createRedisStore({ url: url.toString() });
+
+    const result = await store.consume('download:ip:1.2.3.4', SLIDING, T0);
+    assert.deepEqual(result, { allowed: true, limit: 3, remaining: 2, resetMs: 1000, retryAfterMs: 0 });
+
+    assert.deepEqual(fake.commands[0], ['AUTH', 'app', 's3nh@']);
+    assert.deepEqual(fake.commands[1], ['SELECT', '2']);
+    const [command, script, numKeys, key, ...args] = fake.commands[2];
+    assert.equal(command, 'EVAL');
+    assert.match(script, /redis\.call\('SET', key/);
+    assert.equal(numKeys, '1');
+    assert.equal(key, 'ratelimit:download:ip:1.2.3.4');
+    assert.deepEqual(args, ['sliding-window', '3', '1000', String(T0)]);
+
+    // Erro do Redis rejeita só aquele comando
+    await assert.rejects(store.consume('quebrada', SLIDING, T0), /Redis: ERR script falhou/);
+
+    // Conexão derrubada: o próximo consumo reconecta
+    fake.dropConnections();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const afterDrop = await store.consume('outra', BUCKET, T0);
+    assert.equal(afterDrop.allowed, true);
+    assert.deepEqual(fake.commands.at(-1).slice(3), ['ratelimit:outra', 'token-bucket', '3', '3000', String(T0)]);
+  } finally {
+    await fake.close();
+  }
+});
@@ -0,0 +1,117 @@
+// Testes do hot cache no servidor de verdade, com orçamento de 1MB e entrada
+// no primeiro download: LRU (o menos usado recentemente sai primeiro), soma
+// dos tamanhos sempre dentro do orçamento e arquivos maiores que o orçamento
+// fora do cache.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'crypto';
+import { startServer } from '../helpers/server.js';
+
+const BUDGET = 1024 * 1024;
+
+let server;
+let cookie;
+
+before(async () => {
+  server = await startServer({
+    ENABLE_HOT_CACHE: 'true',
+    HOT_CACHE_MAX_MB: '1',
+    HOT_CACHE_MIN_HITS: '1'
+  });
+  cookie = await server.login();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+// Conteúdo binário (não comprimível: sem variantes gzip/brotli)
+function uploadBinary(name, size) {
+  return server.uploadFile(cookie, { name, content: randomBytes(size), type: 'application/octet-stream' });
+}
+
+async function download(file) {
+  const response = await server.request(`/download/${file.storedName}`);
+  assert.equal(response.status, 200);
+  return response.headers.get('x-cache');
+}
+
+async function cacheStats() {
+  const { json } = await server.request('/api/health');
+  return json.cache;
+}
+
+function cachedHashes(stats) {
+  return stats.cachedFiles.map(entry => entry.key.split('/').pop());
+}
+
+// O arquivo entra no cache em segundo plano, depois do download que o contou
+async function waitUntilCached(file) {
+  const deadline = Date.now() + 5000;
+  for (;;) {
+    const stats = await cacheStats();
+    if (cachedHashes(stats).includes(file.hash)) return stats;
+    if (Date.now() > deadline) throw new Error(`${file.originalName} não entrou no cache`);
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+function totalBytes(stats) {
+  return stats.cachedFiles.reduce((sum, entry) => sum + entry.size, 0);
+}
+
+test('LRU: ao faltar espaço sai o menos usado recentemente', async () => {
+  const size = 400 * 1024;
+  const a = await uploadBinary('a.bin', size);
+  const b = await uploadBinary('b.bin', size);
+  const c = await uploadBinary('c.bin', size);
+
+  assert.equal(await download(a), 'MISS');
+  await waitUntilCached(a);
+  assert.equal(await download(b), 'MISS');
+  await waitUntilCached(b);
+
+  // A volta a ser o mais recente; B passa a ser o menos usado
+  assert.equal(await download(a), 'HIT');
+
+  // C não cabe junto com A e B (3 x 400KB > 1MB): B sai
+  assert.equal(await download(c), 'MISS');
+  const stats = await waitUntilCached(c);
+
+  assert.deepEqual(cachedHashes(stats), [c.hash, a.hash]);
+  assert.equal(stats.evictions, 1);
+  assert.equal(await download(c), 'HIT');
+  assert.equal(await download(b), 'MISS');
+});
+
+test('a soma do cache nunca passa do orçamento em bytes', async () => {
+  const files = [];
+  for (let i = 0; i < 5; i++) {
+    files.push(await uploadBinary(`orcamento-${i}.bin`, 300 * 1024));
+  }
+
+  for (const file of files) {
+    await download(file);
+    const stats = await waitUntilCached(file);
+    assert.ok(totalBytes(stats) <= BUDGET, `${totalBytes(stats)} bytes no cache`);
+    assert.equal(stats.maxSizeMB, 1);
+  }
+
+  // 300KB cada: cabem 3 em 1MB, os mais recentes
+  const stats = await cacheStats();
+  assert.deepEqual(cachedHashes(stats), files.slice(-3).reverse().map(file => file.hash));
+});
+
+test('arquivo maior que o orçamento não entra no cache', async () => {
+  const big = await uploadBinary('grande.bin', BUDGET + 1);
+  const before = await cacheStats();
+
+  assert.equal(await download(big), 'MISS');
+  assert.equal(await download(big), 'MISS');
+
+  const after = await cacheStats();
+  assert.ok(!cachedHashes(after).includes(big.hash));
+  assert.deepEqual(cachedHashes(after), cachedHashes(before));
+  assert.equal(after.evictions, before.evictions);
+});
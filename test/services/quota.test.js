@@ -0,0 +1,104 @@
+// Testes de cota: o uso de um usuário não conta arquivos na lixeira e o
+// Transform de cota interrompe o upload no meio, sem ler o resto do stream.
+// Usa um banco temporário (DATABASE_PATH) criado só para este arquivo.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable, Writable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+let dir;
+let db;
+let dbOperations;
+let getQuotaStatus;
+let createQuotaGuard;
+let userId;
+
+before(async () => {
+  dir = await fs.mkdtemp(join(tmpdir(), 'ely-quota-'));
+  process.env.DATABASE_PATH = join(dir, 'storage.db');
+
+  ({ default: db, dbOperations } = await import('../../src/database.js'));
+  ({ getQuotaStatus, createQuotaGuard } = await import('../../src/services/quota.js'));
+
+  userId = Number(dbOperations.createUser('cota', 'cota-senha-123', 'user'));
+});
+
+after(async () => {
+  db?.close();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+function insertFile(storedName, size) {
+  return dbOperations.insertFile({
+    originalName: storedName,
+    storedName,
+    fileType: 'other',
+    mimeType: 'application/octet-stream',
+    size,
+    downloadUrl: `http://localhost/download/${storedName}`,
+    uploadedBy: userId
+  });
+}
+
+// Destino que só guarda o que recebeu
+function collector(chunks) {
+  return new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    }
+  });
+}
+
+test('getUserUsage não conta arquivos na lixeira', () => {
+  insertFile('ativo.bin', 1000);
+  const trashedId = insertFile('lixeira.bin', 5000);
+
+  assert.deepEqual(dbOperations.getUserUsage(userId), { bytes: 6000, files: 2 });
+
+  dbOperations.trashFile(trashedId, userId);
+  assert.deepEqual(dbOperations.getUserUsage(userId), { bytes: 1000, files: 1 });
+
+  const status = getQuotaStatus(userId);
+  assert.equal(status.usedBytes, 1000);
+  assert.equal(status.usedFiles, 1);
+
+  // Restaurado da lixeira, volta a contar
+  dbOperations.restoreFile(trashedId);
+  assert.deepEqual(dbOperations.getUserUsage(userId), { bytes: 6000, files: 2 });
+});
+
+test('createQuotaGuard deixa passar o que cabe na cota', async () => {
+  const guard = createQuotaGuard({ quotaBytes: 100, usedBytes: 40, reservedBytes: 20 });
+  const chunks = [];
+
+  await pipeline(Readable.from([Buffer.alloc(25), Buffer.alloc(15)]), guard, collector(chunks));
+
+  assert.equal(Buffer.concat(chunks).length, 40);
+});
+
+test('createQuotaGuard aborta no meio do stream ao passar da cota', async () => {
+  const guard = createQuotaGuard({ quotaBytes: 100, usedBytes: 40, reservedBytes: 20 });
+  const chunks = [];
+  let produced = 0;
+
+  // 1000 partes de 10 bytes: a quinta já passa dos 40 bytes restantes
+  async function* source() {
+    for (let i = 0; i < 1000; i++) {
+      produced++;
+      yield Buffer.alloc(10);
+    }
+  }
+
+  await assert.rejects(
+    pipeline(Readable.from(source()), guard, collector(chunks)),
+    error => error.code === 'QUOTA_EXCEEDED' && error.statusCode === 413
+  );
+
+  assert.equal(Buffer.concat(chunks).length, 40);
+  assert.ok(produced < 1000, 'a origem foi lida até o fim');
+});
@@ -0,0 +1,105 @@
+// Testes das URLs de download assinadas: verificação da assinatura (expiração,
+// adulteração, vínculo ao IP) e o download de um arquivo privado no servidor
+// de verdade, sem assinatura, com assinatura válida, vencida e adulterada.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from '../helpers/server.js';
+
+// Mesmo segredo no servidor e neste processo, para montar URLs vencidas
+const SIGNED_URL_SECRET = 'segredo-das-urls-assinadas-dos-testes';
+
+let createSignedQuery;
+let verifySignedQuery;
+let server;
+let adminCookie;
+let privateFile;
+
+before(async () => {
+  process.env.SIGNED_URL_SECRET = SIGNED_URL_SECRET;
+  ({ createSignedQuery, verifySignedQuery } = await import('../../src/services/signed-url.js'));
+
+  server = await startServer({ SIGNED_URL_SECRET });
+  adminCookie = await server.login();
+  privateFile = await server.uploadFile(adminCookie, {
+    name: 'privado.txt',
+    content: 'só com assinatura',
+    fields: { visibility: 'private' }
+  });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+function parseQuery(query) {
+  return Object.fromEntries(new URLSearchParams(query));
+}
+
+// Trocar um caractere da assinatura mantendo o tamanho
+function tamper(sig) {
+  return `${sig.slice(0, -1)}${sig.endsWith('A') ? 'B' : 'A'}`;
+}
+
+test('assinatura válida é aceita até expirar', () => {
+  const valid = parseQuery(createSignedQuery('arquivo.bin', { expiresIn: 60 }).query);
+  assert.equal(verifySignedQuery('arquivo.bin', valid, '10.0.0.1'), true);
+
+  const expired = parseQuery(createSignedQuery('arquivo.bin', { expiresIn: -1 }).query);
+  assert.equal(verifySignedQuery('arquivo.bin', expired, '10.0.0.1'), false);
+});
+
+test('assinatura adulterada ou de outro arquivo é recusada', () => {
+  const query = parseQuery(createSignedQuery('arquivo.bin', { expiresIn: 60 }).query);
+
+  assert.equal(verifySignedQuery('arquivo.bin', { ...query, sig: tamper(query.sig) }, null), false);
+  assert.equal(verifySignedQuery('arquivo.bin', { ...query, sig: `${query.sig}x` }, null), false);
+  assert.equal(verifySignedQuery('arquivo.bin', { ...query, sig: undefined }, null), false);
+  // Estender a validade invalida a assinatura
+  assert.equal(verifySignedQuery('arquivo.bin', { ...query, expires: String(Number(query.expires) + 3600) }, null), false);
+  assert.equal(verifySignedQuery('outro.bin', query, null), false);
+});
+
+test('URL vinculada ao IP só vale para esse IP', () => {
+  const query = parseQuery(createSignedQuery('arquivo.bin', { expiresIn: 60, ip: '10.0.0.1' }).query);
+
+  assert.equal(query.bind, 'ip');
+  assert.equal(verifySignedQuery('arquivo.bin', query, '10.0.0.1'), true);
+  assert.equal(verifySignedQuery('arquivo.bin', query, '10.0.0.2'), false);
+  // Tirar o bind não transforma a URL em uma URL sem IP
+  assert.equal(verifySignedQuery('arquivo.bin', { ...query, bind: undefined }, '10.0.0.2'), false);
+});
+
+test('arquivo privado sem assinatura responde 403', async () => {
+  const response = await server.request(`/download/${privateFile.storedName}`);
+  assert.equal(response.status, 403);
+});
+
+test('arquivo privado com URL assinada pela API é baixado', async () => {
+  const signed = await server.request(`/api/files/${privateFile.id}/signed-url`, {
+    method: 'POST',
+    cookie: adminCookie,
+    body: { expiresIn: 60 }
+  });
+  assert.equal(signed.status, 200, signed.text);
+
+  const url = new URL(signed.json.url);
+  const response = await server.request(`${url.pathname}${url.search}`);
+  assert.equal(response.status, 200);
+  assert.equal(response.text, 'só com assinatura');
+});
+
+test('URL vencida ou adulterada não baixa o arquivo privado', async () => {
+  const expired = createSignedQuery(privateFile.storedName, { expiresIn: -1 }).query;
+  const expiredResponse = await server.request(`/download/${privateFile.storedName}?${expired}`);
+  assert.equal(expiredResponse.status, 403);
+
+  const query = parseQuery(createSignedQuery(privateFile.storedName, { expiresIn: 60 }).query);
+  const tampered = new URLSearchParams({ ...query, sig: tamper(query.sig) });
+  const tamperedResponse = await server.request(`/download/${privateFile.storedName}?${tampered}`);
+  assert.equal(tamperedResponse.status, 403);
+
+  // A mesma assinatura, sem adulterar, funciona (o segredo é o mesmo do servidor)
+  const validResponse = await server.request(`/download/${privateFile.storedName}?${new URLSearchParams(query)}`);
+  assert.equal(validResponse.status, 200);
+});
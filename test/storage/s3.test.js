@@ -0,0 +1,195 @@
+// Testes do driver S3 contra um S3 falso em memória (servidor HTTP no próprio
+// processo, no estilo path do MinIO: /<bucket>/<chave>). Cobre gravação,
+// leitura (inteira e com Range), stat, remoção e erros do serviço.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { Readable } from 'stream';
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createS3Driver } from '../../src/services/storage/s3.js';
+
+const BUCKET = 'ely-test';
+
+// Objetos guardados pelo S3 falso: chave -> { body, contentType, mtime }
+const objects = new Map();
+// Chaves que respondem 403 (simula credenciais sem permissão)
+const forbidden = new Set();
+
+let server;
+let storage;
+
+function sendXmlError(res, status, code) {
+  res.writeHead(status, { 'Content-Type': 'application/xml' });
+  res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${code}</Message></Error>`);
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+// S3 falso: PUT, GET (com Range), HEAD e DELETE de objetos
+async function handle(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  const [, bucket, ...rest] = url.pathname.split('/');
+  const key = decodeURIComponent(rest.join('/'));
+
+  if (bucket !== BUCKET) return sendXmlError(res, 404, 'NoSuchBucket');
+  if (forbidden.has(key)) {
+    if (req.method === 'HEAD') {
+      res.writeHead(403);
+      return res.end();
+    }
+    return sendXmlError(res, 403, 'AccessDenied');
+  }
+
+  if (req.method === 'PUT') {
+    const body = await readBody(req);
+    objects.set(key, { body, contentType: req.headers['content-type'], mtime: new Date() });
+    res.writeHead(200, { ETag: '"fake"' });
+    return res.end();
+  }
+
+  if (req.method === 'DELETE') {
+    objects.delete(key);
+    res.writeHead(204);
+    return res.end();
+  }
+
+  const object = objects.get(key);
+
+  if (req.method === 'HEAD') {
+    if (!object) {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.writeHead(200, {
+      'Content-Length': object.body.length,
+      'Content-Type': object.contentType || 'application/octet-stream',
+      'Last-Modified': object.mtime.toUTCString()
+    });
+    return res.end();
+  }
+
+  if (req.method === 'GET') {
+    if (!object) return sendXmlError(res, 404, 'NoSuchKey');
+
+    const match = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+    if (match) {
+      const start = Number(match[1]);
+      const end = match[2] ? Math.min(Number(match[2]), object.body.length - 1) : object.body.length - 1;
+      res.writeHead(206, {
+        'Content-Length': end - start + 1,
+        'Content-Range': `bytes ${start}-${end}/${object.body.length}`
+      });
+      return res.end(object.body.subarray(start, end + 1));
+    }
+
+    res.writeHead(200, { 'Content-Length': object.body.length });
+    return res.end(object.body);
+  }
+
+  sendXmlError(res, 405, 'MethodNotAllowed');
+}
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks).toString();
+}
+
+before(async () => {
+  server = createServer((req, res) => {
+    handle(req, res).catch(error => sendXmlError(res, 500, error.message));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  storage = await createS3Driver({
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    region: 'us-east-1',
+    bucket: BUCKET,
+    accessKeyId: 'test',
+    secretAccessKey: 'test',
+    forcePathStyle: true,
+    prefix: 'uploads/'
+  });
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('exige S3_BUCKET', async () => {
+  await assert.rejects(createS3Driver({}), /S3_BUCKET/);
+});
+
+test('put grava o stream com prefixo e content-type', async () => {
+  const body = 'olá, storage';
+  await storage.put('blobs/ab/abc', Readable.from([Buffer.from(body)]), {
+    size: Buffer.byteLength(body),
+    contentType: 'text/plain'
+  });
+
+  const object = objects.get('uploads/blobs/ab/abc');
+  assert.equal(object.body.toString(), body);
+  assert.equal(object.contentType, 'text/plain');
+});
+
+test('putFile envia o arquivo local e remove a cópia temporária', async () => {
+  const sourcePath = join(tmpdir(), `s3-test-${process.pid}.tmp`);
+  await fs.writeFile(sourcePath, 'conteúdo do arquivo');
+
+  await storage.putFile('blobs/cd/cde', sourcePath, { contentType: 'application/octet-stream' });
+
+  assert.equal(objects.get('uploads/blobs/cd/cde').body.toString(), 'conteúdo do arquivo');
+  await assert.rejects(fs.access(sourcePath), { code: 'ENOENT' });
+});
+
+test('createReadStream lê o objeto inteiro', async () => {
+  objects.set('uploads/docs/a.txt', { body: Buffer.from('0123456789'), mtime: new Date() });
+
+  assert.equal(await readAll(await storage.createReadStream('docs/a.txt')), '0123456789');
+});
+
+test('createReadStream lê trechos com Range', async () => {
+  objects.set('uploads/docs/b.txt', { body: Buffer.from('0123456789'), mtime: new Date() });
+
+  assert.equal(await readAll(await storage.createReadStream('docs/b.txt', { start: 2, end: 5 })), '2345');
+  assert.equal(await readAll(await storage.createReadStream('docs/b.txt', { start: 7 })), '789');
+});
+
+test('stat devolve tamanho e data, ou null se não existir', async () => {
+  objects.set('uploads/docs/c.txt', { body: Buffer.from('abc'), mtime: new Date('2024-01-02T03:04:05Z') });
+
+  const stats = await storage.stat('docs/c.txt');
+  assert.equal(stats.size, 3);
+  assert.equal(stats.mtime.toISOString(), '2024-01-02T03:04:05.000Z');
+  assert.equal(await storage.stat('docs/nao-existe.txt'), null);
+});
+
+test('delete remove o objeto e ignora chaves inexistentes', async () => {
+  objects.set('uploads/docs/d.txt', { body: Buffer.from('x'), mtime: new Date() });
+
+  await storage.delete('docs/d.txt');
+  assert.equal(objects.has('uploads/docs/d.txt'), false);
+  await storage.delete('docs/d.txt');
+});
+
+test('chaves com barra invertida viram caminhos com /', async () => {
+  await storage.put('thumbs\\ab\\x.webp', Readable.from([Buffer.from('w')]), { size: 1 });
+  assert.equal(objects.has('uploads/thumbs/ab/x.webp'), true);
+});
+
+test('erros do serviço são propagados', async () => {
+  forbidden.add('uploads/docs/secreto.txt');
+
+  await assert.rejects(storage.createReadStream('docs/inexistente.txt'), { name: 'NoSuchKey' });
+  await assert.rejects(storage.createReadStream('docs/secreto.txt'), { name: 'AccessDenied' });
+  await assert.rejects(storage.stat('docs/secreto.txt'), error => error.$metadata?.httpStatusCode === 403);
+  await assert.rejects(
+    storage.put('docs/secreto.txt', Readable.from([Buffer.from('x')]), { size: 1 }),
+    { name: 'AccessDenied' }
+  );
+});
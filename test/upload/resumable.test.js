@@ -0,0 +1,157 @@
+// Testes do upload resumível (POST/GET/PATCH /api/upload/sessions) contra o
+// servidor de verdade: offset fora de ordem, retomada depois de uma parte
+// interrompida no meio e finalização (arquivo registrado com o conteúdo certo).
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { request as httpRequest } from 'http';
+import { createHash, randomBytes } from 'crypto';
+import { startServer } from '../helpers/server.js';
+
+let server;
+let cookie;
+
+before(async () => {
+  server = await startServer();
+  cookie = await server.login();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+async function createUploadSession(content, filename = 'dados.bin') {
+  const response = await server.request('/api/upload/sessions', {
+    method: 'POST',
+    cookie,
+    body: { filename, size: content.length, mimeType: 'application/octet-stream' }
+  });
+  assert.equal(response.status, 201, response.text);
+  return response.json.uploadId;
+}
+
+function sendChunk(uploadId, offset, chunk) {
+  return server.request(`/api/upload/sessions/${uploadId}`, {
+    method: 'PATCH',
+    cookie,
+    headers: {
+      'content-type': 'application/offset+octet-stream',
+      'upload-offset': String(offset)
+    },
+    body: chunk
+  });
+}
+
+function getSession(uploadId) {
+  return server.request(`/api/upload/sessions/${uploadId}`, { cookie });
+}
+
+// Esperar até a sessão satisfazer a condição (o servidor grava em segundo plano)
+async function waitForSession(uploadId, predicate) {
+  const deadline = Date.now() + 5000;
+  for (;;) {
+    const { json } = await getSession(uploadId);
+    if (predicate(json)) return json;
+    if (Date.now() > deadline) {
+      throw new Error(`Sessão não chegou ao estado esperado: ${JSON.stringify(json)}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+async function downloadHash(storedName) {
+  const response = await fetch(`${server.baseUrl}/download/${storedName}`);
+  assert.equal(response.status, 200);
+  return createHash('sha256').update(Buffer.from(await response.arrayBuffer())).digest('hex');
+}
+
+function sha256(buffer) {
+  return createHash('sha256').update(buffer).digest('hex');
+}
+
+test('offset diferente do atual responde 409 com o offset certo', async () => {
+  const content = randomBytes(1024);
+  const uploadId = await createUploadSession(content);
+
+  const first = await sendChunk(uploadId, 0, content.subarray(0, 400));
+  assert.equal(first.status, 200);
+  assert.equal(first.json.offset, 400);
+  assert.equal(first.json.complete, false);
+
+  // Reenvio da mesma parte (cliente que não viu a resposta anterior)
+  const repeated = await sendChunk(uploadId, 0, content.subarray(0, 400));
+  assert.equal(repeated.status, 409);
+  assert.equal(repeated.json.offset, 400);
+  assert.equal(repeated.headers.get('upload-offset'), '400');
+
+  // Offset adiantado também é recusado e nada é gravado
+  const ahead = await sendChunk(uploadId, 800, content.subarray(800));
+  assert.equal(ahead.status, 409);
+  assert.equal(ahead.json.offset, 400);
+
+  const { json } = await getSession(uploadId);
+  assert.equal(json.offset, 400);
+
+  const cancelled = await server.request(`/api/upload/sessions/${uploadId}`, { method: 'DELETE', cookie });
+  assert.equal(cancelled.status, 200);
+});
+
+test('parte interrompida no meio: os bytes recebidos ficam e o upload é retomado', async () => {
+  const content = randomBytes(256 * 1024);
+  const uploadId = await createUploadSession(content, 'retomado.bin');
+  const sent = 64 * 1024;
+
+  // Anuncia o arquivo inteiro, envia só um pedaço e derruba a conexão
+  const interrupted = httpRequest(`${server.baseUrl}/api/upload/sessions/${uploadId}`, {
+    method: 'PATCH',
+    headers: {
+      cookie,
+      'content-type': 'application/offset+octet-stream',
+      'content-length': content.length,
+      'upload-offset': 0
+    }
+  });
+  interrupted.on('error', () => {});
+  interrupted.write(content.subarray(0, sent));
+
+  await waitForSession(uploadId, session => session.offset === sent);
+  interrupted.destroy();
+
+  const resumed = await waitForSession(uploadId, session => !session.busy);
+  assert.equal(resumed.offset, sent);
+  assert.equal(resumed.size, content.length);
+
+  const rest = await sendChunk(uploadId, resumed.offset, content.subarray(resumed.offset));
+  assert.equal(rest.status, 201, rest.text);
+  assert.equal(rest.json.complete, true);
+  assert.equal(rest.json.file.hash, sha256(content));
+  assert.equal(await downloadHash(rest.json.file.storedName), sha256(content));
+});
+
+test('finalização registra o arquivo e encerra a sessão', async () => {
+  const content = Buffer.from('conteúdo enviado em três partes\n'.repeat(20));
+  const uploadId = await createUploadSession(content, 'partes.txt');
+  const cuts = [0, 200, 450, content.length];
+
+  let last;
+  for (let i = 0; i < cuts.length - 1; i++) {
+    last = await sendChunk(uploadId, cuts[i], content.subarray(cuts[i], cuts[i + 1]));
+  }
+
+  assert.equal(last.status, 201, last.text);
+  assert.equal(last.json.complete, true);
+  assert.equal(last.json.file.originalName, 'partes.txt');
+  assert.equal(last.json.file.size, content.length);
+  assert.equal(await downloadHash(last.json.file.storedName), sha256(content));
+
+  const listed = await server.request(`/api/files/${last.json.file.id}`, { cookie });
+  assert.equal(listed.status, 200);
+
+  // A sessão some depois de finalizada
+  const gone = await getSession(uploadId);
+  assert.equal(gone.status, 404);
+
+  // Parte a mais depois do fim não reabre a sessão
+  const extra = await sendChunk(uploadId, content.length, Buffer.from('x'));
+  assert.equal(extra.status, 404);
+});